@@ -6,6 +6,12 @@ import { AuthProvider } from './contexts/AuthContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Layout from './components/Layout';
 import Login from './pages/Login';
+import OidcCallback from './pages/OidcCallback';
+import ForgotPassword from './pages/ForgotPassword';
+import SetPassword from './pages/SetPassword';
+import ChangePassword from './pages/ChangePassword';
+import TwoFactorSettings from './pages/TwoFactorSettings';
+import SignInActivity from './pages/SignInActivity';
 import Dashboard from './pages/Dashboard';
 import Courses from './pages/Courses';
 import Transfers from './pages/Transfers';
@@ -13,6 +19,7 @@ import Metrics from './pages/Metrics';
 import TeacherScheduling from './pages/TeacherScheduling';
 import UserCourses from './pages/UserCourses';
 import AdminRoleManagement from './pages/AdminRoleManagement';
+import ServiceAccounts from './pages/ServiceAccounts';
 
 const theme = createTheme({
   palette: {
@@ -33,6 +40,10 @@ function App() {
         <Router>
           <Routes>
             <Route path="/login" element={<Login />} />
+            <Route path="/auth/callback" element={<OidcCallback />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<SetPassword mode="reset" />} />
+            <Route path="/set-password" element={<SetPassword mode="invite" />} />
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
             <Route
               path="/dashboard"
@@ -94,6 +105,36 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/account/password"
+              element={
+                <ProtectedRoute>
+                  <Layout>
+                    <ChangePassword />
+                  </Layout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/account/mfa"
+              element={
+                <ProtectedRoute>
+                  <Layout>
+                    <TwoFactorSettings />
+                  </Layout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/account/activity"
+              element={
+                <ProtectedRoute>
+                  <Layout>
+                    <SignInActivity />
+                  </Layout>
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/admin/roles"
               element={
@@ -104,6 +145,16 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/admin/service-accounts"
+              element={
+                <ProtectedRoute>
+                  <Layout>
+                    <ServiceAccounts />
+                  </Layout>
+                </ProtectedRoute>
+              }
+            />
           </Routes>
         </Router>
       </AuthProvider>
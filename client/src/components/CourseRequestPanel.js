@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Alert,
+  Button,
+  Chip,
+  TextField,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import axios from 'axios';
+
+const API_URL = 'http://localhost:3001/api/course-requests';
+
+const PRIORITIES = [1, 2, 3, 4, 5];
+
+// Lets a student request courses for an upcoming term; demand feeds the section planner
+const CourseRequestPanel = () => {
+  const [terms, setTerms] = useState([]);
+  const [term, setTerm] = useState('');
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [priority, setPriority] = useState(1);
+  const [requests, setRequests] = useState([]);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchTerms();
+    fetchRequests();
+  }, []);
+
+  useEffect(() => {
+    if (!term) return;
+    const [, academicYear] = term.split('|');
+    axios.get(`http://localhost:3001/api/courses?academic_year=${academicYear}`)
+      .then(response => setCourses(response.data.data || []))
+      .catch(err => console.error('Request courses error:', err));
+  }, [term]);
+
+  const fetchTerms = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/terms`);
+      const upcoming = response.data.data || [];
+      setTerms(upcoming);
+      if (upcoming.length > 0) {
+        setTerm(`${upcoming[0].semester}|${upcoming[0].academic_year}`);
+      }
+    } catch (err) {
+      console.error('Request terms error:', err);
+    }
+  };
+
+  const fetchRequests = async () => {
+    try {
+      const response = await axios.get(API_URL);
+      setRequests(response.data.data || []);
+    } catch (err) {
+      setError('Failed to load your course requests');
+      console.error('Course requests error:', err);
+    }
+  };
+
+  const handleSubmit = async () => {
+    const [semester, academicYear] = term.split('|');
+    setSubmitting(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await axios.post(API_URL, {
+        course_id: courseId,
+        semester,
+        academic_year: parseInt(academicYear),
+        priority
+      });
+      setSuccess(response.data.message);
+      setCourseId('');
+      fetchRequests();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to submit course request');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleWithdraw = async (request) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      await axios.delete(`${API_URL}/${request.id}`);
+      setSuccess(`Withdrew ${request.course_name}`);
+      fetchRequests();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to withdraw course request');
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Typography variant="h5" gutterBottom>
+        Course Requests
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Request the courses you want next term. Priority 1 is your first choice; requests decide how many sections are offered.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      {terms.length === 0 ? (
+        <Alert severity="info" sx={{ mb: 2 }}>No upcoming terms are open for requests</Alert>
+      ) : (
+        <Paper sx={{ p: 2, mb: 2 }}>
+          <Box display="flex" gap={2} flexWrap="wrap" alignItems="center">
+            <TextField
+              select
+              label="Term"
+              size="small"
+              value={term}
+              onChange={(e) => { setTerm(e.target.value); setCourseId(''); }}
+              sx={{ minWidth: 160 }}
+            >
+              {terms.map((t) => (
+                <MenuItem key={`${t.semester}|${t.academic_year}`} value={`${t.semester}|${t.academic_year}`}>
+                  {t.semester} {t.academic_year}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Course"
+              size="small"
+              value={courseId}
+              onChange={(e) => setCourseId(e.target.value)}
+              sx={{ minWidth: 240 }}
+            >
+              {courses.map((course) => (
+                <MenuItem key={course.id} value={course.id}>
+                  {course.name}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Priority"
+              size="small"
+              value={priority}
+              onChange={(e) => setPriority(e.target.value)}
+              sx={{ minWidth: 100 }}
+            >
+              {PRIORITIES.map((value) => (
+                <MenuItem key={value} value={value}>{value}</MenuItem>
+              ))}
+            </TextField>
+            <Button variant="contained" onClick={handleSubmit} disabled={!courseId || submitting}>
+              Request
+            </Button>
+          </Box>
+        </Paper>
+      )}
+
+      {requests.length > 0 && (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Course</TableCell>
+                <TableCell>Term</TableCell>
+                <TableCell>Priority</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {requests.map((request) => (
+                <TableRow key={request.id}>
+                  <TableCell>{request.course_name}</TableCell>
+                  <TableCell>{request.semester} {request.academic_year}</TableCell>
+                  <TableCell>{request.priority}</TableCell>
+                  <TableCell>
+                    <Chip
+                      label={request.status}
+                      size="small"
+                      color={request.status === 'REQUESTED' ? 'info' : 'default'}
+                    />
+                  </TableCell>
+                  <TableCell align="right">
+                    {request.status === 'REQUESTED' && (
+                      <Button size="small" color="error" onClick={() => handleWithdraw(request)}>
+                        Withdraw
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default CourseRequestPanel;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Alert,
+  Typography,
+  MenuItem,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// Starts a "view as" session for another user; onStepUp gets a retry when full access needs MFA
+const ImpersonateDialog = ({ target, onClose, onStepUp }) => {
+  const { startImpersonation } = useAuth();
+  const navigate = useNavigate();
+  const [reason, setReason] = useState('');
+  const [readOnly, setReadOnly] = useState(true);
+  const [durationMinutes, setDurationMinutes] = useState(30);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleClose = () => {
+    setReason('');
+    setReadOnly(true);
+    setError('');
+    onClose();
+  };
+
+  const handleStart = async () => {
+    setSubmitting(true);
+    setError('');
+
+    const result = await startImpersonation(target.id, { reason, readOnly, durationMinutes });
+    setSubmitting(false);
+
+    if (result.success) {
+      handleClose();
+      navigate('/dashboard');
+    } else if (result.mfaRequired) {
+      onStepUp(handleStart);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(target)} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>View as {target?.first_name} {target?.last_name}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          You will see the system exactly as {target?.email} does. The session, every request made
+          in it and your reason are recorded in the audit log.
+        </Typography>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <TextField
+          margin="normal"
+          required
+          fullWidth
+          multiline
+          minRows={2}
+          label="Reason"
+          placeholder="e.g. Reported the Transfers page shows the wrong balance"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+        <TextField
+          select
+          margin="normal"
+          fullWidth
+          label="Duration"
+          value={durationMinutes}
+          onChange={(e) => setDurationMinutes(e.target.value)}
+        >
+          <MenuItem value={15}>15 minutes</MenuItem>
+          <MenuItem value={30}>30 minutes</MenuItem>
+          <MenuItem value={60}>1 hour</MenuItem>
+        </TextField>
+        <FormControlLabel
+          control={<Checkbox checked={readOnly} onChange={(e) => setReadOnly(e.target.checked)} />}
+          label="Read-only (recommended)"
+        />
+        {!readOnly && (
+          <Alert severity="warning">
+            Changes you make will be saved as this user, with your name recorded alongside.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleStart} disabled={submitting || reason.trim().length < 3}>
+          Start
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImpersonateDialog;
@@ -14,7 +14,8 @@ import {
   ListItemButton,
   Divider,
   Avatar,
-  Chip
+  Chip,
+  Alert
 } from '@mui/material';
 import {
   Dashboard,
@@ -24,7 +25,11 @@ import {
   Logout,
   AccountBalance,
   Schedule,
-  AdminPanelSettings
+  AdminPanelSettings,
+  Lock,
+  VerifiedUser,
+  History,
+  VpnKey
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { useNavigate, useLocation } from 'react-router-dom';
@@ -32,7 +37,7 @@ import { useNavigate, useLocation } from 'react-router-dom';
 const drawerWidth = 240;
 
 const Layout = ({ children }) => {
-  const { user, logout, isAdmin, isDepartmentHead } = useAuth();
+  const { user, logout, isAdmin, hasPermission, impersonation, impersonator, stopImpersonation } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -41,6 +46,11 @@ const Layout = ({ children }) => {
     navigate('/login');
   };
 
+  const handleStopImpersonation = async () => {
+    await stopImpersonation();
+    navigate('/admin/roles');
+  };
+
   const menuItems = [
     ...(user?.role === 'USER' ? [
       { text: 'My Courses', icon: <School />, path: '/my-courses' }
@@ -51,11 +61,17 @@ const Layout = ({ children }) => {
     ...(user?.role === 'TEACHER' ? [
       { text: 'Course Scheduling', icon: <Schedule />, path: '/teacher-scheduling' }
     ] : []),
-    ...(isDepartmentHead() || isAdmin() ? [{ text: 'Budget Transfer', icon: <SwapHoriz />, path: '/transfers' }] : []),
-    ...(isAdmin() ? [
+    ...(hasPermission('transfer:view') ? [{ text: 'Budget Transfer', icon: <SwapHoriz />, path: '/transfers' }] : []),
+    ...(hasPermission('user:manage') ? [
       { text: 'Role Management', icon: <AdminPanelSettings />, path: '/admin/roles' }
     ] : []),
-    { text: 'Metrics', icon: <Analytics />, path: '/metrics' }
+    ...(hasPermission('service_account:manage') ? [
+      { text: 'Service Accounts', icon: <VpnKey />, path: '/admin/service-accounts' }
+    ] : []),
+    { text: 'Metrics', icon: <Analytics />, path: '/metrics' },
+    { text: 'Change Password', icon: <Lock />, path: '/account/password' },
+    { text: 'Two-Factor Auth', icon: <VerifiedUser />, path: '/account/mfa' },
+    { text: 'Sign-in Activity', icon: <History />, path: '/account/activity' }
   ];
 
   return (
@@ -66,7 +82,7 @@ const Layout = ({ children }) => {
         sx={{
           width: `calc(100% - ${drawerWidth}px)`,
           ml: `${drawerWidth}px`,
-          bgcolor: 'primary.main'
+          bgcolor: impersonation ? 'warning.dark' : 'primary.main'
         }}
       >
         <Toolbar>
@@ -153,6 +169,23 @@ const Layout = ({ children }) => {
       >
         <Toolbar />
         <Container maxWidth="xl">
+          {impersonation && (
+            <Alert
+              severity="warning"
+              variant="filled"
+              sx={{ mb: 3 }}
+              action={
+                <Button color="inherit" size="small" onClick={handleStopImpersonation}>
+                  Exit
+                </Button>
+              }
+            >
+              Viewing as {user?.first_name} {user?.last_name} ({user?.email})
+              {impersonation.read_only ? ' in read-only mode' : ' with full access'}
+              {' '}until {new Date(impersonation.expires_at).toLocaleTimeString()}.
+              {impersonator && ` Signed in as ${impersonator.email}; everything you do is logged.`}
+            </Alert>
+          )}
           {children}
         </Container>
       </Box>
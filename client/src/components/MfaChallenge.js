@@ -0,0 +1,125 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Box, Button, TextField, Typography, Alert, CircularProgress } from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import RecoveryCodeList from './RecoveryCodeList';
+
+// Second step of sign-in: answer the MFA challenge, or enrol first when the role requires MFA
+const MfaChallenge = ({ challenge, onComplete, onCancel }) => {
+  const { completeMfaLogin, startMfaEnrolment, confirmMfaEnrolment } = useAuth();
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [enrolment, setEnrolment] = useState(null);
+  const [signedIn, setSignedIn] = useState(null);
+  // React StrictMode runs effects twice in development; each start issues a new secret
+  const enrolmentStarted = useRef(false);
+
+  useEffect(() => {
+    if (!challenge.enrolmentRequired || enrolmentStarted.current) return;
+    enrolmentStarted.current = true;
+
+    setLoading(true);
+    startMfaEnrolment(challenge.token).then((result) => {
+      if (result.success) {
+        setEnrolment(result);
+      } else {
+        setError(result.message);
+      }
+      setLoading(false);
+    });
+  }, [challenge, startMfaEnrolment]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    if (challenge.enrolmentRequired) {
+      const result = await confirmMfaEnrolment(challenge.token, code);
+      if (result.success) {
+        // Hold the redirect until the recovery codes have been seen
+        setSignedIn(result);
+      } else {
+        setError(result.message);
+      }
+    } else {
+      const result = await completeMfaLogin(challenge.token, code);
+      if (result.success) {
+        onComplete(result);
+      } else {
+        setError(result.message);
+      }
+    }
+
+    setLoading(false);
+  };
+
+  if (signedIn) {
+    return (
+      <Box sx={{ width: '100%' }}>
+        <Typography variant="h6" gutterBottom>
+          Two-factor authentication enabled
+        </Typography>
+        <RecoveryCodeList codes={signedIn.recoveryCodes} />
+        <Button fullWidth variant="contained" onClick={() => onComplete(signedIn)}>
+          Continue
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ width: '100%' }}>
+      <Alert severity="info" sx={{ mb: 2 }}>
+        {challenge.message}
+      </Alert>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {enrolment && (
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="body2" gutterBottom>
+            Add this account to your authenticator app with the setup key below (or open the
+            link on a phone with an authenticator installed), then enter the 6-digit code it shows.
+          </Typography>
+          <Typography sx={{ fontFamily: 'monospace', wordBreak: 'break-all', p: 1, bgcolor: 'grey.100', borderRadius: 1 }}>
+            {enrolment.secret}
+          </Typography>
+          <Button size="small" href={enrolment.otpauth_uri} sx={{ mt: 1 }}>
+            Open in authenticator app
+          </Button>
+        </Box>
+      )}
+
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        autoFocus
+        label={challenge.enrolmentRequired ? 'Verification code' : 'Verification or recovery code'}
+        autoComplete="one-time-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        disabled={loading || (challenge.enrolmentRequired && !enrolment)}
+      />
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        sx={{ mt: 2, mb: 1 }}
+        disabled={loading || !code}
+      >
+        {loading ? <CircularProgress size={24} /> : 'Verify'}
+      </Button>
+      <Button fullWidth onClick={onCancel} disabled={loading}>
+        Back to Sign In
+      </Button>
+    </Box>
+  );
+};
+
+export default MfaChallenge;
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Alert,
+  Typography,
+  Link
+} from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// Asks for a fresh authenticator code when the server demands step-up MFA, then retries
+const MfaStepUpDialog = ({ open, onVerified, onCancel }) => {
+  const { stepUp } = useAuth();
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleClose = () => {
+    setCode('');
+    setError('');
+    onCancel();
+  };
+
+  const handleVerify = async () => {
+    setSubmitting(true);
+    setError('');
+
+    const result = await stepUp(code);
+    setSubmitting(false);
+
+    if (result.success) {
+      setCode('');
+      onVerified();
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Confirm it's you</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ mb: 2 }}>
+          This action needs a recent two-factor verification. Enter the code from your authenticator app.
+        </Typography>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}{' '}
+            <Link component={RouterLink} to="/account/mfa">
+              Two-factor settings
+            </Link>
+          </Alert>
+        )}
+        <TextField
+          fullWidth
+          autoFocus
+          label="Verification or recovery code"
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          disabled={submitting}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={submitting}>Cancel</Button>
+        <Button variant="contained" onClick={handleVerify} disabled={submitting || !code}>
+          Verify
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MfaStepUpDialog;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { Alert, Box, Typography } from '@mui/material';
+
+// Recovery codes are only ever shown once, straight after they are issued
+const RecoveryCodeList = ({ codes }) => (
+  <Box sx={{ mb: 2 }}>
+    <Alert severity="warning" sx={{ mb: 2 }}>
+      Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+      authenticator app, and they will not be shown again.
+    </Alert>
+    <Box
+      sx={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(2, 1fr)',
+        gap: 1,
+        p: 2,
+        bgcolor: 'grey.100',
+        borderRadius: 1
+      }}
+    >
+      {codes.map((code) => (
+        <Typography key={code} sx={{ fontFamily: 'monospace' }}>
+          {code}
+        </Typography>
+      ))}
+    </Box>
+  </Box>
+);
+
+export default RecoveryCodeList;
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Typography,
+  Box,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import axios from 'axios';
+
+const API_URL = 'http://localhost:3001/api/users/import';
+
+const ACTION_COLORS = {
+  create: 'success',
+  update: 'info',
+  unchanged: 'default',
+  invalid: 'error'
+};
+
+// Validates a staff CSV with a dry run, then imports it; onStepUp gets a retry when MFA is needed
+const StaffImportDialog = ({ open, onClose, onImported, onStepUp }) => {
+  const [csv, setCsv] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [sendInvites, setSendInvites] = useState(true);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const reset = () => {
+    setCsv('');
+    setFileName('');
+    setPlan(null);
+    setError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const submit = async (dryRun) => {
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const response = await axios.post(API_URL, { csv, dry_run: dryRun, send_invites: sendInvites });
+      if (dryRun) {
+        setPlan(response.data.data);
+      } else {
+        reset();
+        onImported(response.data.message);
+      }
+    } catch (err) {
+      if (err.response?.data?.mfa_required) {
+        onStepUp(() => submit(dryRun));
+      } else {
+        setError(err.response?.data?.message || 'Import failed');
+        if (err.response?.data?.data) {
+          setPlan(err.response.data.data);
+        }
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setCsv(reader.result);
+      setFileName(file.name);
+      setPlan(null);
+      setError('');
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const describeChanges = (row) => Object.entries(row.changes)
+    .map(([field, change]) => (row.action === 'create' ? `${field}: ${change.to}` : `${field}: ${change.from ?? '-'} → ${change.to}`))
+    .join(', ');
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import Staff from CSV</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Columns: email, first_name, last_name, role, department, employment_type, hourly_rate, hire_date.
+          Existing users are matched by email and blank cells leave their values unchanged. Export the
+          current staff list for a ready-made template.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <Button variant="outlined" component="label" disabled={submitting}>
+            Choose File
+            <input type="file" accept=".csv,text/csv" hidden onChange={handleFile} />
+          </Button>
+          <Typography variant="body2">{fileName || 'No file selected'}</Typography>
+        </Box>
+
+        {plan && (
+          <>
+            <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+              <Chip size="small" color="success" label={`${plan.summary.create} new`} />
+              <Chip size="small" color="info" label={`${plan.summary.update} updated`} />
+              <Chip size="small" label={`${plan.summary.unchanged} unchanged`} />
+              <Chip size="small" color="error" label={`${plan.summary.invalid} with errors`} />
+            </Box>
+
+            <Box sx={{ maxHeight: 360, overflow: 'auto' }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Email</TableCell>
+                    <TableCell>Result</TableCell>
+                    <TableCell>Details</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {plan.rows.filter((row) => row.action !== 'unchanged').map((row) => (
+                    <TableRow key={row.row}>
+                      <TableCell>{row.row}</TableCell>
+                      <TableCell>{row.email || '-'}</TableCell>
+                      <TableCell>
+                        <Chip size="small" label={row.action} color={ACTION_COLORS[row.action]} />
+                      </TableCell>
+                      <TableCell>
+                        {row.errors.length > 0
+                          ? row.errors.map((rowError) => rowError.message).join('; ')
+                          : describeChanges(row)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Box>
+
+            {plan.summary.create > 0 && (
+              <FormControlLabel
+                sx={{ mt: 1 }}
+                control={<Checkbox checked={sendInvites} onChange={(e) => setSendInvites(e.target.checked)} />}
+                label="Email invites to new users"
+              />
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button onClick={() => submit(true)} disabled={submitting || !csv}>
+          Validate
+        </Button>
+        <Button
+          variant="contained"
+          onClick={() => submit(false)}
+          disabled={submitting || !plan || plan.summary.invalid > 0 || plan.summary.create + plan.summary.update === 0}
+        >
+          Import
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default StaffImportDialog;
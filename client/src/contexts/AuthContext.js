@@ -1,8 +1,28 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import axios from 'axios';
 
+const API_URL = 'http://localhost:3001/api/auth';
+
+// Share one refresh request between concurrent 401/403 responses
+let refreshPromise = null;
+
 const AuthContext = createContext();
 
+// Forget an impersonation and go back to the admin's own access token
+const dropImpersonation = () => {
+  localStorage.removeItem('impersonation');
+  const ownToken = localStorage.getItem('token');
+  if (ownToken) {
+    axios.defaults.headers.common['Authorization'] = `Bearer ${ownToken}`;
+  }
+};
+
+const toMfaChallenge = ({ message, data }) => ({
+  token: data.mfa_token,
+  enrolmentRequired: data.enrolment_required,
+  message
+});
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -15,49 +35,106 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [loading, setLoading] = useState(true);
+  // While an admin views as another user, requests carry the impersonation token instead of theirs
+  const [impersonation, setImpersonation] = useState(() => JSON.parse(localStorage.getItem('impersonation') || 'null'));
+  const activeToken = impersonation?.token || token;
 
   // Configure axios defaults
   useEffect(() => {
-    if (token) {
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    if (activeToken) {
+      axios.defaults.headers.common['Authorization'] = `Bearer ${activeToken}`;
     } else {
       delete axios.defaults.headers.common['Authorization'];
     }
-  }, [token]);
+  }, [activeToken]);
+
+  // Swap an expired access token for a new one and retry the request once
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const original = error.config;
+        const status = error.response?.status;
+        const refreshToken = localStorage.getItem('refresh_token');
+
+        // Impersonation tokens are not refreshed; once the server has ended one, drop it
+        if (localStorage.getItem('impersonation')) {
+          if (status === 401) {
+            clearImpersonation();
+          }
+          return Promise.reject(error);
+        }
+
+        // A step-up MFA demand is not an expired token; the caller prompts for a code instead
+        if (!original || original._retried || !refreshToken || error.response?.data?.mfa_required ||
+            (status !== 401 && status !== 403) || original.url?.startsWith(API_URL)) {
+          return Promise.reject(error);
+        }
+
+        original._retried = true;
+
+        try {
+          if (!refreshPromise) {
+            refreshPromise = axios.post(`${API_URL}/refresh`, { refresh_token: refreshToken })
+              .finally(() => {
+                refreshPromise = null;
+              });
+          }
+          const response = await refreshPromise;
+          const { token: nextToken, refresh_token: nextRefreshToken } = response.data.data;
+
+          localStorage.setItem('token', nextToken);
+          localStorage.setItem('refresh_token', nextRefreshToken);
+          axios.defaults.headers.common['Authorization'] = `Bearer ${nextToken}`;
+          setToken(nextToken);
+
+          original.headers['Authorization'] = `Bearer ${nextToken}`;
+          return axios(original);
+        } catch (refreshError) {
+          clearSession();
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
 
   // Check if user is authenticated on app load
   useEffect(() => {
     const storedToken = localStorage.getItem('token');
     const storedUser = localStorage.getItem('user');
-    const idpToken = localStorage.getItem('idp_access_token');
-    const idpUser = localStorage.getItem('idp_user');
     
     if (storedToken && storedUser) {
       setToken(storedToken);
       setUser(JSON.parse(storedUser));
-    } else if (idpToken && idpUser) {
-      // Handle IDP authentication
-      setToken(idpToken);
-      setUser(JSON.parse(idpUser));
     }
     setLoading(false);
   }, []);
 
+  const startSession = ({ token, refresh_token, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refresh_token', refresh_token);
+    localStorage.setItem('user', JSON.stringify(user));
+    
+    setToken(token);
+    setUser(user);
+  };
+
   const login = async (email, password) => {
     try {
-      const response = await axios.post('http://localhost:3001/api/auth/login', {
+      const response = await axios.post(`${API_URL}/login`, {
         email,
         password
       });
 
       if (response.data.success) {
-        const { token, user } = response.data.data;
-        
-        localStorage.setItem('token', token);
-        localStorage.setItem('user', JSON.stringify(user));
-        
-        setToken(token);
-        setUser(user);
+        if (response.data.data.mfa_required) {
+          return { success: true, mfaChallenge: toMfaChallenge(response.data) };
+        }
+
+        const { user } = response.data.data;
+        startSession(response.data.data);
         
         return { success: true, user };
       } else {
@@ -71,47 +148,208 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const loginWithIdp = (idpUser, idpTokens) => {
-    // Store IDP tokens and user data
-    localStorage.setItem('idp_access_token', idpTokens.access_token);
-    if (idpTokens.refresh_token) {
-      localStorage.setItem('idp_refresh_token', idpTokens.refresh_token);
+  // Send the browser to the identity provider; the server keeps the PKCE verifier
+  const startIdpLogin = async (redirectTo) => {
+    try {
+      const response = await axios.get(`${API_URL}/oidc/authorize`, {
+        params: redirectTo ? { redirect_to: redirectTo } : {}
+      });
+      const { authorization_url, state, code_verifier } = response.data.data;
+      // The callback page only accepts a login this tab started, and the server needs the verifier to finish it
+      sessionStorage.setItem('oidc_login', JSON.stringify({ state, code_verifier }));
+      window.location.assign(authorization_url);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Identity provider login is unavailable'
+      };
+    }
+  };
+
+  // Redeem the code the identity provider sent back for one of our sessions
+  const completeIdpLogin = async (code, state, codeVerifier) => {
+    try {
+      const response = await axios.post(`${API_URL}/oidc/callback`, { code, state, code_verifier: codeVerifier });
+      if (response.data.data.mfa_required) {
+        return { success: true, mfaChallenge: toMfaChallenge(response.data) };
+      }
+
+      const { user, redirect_to } = response.data.data;
+      startSession(response.data.data);
+
+      return { success: true, user, redirectTo: redirect_to };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Identity provider login failed'
+      };
+    }
+  };
+
+  // Answer a login MFA challenge with an authenticator or recovery code
+  const completeMfaLogin = async (mfaToken, code) => {
+    try {
+      const response = await axios.post(`${API_URL}/login/mfa`, { mfa_token: mfaToken, code });
+      const { user, redirect_to, recovery_codes_remaining } = response.data.data;
+      startSession(response.data.data);
+
+      return { success: true, user, redirectTo: redirect_to, recoveryCodesRemaining: recovery_codes_remaining };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Verification failed'
+      };
     }
-    localStorage.setItem('idp_user', JSON.stringify(idpUser));
-    
-    // Set the current session
-    setToken(idpTokens.access_token);
-    setUser(idpUser);
-    
-    return { success: true, user: idpUser };
   };
 
-  const logout = () => {
-    // Clear both regular and IDP tokens
+  // Enrolment for roles that require MFA happens before the first session is issued
+  const startMfaEnrolment = async (mfaToken) => {
+    try {
+      const response = await axios.post(`${API_URL}/login/mfa/enroll`, { mfa_token: mfaToken });
+      return { success: true, ...response.data.data };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to start MFA enrolment'
+      };
+    }
+  };
+
+  const confirmMfaEnrolment = async (mfaToken, code) => {
+    try {
+      const response = await axios.post(`${API_URL}/login/mfa/enroll/confirm`, { mfa_token: mfaToken, code });
+      const { user, redirect_to, recovery_codes } = response.data.data;
+      startSession(response.data.data);
+
+      return { success: true, user, redirectTo: redirect_to, recoveryCodes: recovery_codes };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Verification failed'
+      };
+    }
+  };
+
+  // Re-verify the second factor before a high-risk operation
+  const stepUp = async (code) => {
+    try {
+      await axios.post(`${API_URL}/mfa/step-up`, { code });
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Verification failed'
+      };
+    }
+  };
+
+  // View the system as another user; the admin's own session is kept for when they exit
+  const startImpersonation = async (userId, { reason, readOnly = true, durationMinutes } = {}) => {
+    try {
+      const response = await axios.post('http://localhost:3001/api/impersonation', {
+        user_id: userId,
+        reason,
+        read_only: readOnly,
+        duration_minutes: durationMinutes
+      });
+      const { token: impersonationToken, impersonation: details, user: target } = response.data.data;
+      const next = { ...details, token: impersonationToken, user: target };
+
+      localStorage.setItem('impersonation', JSON.stringify(next));
+      axios.defaults.headers.common['Authorization'] = `Bearer ${impersonationToken}`;
+      setImpersonation(next);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        mfaRequired: Boolean(error.response?.data?.mfa_required),
+        message: error.response?.data?.message || 'Failed to start impersonation'
+      };
+    }
+  };
+
+  const clearImpersonation = () => {
+    dropImpersonation();
+    setImpersonation(null);
+  };
+
+  const stopImpersonation = async () => {
+    const current = JSON.parse(localStorage.getItem('impersonation') || 'null');
+    clearImpersonation();
+    if (!current) return;
+
+    try {
+      await axios.post(`http://localhost:3001/api/impersonation/${current.id}/end`);
+    } catch (error) {
+      // It may already have expired; the admin's own session is restored regardless
+    }
+  };
+
+  // Impersonation tokens are short-lived, so exit when this one runs out (the server ends it too)
+  useEffect(() => {
+    if (!impersonation) return undefined;
+
+    const timer = setTimeout(() => {
+      dropImpersonation();
+      setImpersonation(null);
+    }, Math.max(new Date(impersonation.expires_at) - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [impersonation]);
+
+  const clearSession = () => {
+    // Clear local tokens
     localStorage.removeItem('token');
+    localStorage.removeItem('refresh_token');
     localStorage.removeItem('user');
-    localStorage.removeItem('idp_access_token');
-    localStorage.removeItem('idp_refresh_token');
-    localStorage.removeItem('idp_user');
+    localStorage.removeItem('impersonation');
     
     setToken(null);
+    setImpersonation(null);
     setUser(null);
     delete axios.defaults.headers.common['Authorization'];
   };
 
-  const isAdmin = () => user?.role === 'ADMIN';
-  const isDepartmentHead = () => user?.role === 'DEPARTMENT_HEAD';
+  const logout = async ({ everywhere = false } = {}) => {
+    await stopImpersonation();
+
+    // Revoke the server-side session before dropping local tokens
+    if (localStorage.getItem('token')) {
+      try {
+        await axios.post(`${API_URL}/${everywhere ? 'logout-all' : 'logout'}`);
+      } catch (error) {
+        // The session may already be revoked or expired; sign out locally regardless
+      }
+    }
+    clearSession();
+  };
+
+  const effectiveUser = impersonation?.user || user;
+  const isAdmin = () => effectiveUser?.role === 'ADMIN';
+  const isDepartmentHead = () => effectiveUser?.role === 'DEPARTMENT_HEAD';
+  const hasPermission = (permission) => Boolean(effectiveUser?.permissions?.includes(permission));
 
   const value = {
-    user,
-    token,
+    user: effectiveUser,
+    token: activeToken,
+    impersonation,
+    impersonator: impersonation ? user : null,
     loading,
     login,
-    loginWithIdp,
+    startIdpLogin,
+    completeIdpLogin,
+    completeMfaLogin,
+    startMfaEnrolment,
+    confirmMfaEnrolment,
+    stepUp,
+    startImpersonation,
+    stopImpersonation,
     logout,
     isAuthenticated: !!token,
     isAdmin,
-    isDepartmentHead
+    isDepartmentHead,
+    hasPermission
   };
 
   return (
@@ -22,13 +22,19 @@ import {
   IconButton,
   Tooltip
 } from '@mui/material';
-import { Edit, AdminPanelSettings, School, Person, Work } from '@mui/icons-material';
+import {
+  Edit, AdminPanelSettings, School, Person, Work, LockOpen, FileUpload, FileDownload, Visibility, Link, LinkOff
+} from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
+import MfaStepUpDialog from '../components/MfaStepUpDialog';
+import StaffImportDialog from '../components/StaffImportDialog';
+import ImpersonateDialog from '../components/ImpersonateDialog';
 import axios from 'axios';
 
 const AdminRoleManagement = () => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [users, setUsers] = useState([]);
+  const [customRoles, setCustomRoles] = useState([]);
   const [departments, setDepartments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -39,6 +45,11 @@ const AdminRoleManagement = () => {
     department_id: ''
   });
   const [submitting, setSubmitting] = useState(false);
+  // Role changes need a recent MFA check; holds the update to retry once verified
+  const [stepUpRetry, setStepUpRetry] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
+  const [message, setMessage] = useState('');
+  const [impersonateTarget, setImpersonateTarget] = useState(null);
 
   const roles = [
     { value: 'ADMIN', label: 'Administrator', icon: <AdminPanelSettings />, color: 'error' },
@@ -46,23 +57,35 @@ const AdminRoleManagement = () => {
     { value: 'TEACHER', label: 'Teacher', icon: <School />, color: 'success' },
     { value: 'USER', label: 'User', icon: <Person />, color: 'info' }
   ];
+  const roleOptions = [...roles, ...customRoles];
+  const canManageUsers = hasPermission('user:manage');
 
   useEffect(() => {
-    if (user?.role === 'ADMIN') {
+    if (canManageUsers) {
       fetchData();
     }
-  }, [user]);
+  }, [user, canManageUsers]);
 
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [usersResponse, departmentsResponse] = await Promise.all([
+      const [usersResponse, departmentsResponse, rolesResponse] = await Promise.all([
         axios.get('http://localhost:3001/api/users'),
-        axios.get('http://localhost:3001/api/departments')
+        axios.get('http://localhost:3001/api/departments'),
+        axios.get('http://localhost:3001/api/roles')
       ]);
       
       setUsers(usersResponse.data.data || []);
       setDepartments(departmentsResponse.data.data || []);
+      setCustomRoles((rolesResponse.data.data || [])
+        .filter(role => !role.is_system)
+        .map(role => ({
+          value: role.name,
+          label: role.name,
+          icon: <Person />,
+          color: 'default',
+          description: role.description || `${role.permissions.length} permission(s)`
+        })));
     } catch (err) {
       setError('Failed to load users data');
       console.error('Users error:', err);
@@ -99,14 +122,73 @@ const AdminRoleManagement = () => {
         handleCloseDialog();
       }
     } catch (err) {
-      setError('Failed to update user role');
+      if (err.response?.data?.mfa_required) {
+        setStepUpRetry(() => handleUpdateRole);
+        return;
+      }
+      setError(err.response?.data?.message || 'Failed to update user role');
     } finally {
       setSubmitting(false);
     }
   };
 
+  const handleUnlock = async (userItem) => {
+    try {
+      await axios.post(`http://localhost:3001/api/users/${userItem.id}/unlock`);
+      await fetchData();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to unlock account');
+    }
+  };
+
+  // Linking an existing account to an IdP sign-in needs an administrator's approval and a recent MFA check
+  const handleApproveLink = async (userItem) => {
+    try {
+      const response = await axios.post(`http://localhost:3001/api/users/${userItem.id}/oidc-link`);
+      setMessage(response.data.message);
+      await fetchData();
+    } catch (err) {
+      if (err.response?.data?.mfa_required) {
+        setStepUpRetry(() => () => handleApproveLink(userItem));
+        return;
+      }
+      setError(err.response?.data?.message || 'Failed to link account');
+    }
+  };
+
+  const handleRejectLink = async (userItem) => {
+    try {
+      await axios.delete(`http://localhost:3001/api/users/${userItem.id}/oidc-link`);
+      await fetchData();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reject link request');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await axios.get('http://localhost:3001/api/users/export', { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'staff.csv';
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export users');
+    }
+  };
+
+  const handleImported = async (importMessage) => {
+    setImportOpen(false);
+    setMessage(importMessage);
+    await fetchData();
+  };
+
+  const isLocked = (userItem) => Boolean(userItem.locked_until && new Date(userItem.locked_until) > new Date());
+
   const getRoleInfo = (role) => {
-    return roles.find(r => r.value === role) || roles[3];
+    return roleOptions.find(r => r.value === role) || roles[3];
   };
 
   const getDepartmentName = (departmentId) => {
@@ -114,7 +196,7 @@ const AdminRoleManagement = () => {
     return dept ? dept.name : 'No Department';
   };
 
-  if (user?.role !== 'ADMIN') {
+  if (!canManageUsers) {
     return (
       <Alert severity="error">
         Access denied. Only administrators can manage user roles.
@@ -136,14 +218,26 @@ const AdminRoleManagement = () => {
 
   return (
     <Box>
-      <Typography variant="h4" gutterBottom>
-        User Role Management
-      </Typography>
+      <Box display="flex" justifyContent="space-between" alignItems="center">
+        <Typography variant="h4" gutterBottom>
+          User Role Management
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button variant="outlined" startIcon={<FileDownload />} onClick={handleExport}>
+            Export CSV
+          </Button>
+          <Button variant="contained" startIcon={<FileUpload />} onClick={() => setImportOpen(true)}>
+            Import CSV
+          </Button>
+        </Box>
+      </Box>
       
       <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
         Manage user roles and department assignments across the system
       </Typography>
 
+      {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage('')}>{message}</Alert>}
+
       <TableContainer component={Paper}>
         <Table>
           <TableHead>
@@ -174,7 +268,15 @@ const AdminRoleManagement = () => {
                       </Box>
                     </Box>
                   </TableCell>
-                  <TableCell>{userItem.email}</TableCell>
+                  <TableCell>
+                    {userItem.email}
+                    {isLocked(userItem) && (
+                      <Chip label="Locked" color="error" size="small" sx={{ ml: 1 }} />
+                    )}
+                    {userItem.oidc_link_requested_at && (
+                      <Chip label="IdP link pending" color="warning" size="small" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
                   <TableCell>
                     <Chip 
                       label={roleInfo.label}
@@ -203,6 +305,34 @@ const AdminRoleManagement = () => {
                         <Edit />
                       </IconButton>
                     </Tooltip>
+                    {hasPermission('user:impersonate') && userItem.id !== user?.id && (
+                      <Tooltip title="View as this user">
+                        <IconButton onClick={() => setImpersonateTarget(userItem)} size="small">
+                          <Visibility />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                    {isLocked(userItem) && (
+                      <Tooltip title={`Unlock (locked until ${new Date(userItem.locked_until).toLocaleString()})`}>
+                        <IconButton onClick={() => handleUnlock(userItem)} size="small">
+                          <LockOpen />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                    {userItem.oidc_link_requested_at && (
+                      <>
+                        <Tooltip title={`Approve identity provider sign-in (requested ${new Date(userItem.oidc_link_requested_at).toLocaleString()})`}>
+                          <IconButton onClick={() => handleApproveLink(userItem)} size="small">
+                            <Link />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Reject identity provider sign-in">
+                          <IconButton onClick={() => handleRejectLink(userItem)} size="small">
+                            <LinkOff />
+                          </IconButton>
+                        </Tooltip>
+                      </>
+                    )}
                   </TableCell>
                 </TableRow>
               );
@@ -230,7 +360,7 @@ const AdminRoleManagement = () => {
             margin="normal"
             required
           >
-            {roles.map((role) => (
+            {roleOptions.map((role) => (
               <MenuItem key={role.value} value={role.value}>
                 <Box display="flex" alignItems="center">
                   {role.icon}
@@ -269,6 +399,7 @@ const AdminRoleManagement = () => {
                 {formData.role === 'DEPARTMENT_HEAD' && 'Department budget management, course oversight, reporting'}
                 {formData.role === 'TEACHER' && 'Course scheduling, resource requests, user assignment'}
                 {formData.role === 'USER' && 'Basic access, view assigned courses only'}
+                {customRoles.find(role => role.value === formData.role)?.description}
               </Typography>
             )}
           </Box>
@@ -284,6 +415,29 @@ const AdminRoleManagement = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <StaffImportDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={handleImported}
+        onStepUp={(retry) => setStepUpRetry(() => retry)}
+      />
+
+      <ImpersonateDialog
+        target={impersonateTarget}
+        onClose={() => setImpersonateTarget(null)}
+        onStepUp={(retry) => setStepUpRetry(() => retry)}
+      />
+
+      <MfaStepUpDialog
+        open={Boolean(stepUpRetry)}
+        onVerified={() => {
+          const retry = stepUpRetry;
+          setStepUpRetry(null);
+          retry();
+        }}
+        onCancel={() => setStepUpRetry(null)}
+      />
     </Box>
   );
 };
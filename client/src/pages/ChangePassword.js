@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Paper, TextField, Button, Typography, Box, Alert, CircularProgress } from '@mui/material';
+import axios from 'axios';
+
+const ChangePassword = () => {
+  const [formData, setFormData] = useState({
+    current_password: '',
+    new_password: '',
+    confirm_password: ''
+  });
+  const [message, setMessage] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const handleInputChange = (field) => (e) => {
+    setFormData({ ...formData, [field]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors([]);
+    setMessage('');
+
+    if (formData.new_password !== formData.confirm_password) {
+      setErrors(['New passwords do not match']);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axios.post('http://localhost:3001/api/auth/change-password', {
+        current_password: formData.current_password,
+        new_password: formData.new_password
+      });
+      setMessage(response.data.message);
+      setFormData({ current_password: '', new_password: '', confirm_password: '' });
+    } catch (error) {
+      const data = error.response?.data;
+      setErrors(data?.errors && typeof data.errors[0] === 'string'
+        ? data.errors
+        : [data?.message || 'Failed to change password']);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Change Password
+      </Typography>
+
+      <Paper sx={{ p: 3, maxWidth: 480 }}>
+        {message && <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>}
+        {errors.length > 0 && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {errors.map((error) => (
+              <div key={error}>{error}</div>
+            ))}
+          </Alert>
+        )}
+
+        <Box component="form" onSubmit={handleSubmit}>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            label="Current Password"
+            type="password"
+            autoComplete="current-password"
+            value={formData.current_password}
+            onChange={handleInputChange('current_password')}
+            disabled={loading}
+          />
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            label="New Password"
+            type="password"
+            autoComplete="new-password"
+            value={formData.new_password}
+            onChange={handleInputChange('new_password')}
+            disabled={loading}
+          />
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            label="Confirm New Password"
+            type="password"
+            autoComplete="new-password"
+            value={formData.confirm_password}
+            onChange={handleInputChange('confirm_password')}
+            disabled={loading}
+          />
+          <Button type="submit" variant="contained" sx={{ mt: 2 }} disabled={loading}>
+            {loading ? <CircularProgress size={24} /> : 'Change Password'}
+          </Button>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default ChangePassword;
@@ -18,14 +18,16 @@ import {
   MenuItem,
   Alert,
   CircularProgress,
-  Chip
+  Chip,
+  IconButton,
+  Tooltip
 } from '@mui/material';
-import { Add } from '@mui/icons-material';
+import { Add, Calculate } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 
 const Courses = () => {
-  const { user, isAdmin, isDepartmentHead } = useAuth();
+  const { user, isAdmin, isDepartmentHead, hasPermission } = useAuth();
   const [courses, setCourses] = useState([]);
   const [departments, setDepartments] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -35,11 +37,14 @@ const Courses = () => {
     name: '',
     department_id: '',
     expected_students: '',
+    credit_hours: '3',
+    hours_per_week: '3',
     instructor_cost: '',
     classroom_cost: ''
   });
   const [formError, setFormError] = useState('');
   const [submitting, setSubmitting] = useState(false);
+  const [notice, setNotice] = useState(null);
 
   useEffect(() => {
     fetchData();
@@ -68,6 +73,8 @@ const Courses = () => {
       name: '',
       department_id: isDepartmentHead() ? user.department_id : '',
       expected_students: '',
+      credit_hours: '3',
+      hours_per_week: '3',
       instructor_cost: '',
       classroom_cost: ''
     });
@@ -81,6 +88,8 @@ const Courses = () => {
       name: '',
       department_id: '',
       expected_students: '',
+      credit_hours: '3',
+      hours_per_week: '3',
       instructor_cost: '',
       classroom_cost: ''
     });
@@ -103,8 +112,10 @@ const Courses = () => {
         name: formData.name,
         department_id: parseInt(formData.department_id),
         expected_students: parseInt(formData.expected_students),
-        instructor_cost: parseFloat(formData.instructor_cost),
-        classroom_cost: parseFloat(formData.classroom_cost)
+        credit_hours: parseInt(formData.credit_hours),
+        hours_per_week: parseFloat(formData.hours_per_week),
+        instructor_cost: parseFloat(formData.instructor_cost) || 0,
+        classroom_cost: parseFloat(formData.classroom_cost) || 0
       });
 
       if (response.data.success) {
@@ -118,6 +129,20 @@ const Courses = () => {
     }
   };
 
+  const handleRecompute = async (course) => {
+    try {
+      const response = await axios.post(`http://localhost:3001/api/courses/${course.id}/recompute-cost`);
+      const warnings = response.data.warnings || [];
+      setNotice({
+        severity: warnings.length > 0 ? 'warning' : 'success',
+        message: [response.data.message, ...warnings].join('. ')
+      });
+      await fetchData();
+    } catch (err) {
+      setNotice({ severity: 'error', message: err.response?.data?.message || 'Failed to recalculate course cost' });
+    }
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -157,6 +182,12 @@ const Courses = () => {
         </Button>
       </Box>
 
+      {notice && (
+        <Alert severity={notice.severity} sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+          {notice.message}
+        </Alert>
+      )}
+
       <TableContainer component={Paper}>
         <Table>
           <TableHead>
@@ -164,10 +195,13 @@ const Courses = () => {
               <TableCell>Course Name</TableCell>
               {isAdmin() && <TableCell>Department</TableCell>}
               <TableCell align="right">Expected Students</TableCell>
+              <TableCell align="right">Hours / Week</TableCell>
               <TableCell align="right">Instructor Cost</TableCell>
               <TableCell align="right">Classroom Cost</TableCell>
+              <TableCell align="right">Equipment & Overhead</TableCell>
               <TableCell align="right">Total Cost</TableCell>
               <TableCell align="right">Cost per Student</TableCell>
+              {hasPermission('course:edit') && <TableCell />}
             </TableRow>
           </TableHead>
           <TableBody>
@@ -184,14 +218,33 @@ const Courses = () => {
                   </TableCell>
                 )}
                 <TableCell align="right">{course.expected_students}</TableCell>
+                <TableCell align="right">{parseFloat(course.hours_per_week)}</TableCell>
                 <TableCell align="right">{formatCurrency(course.instructor_cost)}</TableCell>
                 <TableCell align="right">{formatCurrency(course.classroom_cost)}</TableCell>
+                <TableCell align="right">
+                  {formatCurrency(parseFloat(course.equipment_cost) + parseFloat(course.overhead_cost))}
+                </TableCell>
                 <TableCell align="right">
                   <Typography fontWeight="medium">
                     {formatCurrency(course.total_cost)}
                   </Typography>
+                  <Chip
+                    size="small"
+                    variant="outlined"
+                    color={course.cost_basis === 'CALCULATED' ? 'success' : 'default'}
+                    label={course.cost_basis === 'CALCULATED' ? 'Calculated' : 'Estimate'}
+                  />
                 </TableCell>
                 <TableCell align="right">{getCostPerStudent(course)}</TableCell>
+                {hasPermission('course:edit') && (
+                  <TableCell align="right">
+                    <Tooltip title="Recalculate from its sections">
+                      <IconButton size="small" onClick={() => handleRecompute(course)}>
+                        <Calculate fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                )}
               </TableRow>
             ))}
           </TableBody>
@@ -205,9 +258,10 @@ const Courses = () => {
         </Typography>
         <Typography variant="body2" component="div">
           • <strong>Expected Students:</strong> Projected enrollment for the course (used for planning and cost calculations)<br/>
-          • <strong>Instructor Cost:</strong> Cost for teaching staff (salary, benefits, hourly rates)<br/>
-          • <strong>Classroom Cost:</strong> Facility usage, utilities, equipment, and maintenance costs<br/>
-          • <strong>Total Cost:</strong> Instructor Cost + Classroom Cost (automatically calculated)<br/>
+          • <strong>Instructor Cost:</strong> The assigned instructor's hourly rate over the term, plus benefits and differentials<br/>
+          • <strong>Classroom Cost:</strong> Room rental, utilities, maintenance and facility overhead<br/>
+          • <strong>Equipment & Overhead:</strong> Depreciation and upkeep of reserved equipment, plus administrative overhead<br/>
+          • <strong>Total Cost:</strong> The sum of its scheduled sections, updated whenever a section's instructor, room, meetings or equipment changes; until one is scheduled the typed-in estimate is used<br/>
           • <strong>Cost per Student:</strong> Total Cost ÷ Expected Students (efficiency metric for course planning)
         </Typography>
       </Alert>
@@ -263,20 +317,44 @@ const Courses = () => {
             sx={{ mb: 2 }}
           />
           
+          <Box display="flex" gap={2}>
+            <TextField
+              margin="dense"
+              label="Credit Hours"
+              type="number"
+              fullWidth
+              variant="outlined"
+              value={formData.credit_hours}
+              onChange={handleInputChange('credit_hours')}
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              margin="dense"
+              label="Hours per Week"
+              type="number"
+              fullWidth
+              variant="outlined"
+              value={formData.hours_per_week}
+              onChange={handleInputChange('hours_per_week')}
+              sx={{ mb: 2 }}
+            />
+          </Box>
+
           <TextField
             margin="dense"
-            label="Instructor Cost"
+            label="Estimated Instructor Cost"
             type="number"
             fullWidth
             variant="outlined"
             value={formData.instructor_cost}
             onChange={handleInputChange('instructor_cost')}
+            helperText="Used until a section is scheduled, then calculated"
             sx={{ mb: 2 }}
           />
           
           <TextField
             margin="dense"
-            label="Classroom Cost"
+            label="Estimated Classroom Cost"
             type="number"
             fullWidth
             variant="outlined"
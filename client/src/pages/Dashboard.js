@@ -158,8 +158,7 @@ const Dashboard = () => {
       
       <Grid container spacing={3}>
         {departments.map((dept) => {
-          const utilization = dept.budget > 0 ? (dept.total_allocated / dept.budget) * 100 : 0;
-          const remaining = dept.budget - dept.total_allocated;
+          const utilization = dept.budget > 0 ? ((dept.encumbered + dept.spent) / dept.budget) * 100 : 0;
           
           return (
             <Grid item xs={12} md={6} lg={4} key={dept.id}>
@@ -187,22 +186,31 @@ const Dashboard = () => {
                   
                   <Box mb={2}>
                     <Typography variant="body2" color="text.secondary">
-                      Allocated
+                      Encumbered
                     </Typography>
                     <Typography variant="body1">
-                      {formatCurrency(dept.total_allocated)}
+                      {formatCurrency(dept.encumbered)}
                     </Typography>
                   </Box>
                   
                   <Box mb={2}>
                     <Typography variant="body2" color="text.secondary">
-                      Remaining
+                      Spent
+                    </Typography>
+                    <Typography variant="body1">
+                      {formatCurrency(dept.spent)}
+                    </Typography>
+                  </Box>
+                  
+                  <Box mb={2}>
+                    <Typography variant="body2" color="text.secondary">
+                      Available
                     </Typography>
                     <Typography 
                       variant="body1" 
-                      color={remaining < 0 ? 'error' : 'success'}
+                      color={dept.available < 0 ? 'error' : 'success'}
                     >
-                      {formatCurrency(remaining)}
+                      {formatCurrency(dept.available)}
                     </Typography>
                   </Box>
                   
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { Container, Paper, TextField, Button, Typography, Box, Alert, CircularProgress, Link } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import axios from 'axios';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    try {
+      const response = await axios.post('http://localhost:3001/api/auth/forgot-password', { email });
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to request a password reset');
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box sx={{ marginTop: 8 }}>
+        <Paper elevation={3} sx={{ padding: 4 }}>
+          <Typography component="h1" variant="h5" gutterBottom>
+            Forgot Password
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Enter your email address and we will send you a link to reset your password.
+          </Typography>
+
+          {message && <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>}
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+          <Box component="form" onSubmit={handleSubmit}>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="Email Address"
+              type="email"
+              autoComplete="email"
+              autoFocus
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              disabled={loading}
+            />
+            <Button type="submit" fullWidth variant="contained" sx={{ mt: 2, mb: 2 }} disabled={loading}>
+              {loading ? <CircularProgress size={24} /> : 'Send Reset Link'}
+            </Button>
+            <Link component={RouterLink} to="/login" variant="body2">
+              Back to Sign In
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ForgotPassword;
@@ -14,19 +14,28 @@ import {
   TableCell,
   TableHead,
   TableRow,
-  Divider
+  Divider,
+  Link
 } from '@mui/material';
 import { AccountBalance, Security } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation, Link as RouterLink } from 'react-router-dom';
+import MfaChallenge from '../components/MfaChallenge';
 
 const Login = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const { login, startIdpLogin } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  // Identity provider logins that need MFA arrive here with their challenge
+  const [mfaChallenge, setMfaChallenge] = useState(location.state?.mfaChallenge || null);
+
+  const goHome = ({ user, redirectTo }) => {
+    navigate(redirectTo || (user.role === 'USER' ? '/my-courses' : '/dashboard'), { replace: true });
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -35,12 +44,11 @@ const Login = () => {
 
     const result = await login(email, password);
 
-    if (result.success) {
-      if (result.user.role === 'USER') {
-        navigate('/my-courses');
-      } else {
-        navigate('/dashboard');
-      }
+    if (result.success && result.mfaChallenge) {
+      setPassword('');
+      setMfaChallenge(result.mfaChallenge);
+    } else if (result.success) {
+      goHome(result);
     } else {
       setError(result.message);
     }
@@ -48,41 +56,18 @@ const Login = () => {
     setLoading(false);
   };
 
-  const handleIdpLogin = () => {
-    // Open IDP integration page in a new window
-    window.open('http://localhost:8080/idp-widget/index.html', 'idp-login', 'width=600,height=700,scrollbars=yes,resizable=yes');
-  };
+  const handleIdpLogin = async () => {
+    setError('');
+    setLoading(true);
 
-  // function AuthWidget() { 
-  //   const [user, setUser] = useState(null); 
-  //   const [tokens, setTokens] = useState(null); 
-  //   const widgetRef = useRef(null); 
-  //   const containerRef = useRef(null); 
-  //   useEffect(() => { 
-  //     if (containerRef.current && !widgetRef.current) {
-  //       widgetRef.current = new IdPWidget({ 
-  //         containerId: containerRef.current.id, 
-  //         apiBaseUrl: process.env.REACT_APP_IDP_URL, 
-  //         clientId: process.env.REACT_APP_CLIENT_ID, 
-  //         onSuccess: (user, tokens) => { 
-  //           // Update React state setUser(user); 
-  //           setTokens(tokens); 
-  //         }, 
-  //         onError: (error) => { 
-  //           console.error('Auth error:', error); 
-  //         } 
-  //       }); 
-  //     } 
-  //   }, []); 
-  //   return ( 
-  //     <div> 
-  //       <div ref={containerRef} id="react-idp-widget"></div> 
-  //       {user && <p>Welcome, {user.email}!</p>} 
-  //     </div> 
-  //   );
-  // }
+    // On success the browser leaves for the identity provider
+    const result = await startIdpLogin();
+    if (!result.success) {
+      setError(result.message);
+      setLoading(false);
+    }
+  };
 
-  
   return (
     <Container component="main" maxWidth="sm">
       <Box
@@ -109,79 +94,74 @@ const Login = () => {
               </Alert>
             )}
 
-            <Box component="form" onSubmit={handleSubmit} sx={{ mt: 1, width: '100%' }}>
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                id="email"
-                label="Email Address"
-                name="email"
-                autoComplete="email"
-                autoFocus
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                disabled={loading}
-              />
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                name="password"
-                label="Password"
-                type="password"
-                id="password"
-                autoComplete="current-password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                disabled={loading}
+            {mfaChallenge ? (
+              <MfaChallenge
+                challenge={mfaChallenge}
+                onComplete={goHome}
+                onCancel={() => setMfaChallenge(null)}
               />
-              <Button
-                type="submit"
-                fullWidth
-                variant="contained"
-                sx={{ mt: 3, mb: 2 }}
-                disabled={loading}
-              >
-                {loading ? <CircularProgress size={24} /> : 'Sign In'}
-              </Button>
+            ) : (
+              <Box component="form" onSubmit={handleSubmit} sx={{ mt: 1, width: '100%' }}>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="email"
+                  label="Email Address"
+                  name="email"
+                  autoComplete="email"
+                  autoFocus
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  disabled={loading}
+                />
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  name="password"
+                  label="Password"
+                  type="password"
+                  id="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={loading}
+                />
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  sx={{ mt: 3, mb: 2 }}
+                  disabled={loading}
+                >
+                  {loading ? <CircularProgress size={24} /> : 'Sign In'}
+                </Button>
 
-              <Divider sx={{ my: 2 }}>
-                <Typography variant="body2" color="text.secondary">
-                  OR
-                </Typography>
-              </Divider>
+                <Box sx={{ textAlign: 'right' }}>
+                  <Link component={RouterLink} to="/forgot-password" variant="body2">
+                    Forgot password?
+                  </Link>
+                </Box>
 
+                <Divider sx={{ my: 2 }}>
+                  <Typography variant="body2" color="text.secondary">
+                    OR
+                  </Typography>
+                </Divider>
 
-              {/* <script src="https://your-cdn.com/idp-widget/idp-widget.js"></script> 
-              <div id="idp-widget"></div> 
-              <script> 
-                    const widget = new IdPWidget({
-                        containerId: 'idp-widget',
-                        apiBaseUrl: 'https://your-idp.com/api',
-                        clientId: 'your-client-id',
-                        onSuccess: (user, tokens) => {
-                            // Handle successful authentication 
-                            console.log('User logged in:', user);
-                        }, onError: (error) => {
-                            // Handle authentication errors 
-                            console.error('Auth error:', error);
-                        }
-                    }); 
-                </script>
-               */}
-              
-              <Button
-                fullWidth
-                variant="outlined"
-                startIcon={<Security />}
-                onClick={handleIdpLogin}
-                sx={{ mb: 2 }}
-                disabled={loading}
-              >
-                Sign In with Identity Provider
-              </Button>
-            </Box>
+                <Button
+                  fullWidth
+                  variant="outlined"
+                  startIcon={<Security />}
+                  onClick={handleIdpLogin}
+                  sx={{ mb: 2 }}
+                  disabled={loading}
+                >
+                  Sign In with Identity Provider
+                </Button>
+              </Box>
+            )}
 
             <Box sx={{ mt: 3, p: 2, bgcolor: 'grey.50', borderRadius: 1, width: '100%' }}>
               <Typography variant="h6" gutterBottom>
@@ -0,0 +1,83 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Container, Paper, Typography, Box, Alert, Button, CircularProgress } from '@mui/material';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+const OidcCallback = () => {
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState('');
+  const { completeIdpLogin } = useAuth();
+  const navigate = useNavigate();
+  // React StrictMode runs effects twice in development; a code can only be redeemed once
+  const redeemed = useRef(false);
+
+  useEffect(() => {
+    if (redeemed.current) return;
+    redeemed.current = true;
+
+    const idpError = searchParams.get('error');
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+    // Each login started in this tab can be finished once
+    const pending = JSON.parse(sessionStorage.getItem('oidc_login') || 'null');
+    sessionStorage.removeItem('oidc_login');
+
+    if (idpError) {
+      setError(searchParams.get('error_description') || idpError);
+      return;
+    }
+
+    if (!code || !state) {
+      setError('The identity provider did not return an authorization code');
+      return;
+    }
+
+    if (!pending || pending.state !== state) {
+      setError('This sign-in was not started from this browser tab. Please sign in again.');
+      return;
+    }
+
+    completeIdpLogin(code, state, pending.code_verifier).then((result) => {
+      if (!result.success) {
+        setError(result.message);
+        return;
+      }
+
+      if (result.mfaChallenge) {
+        navigate('/login', { replace: true, state: { mfaChallenge: result.mfaChallenge } });
+        return;
+      }
+
+      const fallback = result.user.role === 'USER' ? '/my-courses' : '/dashboard';
+      navigate(result.redirectTo || fallback, { replace: true });
+    });
+  }, [searchParams, completeIdpLogin, navigate]);
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box sx={{ marginTop: 8 }}>
+        <Paper elevation={3} sx={{ padding: 4 }}>
+          {error ? (
+            <>
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+              <Button variant="contained" onClick={() => navigate('/login', { replace: true })}>
+                Back to Sign In
+              </Button>
+            </>
+          ) : (
+            <Box display="flex" flexDirection="column" alignItems="center">
+              <CircularProgress sx={{ mb: 2 }} />
+              <Typography variant="body1">
+                Completing sign in...
+              </Typography>
+            </Box>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default OidcCallback;
@@ -0,0 +1,431 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormGroup,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import { Add, ContentCopy } from '@mui/icons-material';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import MfaStepUpDialog from '../components/MfaStepUpDialog';
+
+const API_URL = 'http://localhost:3001/api/service-accounts';
+const DEFAULT_KEY_LIFETIME_DAYS = 90;
+
+const defaultExpiry = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + DEFAULT_KEY_LIFETIME_DAYS);
+  return date.toISOString().slice(0, 10);
+};
+
+const ServiceAccounts = () => {
+  const { hasPermission } = useAuth();
+  const [accounts, setAccounts] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [newKey, setNewKey] = useState(null);
+  const [accountDialogOpen, setAccountDialogOpen] = useState(false);
+  const [keyDialogOpen, setKeyDialogOpen] = useState(false);
+  const [accountForm, setAccountForm] = useState({ name: '', description: '', department_id: '' });
+  const [keyForm, setKeyForm] = useState({ name: '', permissions: [], expires_at: defaultExpiry() });
+  const [stepUpRetry, setStepUpRetry] = useState(null);
+
+  const fetchAccounts = useCallback(async () => {
+    try {
+      const [accountsResponse, departmentsResponse, permissionsResponse] = await Promise.all([
+        axios.get(API_URL),
+        axios.get('http://localhost:3001/api/departments'),
+        axios.get('http://localhost:3001/api/roles/permissions')
+      ]);
+      setAccounts(accountsResponse.data.data);
+      setDepartments(departmentsResponse.data.data || []);
+      setPermissions(permissionsResponse.data.data);
+    } catch (err) {
+      setError('Failed to load service accounts');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchAccount = useCallback(async (id) => {
+    try {
+      const response = await axios.get(`${API_URL}/${id}`);
+      setSelected(response.data.data);
+    } catch (err) {
+      setError('Failed to load service account');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [fetchAccounts]);
+
+  // Run a request, asking for a fresh code first if the server wants a step-up
+  const run = async (request, onSuccess) => {
+    setSubmitting(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await request();
+      await onSuccess(response.data);
+    } catch (err) {
+      if (err.response?.data?.mfa_required) {
+        setStepUpRetry(() => () => run(request, onSuccess));
+      } else {
+        setError(err.response?.data?.message || 'Request failed');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCreateAccount = () => run(
+    () => axios.post(API_URL, {
+      name: accountForm.name,
+      description: accountForm.description || undefined,
+      department_id: accountForm.department_id || null
+    }),
+    async (data) => {
+      setAccountDialogOpen(false);
+      setAccountForm({ name: '', description: '', department_id: '' });
+      setMessage(data.message);
+      await fetchAccounts();
+      await fetchAccount(data.data.id);
+    }
+  );
+
+  const handleCreateKey = () => run(
+    () => axios.post(`${API_URL}/${selected.id}/keys`, {
+      name: keyForm.name,
+      permissions: keyForm.permissions,
+      expires_at: keyForm.expires_at ? new Date(`${keyForm.expires_at}T23:59:59`).toISOString() : null
+    }),
+    async (data) => {
+      setKeyDialogOpen(false);
+      setKeyForm({ name: '', permissions: [], expires_at: defaultExpiry() });
+      setNewKey(data.data.key);
+      await fetchAccount(selected.id);
+      await fetchAccounts();
+    }
+  );
+
+  const handleRevokeKey = (key) => {
+    if (!window.confirm(`Revoke key "${key.name}"? Integrations using it will stop working immediately.`)) return;
+    run(
+      () => axios.delete(`${API_URL}/${selected.id}/keys/${key.id}`),
+      async (data) => {
+        setMessage(data.message);
+        await fetchAccount(selected.id);
+        await fetchAccounts();
+      }
+    );
+  };
+
+  const handleDisableAccount = () => {
+    if (!window.confirm(`Disable ${selected.name} and revoke all of its keys?`)) return;
+    run(
+      () => axios.post(`${API_URL}/${selected.id}/disable`),
+      async (data) => {
+        setMessage(data.message);
+        await fetchAccount(selected.id);
+        await fetchAccounts();
+      }
+    );
+  };
+
+  const toggleKeyPermission = (name) => {
+    setKeyForm((form) => ({
+      ...form,
+      permissions: form.permissions.includes(name)
+        ? form.permissions.filter((permission) => permission !== name)
+        : [...form.permissions, name]
+    }));
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" mt={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4">
+          Service Accounts
+        </Typography>
+        <Button variant="contained" startIcon={<Add />} onClick={() => setAccountDialogOpen(true)}>
+          New Service Account
+        </Button>
+      </Box>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Integrations authenticate with an API key in the X-API-Key header. Keys cannot complete
+        two-factor checks, so they cannot approve large transfers or change roles.
+      </Typography>
+
+      {message && <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>}
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <TableContainer component={Paper} sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Department</TableCell>
+              <TableCell>Active Keys</TableCell>
+              <TableCell>Last Used</TableCell>
+              <TableCell>Status</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {accounts.map((account) => (
+              <TableRow
+                key={account.id}
+                hover
+                selected={selected?.id === account.id}
+                onClick={() => { setNewKey(null); fetchAccount(account.id); }}
+                sx={{ cursor: 'pointer' }}
+              >
+                <TableCell>
+                  <Typography variant="body2">{account.name}</Typography>
+                  {account.description && (
+                    <Typography variant="caption" color="text.secondary">{account.description}</Typography>
+                  )}
+                </TableCell>
+                <TableCell>{account.department_name || 'All departments'}</TableCell>
+                <TableCell>{account.active_keys}</TableCell>
+                <TableCell>{account.last_used_at ? new Date(account.last_used_at).toLocaleString() : 'Never'}</TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={account.disabled_at ? 'Disabled' : 'Active'}
+                    color={account.disabled_at ? 'default' : 'success'}
+                  />
+                </TableCell>
+              </TableRow>
+            ))}
+            {accounts.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} align="center">No service accounts yet</TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {selected && (
+        <Paper sx={{ p: 3 }}>
+          <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+            <Typography variant="h6">{selected.name} keys</Typography>
+            {!selected.disabled_at && (
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button variant="contained" size="small" onClick={() => setKeyDialogOpen(true)} disabled={submitting}>
+                  New Key
+                </Button>
+                <Button variant="outlined" size="small" color="error" onClick={handleDisableAccount} disabled={submitting}>
+                  Disable Account
+                </Button>
+              </Box>
+            )}
+          </Box>
+
+          {newKey && (
+            <Alert
+              severity="warning"
+              sx={{ mb: 2 }}
+              action={
+                <Button color="inherit" size="small" startIcon={<ContentCopy />} onClick={() => navigator.clipboard.writeText(newKey)}>
+                  Copy
+                </Button>
+              }
+            >
+              Copy this key now; it will not be shown again.
+              <Typography sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mt: 1 }}>{newKey}</Typography>
+            </Alert>
+          )}
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Prefix</TableCell>
+                  <TableCell>Permissions</TableCell>
+                  <TableCell>Expires</TableCell>
+                  <TableCell>Last Used</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {selected.keys.map((key) => (
+                  <TableRow key={key.id}>
+                    <TableCell>{key.name}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>{key.key_prefix}</TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {key.permissions.map((permission) => (
+                          <Chip key={permission} size="small" variant="outlined" label={permission} />
+                        ))}
+                      </Box>
+                    </TableCell>
+                    <TableCell>{key.expires_at ? new Date(key.expires_at).toLocaleDateString() : 'Never'}</TableCell>
+                    <TableCell>
+                      {key.last_used_at ? `${new Date(key.last_used_at).toLocaleString()} (${key.last_used_ip || '-'})` : 'Never'}
+                    </TableCell>
+                    <TableCell align="right">
+                      {key.active ? (
+                        <Button size="small" color="error" onClick={() => handleRevokeKey(key)} disabled={submitting}>
+                          Revoke
+                        </Button>
+                      ) : (
+                        <Chip size="small" label={key.revoked_at ? 'Revoked' : 'Expired'} />
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {selected.keys.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">No keys issued</TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      <Dialog open={accountDialogOpen} onClose={() => setAccountDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>New Service Account</DialogTitle>
+        <DialogContent>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            label="Name"
+            helperText="Lower-case letters, digits and hyphens, e.g. sis-nightly-sync"
+            value={accountForm.name}
+            onChange={(e) => setAccountForm({ ...accountForm, name: e.target.value })}
+          />
+          <TextField
+            margin="normal"
+            fullWidth
+            label="Description"
+            value={accountForm.description}
+            onChange={(e) => setAccountForm({ ...accountForm, description: e.target.value })}
+          />
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Department</InputLabel>
+            <Select
+              value={accountForm.department_id}
+              label="Department"
+              onChange={(e) => setAccountForm({ ...accountForm, department_id: e.target.value })}
+            >
+              <MenuItem value="">All departments</MenuItem>
+              {departments.map((dept) => (
+                <MenuItem key={dept.id} value={dept.id}>{dept.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAccountDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreateAccount} disabled={submitting || !accountForm.name}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={keyDialogOpen} onClose={() => setKeyDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>New API Key</DialogTitle>
+        <DialogContent>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            label="Key name"
+            value={keyForm.name}
+            onChange={(e) => setKeyForm({ ...keyForm, name: e.target.value })}
+          />
+          <TextField
+            margin="normal"
+            fullWidth
+            type="date"
+            label="Expires"
+            InputLabelProps={{ shrink: true }}
+            helperText="Leave empty for a key that never expires"
+            value={keyForm.expires_at}
+            onChange={(e) => setKeyForm({ ...keyForm, expires_at: e.target.value })}
+          />
+          <Typography variant="subtitle2" sx={{ mt: 2 }}>Permissions</Typography>
+          <FormGroup>
+            {permissions.filter((permission) => hasPermission(permission.name)).map((permission) => (
+              <FormControlLabel
+                key={permission.name}
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={keyForm.permissions.includes(permission.name)}
+                    onChange={() => toggleKeyPermission(permission.name)}
+                  />
+                }
+                label={`${permission.name} - ${permission.description}`}
+              />
+            ))}
+          </FormGroup>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setKeyDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleCreateKey}
+            disabled={submitting || !keyForm.name || keyForm.permissions.length === 0}
+          >
+            Create Key
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <MfaStepUpDialog
+        open={Boolean(stepUpRetry)}
+        onVerified={() => {
+          const retry = stepUpRetry;
+          setStepUpRetry(null);
+          retry();
+        }}
+        onCancel={() => setStepUpRetry(null)}
+      />
+    </Box>
+  );
+};
+
+export default ServiceAccounts;
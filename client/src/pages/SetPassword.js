@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Container, Paper, TextField, Button, Typography, Box, Alert, CircularProgress, Link } from '@mui/material';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+
+// Handles both the invite link (/set-password) and the reset link (/reset-password)
+const SetPassword = ({ mode = 'reset' }) => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const isInvite = mode === 'invite';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors([]);
+
+    if (password !== confirmPassword) {
+      setErrors(['Passwords do not match']);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axios.post(
+        `http://localhost:3001/api/auth/${isInvite ? 'accept-invite' : 'reset-password'}`,
+        { token, password }
+      );
+      setMessage(response.data.message);
+    } catch (error) {
+      const data = error.response?.data;
+      setErrors(data?.errors && typeof data.errors[0] === 'string'
+        ? data.errors
+        : [data?.message || 'Failed to set password']);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box sx={{ marginTop: 8 }}>
+        <Paper elevation={3} sx={{ padding: 4 }}>
+          <Typography component="h1" variant="h5" gutterBottom>
+            {isInvite ? 'Set Up Your Account' : 'Reset Password'}
+          </Typography>
+
+          {!token && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              This link is missing its token. Use the link from your email.
+            </Alert>
+          )}
+
+          {message ? (
+            <>
+              <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>
+              <Button component={RouterLink} to="/login" variant="contained">
+                Sign In
+              </Button>
+            </>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit}>
+              {errors.length > 0 && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {errors.map((error) => (
+                    <div key={error}>{error}</div>
+                  ))}
+                </Alert>
+              )}
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                label="New Password"
+                type="password"
+                autoComplete="new-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={loading || !token}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                label="Confirm New Password"
+                type="password"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                disabled={loading || !token}
+              />
+              <Button type="submit" fullWidth variant="contained" sx={{ mt: 2, mb: 2 }} disabled={loading || !token}>
+                {loading ? <CircularProgress size={24} /> : 'Set Password'}
+              </Button>
+              <Link component={RouterLink} to="/login" variant="body2">
+                Back to Sign In
+              </Link>
+            </Box>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default SetPassword;
@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import axios from 'axios';
+
+const FAILURE_LABELS = {
+  INVALID_PASSWORD: 'Wrong password',
+  INVALID_MFA_CODE: 'Wrong verification code',
+  LOCKED: 'Account locked'
+};
+
+const SignInActivity = () => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get('http://localhost:3001/api/auth/login-history', { params: { limit: 50 } })
+      .then((response) => setHistory(response.data.data))
+      .catch(() => setError('Failed to load sign-in activity'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" mt={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Sign-in Activity
+      </Typography>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Recent sign-ins to your account. If you don't recognise one, change your password and sign out everywhere.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Time</TableCell>
+              <TableCell>Result</TableCell>
+              <TableCell>Method</TableCell>
+              <TableCell>IP Address</TableCell>
+              <TableCell>Device</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {history.map((entry) => (
+              <TableRow key={entry.id}>
+                <TableCell>{new Date(entry.attempted_at).toLocaleString()}</TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={entry.success ? 'Signed in' : (FAILURE_LABELS[entry.failure_reason] || 'Failed')}
+                    color={entry.success ? 'success' : 'error'}
+                  />
+                </TableCell>
+                <TableCell>
+                  {entry.method === 'OIDC' ? 'Identity provider' : 'Password'}
+                  {entry.mfa_used ? ' + 2FA' : ''}
+                </TableCell>
+                <TableCell>{entry.ip_address || '-'}</TableCell>
+                <TableCell sx={{ maxWidth: 320, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {entry.user_agent || '-'}
+                </TableCell>
+              </TableRow>
+            ))}
+            {history.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} align="center">No sign-in activity yet</TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default SignInActivity;
@@ -140,7 +140,7 @@ const TeacherScheduling = () => {
         setSelectedSchedule(null);
       }
     } catch (err) {
-      setError('Failed to assign users to course');
+      setError(err.response?.data?.message || 'Failed to assign users to course');
     } finally {
       setSubmitting(false);
     }
@@ -22,6 +22,7 @@ import {
 } from '@mui/material';
 import { SwapHoriz } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
+import MfaStepUpDialog from '../components/MfaStepUpDialog';
 import axios from 'axios';
 
 const Transfers = () => {
@@ -38,7 +39,14 @@ const Transfers = () => {
     reason: ''
   });
   const [formError, setFormError] = useState('');
+  // Large transfers need a recent MFA check; holds the request to retry once verified
+  const [stepUpRetry, setStepUpRetry] = useState(null);
   const [submitting, setSubmitting] = useState(false);
+  const [inbox, setInbox] = useState([]);
+  const [success, setSuccess] = useState('');
+  const [decision, setDecision] = useState(null);
+  const [decisionComment, setDecisionComment] = useState('');
+  const [decisionError, setDecisionError] = useState('');
 
   useEffect(() => {
     fetchData();
@@ -47,13 +55,15 @@ const Transfers = () => {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [transfersResponse, departmentsResponse] = await Promise.all([
+      const [transfersResponse, departmentsResponse, inboxResponse] = await Promise.all([
         axios.get('http://localhost:3001/api/transfers'),
-        axios.get('http://localhost:3001/api/departments')
+        axios.get('http://localhost:3001/api/departments'),
+        axios.get('http://localhost:3001/api/transfers/inbox')
       ]);
       
       setTransfers(transfersResponse.data.data);
       setDepartments(departmentsResponse.data.data);
+      setInbox(inboxResponse.data.data);
     } catch (err) {
       setError('Failed to load transfers data');
       console.error('Transfers error:', err);
@@ -104,16 +114,96 @@ const Transfers = () => {
       });
 
       if (response.data.success) {
+        setSuccess(response.data.message);
         await fetchData();
         handleCloseDialog();
       }
     } catch (err) {
+      if (err.response?.data?.mfa_required) {
+        setStepUpRetry(() => handleSubmit);
+        return;
+      }
       setFormError(err.response?.data?.message || 'Failed to create transfer');
     } finally {
       setSubmitting(false);
     }
   };
 
+  const handleOpenDecision = (transfer, action) => {
+    setDecision({ transfer, action });
+    setDecisionComment('');
+    setDecisionError('');
+  };
+
+  const handleCloseDecision = () => {
+    setDecision(null);
+    setDecisionComment('');
+    setDecisionError('');
+  };
+
+  const handleTransferAction = async (transfer, action, comment) => {
+    try {
+      setSubmitting(true);
+      setDecisionError('');
+
+      const payload = {};
+      if (comment) {
+        payload[action === 'reverse' ? 'reason' : 'comment'] = comment;
+      }
+
+      const response = await axios.post(
+        `http://localhost:3001/api/transfers/${transfer.id}/${action}`,
+        payload
+      );
+
+      if (response.data.success) {
+        setSuccess(response.data.message);
+        handleCloseDecision();
+        await fetchData();
+      }
+    } catch (err) {
+      if (err.response?.data?.mfa_required) {
+        setStepUpRetry(() => () => handleTransferAction(transfer, action, comment));
+        return;
+      }
+      const message = err.response?.data?.message || `Failed to ${action} transfer`;
+      if (decision) {
+        setDecisionError(message);
+      } else {
+        setError(message);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'EXECUTED': return 'success';
+      case 'APPROVED': return 'info';
+      case 'PENDING': return 'warning';
+      case 'REJECTED': return 'error';
+      default: return 'default';
+    }
+  };
+
+  const canReverse = (transfer) => {
+    return isAdmin() && transfer.status === 'EXECUTED' && !transfer.reversed_by_transfer_id;
+  };
+
+  const getDecisionLabel = (action) => {
+    switch (action) {
+      case 'reject': return 'Reject';
+      case 'reverse': return 'Reverse';
+      default: return 'Approve';
+    }
+  };
+
+  const canCancel = (transfer) => {
+    return ['PENDING', 'APPROVED'].includes(transfer.status) &&
+      (isAdmin() || transfer.created_by === user.id);
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -165,6 +255,75 @@ const Transfers = () => {
         )}
       </Box>
 
+      {success && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Transfers waiting on the current user */}
+      {inbox.length > 0 && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Awaiting Your Action ({inbox.length})
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Date</TableCell>
+                <TableCell>From Department</TableCell>
+                <TableCell>To Department</TableCell>
+                <TableCell align="right">Amount</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell>Submitted By</TableCell>
+                <TableCell align="right">Action</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {inbox.map((transfer) => (
+                <TableRow key={transfer.id}>
+                  <TableCell>{formatDate(transfer.created_at)}</TableCell>
+                  <TableCell>{transfer.from_department_name}</TableCell>
+                  <TableCell>{transfer.to_department_name}</TableCell>
+                  <TableCell align="right">{formatCurrency(transfer.amount)}</TableCell>
+                  <TableCell>{transfer.reason || 'No reason provided'}</TableCell>
+                  <TableCell>{transfer.created_by_email}</TableCell>
+                  <TableCell align="right">
+                    {transfer.action === 'EXECUTE' ? (
+                      <Button
+                        size="small"
+                        variant="contained"
+                        disabled={submitting}
+                        onClick={() => handleTransferAction(transfer, 'execute')}
+                      >
+                        Execute
+                      </Button>
+                    ) : (
+                      <>
+                        <Button
+                          size="small"
+                          color="success"
+                          onClick={() => handleOpenDecision(transfer, 'approve')}
+                        >
+                          Approve
+                        </Button>
+                        <Button
+                          size="small"
+                          color="error"
+                          onClick={() => handleOpenDecision(transfer, 'reject')}
+                        >
+                          Reject
+                        </Button>
+                      </>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+      )}
+
       {/* Current Department Budget Info */}
       {userDept && !isAdmin() && (
         <Paper sx={{ p: 2, mb: 3, bgcolor: 'primary.50' }}>
@@ -178,8 +337,8 @@ const Transfers = () => {
             Available Budget: <strong>
               {formatCurrency(
                 isAdmin() && openDialog && formData.from_department_id && getSelectedFromDepartment()
-                  ? getSelectedFromDepartment().budget
-                  : userDept.budget
+                  ? getSelectedFromDepartment().available
+                  : userDept.available
               )}
             </strong>
           </Typography>
@@ -196,6 +355,8 @@ const Transfers = () => {
               <TableCell align="right">Amount</TableCell>
               <TableCell>Reason</TableCell>
               <TableCell>Created By</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
@@ -223,6 +384,44 @@ const Transfers = () => {
                 </TableCell>
                 <TableCell>{transfer.reason || 'No reason provided'}</TableCell>
                 <TableCell>{transfer.created_by_email}</TableCell>
+                <TableCell>
+                  <Chip
+                    label={transfer.status}
+                    size="small"
+                    color={getStatusColor(transfer.status)}
+                    title={transfer.status_comment || ''}
+                  />
+                  {transfer.reverses_transfer_id && (
+                    <Typography variant="caption" display="block">
+                      Reversal of #{transfer.reverses_transfer_id}
+                    </Typography>
+                  )}
+                  {transfer.reversed_by_transfer_id && (
+                    <Typography variant="caption" display="block">
+                      Reversed by #{transfer.reversed_by_transfer_id}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell align="right">
+                  {canCancel(transfer) && (
+                    <Button
+                      size="small"
+                      disabled={submitting}
+                      onClick={() => handleTransferAction(transfer, 'cancel')}
+                    >
+                      Cancel
+                    </Button>
+                  )}
+                  {canReverse(transfer) && (
+                    <Button
+                      size="small"
+                      color="warning"
+                      onClick={() => handleOpenDecision(transfer, 'reverse')}
+                    >
+                      Reverse
+                    </Button>
+                  )}
+                </TableCell>
               </TableRow>
             ))}
           </TableBody>
@@ -235,12 +434,13 @@ const Transfers = () => {
           💸 Budget Transfer Analysis - Data Explanation:
         </Typography>
         <Typography variant="body2" component="div">
-          • <strong>Date:</strong> When the transfer was created and processed<br/>
+          • <strong>Date:</strong> When the transfer was submitted<br/>
           • <strong>From Department:</strong> Source department losing budget funds (highlighted in red if your department)<br/>
           • <strong>To Department:</strong> Destination department receiving budget funds (highlighted in green if your department)<br/>
           • <strong>Amount:</strong> Dollar amount transferred between departments<br/>
           • <strong>Reason:</strong> Justification or purpose for the budget transfer<br/>
-          • <strong>Created By:</strong> User who initiated and approved the transfer
+          • <strong>Created By:</strong> User who submitted the transfer<br/>
+          • <strong>Status:</strong> Large transfers stay PENDING until an admin (and, above a higher limit, the receiving department head) approves them; budgets only change once the transfer is EXECUTED
         </Typography>
       </Alert>
 
@@ -266,8 +466,8 @@ const Transfers = () => {
               Available budget: <strong>
                 {formatCurrency(
                   isAdmin() 
-                    ? (getSelectedFromDepartment()?.budget || 0)
-                    : (userDept?.budget || 0)
+                    ? (getSelectedFromDepartment()?.available || 0)
+                    : (userDept?.available || 0)
                 )}
               </strong>
             </Alert>
@@ -285,7 +485,7 @@ const Transfers = () => {
             >
               {departments.map((dept) => (
                 <MenuItem key={dept.id} value={dept.id}>
-                  {dept.name} (Available Budget: ${dept.budget?.toLocaleString() || 'N/A'})
+                  {dept.name} (Available Budget: ${dept.available?.toLocaleString() || 'N/A'})
                 </MenuItem>
               ))}
             </TextField>
@@ -313,7 +513,7 @@ const Transfers = () => {
               .filter(dept => dept.id !== (isAdmin() ? parseInt(formData.from_department_id) : user.department_id))
               .map((dept) => (
               <MenuItem key={dept.id} value={dept.id}>
-                {dept.name} (Available Budget: ${dept.budget?.toLocaleString() || 'N/A'})
+                {dept.name} (Available Budget: ${dept.available?.toLocaleString() || 'N/A'})
               </MenuItem>
             ))}
           </TextField>
@@ -353,6 +553,55 @@ const Transfers = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Approve / Reject Dialog */}
+      <Dialog open={Boolean(decision)} onClose={handleCloseDecision} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {getDecisionLabel(decision?.action)} Transfer
+        </DialogTitle>
+        <DialogContent>
+          {decisionError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {decisionError}
+            </Alert>
+          )}
+          {decision && (
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              {formatCurrency(decision.transfer.amount)} from {decision.transfer.from_department_name} to {decision.transfer.to_department_name}
+            </Typography>
+          )}
+          <TextField
+            label={decision?.action === 'approve' ? 'Comment (Optional)' : 'Reason (Required)'}
+            fullWidth
+            multiline
+            rows={3}
+            variant="outlined"
+            value={decisionComment}
+            onChange={(event) => setDecisionComment(event.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDecision}>Close</Button>
+          <Button
+            onClick={() => handleTransferAction(decision.transfer, decision.action, decisionComment)}
+            variant="contained"
+            color={decision?.action === 'approve' ? 'success' : 'error'}
+            disabled={submitting || (decision?.action !== 'approve' && !decisionComment.trim())}
+          >
+            {submitting ? <CircularProgress size={24} /> : getDecisionLabel(decision?.action)}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <MfaStepUpDialog
+        open={Boolean(stepUpRetry)}
+        onVerified={() => {
+          const retry = stepUpRetry;
+          setStepUpRetry(null);
+          retry();
+        }}
+        onCancel={() => setStepUpRetry(null)}
+      />
     </Box>
   );
 };
@@ -0,0 +1,238 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  Chip,
+  CircularProgress,
+  Divider
+} from '@mui/material';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import RecoveryCodeList from '../components/RecoveryCodeList';
+import MfaStepUpDialog from '../components/MfaStepUpDialog';
+
+const API_URL = 'http://localhost:3001/api/auth/mfa';
+
+const TwoFactorSettings = () => {
+  const { stepUp } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [stepUpRetry, setStepUpRetry] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await axios.get(API_URL);
+      setStatus(response.data.data);
+    } catch (err) {
+      setError('Failed to load two-factor status');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  // Run a request, asking for a fresh code first if the server wants a step-up
+  const run = async (request, onSuccess) => {
+    setSubmitting(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await request();
+      onSuccess(response.data);
+      await fetchStatus();
+    } catch (err) {
+      if (err.response?.data?.mfa_required) {
+        setStepUpRetry(() => () => run(request, onSuccess));
+      } else {
+        setError(err.response?.data?.message || 'Request failed');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleStartEnrolment = () => run(
+    () => axios.post(`${API_URL}/enroll`),
+    (data) => setEnrolment(data.data)
+  );
+
+  const handleConfirmEnrolment = (e) => {
+    e.preventDefault();
+    run(
+      () => axios.post(`${API_URL}/enroll/confirm`, { code }),
+      (data) => {
+        setEnrolment(null);
+        setCode('');
+        setRecoveryCodes(data.data.recovery_codes);
+        setMessage(data.message);
+      }
+    );
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    setMessage('');
+
+    const result = await stepUp(code);
+    if (result.success) {
+      setCode('');
+      setMessage('Verified. High-risk actions are unlocked for the next few minutes.');
+      await fetchStatus();
+    } else {
+      setError(result.message);
+    }
+    setSubmitting(false);
+  };
+
+  const handleRegenerate = () => run(
+    () => axios.post(`${API_URL}/recovery-codes`),
+    (data) => {
+      setRecoveryCodes(data.data.recovery_codes);
+      setMessage(data.message);
+    }
+  );
+
+  const handleDisable = () => {
+    if (!window.confirm('Turn off two-factor authentication for your account?')) return;
+    run(
+      () => axios.delete(API_URL),
+      (data) => {
+        setRecoveryCodes(null);
+        setMessage(data.message);
+      }
+    );
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" mt={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Two-Factor Authentication
+      </Typography>
+
+      <Paper sx={{ p: 3, maxWidth: 560 }}>
+        {message && <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>}
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {status && (
+          <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+            <Chip
+              label={status.enrolled ? 'Enabled' : 'Not enabled'}
+              color={status.enrolled ? 'success' : 'default'}
+            />
+            {status.required_by_role && <Chip label="Required for your role" color="warning" />}
+            {status.enrolled && (
+              <Chip label={`${status.recovery_codes_remaining} recovery codes left`} variant="outlined" />
+            )}
+          </Box>
+        )}
+
+        {recoveryCodes && <RecoveryCodeList codes={recoveryCodes} />}
+
+        {status && !status.enrolled && !enrolment && (
+          <Button variant="contained" onClick={handleStartEnrolment} disabled={submitting}>
+            Set Up Authenticator App
+          </Button>
+        )}
+
+        {enrolment && (
+          <Box component="form" onSubmit={handleConfirmEnrolment}>
+            <Typography variant="body2" gutterBottom>
+              Add this account to your authenticator app with the setup key below, then enter the code it shows.
+            </Typography>
+            <Typography sx={{ fontFamily: 'monospace', wordBreak: 'break-all', p: 1, bgcolor: 'grey.100', borderRadius: 1 }}>
+              {enrolment.secret}
+            </Typography>
+            <Button size="small" href={enrolment.otpauth_uri} sx={{ mt: 1 }}>
+              Open in authenticator app
+            </Button>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="Verification code"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              disabled={submitting}
+            />
+            <Button type="submit" variant="contained" disabled={submitting || !code}>
+              Enable
+            </Button>
+          </Box>
+        )}
+
+        {status?.enrolled && (
+          <>
+            <Box component="form" onSubmit={handleVerify}>
+              <Typography variant="subtitle1">Verify now</Typography>
+              <Typography variant="body2" color="text.secondary">
+                Large transfers and role changes need a verification from the last few minutes.
+              </Typography>
+              <TextField
+                margin="normal"
+                fullWidth
+                label="Verification or recovery code"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                disabled={submitting}
+              />
+              <Button type="submit" variant="contained" disabled={submitting || !code}>
+                Verify
+              </Button>
+            </Box>
+
+            <Divider sx={{ my: 3 }} />
+
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <Button variant="outlined" onClick={handleRegenerate} disabled={submitting}>
+                New Recovery Codes
+              </Button>
+              {!status.required_by_role && (
+                <Button variant="outlined" color="error" onClick={handleDisable} disabled={submitting}>
+                  Turn Off
+                </Button>
+              )}
+            </Box>
+          </>
+        )}
+      </Paper>
+
+      <MfaStepUpDialog
+        open={Boolean(stepUpRetry)}
+        onVerified={() => {
+          const retry = stepUpRetry;
+          setStepUpRetry(null);
+          retry();
+        }}
+        onCancel={() => setStepUpRetry(null)}
+      />
+    </Box>
+  );
+};
+
+export default TwoFactorSettings;
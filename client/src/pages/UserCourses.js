@@ -18,10 +18,11 @@ import {
 } from '@mui/material';
 import { School, Schedule, Person, LocationOn } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
+import CourseRequestPanel from '../components/CourseRequestPanel';
 import axios from 'axios';
 
 const UserCourses = () => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [courses, setCourses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -212,6 +213,8 @@ const UserCourses = () => {
           </TableContainer>
         </>
       )}
+
+      {hasPermission('course_request:submit') && <CourseRequestPanel />}
     </Box>
   );
 };
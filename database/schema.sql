@@ -286,3 +286,612 @@ CREATE INDEX IF NOT EXISTS idx_budget_variances_dept_period ON budget_variances(
 CREATE INDEX IF NOT EXISTS idx_course_enrollments_schedule ON course_enrollments(schedule_id);
 CREATE INDEX IF NOT EXISTS idx_course_enrollments_user ON course_enrollments(user_id);
 CREATE INDEX IF NOT EXISTS idx_course_enrollments_status ON course_enrollments(status);
+
+-- Schedule drafts table (generated timetables awaiting review)
+CREATE TABLE IF NOT EXISTS schedule_drafts (
+    id SERIAL PRIMARY KEY,
+    semester VARCHAR(20) NOT NULL,
+    academic_year INTEGER NOT NULL,
+    department_id INTEGER REFERENCES departments(id),
+    replace_existing BOOLEAN DEFAULT FALSE,
+    payload JSONB NOT NULL,
+    diff JSONB NOT NULL,
+    baseline_fingerprint VARCHAR(64) NOT NULL,
+    status VARCHAR(20) DEFAULT 'DRAFT' CHECK (status IN ('DRAFT', 'COMMITTED', 'DISCARDED')),
+    created_by INTEGER REFERENCES users(id),
+    committed_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_drafts_term ON schedule_drafts(semester, academic_year, status);
+
+-- Transfer lifecycle; rows created before approvals existed were executed immediately
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'EXECUTED'
+    CHECK (status IN ('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED', 'EXECUTED'));
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS requires_admin_approval BOOLEAN DEFAULT FALSE;
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS requires_receiver_approval BOOLEAN DEFAULT FALSE;
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS status_comment VARCHAR(500);
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS executed_by INTEGER REFERENCES users(id);
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS executed_at TIMESTAMP;
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Transfer approvals table
+CREATE TABLE IF NOT EXISTS transfer_approvals (
+    id SERIAL PRIMARY KEY,
+    transfer_id INTEGER NOT NULL REFERENCES transfers(id) ON DELETE CASCADE,
+    approver_id INTEGER NOT NULL REFERENCES users(id),
+    approval_role VARCHAR(20) NOT NULL CHECK (approval_role IN ('ADMIN', 'RECEIVER')),
+    decision VARCHAR(20) NOT NULL CHECK (decision IN ('APPROVED', 'REJECTED')),
+    comment VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(transfer_id, approval_role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfers_status ON transfers(status);
+CREATE INDEX IF NOT EXISTS idx_transfer_approvals_transfer ON transfer_approvals(transfer_id);
+
+-- Transfer reversals link back to the transfer they correct; each transfer can be reversed once
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS reverses_transfer_id INTEGER REFERENCES transfers(id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transfers_reverses_transfer ON transfers(reverses_transfer_id)
+    WHERE reverses_transfer_id IS NOT NULL;
+
+-- Double-entry budget ledger (append-only)
+CREATE TABLE IF NOT EXISTS ledger_journals (
+    id SERIAL PRIMARY KEY,
+    journal_type VARCHAR(30) NOT NULL CHECK (journal_type IN ('ALLOCATION', 'TRANSFER', 'COURSE_COMMITMENT', 'EQUIPMENT_PURCHASE', 'ADJUSTMENT')),
+    memo VARCHAR(500),
+    reference_type VARCHAR(30),
+    reference_id INTEGER,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id SERIAL PRIMARY KEY,
+    journal_id INTEGER NOT NULL REFERENCES ledger_journals(id),
+    account VARCHAR(30) NOT NULL CHECK (account IN ('DEPARTMENT_FUNDS', 'DISTRICT_FUNDING', 'COMMITTED_COURSES', 'EQUIPMENT_EXPENSE')),
+    department_id INTEGER REFERENCES departments(id),
+    debit DECIMAL(12, 2) NOT NULL DEFAULT 0.00 CHECK (debit >= 0),
+    credit DECIMAL(12, 2) NOT NULL DEFAULT 0.00 CHECK (credit >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (debit = 0 OR credit = 0),
+    CHECK (account = 'DISTRICT_FUNDING' OR department_id IS NOT NULL)
+);
+
+CREATE OR REPLACE FUNCTION prevent_ledger_mutation() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Ledger rows are append-only; post an adjusting journal instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_journals_append_only ON ledger_journals;
+CREATE TRIGGER ledger_journals_append_only
+    BEFORE UPDATE OR DELETE ON ledger_journals
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_mutation();
+
+DROP TRIGGER IF EXISTS ledger_entries_append_only ON ledger_entries;
+CREATE TRIGGER ledger_entries_append_only
+    BEFORE UPDATE OR DELETE ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_mutation();
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_department_account ON ledger_entries(department_id, account);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_journal ON ledger_entries(journal_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_journals_reference ON ledger_journals(reference_type, reference_id);
+
+-- Fiscal periods (keyed by academic_year like budget_forecasts and academic_calendar)
+CREATE TABLE IF NOT EXISTS fiscal_periods (
+    id SERIAL PRIMARY KEY,
+    academic_year INTEGER UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'CLOSED')),
+    carryover_policy VARCHAR(20) CHECK (carryover_policy IN ('NONE', 'CAPPED_PERCENT', 'FULL')),
+    carryover_percent DECIMAL(5, 2),
+    closing_report JSONB,
+    closed_by INTEGER REFERENCES users(id),
+    closed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date > start_date)
+);
+
+-- Per-department budget figures for each fiscal period
+CREATE TABLE IF NOT EXISTS department_period_budgets (
+    id SERIAL PRIMARY KEY,
+    fiscal_period_id INTEGER NOT NULL REFERENCES fiscal_periods(id),
+    department_id INTEGER NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+    opening_budget DECIMAL(12, 2) DEFAULT 0.00,
+    carryover_in DECIMAL(12, 2) DEFAULT 0.00,
+    closing_budget DECIMAL(12, 2),
+    committed DECIMAL(12, 2),
+    equipment_spent DECIMAL(12, 2),
+    unspent DECIMAL(12, 2),
+    carryover_out DECIMAL(12, 2),
+    lapsed DECIMAL(12, 2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(fiscal_period_id, department_id)
+);
+
+ALTER TABLE ledger_journals ADD COLUMN IF NOT EXISTS fiscal_period_id INTEGER REFERENCES fiscal_periods(id);
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS fiscal_period_id INTEGER REFERENCES fiscal_periods(id);
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS academic_year INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_fiscal_periods_status ON fiscal_periods(status, start_date);
+CREATE INDEX IF NOT EXISTS idx_ledger_journals_fiscal_period ON ledger_journals(fiscal_period_id);
+CREATE INDEX IF NOT EXISTS idx_courses_academic_year ON courses(department_id, academic_year);
+
+-- Encumbrances (funds committed to courses and sections but not yet spent)
+CREATE TABLE IF NOT EXISTS encumbrances (
+    id SERIAL PRIMARY KEY,
+    department_id INTEGER NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+    source_type VARCHAR(30) NOT NULL CHECK (source_type IN ('COURSE', 'SCHEDULE', 'EQUIPMENT_PURCHASE')),
+    source_id INTEGER NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount >= 0),
+    cost_breakdown JSONB,
+    status VARCHAR(20) DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'RELEASED', 'LIQUIDATED')),
+    created_by INTEGER REFERENCES users(id),
+    fiscal_period_id INTEGER REFERENCES fiscal_periods(id),
+    resolution_note VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+-- A source holds at most one open commitment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_encumbrances_open_source ON encumbrances(source_type, source_id) WHERE status = 'OPEN';
+CREATE INDEX IF NOT EXISTS idx_encumbrances_department_status ON encumbrances(department_id, status);
+
+-- Existing course costs stay committed and existing purchases count as spent
+INSERT INTO encumbrances (department_id, source_type, source_id, amount, status, fiscal_period_id)
+SELECT c.department_id, 'COURSE', c.id, c.total_cost, 'OPEN',
+       (SELECT fp.id FROM fiscal_periods fp WHERE fp.academic_year = c.academic_year)
+FROM courses c
+WHERE c.total_cost > 0
+  AND NOT EXISTS (SELECT 1 FROM encumbrances e WHERE e.source_type = 'COURSE' AND e.source_id = c.id)
+  AND NOT EXISTS (SELECT 1 FROM fiscal_periods fp WHERE fp.academic_year = c.academic_year AND fp.status = 'CLOSED');
+
+INSERT INTO encumbrances (department_id, source_type, source_id, amount, status, fiscal_period_id, resolution_note, resolved_at)
+SELECT eq.department_id, 'EQUIPMENT_PURCHASE', eq.id, eq.purchase_cost, 'LIQUIDATED',
+       (SELECT fp.id FROM fiscal_periods fp WHERE eq.purchase_date BETWEEN fp.start_date AND fp.end_date),
+       'Existing purchase', CURRENT_TIMESTAMP
+FROM equipment eq
+WHERE eq.purchase_cost > 0 AND eq.department_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM encumbrances e WHERE e.source_type = 'EQUIPMENT_PURCHASE' AND e.source_id = eq.id);
+
+-- Server-side sessions backing access tokens (refresh tokens are stored hashed)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+    previous_token_hash VARCHAR(64),
+    user_agent VARCHAR(500),
+    ip_address VARCHAR(64),
+    expires_at TIMESTAMP NOT NULL,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_by INTEGER REFERENCES users(id),
+    revoke_reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, revoked_at);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
+
+-- OpenID Connect login (pending authorization requests and IdP-linked users)
+CREATE TABLE IF NOT EXISTS oidc_login_requests (
+    state VARCHAR(128) PRIMARY KEY,
+    nonce VARCHAR(128) NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    redirect_to VARCHAR(500),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_issuer VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_subject VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_identity ON users(oidc_issuer, oidc_subject) WHERE oidc_subject IS NOT NULL;
+
+-- Password lifecycle (invites, resets and reuse history)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS invited_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS invited_by INTEGER REFERENCES users(id);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS invite_accepted_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS password_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('INVITE', 'RESET')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    created_by INTEGER REFERENCES users(id),
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS password_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_tokens_user ON password_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_password_history_user ON password_history(user_id, created_at);
+
+-- Roles and permissions. System role permissions live in models/AccessPolicy.js;
+-- custom roles created by administrators keep theirs in role_permissions.
+CREATE TABLE IF NOT EXISTS roles (
+    name VARCHAR(50) PRIMARY KEY,
+    description VARCHAR(255),
+    is_system BOOLEAN NOT NULL DEFAULT false,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO roles (name, description, is_system) VALUES
+('ADMIN', 'Full system access', true),
+('DEPARTMENT_HEAD', 'Manages one department''s budget, courses and transfers', true),
+('TEACHER', 'Schedules and teaches courses in one department', true),
+('USER', 'Basic access to courses and reporting', true)
+ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_name VARCHAR(50) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+    permission VARCHAR(50) NOT NULL,
+    PRIMARY KEY (role_name, permission)
+);
+
+-- Users can hold any defined role, not just the original four
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS fk_users_role;
+ALTER TABLE users ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles(name);
+
+-- Append-only, hash-chained audit log of financial and administrative changes
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    occurred_at TIMESTAMPTZ NOT NULL,
+    actor_id INTEGER,
+    actor_email VARCHAR(255),
+    action VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id VARCHAR(100),
+    before_data JSONB,
+    after_data JSONB,
+    ip_address VARCHAR(64),
+    request_id VARCHAR(128),
+    prev_hash CHAR(64) NOT NULL,
+    hash CHAR(64) UNIQUE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_occurred ON audit_log(occurred_at);
+
+-- Reject edits through the application role; the hash chain catches anything that bypasses this
+CREATE OR REPLACE FUNCTION prevent_audit_log_change() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_change();
+
+-- TOTP multi-factor authentication; secrets are encrypted by the application
+CREATE TABLE IF NOT EXISTS user_mfa (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL,
+    enabled_at TIMESTAMP,
+    last_used_step BIGINT,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id, code_hash);
+
+-- Administrators can require MFA for every holder of a role
+ALTER TABLE roles ADD COLUMN IF NOT EXISTS mfa_required BOOLEAN NOT NULL DEFAULT false;
+
+-- When the session last proved possession of the second factor (used for step-up checks)
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS mfa_verified_at TIMESTAMP;
+
+-- Per-account brute-force protection
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+-- Every sign-in attempt; user_id is null for emails that match no account
+CREATE TABLE IF NOT EXISTS login_history (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    email VARCHAR(255),
+    method VARCHAR(20) NOT NULL CHECK (method IN ('PASSWORD', 'OIDC')),
+    success BOOLEAN NOT NULL,
+    mfa_used BOOLEAN NOT NULL DEFAULT false,
+    failure_reason VARCHAR(50),
+    ip_address VARCHAR(64),
+    user_agent VARCHAR(500),
+    attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_history_user ON login_history(user_id, attempted_at);
+CREATE INDEX IF NOT EXISTS idx_login_history_email ON login_history(email, attempted_at);
+
+-- Service accounts for integrations. Each is backed by a users row that cannot sign in.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_service_account BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS service_accounts (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    disabled_at TIMESTAMP
+);
+
+-- API keys are stored as hashes; permissions limit what each key can do
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    service_account_id INTEGER NOT NULL REFERENCES service_accounts(user_id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) UNIQUE NOT NULL,
+    key_hash CHAR(64) NOT NULL,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(64),
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_by INTEGER REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_account ON api_keys(service_account_id);
+
+-- Administrator "view as user" sessions. Tied to the administrator's own session.
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER NOT NULL REFERENCES users(id),
+    target_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    admin_session_id INTEGER REFERENCES user_sessions(id) ON DELETE CASCADE,
+    reason VARCHAR(500) NOT NULL,
+    read_only BOOLEAN NOT NULL DEFAULT true,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    ended_at TIMESTAMP,
+    ended_by INTEGER REFERENCES users(id),
+    ip_address VARCHAR(64),
+    user_agent VARCHAR(500)
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_admin ON impersonation_sessions(admin_id, ended_at);
+
+-- Every request made while impersonating, with the real (admin) and effective user
+CREATE TABLE IF NOT EXISTS impersonation_requests (
+    id BIGSERIAL PRIMARY KEY,
+    impersonation_id INTEGER NOT NULL REFERENCES impersonation_sessions(id) ON DELETE CASCADE,
+    admin_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(500) NOT NULL,
+    status_code INTEGER,
+    request_id VARCHAR(128),
+    ip_address VARCHAR(64),
+    occurred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_requests_session ON impersonation_requests(impersonation_id);
+
+-- Changes made while impersonating name the administrator behind them
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS impersonator_id INTEGER;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS impersonator_email VARCHAR(255);
+
+-- Course lifecycle: archiving, clones into the next academic year and revision history
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id);
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS cloned_from_id INTEGER REFERENCES courses(id) ON DELETE SET NULL;
+
+-- A course is cloned into a given year at most once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_courses_clone_target ON courses(cloned_from_id, academic_year)
+    WHERE cloned_from_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS course_revisions (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('CREATE', 'UPDATE', 'ARCHIVE', 'RESTORE', 'CLONE')),
+    changes JSONB,
+    snapshot JSONB NOT NULL,
+    reason VARCHAR(500),
+    changed_by INTEGER REFERENCES users(id),
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (course_id, revision)
+);
+
+-- Courses created before revisions were kept start with their current state as revision 1
+INSERT INTO course_revisions (course_id, revision, change_type, snapshot, changed_at)
+SELECT c.id, c.revision, 'CREATE', to_jsonb(c), c.created_at
+FROM courses c
+WHERE NOT EXISTS (SELECT 1 FROM course_revisions r WHERE r.course_id = c.id);
+
+-- Course costs calculated from the scheduled sections (CostCalculator) instead of typed in.
+-- Typed-in figures remain as the ESTIMATE until a section is scheduled.
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS credit_hours INTEGER NOT NULL DEFAULT 3;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS hours_per_week DECIMAL(4, 1) NOT NULL DEFAULT 3.0;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS equipment_cost DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS overhead_cost DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS cost_basis VARCHAR(20) NOT NULL DEFAULT 'ESTIMATE'
+    CHECK (cost_basis IN ('ESTIMATE', 'CALCULATED'));
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS cost_breakdown JSONB;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS cost_calculated_at TIMESTAMP;
+
+-- total_cost now covers equipment and overhead too; generated columns cannot be altered in place
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'courses' AND column_name = 'total_cost'
+          AND generation_expression LIKE '%overhead_cost%'
+    ) THEN
+        ALTER TABLE courses DROP COLUMN total_cost;
+        ALTER TABLE courses ADD COLUMN total_cost DECIMAL(10, 2)
+            GENERATED ALWAYS AS (instructor_cost + classroom_cost + equipment_cost + overhead_cost) STORED;
+    END IF;
+END $$;
+
+-- Course sections: a course runs as any number of sections per term, each with its own instructor,
+-- room, capacity and enrollment. A section's weekly meetings are its course_schedules rows.
+CREATE TABLE IF NOT EXISTS course_sections (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    section_code VARCHAR(10) NOT NULL,
+    semester VARCHAR(20) NOT NULL,
+    academic_year INTEGER NOT NULL,
+    instructor_id INTEGER REFERENCES users(id),
+    facility_id INTEGER REFERENCES facilities(id),
+    capacity INTEGER NOT NULL CHECK (capacity > 0),
+    enrollment_actual INTEGER NOT NULL DEFAULT 0 CHECK (enrollment_actual >= 0),
+    status VARCHAR(50) DEFAULT 'SCHEDULED' CHECK (status IN ('SCHEDULED', 'ACTIVE', 'COMPLETED', 'CANCELLED')),
+    total_cost DECIMAL(10, 2),
+    cost_breakdown JSONB,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (course_id, semester, academic_year, section_code)
+);
+
+ALTER TABLE course_schedules ADD COLUMN IF NOT EXISTS section_id INTEGER REFERENCES course_sections(id) ON DELETE CASCADE;
+ALTER TABLE course_enrollments ADD COLUMN IF NOT EXISTS section_id INTEGER REFERENCES course_sections(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_course_sections_course ON course_sections(course_id);
+CREATE INDEX IF NOT EXISTS idx_course_sections_term ON course_sections(semester, academic_year);
+CREATE INDEX IF NOT EXISTS idx_course_schedules_section ON course_schedules(section_id);
+CREATE INDEX IF NOT EXISTS idx_course_enrollments_section ON course_enrollments(section_id);
+
+-- Existing meetings become sections: one per course, term, instructor and room
+INSERT INTO course_sections (course_id, section_code, semester, academic_year, instructor_id, facility_id,
+                             capacity, enrollment_actual, status, created_at)
+SELECT cs.course_id,
+       LPAD(ROW_NUMBER() OVER (PARTITION BY cs.course_id, cs.semester, cs.academic_year ORDER BY MIN(cs.id))::text, 2, '0'),
+       cs.semester, cs.academic_year, cs.instructor_id, cs.facility_id,
+       GREATEST(COALESCE(MAX(f.capacity), 30), COALESCE(MAX(cs.enrollment_actual), 0), 1),
+       COALESCE(MAX(cs.enrollment_actual), 0),
+       CASE
+           WHEN bool_and(cs.status = 'CANCELLED') THEN 'CANCELLED'
+           WHEN bool_or(cs.status = 'ACTIVE') THEN 'ACTIVE'
+           WHEN bool_and(cs.status IN ('COMPLETED', 'CANCELLED')) THEN 'COMPLETED'
+           ELSE 'SCHEDULED'
+       END,
+       MIN(cs.created_at)
+FROM course_schedules cs
+LEFT JOIN facilities f ON cs.facility_id = f.id
+WHERE cs.section_id IS NULL
+GROUP BY cs.course_id, cs.semester, cs.academic_year, cs.instructor_id, cs.facility_id
+ON CONFLICT DO NOTHING;
+
+UPDATE course_schedules cs
+SET section_id = s.id
+FROM course_sections s
+WHERE cs.section_id IS NULL
+  AND s.course_id = cs.course_id AND s.semester = cs.semester AND s.academic_year = cs.academic_year
+  AND s.instructor_id IS NOT DISTINCT FROM cs.instructor_id
+  AND s.facility_id IS NOT DISTINCT FROM cs.facility_id;
+
+UPDATE course_enrollments ce
+SET section_id = cs.section_id
+FROM course_schedules cs
+WHERE ce.schedule_id = cs.id AND ce.section_id IS NULL;
+
+-- Sections carry their own encumbrance; SCHEDULE remains only on resolved history
+ALTER TABLE encumbrances DROP CONSTRAINT IF EXISTS encumbrances_source_type_check;
+ALTER TABLE encumbrances ADD CONSTRAINT encumbrances_source_type_check
+    CHECK (source_type IN ('COURSE', 'SCHEDULE', 'SECTION', 'EQUIPMENT_PURCHASE'));
+
+-- A section that had several encumbered meetings keeps the earliest commitment
+UPDATE encumbrances e
+SET status = 'RELEASED', resolved_at = CURRENT_TIMESTAMP, resolution_note = 'Merged into section'
+FROM course_schedules cs
+WHERE e.source_type = 'SCHEDULE' AND e.status = 'OPEN' AND e.source_id = cs.id
+  AND EXISTS (
+      SELECT 1 FROM encumbrances earlier
+      JOIN course_schedules other ON earlier.source_id = other.id
+      WHERE earlier.source_type = 'SCHEDULE' AND earlier.status = 'OPEN'
+        AND other.section_id = cs.section_id AND earlier.id < e.id
+  );
+
+-- Run POST /api/courses/recompute-costs afterwards to price courses from all of their sections
+UPDATE encumbrances e
+SET source_type = 'SECTION', source_id = cs.section_id
+FROM course_schedules cs
+WHERE e.source_type = 'SCHEDULE' AND e.status = 'OPEN' AND e.source_id = cs.id AND cs.section_id IS NOT NULL;
+
+-- Course requests: students (or counsellors on their behalf) ask for courses in an upcoming term.
+-- Demand per course drives the section-count planner.
+CREATE TABLE IF NOT EXISTS course_requests (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    semester VARCHAR(20) NOT NULL,
+    academic_year INTEGER NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 1 CHECK (priority BETWEEN 1 AND 10), -- 1 = first choice
+    status VARCHAR(20) NOT NULL DEFAULT 'REQUESTED' CHECK (status IN ('REQUESTED', 'WITHDRAWN')),
+    notes VARCHAR(500),
+    submitted_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (student_id, course_id, semester, academic_year)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_requests_term ON course_requests(semester, academic_year, status);
+CREATE INDEX IF NOT EXISTS idx_course_requests_course ON course_requests(course_id);
+
+-- Waitlists: once a section is full further enrollments queue in order and are promoted as seats
+-- free up. Enrollment is incremental, so each user has one enrollment row per section.
+ALTER TABLE course_enrollments DROP CONSTRAINT IF EXISTS course_enrollments_status_check;
+ALTER TABLE course_enrollments ADD CONSTRAINT course_enrollments_status_check
+    CHECK (status IN ('ENROLLED', 'WAITLISTED', 'DROPPED', 'COMPLETED', 'WITHDRAWN'));
+ALTER TABLE course_enrollments ADD COLUMN IF NOT EXISTS waitlist_position INTEGER;
+ALTER TABLE course_enrollments ADD COLUMN IF NOT EXISTS dropped_at TIMESTAMP;
+
+-- Sections built from several legacy meetings can hold one row per meeting for the same user
+DELETE FROM course_enrollments ce
+USING (
+    SELECT id, ROW_NUMBER() OVER (
+        PARTITION BY section_id, user_id ORDER BY (status = 'ENROLLED') DESC, id
+    ) as duplicate
+    FROM course_enrollments
+    WHERE section_id IS NOT NULL
+) ranked
+WHERE ce.id = ranked.id AND ranked.duplicate > 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_course_enrollments_section_user ON course_enrollments(section_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_course_enrollments_waitlist ON course_enrollments(section_id, waitlist_position)
+    WHERE status = 'WAITLISTED';
+
+-- OIDC logins keep only the PKCE challenge; the browser that started the login holds the verifier
+ALTER TABLE oidc_login_requests ADD COLUMN IF NOT EXISTS code_challenge VARCHAR(128);
+ALTER TABLE oidc_login_requests DROP COLUMN IF EXISTS code_verifier;
+
+-- An IdP sign-in whose verified email matches an existing local account waits here until an
+-- administrator approves linking the two; accounts are never linked by email automatically
+CREATE TABLE IF NOT EXISTS oidc_link_requests (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    oidc_issuer VARCHAR(255) NOT NULL,
+    oidc_subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -1,10 +1,27 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const SessionManager = require('../models/SessionManager');
+const ApiKeyManager = require('../models/ApiKeyManager');
+const ImpersonationManager = require('../models/ImpersonationManager');
+const policy = require('../models/AccessPolicy');
+
+const sessions = new SessionManager();
+const apiKeys = new ApiKeyManager();
+const impersonations = new ImpersonationManager();
+
+// How long an MFA verification counts as recent for step-up checks
+const mfaStepUpMinutes = parseInt(process.env.MFA_STEP_UP_MINUTES) || 10;
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
+  // Integrations send an API key, either as the bearer token or in X-API-Key
+  const apiKey = req.headers['x-api-key'] || (apiKeys.isApiKey(token) ? token : null);
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+
   if (!token) {
     return res.status(401).json({ 
       success: false, 
@@ -12,9 +29,26 @@ const authenticateToken = async (req, res, next) => {
     });
   }
 
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Invalid or expired token' 
+    });
+  }
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+    // Access tokens are only honoured while their server-side session is live
+    const session = decoded.sessionId ? await sessions.getActiveSession(pool, decoded.sessionId) : null;
+    if (!session) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has been revoked' 
+      });
+    }
+
     // Get fresh user data from database
     const result = await pool.query(
       'SELECT id, email, role, department_id FROM users WHERE id = $1',
@@ -29,16 +63,109 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = result.rows[0];
+    req.user.permissions = await policy.getRolePermissions(pool, req.user.role);
+
+    if (decoded.impersonationId) {
+      return await applyImpersonation(req, res, next, decoded);
+    }
+
+    req.sessionId = decoded.sessionId;
+    req.mfaVerifiedAt = session.mfa_verified_at;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Authentication failed' 
+    });
+  }
+};
+
+const authenticateApiKey = async (req, res, next, apiKey) => {
+  try {
+    const result = await apiKeys.authenticate(pool, apiKey, { ipAddress: req.ip || null });
+    if (!result) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid, expired or revoked API key' 
+      });
+    }
+
+    // A key can do exactly what it was scoped to, whatever the service account's role
+    req.user = {
+      ...result.user,
+      permissions: result.user.permissions.filter(permission => policy.isPermission(permission))
+    };
+    req.apiKeyId = result.keyId;
+    req.sessionId = null;
     next();
   } catch (error) {
+    console.error('API key authentication error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Authentication failed' 
+    });
+  }
+};
+
+// Act as the impersonated user while keeping the administrator behind the request on record
+const applyImpersonation = async (req, res, next, decoded) => {
+  const impersonation = await impersonations.getActive(pool, decoded.impersonationId, decoded.sessionId);
+  if (!impersonation || impersonation.target_user_id !== req.user.id) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Impersonation has ended' 
+    });
+  }
+
+  // Losing the ADMIN role or the permission ends any impersonation already under way
+  const adminPermissions = await policy.getRolePermissions(pool, impersonation.admin_role);
+  if (impersonation.admin_role !== 'ADMIN' || !adminPermissions.includes('user:impersonate')) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Impersonation has ended' 
+    });
+  }
+
+  req.impersonator = {
+    id: impersonation.admin_id,
+    email: impersonation.admin_email,
+    impersonationId: impersonation.id,
+    readOnly: impersonation.read_only
+  };
+  // The administrator's session belongs to them, and step-up checks cannot be passed for someone else
+  req.sessionId = null;
+  req.mfaVerifiedAt = null;
+
+  // Logged on completion so refused requests are on record too
+  res.on('finish', () => {
+    impersonations.logRequest(pool, {
+      impersonationId: impersonation.id,
+      adminId: impersonation.admin_id,
+      userId: req.user.id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      requestId: req.id,
+      ipAddress: req.ip
+    }).catch(error => console.error('Impersonation request log error:', error));
+  });
+
+  const safeMethod = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+  if (!safeMethod && (impersonation.read_only || req.baseUrl === '/api/auth')) {
     return res.status(403).json({ 
       success: false, 
-      message: 'Invalid or expired token' 
+      message: impersonation.read_only
+        ? 'Impersonation is read-only'
+        : 'Account settings cannot be changed while impersonating',
+      impersonation_read_only: true
     });
   }
+
+  next();
 };
 
-const requireRole = (roles) => {
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ 
@@ -47,10 +174,13 @@ const requireRole = (roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    // Every listed permission is required
+    const missing = permissions.filter(permission => !policy.hasPermission(req.user, permission));
+    if (missing.length > 0) {
       return res.status(403).json({ 
         success: false, 
-        message: 'Insufficient permissions' 
+        message: 'Insufficient permissions',
+        missing_permissions: missing
       });
     }
 
@@ -58,36 +188,126 @@ const requireRole = (roles) => {
   };
 };
 
-const requireDepartmentAccess = async (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Authentication required' 
-    });
-  }
+const requireAnyPermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required' 
+      });
+    }
 
-  // Admin can access everything
-  if (req.user.role === 'ADMIN') {
-    return next();
-  }
+    if (!permissions.some(permission => policy.hasPermission(req.user, permission))) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Insufficient permissions',
+        missing_permissions: permissions
+      });
+    }
 
-  // Department heads can only access their own department
-  if (req.user.role === 'DEPARTMENT_HEAD') {
-    const departmentId = req.params.departmentId || req.body.department_id;
-    
-    if (departmentId && parseInt(departmentId) !== req.user.department_id) {
+    next();
+  };
+};
+
+// Rejects requests naming a department outside the caller's scope
+const requireDepartmentAccess = (param = 'departmentId') => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required' 
+      });
+    }
+
+    const departmentId = req.params[param] || req.body.department_id;
+
+    if (departmentId && !policy.canAccessDepartment(req.user, departmentId)) {
       return res.status(403).json({ 
         success: false, 
         message: 'Access denied to this department' 
       });
     }
-  }
 
-  next();
+    next();
+  };
+};
+
+// Pins department_id in the query string or body to the caller's department unless they can
+// see every department, so handlers can keep filtering on it as before
+const scopeDepartment = (source = 'query') => {
+  return (req, res, next) => {
+    const input = req[source] || {};
+    const scope = policy.resolveDepartmentScope(req.user, input.department_id);
+
+    if (!scope.allowed) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied to this department' 
+      });
+    }
+
+    if (scope.departmentId) {
+      input.department_id = source === 'query' ? String(scope.departmentId) : scope.departmentId;
+    }
+
+    next();
+  };
 };
 
+// Requires the session to have passed an MFA check within the last few minutes. An optional
+// (possibly async) condition limits the check to high-risk requests.
+const requireRecentMfa = (condition = null) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required' 
+      });
+    }
+
+    try {
+      if (condition && !(await condition(req))) {
+        return next();
+      }
+    } catch (error) {
+      console.error('MFA step-up check error:', error);
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Authentication failed' 
+      });
+    }
+
+    if (hasRecentMfa(req)) {
+      return next();
+    }
+
+    return res.status(403).json({ 
+      success: false, 
+      message: 'This action requires a recent MFA verification',
+      mfa_required: true
+    });
+  };
+};
+
+const hasRecentMfa = (req) => Boolean(
+  req.mfaVerifiedAt && Date.now() - new Date(req.mfaVerifiedAt).getTime() <= mfaStepUpMinutes * 60 * 1000
+);
+
+const hasPermission = (user, permission) => policy.hasPermission(user, permission);
+
+const canAccessDepartment = (user, departmentId) => policy.canAccessDepartment(user, departmentId);
+
+const resolveDepartmentScope = (user, requested) => policy.resolveDepartmentScope(user, requested);
+
 module.exports = {
   authenticateToken,
-  requireRole,
-  requireDepartmentAccess
+  requirePermission,
+  requireAnyPermission,
+  requireDepartmentAccess,
+  scopeDepartment,
+  requireRecentMfa,
+  hasRecentMfa,
+  hasPermission,
+  canAccessDepartment,
+  resolveDepartmentScope
 };
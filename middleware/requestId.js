@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Tags every request with an ID (reusing a well-formed X-Request-ID from a proxy) so audit
+// entries and logs can be traced back to the request that caused them
+const assignRequestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && /^[A-Za-z0-9._-]{1,128}$/.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  res.setHeader('X-Request-ID', req.id);
+  next();
+};
+
+module.exports = {
+  assignRequestId
+};
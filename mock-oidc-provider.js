@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OpenID Connect provider for local development and testing
+ * Supports discovery, JWKS, the authorization-code flow with PKCE (S256) and RS256-signed ID tokens.
+ *
+ * Usage:
+ *   node mock-oidc-provider.js
+ *
+ * Then point the API at it:
+ *   OIDC_ISSUER=http://localhost:9400
+ *   OIDC_CLIENT_ID=school-budget
+ *   OIDC_ROLE_MAPPING={"budget-admins":"ADMIN","department-heads":"DEPARTMENT_HEAD","teachers":"TEACHER"}
+ *
+ * Pass login_hint=<email> to /authorize to skip the user picker (handy for scripted tests).
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'school-budget';
+const REDIRECT_URIS = (process.env.MOCK_OIDC_REDIRECT_URIS || 'http://localhost:3000/auth/callback').split(',');
+const CODE_TTL_MS = 2 * 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+
+const USERS = [
+    {
+        sub: 'mock-admin',
+        email: 'idp.admin@school.edu',
+        given_name: 'Iris',
+        family_name: 'Admin',
+        groups: ['budget-admins']
+    },
+    {
+        sub: 'mock-math-head',
+        email: 'idp.math.head@school.edu',
+        given_name: 'Max',
+        family_name: 'Head',
+        groups: ['department-heads'],
+        department: 'Mathematics'
+    },
+    {
+        sub: 'mock-teacher',
+        email: 'idp.teacher@school.edu',
+        given_name: 'Tess',
+        family_name: 'Teacher',
+        groups: ['teachers'],
+        department: 'Science'
+    },
+    {
+        sub: 'mock-user',
+        email: 'idp.user@school.edu',
+        given_name: 'Uma',
+        family_name: 'User',
+        groups: []
+    }
+];
+
+// A fresh signing key per run; clients pick it up through the JWKS endpoint
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+app.get('/health', (req, res) => {
+    res.json({ status: 'OK', issuer: ISSUER });
+});
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        scopes_supported: ['openid', 'email', 'profile', 'groups'],
+        token_endpoint_auth_methods_supported: ['none', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256'],
+        claims_supported: ['sub', 'email', 'email_verified', 'given_name', 'family_name', 'groups', 'department', 'nonce']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+    });
+});
+
+app.get('/authorize', (req, res) => {
+    const error = validateAuthorizationRequest(req.query);
+    if (error) {
+        return res.status(400).send(escapeHtml(error));
+    }
+
+    if (req.query.login_hint) {
+        const user = USERS.find(candidate => candidate.email === req.query.login_hint);
+        if (!user) {
+            return res.status(400).send('Unknown login_hint');
+        }
+        return redirectWithCode(res, req.query, user);
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method', 'scope']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+        .join('');
+
+    const buttons = USERS
+        .map(user => `<button name="sub" value="${escapeHtml(user.sub)}">${escapeHtml(user.email)} (${escapeHtml(user.groups.join(', ') || 'no groups')})</button>`)
+        .join('<br>');
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock Identity Provider</title></head>
+<body style="font-family: sans-serif; margin: 2em;">
+  <h2>Mock Identity Provider</h2>
+  <p>Choose a user to sign in as:</p>
+  <form method="POST" action="/authorize">${hidden}${buttons}</form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const error = validateAuthorizationRequest(req.body);
+    if (error) {
+        return res.status(400).send(escapeHtml(error));
+    }
+
+    const user = USERS.find(candidate => candidate.sub === req.body.sub);
+    if (!user) {
+        return res.status(400).send('Unknown user');
+    }
+
+    redirectWithCode(res, req.body, user);
+});
+
+app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+
+    if (grant_type !== 'authorization_code') {
+        return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    const grant = codes.get(code);
+    codes.delete(code); // Codes are single use
+
+    if (!grant || grant.expiresAt < Date.now()) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Code is invalid or expired' });
+    }
+
+    if (client_id !== grant.clientId || redirect_uri !== grant.redirectUri) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Client or redirect URI mismatch' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const { sub, ...profile } = grant.user;
+    const idToken = jwt.sign(
+        { ...profile, email_verified: true, nonce: grant.nonce },
+        privateKey,
+        {
+            algorithm: 'RS256',
+            keyid: KEY_ID,
+            issuer: ISSUER,
+            audience: grant.clientId,
+            subject: sub,
+            expiresIn: ID_TOKEN_TTL_SECONDS
+        }
+    );
+
+    res.json({
+        access_token: crypto.randomBytes(32).toString('base64url'),
+        token_type: 'Bearer',
+        expires_in: ID_TOKEN_TTL_SECONDS,
+        id_token: idToken
+    });
+});
+
+function validateAuthorizationRequest(params) {
+    if (params.client_id !== CLIENT_ID) return 'Unknown client_id';
+    if (!REDIRECT_URIS.includes(params.redirect_uri)) return 'redirect_uri is not registered';
+    if (params.response_type && params.response_type !== 'code') return 'Only response_type=code is supported';
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') return 'PKCE with S256 is required';
+    if (!params.state) return 'state is required';
+    return null;
+}
+
+function redirectWithCode(res, params, user) {
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+        clientId: params.client_id,
+        redirectUri: params.redirect_uri,
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce,
+        user,
+        expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const target = new URL(params.redirect_uri);
+    target.searchParams.set('code', code);
+    target.searchParams.set('state', params.state);
+    res.redirect(302, target.toString());
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Mock OIDC provider running at ${ISSUER}`);
+        console.log(`Client ID: ${CLIENT_ID}`);
+        console.log(`Redirect URIs: ${REDIRECT_URIS.join(', ')}`);
+    });
+}
+
+module.exports = app;
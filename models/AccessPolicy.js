@@ -0,0 +1,247 @@
+/**
+ * Access Policy for School Budget Management
+ * Central catalogue of named permissions, the built-in roles that grant them,
+ * admin-defined custom roles and department scoping
+ */
+
+const PERMISSIONS = {
+    'department:view': 'View department budgets and funds',
+    'department:all': 'Act on every department instead of only your own',
+    'budget:allocate': 'Allocate or withdraw district funding',
+    'ledger:view': 'View department ledgers',
+    'ledger:reconcile': 'Post ledger reconciliation adjustments',
+    'course:view': 'View courses',
+    'course:create': 'Create courses',
+    'course:edit': 'Edit, archive and clone courses',
+    'course_request:submit': 'Request courses for an upcoming term',
+    'course_request:manage': 'Request courses for any student and plan sections from demand',
+    'transfer:view': 'View budget transfers',
+    'transfer:create': 'Request budget transfers',
+    'transfer:approve': 'Approve transfers into your department',
+    'transfer:approve_admin': 'Give administrative approval to transfers',
+    'transfer:execute': 'Execute approved transfers',
+    'transfer:cancel': 'Cancel transfers',
+    'transfer:reverse': 'Reverse executed transfers',
+    'schedule:view': 'View course schedules',
+    'schedule:edit': 'Create, change and cancel course sections',
+    'schedule:generate': 'Generate timetables and commit schedule drafts',
+    'schedule:override_deadline': 'Enroll and drop users after the add/drop deadline',
+    'facility:view': 'View facilities',
+    'facility:manage': 'Create and edit facilities',
+    'facility:reserve': 'Reserve facilities',
+    'equipment:view': 'View equipment',
+    'equipment:manage': 'Purchase equipment and update maintenance status',
+    'equipment:reserve': 'Reserve equipment',
+    'forecast:view': 'View budget forecasts and trends',
+    'forecast:manage': 'Create forecasts and run variance analysis',
+    'optimization:run': 'Run allocation optimization and scenarios',
+    'report:operational': 'View utilization and cost reports',
+    'report:financial': 'View financial summaries and variance reports',
+    'metrics:view': 'View department metrics',
+    'fiscal:view': 'View fiscal periods and closing reports',
+    'fiscal:manage': 'Create and close fiscal periods',
+    'user:view': 'View user directory',
+    'user:manage': 'Invite users, edit profiles and change roles',
+    'session:manage': 'List and revoke other users\' sessions',
+    'user:impersonate': 'View the system as another user, read-only unless stated',
+    'role:manage': 'Create and edit custom roles',
+    'service_account:manage': 'Create service accounts and issue API keys',
+    'audit:view': 'Search, export and verify the audit log'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Built-in roles; their permission sets are fixed in code
+const SYSTEM_ROLES = {
+    ADMIN: {
+        description: 'Full system access',
+        permissions: ALL_PERMISSIONS
+    },
+    DEPARTMENT_HEAD: {
+        description: 'Manages one department\'s budget, courses and transfers',
+        permissions: [
+            'department:view', 'ledger:view',
+            'course:view', 'course:create', 'course:edit', 'course_request:manage',
+            'transfer:view', 'transfer:create', 'transfer:approve', 'transfer:execute', 'transfer:cancel',
+            'schedule:view', 'schedule:edit', 'schedule:generate',
+            'facility:view', 'facility:reserve',
+            'equipment:view', 'equipment:manage', 'equipment:reserve',
+            'forecast:view', 'forecast:manage', 'optimization:run',
+            'report:operational', 'report:financial', 'metrics:view',
+            'fiscal:view', 'user:view'
+        ]
+    },
+    TEACHER: {
+        description: 'Schedules and teaches courses in one department',
+        permissions: [
+            'department:view', 'course:view',
+            'schedule:view', 'schedule:edit',
+            'facility:view', 'facility:reserve',
+            'equipment:view', 'equipment:reserve',
+            'report:operational', 'metrics:view', 'fiscal:view', 'user:view'
+        ]
+    },
+    USER: {
+        description: 'Basic access to courses and reporting',
+        permissions: ['course:view', 'course_request:submit', 'schedule:view', 'metrics:view']
+    }
+};
+
+class AccessPolicy {
+    constructor() {
+        this.permissions = PERMISSIONS;
+        this.systemRoles = SYSTEM_ROLES;
+
+        // Only the built-in ADMIN role may hold these; custom roles cannot be granted them
+        this.adminOnlyPermissions = ['user:impersonate'];
+
+        // Custom role permissions are cached briefly so every request does not hit the database
+        this.cacheTtlMs = 30 * 1000;
+        this.customRoleCache = new Map();
+    }
+
+    isPermission(name) {
+        return Object.prototype.hasOwnProperty.call(this.permissions, name);
+    }
+
+    isAdminOnly(name) {
+        return this.adminOnlyPermissions.includes(name);
+    }
+
+    isSystemRole(role) {
+        return Object.prototype.hasOwnProperty.call(this.systemRoles, role);
+    }
+
+    /**
+     * Permissions granted by a role
+     * @param {Object} db - pg client or pool
+     * @param {string} role - Role name
+     * @returns {Array} Permission names (empty for unknown roles)
+     */
+    async getRolePermissions(db, role) {
+        if (this.isSystemRole(role)) {
+            return this.systemRoles[role].permissions;
+        }
+
+        const cached = this.customRoleCache.get(role);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.permissions;
+        }
+
+        const result = await db.query(
+            'SELECT permission FROM role_permissions WHERE role_name = $1 ORDER BY permission',
+            [role]
+        );
+        const permissions = result.rows
+            .map(row => row.permission)
+            .filter(name => this.isPermission(name) && !this.isAdminOnly(name));
+
+        this.customRoleCache.set(role, { permissions, expiresAt: Date.now() + this.cacheTtlMs });
+        return permissions;
+    }
+
+    async roleExists(db, role) {
+        if (this.isSystemRole(role)) {
+            return true;
+        }
+
+        const result = await db.query('SELECT 1 FROM roles WHERE name = $1', [role]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Whether a user may give someone a role. A role can only be granted by someone who already
+     * holds every permission in it, so user managers cannot escalate their own access.
+     */
+    async canAssignRole(db, user, role) {
+        const permissions = await this.getRolePermissions(db, role);
+        return permissions.every(permission => this.hasPermission(user, permission));
+    }
+
+    invalidateRole(role) {
+        this.customRoleCache.delete(role);
+    }
+
+    hasPermission(user, permission) {
+        return Boolean(user && user.permissions && user.permissions.includes(permission));
+    }
+
+    /**
+     * Whether a user may act on a department's data
+     */
+    canAccessDepartment(user, departmentId) {
+        if (this.hasPermission(user, 'department:all')) {
+            return true;
+        }
+
+        return departmentId !== undefined && departmentId !== null &&
+            user.department_id !== null && parseInt(departmentId) === user.department_id;
+    }
+
+    /**
+     * Resolve the department filter for a request
+     * @param {Object} user - Authenticated user
+     * @param {*} requested - Department requested by the caller, if any
+     * @returns {Object} { allowed, departmentId } where a null departmentId means every department
+     */
+    resolveDepartmentScope(user, requested) {
+        const hasRequest = requested !== undefined && requested !== null && requested !== '';
+
+        if (this.hasPermission(user, 'department:all')) {
+            return { allowed: true, departmentId: hasRequest ? parseInt(requested) : null };
+        }
+
+        // Everyone else is pinned to their own department
+        if (!user.department_id || (hasRequest && parseInt(requested) !== user.department_id)) {
+            return { allowed: false, departmentId: null };
+        }
+
+        return { allowed: true, departmentId: user.department_id };
+    }
+
+    /**
+     * All roles with their permissions, system roles first
+     */
+    async listRoles(db) {
+        const result = await db.query(`
+            SELECT r.name, r.description, r.is_system, r.mfa_required, r.created_at, r.updated_at,
+                   COALESCE(array_agg(rp.permission ORDER BY rp.permission)
+                            FILTER (WHERE rp.permission IS NOT NULL), '{}') as permissions,
+                   (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count
+            FROM roles r
+            LEFT JOIN role_permissions rp ON rp.role_name = r.name
+            GROUP BY r.name
+            ORDER BY r.is_system DESC, r.name
+        `);
+
+        return result.rows.map(role => ({
+            ...role,
+            user_count: parseInt(role.user_count),
+            permissions: role.is_system && this.isSystemRole(role.name)
+                ? this.systemRoles[role.name].permissions
+                : role.permissions
+        }));
+    }
+
+    /**
+     * Replace a custom role's permission set
+     * @param {Object} db - pg client inside a transaction
+     */
+    async setRolePermissions(db, role, permissions) {
+        await db.query('DELETE FROM role_permissions WHERE role_name = $1', [role]);
+
+        for (const permission of [...new Set(permissions)]) {
+            await db.query(
+                'INSERT INTO role_permissions (role_name, permission) VALUES ($1, $2)',
+                [role, permission]
+            );
+        }
+
+        this.invalidateRole(role);
+    }
+}
+
+// Shared instance so the custom role cache is invalidated everywhere at once
+module.exports = new AccessPolicy();
+module.exports.AccessPolicy = AccessPolicy;
+module.exports.PERMISSIONS = PERMISSIONS;
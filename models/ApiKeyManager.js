@@ -0,0 +1,218 @@
+/**
+ * API Key Manager for School Budget Management
+ * Service accounts for integrations, authenticated with hashed, permission-scoped API keys
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+// Keys look like sbk_<prefix>_<secret>; the prefix finds the row, the hash proves the secret
+const KEY_PATTERN = /^sbk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+// last_used_at is refreshed at most this often, so busy integrations do not write on every call
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+class ApiKeyManager {
+    constructor() {
+        this.serviceEmailDomain = 'service-accounts.invalid';
+    }
+
+    isApiKey(token) {
+        return typeof token === 'string' && token.startsWith('sbk_');
+    }
+
+    /**
+     * Create a service account. It is backed by a users row so it can own records and appear in
+     * the audit log, but it has no usable password and cannot sign in interactively.
+     * @param {Object} db - pg client inside a transaction
+     * @returns {Object} The service account
+     */
+    async createServiceAccount(db, { name, description, departmentId }, createdBy) {
+        const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+        const userResult = await db.query(`
+            INSERT INTO users (email, password_hash, role, department_id, first_name, last_name, is_service_account)
+            VALUES ($1, $2, 'USER', $3, $4, 'Service Account', true)
+            RETURNING id
+        `, [`${name}@${this.serviceEmailDomain}`, unusablePassword, departmentId || null, name]);
+
+        const result = await db.query(`
+            INSERT INTO service_accounts (user_id, name, description, created_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `, [userResult.rows[0].id, name, description || null, createdBy]);
+
+        return { ...result.rows[0], department_id: departmentId || null };
+    }
+
+    /**
+     * Issue a key for a service account
+     * @param {Object} options - name, permissions, expiresAt
+     * @returns {Object} { key, record } where key is the plain-text key, shown only once
+     */
+    async issueKey(db, serviceAccountId, { name, permissions, expiresAt }, createdBy) {
+        const prefix = crypto.randomBytes(6).toString('hex');
+        const key = `sbk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+        const result = await db.query(`
+            INSERT INTO api_keys (service_account_id, name, key_prefix, key_hash, permissions, expires_at, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [serviceAccountId, name, prefix, this.hashKey(key), [...new Set(permissions)], expiresAt || null, createdBy]);
+
+        return { key, record: this.formatKey(result.rows[0]) };
+    }
+
+    /**
+     * Resolve an API key to the service account it acts as
+     * @returns {Object|null} { user, keyId }, or null when the key is unknown, revoked, expired or disabled
+     */
+    async authenticate(db, key, meta = {}) {
+        const match = KEY_PATTERN.exec(String(key));
+        if (!match) {
+            return null;
+        }
+
+        const result = await db.query(`
+            SELECT k.*, u.email, u.role, u.department_id, sa.disabled_at
+            FROM api_keys k
+            JOIN service_accounts sa ON sa.user_id = k.service_account_id
+            JOIN users u ON u.id = k.service_account_id
+            WHERE k.key_prefix = $1
+        `, [match[1]]);
+
+        const row = result.rows[0];
+        if (!row || !crypto.timingSafeEqual(Buffer.from(row.key_hash), Buffer.from(this.hashKey(key)))) {
+            return null;
+        }
+
+        if (row.revoked_at || row.disabled_at || (row.expires_at && new Date(row.expires_at) <= new Date())) {
+            return null;
+        }
+
+        await db.query(`
+            UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $1
+            WHERE id = $2 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - ($3 || ' seconds')::interval)
+        `, [meta.ipAddress || null, row.id, LAST_USED_RESOLUTION_SECONDS]);
+
+        return {
+            keyId: row.id,
+            user: {
+                id: row.service_account_id,
+                email: row.email,
+                role: row.role,
+                department_id: row.department_id,
+                permissions: row.permissions,
+                is_service_account: true
+            }
+        };
+    }
+
+    /**
+     * Service accounts with their key counts
+     * @param {Object} db - pg client or pool
+     * @param {Object} filters - departmentId: only accounts scoped to this department (null matches none)
+     */
+    async listServiceAccounts(db, { departmentId } = {}) {
+        const scoped = departmentId !== undefined;
+        const result = await db.query(`
+            SELECT sa.user_id as id, sa.name, sa.description, sa.created_at, sa.disabled_at,
+                   u.department_id, d.name as department_name, creator.email as created_by_email,
+                   COUNT(k.id) FILTER (WHERE k.revoked_at IS NULL
+                                         AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)) as active_keys,
+                   MAX(k.last_used_at) as last_used_at
+            FROM service_accounts sa
+            JOIN users u ON u.id = sa.user_id
+            LEFT JOIN departments d ON d.id = u.department_id
+            LEFT JOIN users creator ON creator.id = sa.created_by
+            LEFT JOIN api_keys k ON k.service_account_id = sa.user_id
+            ${scoped ? 'WHERE u.department_id = $1' : ''}
+            GROUP BY sa.user_id, u.department_id, d.name, creator.email
+            ORDER BY sa.name
+        `, scoped ? [departmentId] : []);
+
+        return result.rows.map(account => ({ ...account, active_keys: parseInt(account.active_keys) }));
+    }
+
+    async getServiceAccount(db, id) {
+        const result = await db.query(`
+            SELECT sa.user_id as id, sa.name, sa.description, sa.created_at, sa.disabled_at,
+                   u.department_id, d.name as department_name
+            FROM service_accounts sa
+            JOIN users u ON u.id = sa.user_id
+            LEFT JOIN departments d ON d.id = u.department_id
+            WHERE sa.user_id = $1
+        `, [id]);
+
+        return result.rows[0] || null;
+    }
+
+    async listKeys(db, serviceAccountId) {
+        const result = await db.query(
+            'SELECT * FROM api_keys WHERE service_account_id = $1 ORDER BY created_at DESC',
+            [serviceAccountId]
+        );
+
+        return result.rows.map(key => this.formatKey(key));
+    }
+
+    /**
+     * @returns {Object|null} The revoked key, or null when it was unknown or already revoked
+     */
+    async revokeKey(db, serviceAccountId, keyId, revokedBy) {
+        const result = await db.query(`
+            UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $1
+            WHERE id = $2 AND service_account_id = $3 AND revoked_at IS NULL
+            RETURNING *
+        `, [revokedBy, keyId, serviceAccountId]);
+
+        return result.rows[0] ? this.formatKey(result.rows[0]) : null;
+    }
+
+    /**
+     * Disable a service account and revoke all of its keys
+     * @returns {number|null} Keys revoked, or null when the account was unknown or already disabled
+     */
+    async disableServiceAccount(db, serviceAccountId, disabledBy) {
+        const result = await db.query(`
+            UPDATE service_accounts SET disabled_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND disabled_at IS NULL
+            RETURNING user_id
+        `, [serviceAccountId]);
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        const revoked = await db.query(`
+            UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $1
+            WHERE service_account_id = $2 AND revoked_at IS NULL
+        `, [disabledBy, serviceAccountId]);
+
+        return revoked.rowCount;
+    }
+
+    hashKey(key) {
+        // Keys are long random strings, so a fast hash is enough (as with refresh tokens)
+        return crypto.createHash('sha256').update(String(key)).digest('hex');
+    }
+
+    formatKey(key) {
+        const now = new Date();
+        return {
+            id: key.id,
+            service_account_id: key.service_account_id,
+            name: key.name,
+            key_prefix: `sbk_${key.key_prefix}`,
+            permissions: key.permissions,
+            expires_at: key.expires_at,
+            last_used_at: key.last_used_at,
+            last_used_ip: key.last_used_ip,
+            created_at: key.created_at,
+            revoked_at: key.revoked_at,
+            active: !key.revoked_at && (!key.expires_at || new Date(key.expires_at) > now)
+        };
+    }
+}
+
+module.exports = ApiKeyManager;
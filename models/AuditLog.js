@@ -0,0 +1,208 @@
+/**
+ * Audit Log for School Budget Management
+ * Append-only record of financial and administrative changes. Each entry stores the hash of the
+ * entry before it, so editing or deleting any row breaks the chain from that point on.
+ */
+
+const crypto = require('crypto');
+
+// Arbitrary key for the advisory lock that serialises appends to the chain
+const CHAIN_LOCK_KEY = 4201507;
+
+// Never copied into snapshots
+const REDACTED_FIELDS = [
+    'password_hash', 'refresh_token_hash', 'previous_token_hash', 'token_hash', 'code_verifier'
+];
+
+class AuditLog {
+    constructor() {
+        this.genesisHash = '0'.repeat(64);
+        this.exportColumns = [
+            'id', 'occurred_at', 'actor_id', 'actor_email', 'action', 'entity_type', 'entity_id',
+            'before_data', 'after_data', 'ip_address', 'request_id', 'impersonator_id', 'impersonator_email',
+            'prev_hash', 'hash'
+        ];
+    }
+
+    /**
+     * Append an entry for a change made while handling a request
+     * @param {Object} db - pg client inside the caller's transaction, or the pool
+     * @param {Object} req - Express request (actor, impersonator, IP and request ID are taken from it)
+     * @param {Object} entry - action, entityType, entityId, before, after
+     * @returns {Object} The stored entry
+     */
+    async record(db, req, entry) {
+        return this.append(db, {
+            actorId: req.user ? req.user.id : (entry.actorId || null),
+            actorEmail: req.user ? req.user.email : (entry.actorEmail || null),
+            ipAddress: req.ip || null,
+            requestId: req.id || null,
+            impersonatorId: req.impersonator ? req.impersonator.id : null,
+            impersonatorEmail: req.impersonator ? req.impersonator.email : null,
+            ...entry
+        });
+    }
+
+    /**
+     * Append an entry to the chain
+     * Called with a checked-out client the entry commits or rolls back with the caller's
+     * transaction; called with the pool it gets a transaction of its own.
+     */
+    async append(db, entry) {
+        if (typeof db.release !== 'function') {
+            const client = await db.connect();
+            try {
+                await client.query('BEGIN');
+                const stored = await this.append(client, entry);
+                await client.query('COMMIT');
+                return stored;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+        }
+
+        // Held until the surrounding transaction ends, so appends are strictly ordered
+        await db.query('SELECT pg_advisory_xact_lock($1)', [CHAIN_LOCK_KEY]);
+
+        const last = await db.query('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+        const prevHash = last.rows.length > 0 ? last.rows[0].hash : this.genesisHash;
+
+        const record = {
+            occurredAt: new Date().toISOString(),
+            actorId: entry.actorId || null,
+            actorEmail: entry.actorEmail || null,
+            action: entry.action,
+            entityType: entry.entityType,
+            entityId: entry.entityId === undefined || entry.entityId === null ? null : String(entry.entityId),
+            before: this.snapshot(entry.before),
+            after: this.snapshot(entry.after),
+            ipAddress: entry.ipAddress || null,
+            requestId: entry.requestId || null,
+            impersonatorId: entry.impersonatorId || null,
+            impersonatorEmail: entry.impersonatorEmail || null
+        };
+        const hash = this.computeHash(prevHash, record);
+
+        const result = await db.query(`
+            INSERT INTO audit_log (occurred_at, actor_id, actor_email, action, entity_type, entity_id,
+                                   before_data, after_data, ip_address, request_id,
+                                   impersonator_id, impersonator_email, prev_hash, hash)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+            RETURNING *
+        `, [
+            record.occurredAt, record.actorId, record.actorEmail, record.action, record.entityType, record.entityId,
+            record.before === null ? null : JSON.stringify(record.before),
+            record.after === null ? null : JSON.stringify(record.after),
+            record.ipAddress, record.requestId, record.impersonatorId, record.impersonatorEmail, prevHash, hash
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Walk the chain in order and recompute every hash
+     * @returns {Object} { valid, checked, brokenAt, reason }
+     */
+    async verify(db, batchSize = 1000) {
+        let prevHash = this.genesisHash;
+        let lastId = 0;
+        let checked = 0;
+
+        for (;;) {
+            const result = await db.query(
+                'SELECT * FROM audit_log WHERE id > $1 ORDER BY id LIMIT $2',
+                [lastId, batchSize]
+            );
+            if (result.rows.length === 0) break;
+
+            for (const row of result.rows) {
+                if (row.prev_hash !== prevHash) {
+                    return { valid: false, checked, brokenAt: row.id, reason: 'Entry does not link to the previous entry' };
+                }
+                if (this.computeHash(prevHash, this.fromRow(row)) !== row.hash) {
+                    return { valid: false, checked, brokenAt: row.id, reason: 'Entry contents do not match its hash' };
+                }
+
+                prevHash = row.hash;
+                lastId = row.id;
+                checked++;
+            }
+        }
+
+        return { valid: true, checked, brokenAt: null, reason: null };
+    }
+
+    computeHash(prevHash, record) {
+        const fields = [
+            prevHash,
+            record.occurredAt,
+            record.actorId,
+            record.actorEmail,
+            record.action,
+            record.entityType,
+            record.entityId,
+            record.before,
+            record.after,
+            record.ipAddress,
+            record.requestId
+        ];
+
+        // Only hashed when present, so entries written before impersonation existed still verify
+        if (record.impersonatorId) {
+            fields.push(record.impersonatorId, record.impersonatorEmail);
+        }
+
+        const payload = this.canonicalize(fields);
+
+        return crypto.createHash('sha256').update(payload).digest('hex');
+    }
+
+    fromRow(row) {
+        return {
+            occurredAt: new Date(row.occurred_at).toISOString(),
+            actorId: row.actor_id,
+            actorEmail: row.actor_email,
+            action: row.action,
+            entityType: row.entity_type,
+            entityId: row.entity_id,
+            before: row.before_data,
+            after: row.after_data,
+            ipAddress: row.ip_address,
+            requestId: row.request_id,
+            impersonatorId: row.impersonator_id,
+            impersonatorEmail: row.impersonator_email
+        };
+    }
+
+    /**
+     * Plain-JSON copy of a row with secrets removed, in the form it will read back from JSONB
+     */
+    snapshot(value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        return JSON.parse(JSON.stringify(value, (key, field) => (
+            REDACTED_FIELDS.includes(key) ? undefined : field
+        )));
+    }
+
+    /**
+     * JSON with object keys sorted, since JSONB does not preserve key order
+     */
+    canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+        }
+        if (value !== null && typeof value === 'object') {
+            const keys = Object.keys(value).sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,329 @@
+/**
+ * Double-entry Budget Ledger for School Budget Management
+ * Records every movement of department money as balanced, append-only journals
+ */
+
+class BudgetLedger {
+    constructor() {
+        this.accounts = {
+            DEPARTMENT_FUNDS: 'DEPARTMENT_FUNDS',     // Uncommitted department money
+            DISTRICT_FUNDING: 'DISTRICT_FUNDING',     // Source of allocations, not tied to a department
+            COMMITTED_COURSES: 'COMMITTED_COURSES',   // Department money committed to course costs
+            EQUIPMENT_EXPENSE: 'EQUIPMENT_EXPENSE'    // Department money spent on equipment
+        };
+
+        // Accounts whose balances together make up departments.budget
+        this.departmentAccounts = [
+            this.accounts.DEPARTMENT_FUNDS,
+            this.accounts.COMMITTED_COURSES,
+            this.accounts.EQUIPMENT_EXPENSE
+        ];
+
+        this.journalTypes = {
+            ALLOCATION: 'ALLOCATION',
+            TRANSFER: 'TRANSFER',
+            COURSE_COMMITMENT: 'COURSE_COMMITMENT',
+            EQUIPMENT_PURCHASE: 'EQUIPMENT_PURCHASE',
+            ADJUSTMENT: 'ADJUSTMENT'
+        };
+
+        this.driftTolerance = 0.005;
+    }
+
+    /**
+     * Post a balanced journal
+     * @param {Object} db - pg client or pool (use a client inside a transaction)
+     * @param {Object} journal - type, memo, referenceType, referenceId, createdBy, lines, fiscalPeriodId
+     *                           (defaults to the current open fiscal period)
+     * @returns {Object|null} Stored journal with its entries, or null when every amount is zero
+     */
+    async postJournal(db, journal) {
+        const lines = journal.lines.filter(line => this.roundAmount(line.debit || 0) !== 0 || this.roundAmount(line.credit || 0) !== 0);
+
+        // Zero-value movements are not recorded
+        if (lines.length === 0) {
+            return null;
+        }
+
+        if (lines.length < 2) {
+            throw new Error('A journal needs at least two non-zero entries');
+        }
+
+        const totalDebits = lines.reduce((sum, line) => sum + this.roundAmount(line.debit || 0), 0);
+        const totalCredits = lines.reduce((sum, line) => sum + this.roundAmount(line.credit || 0), 0);
+
+        if (Math.abs(totalDebits - totalCredits) > this.driftTolerance) {
+            throw new Error(`Unbalanced journal: debits ${totalDebits.toFixed(2)} != credits ${totalCredits.toFixed(2)}`);
+        }
+
+        const journalResult = await db.query(`
+            INSERT INTO ledger_journals (journal_type, memo, reference_type, reference_id, created_by, fiscal_period_id)
+            VALUES ($1, $2, $3, $4, $5, COALESCE($6, (
+                SELECT id FROM fiscal_periods
+                WHERE status = 'OPEN'
+                ORDER BY (CURRENT_DATE BETWEEN start_date AND end_date) DESC, start_date ASC
+                LIMIT 1
+            )))
+            RETURNING *
+        `, [journal.type, journal.memo || null, journal.referenceType || null, journal.referenceId || null,
+            journal.createdBy || null, journal.fiscalPeriodId || null]);
+
+        const stored = journalResult.rows[0];
+        stored.entries = [];
+
+        for (const line of lines) {
+            const entryResult = await db.query(`
+                INSERT INTO ledger_entries (journal_id, account, department_id, debit, credit)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *
+            `, [stored.id, line.account, line.departmentId || null, this.roundAmount(line.debit || 0), this.roundAmount(line.credit || 0)]);
+            stored.entries.push(entryResult.rows[0]);
+        }
+
+        return stored;
+    }
+
+    /**
+     * Record district money allocated to (or withdrawn from) a department
+     */
+    async recordAllocation(db, departmentId, amount, createdBy, memo = 'Budget allocation') {
+        const value = parseFloat(amount);
+
+        return this.postJournal(db, {
+            type: this.journalTypes.ALLOCATION,
+            memo,
+            referenceType: 'DEPARTMENT',
+            referenceId: departmentId,
+            createdBy,
+            lines: this.movement(
+                { account: this.accounts.DEPARTMENT_FUNDS, departmentId },
+                { account: this.accounts.DISTRICT_FUNDING },
+                value
+            )
+        });
+    }
+
+    /**
+     * Record an executed transfer between departments
+     */
+    async recordTransfer(db, transfer, createdBy) {
+        return this.postJournal(db, {
+            type: this.journalTypes.TRANSFER,
+            memo: transfer.reason || `Transfer #${transfer.id}`,
+            referenceType: 'TRANSFER',
+            referenceId: transfer.id,
+            fiscalPeriodId: transfer.fiscal_period_id,
+            createdBy,
+            lines: this.movement(
+                { account: this.accounts.DEPARTMENT_FUNDS, departmentId: transfer.to_department_id },
+                { account: this.accounts.DEPARTMENT_FUNDS, departmentId: transfer.from_department_id },
+                parseFloat(transfer.amount)
+            )
+        });
+    }
+
+    /**
+     * Record a change in the amount a department has committed to a course.
+     * A negative amount releases a previous commitment.
+     * @param {Object} options - memo, fiscalPeriodId
+     */
+    async recordCourseCommitment(db, course, amount, createdBy, options = {}) {
+        return this.postJournal(db, {
+            type: this.journalTypes.COURSE_COMMITMENT,
+            memo: options.memo || `Course commitment: ${course.name}`,
+            referenceType: 'COURSE',
+            referenceId: course.id,
+            fiscalPeriodId: options.fiscalPeriodId,
+            createdBy,
+            lines: this.movement(
+                { account: this.accounts.COMMITTED_COURSES, departmentId: course.department_id },
+                { account: this.accounts.DEPARTMENT_FUNDS, departmentId: course.department_id },
+                parseFloat(amount)
+            )
+        });
+    }
+
+    /**
+     * Record an equipment purchase paid from department funds
+     */
+    async recordEquipmentPurchase(db, equipment, createdBy) {
+        return this.postJournal(db, {
+            type: this.journalTypes.EQUIPMENT_PURCHASE,
+            memo: `Equipment purchase: ${equipment.name}`,
+            referenceType: 'EQUIPMENT',
+            referenceId: equipment.id,
+            createdBy,
+            lines: this.movement(
+                { account: this.accounts.EQUIPMENT_EXPENSE, departmentId: equipment.department_id },
+                { account: this.accounts.DEPARTMENT_FUNDS, departmentId: equipment.department_id },
+                parseFloat(equipment.purchase_cost)
+            )
+        });
+    }
+
+    /**
+     * Get balances per account for a department (debit-normal)
+     */
+    async getBalances(db, departmentId) {
+        const result = await db.query(`
+            SELECT account, COALESCE(SUM(debit - credit), 0) as balance
+            FROM ledger_entries
+            WHERE department_id = $1
+            GROUP BY account
+        `, [departmentId]);
+
+        const balances = {};
+        this.departmentAccounts.forEach(account => {
+            balances[account] = 0;
+        });
+        result.rows.forEach(row => {
+            balances[row.account] = this.roundAmount(parseFloat(row.balance));
+        });
+
+        balances.total = this.roundAmount(
+            this.departmentAccounts.reduce((sum, account) => sum + balances[account], 0)
+        );
+
+        return balances;
+    }
+
+    /**
+     * Compare ledger balances with the operational tables and flag drift.
+     * Year-end closes zero the ledger, so courses and equipment are scoped to the given fiscal period.
+     */
+    async checkConsistency(db, departmentId, period = null) {
+        const balances = await this.getBalances(db, departmentId);
+
+        const tableResult = period
+            ? await db.query(`
+                SELECT d.budget,
+                       (SELECT COALESCE(SUM(total_cost), 0) FROM courses
+                        WHERE department_id = d.id AND (academic_year = $2 OR academic_year IS NULL)
+                          AND archived_at IS NULL) as committed,
+                       (SELECT COALESCE(SUM(purchase_cost), 0) FROM equipment
+                        WHERE department_id = d.id AND purchase_date BETWEEN $3 AND $4) as equipment
+                FROM departments d
+                WHERE d.id = $1
+            `, [departmentId, period.academic_year, period.start_date, period.end_date])
+            : await db.query(`
+                SELECT d.budget,
+                       (SELECT COALESCE(SUM(total_cost), 0) FROM courses
+                        WHERE department_id = d.id AND archived_at IS NULL) as committed,
+                       (SELECT COALESCE(SUM(purchase_cost), 0) FROM equipment WHERE department_id = d.id) as equipment
+                FROM departments d
+                WHERE d.id = $1
+            `, [departmentId]);
+
+        const row = tableResult.rows[0];
+        const checks = [
+            this.buildCheck('budget', 'departments.budget vs ledger total', parseFloat(row.budget), balances.total),
+            this.buildCheck('course_commitments', 'Sum of course costs vs COMMITTED_COURSES', parseFloat(row.committed), balances.COMMITTED_COURSES),
+            this.buildCheck('equipment', 'Sum of equipment purchases vs EQUIPMENT_EXPENSE', parseFloat(row.equipment), balances.EQUIPMENT_EXPENSE)
+        ];
+
+        // Every journal touching the department must balance across all of its entries
+        const unbalanced = await db.query(`
+            SELECT j.id, SUM(e.debit) as debits, SUM(e.credit) as credits
+            FROM ledger_journals j
+            JOIN ledger_entries e ON e.journal_id = j.id
+            WHERE j.id IN (SELECT journal_id FROM ledger_entries WHERE department_id = $1)
+            GROUP BY j.id
+            HAVING SUM(e.debit) <> SUM(e.credit)
+        `, [departmentId]);
+
+        return {
+            consistent: checks.every(check => check.ok) && unbalanced.rows.length === 0,
+            checks,
+            unbalancedJournals: unbalanced.rows.map(journal => ({
+                journalId: journal.id,
+                debits: parseFloat(journal.debits),
+                credits: parseFloat(journal.credits)
+            })),
+            balances
+        };
+    }
+
+    /**
+     * Post adjustment journals so the ledger matches the operational tables
+     * @returns {Array} Adjustment journals posted
+     */
+    async reconcile(db, departmentId, createdBy, memo = 'Ledger reconciliation', period = null) {
+        const consistency = await this.checkConsistency(db, departmentId, period);
+        const byName = {};
+        consistency.checks.forEach(check => {
+            byName[check.name] = check;
+        });
+
+        const adjustments = [];
+
+        // Commitments and equipment move money within the department, so fix them first
+        const internal = [
+            { check: byName.course_commitments, account: this.accounts.COMMITTED_COURSES },
+            { check: byName.equipment, account: this.accounts.EQUIPMENT_EXPENSE }
+        ];
+
+        for (const { check, account } of internal) {
+            if (check.ok) continue;
+            adjustments.push(await this.postJournal(db, {
+                type: this.journalTypes.ADJUSTMENT,
+                memo: `${memo}: ${check.description}`,
+                referenceType: 'DEPARTMENT',
+                referenceId: departmentId,
+                createdBy,
+                lines: this.movement(
+                    { account, departmentId },
+                    { account: this.accounts.DEPARTMENT_FUNDS, departmentId },
+                    check.drift
+                )
+            }));
+        }
+
+        if (!byName.budget.ok) {
+            adjustments.push(await this.postJournal(db, {
+                type: this.journalTypes.ADJUSTMENT,
+                memo: `${memo}: ${byName.budget.description}`,
+                referenceType: 'DEPARTMENT',
+                referenceId: departmentId,
+                createdBy,
+                lines: this.movement(
+                    { account: this.accounts.DEPARTMENT_FUNDS, departmentId },
+                    { account: this.accounts.DISTRICT_FUNDING },
+                    byName.budget.drift
+                )
+            }));
+        }
+
+        return adjustments;
+    }
+
+    /**
+     * Debit one account and credit another; negative amounts swap the sides
+     */
+    movement(debitAccount, creditAccount, amount) {
+        const value = this.roundAmount(Math.abs(amount));
+        const [debitSide, creditSide] = amount >= 0 ? [debitAccount, creditAccount] : [creditAccount, debitAccount];
+
+        return [
+            { ...debitSide, debit: value, credit: 0 },
+            { ...creditSide, debit: 0, credit: value }
+        ];
+    }
+
+    buildCheck(name, description, expected, ledger) {
+        const drift = this.roundAmount(expected - ledger);
+        return {
+            name,
+            description,
+            expected: this.roundAmount(expected),
+            ledger: this.roundAmount(ledger),
+            drift,
+            ok: Math.abs(drift) <= this.driftTolerance
+        };
+    }
+
+    roundAmount(amount) {
+        return Math.round(parseFloat(amount) * 100) / 100;
+    }
+}
+
+module.exports = BudgetLedger;
@@ -0,0 +1,201 @@
+/**
+ * Course Cost Updater for School Budget Management
+ * Re-prices courses when a costing input changes and carries the difference through the ledger,
+ * encumbrances and revision history
+ */
+
+const CourseCosting = require('./CourseCosting');
+const BudgetLedger = require('./BudgetLedger');
+const FiscalCalendar = require('./FiscalCalendar');
+const EncumbranceTracker = require('./EncumbranceTracker');
+const CourseHistory = require('./CourseHistory');
+
+class CourseCostUpdater {
+    constructor() {
+        this.costing = new CourseCosting();
+        this.ledger = new BudgetLedger();
+        this.fiscalCalendar = new FiscalCalendar();
+        this.encumbrances = new EncumbranceTracker();
+        this.history = new CourseHistory();
+    }
+
+    /**
+     * Work out what a course should cost now, without saving anything
+     * @param {Object} db - pg client or pool
+     * @param {Object} course - courses row
+     * @returns {Object} { course, sections, components, total, delta, breakdown, warnings, changed, skipped }
+     */
+    async preview(db, course) {
+        if (course.archived_at) {
+            return { course, changed: false, skipped: 'Archived courses are not re-priced' };
+        }
+
+        const sections = await this.costing.listSections(db, course.id);
+        if (sections.length === 0) {
+            return { course, changed: false, skipped: 'No section is scheduled yet, so the course keeps its estimate' };
+        }
+
+        const priced = [];
+        for (const section of sections) {
+            const inputs = await this.costing.loadInputs(db, course, section);
+            priced.push({ section, ...this.costing.calculate(course, inputs) });
+        }
+
+        const result = this.costing.rollUp(course, priced);
+        const delta = this.costing.round(result.total - parseFloat(course.total_cost));
+
+        // A section's price can move without the course total moving (e.g. a room swap between sections)
+        const changed = course.cost_basis !== this.costing.costBasis.CALCULATED ||
+            this.costing.componentFields.some(field =>
+                this.costing.round(parseFloat(course[field]) || 0) !== result.components[field]) ||
+            priced.some(({ section, total }) =>
+                section.total_cost === null || this.costing.round(parseFloat(section.total_cost)) !== total);
+
+        return { course, sections: priced, ...result, delta, changed, skipped: null };
+    }
+
+    /**
+     * Save a preview: store the new course and section costs, post the difference to the ledger,
+     * re-project the course's encumbrances and record a revision
+     * @param {Object} db - pg client inside the caller's transaction (course row locked)
+     * @param {Object} preview - From preview()
+     * @param {number} userId - Who (or whose change) triggered the recalculation
+     * @param {string} reason - Recorded on the revision
+     * @returns {Object} The preview with the saved course and the row it replaced as before
+     */
+    async apply(db, preview, userId, reason) {
+        const { course, sections, components, breakdown } = preview;
+
+        // Closed years keep the costs they were closed with
+        let posting = null;
+        if (preview.delta !== 0) {
+            posting = await this.fiscalCalendar.checkPosting(db, course.academic_year);
+            if (!posting.allowed) {
+                return { ...preview, changed: false, skipped: posting.message };
+            }
+        }
+
+        const result = await db.query(`
+            UPDATE courses
+            SET instructor_cost = $1, classroom_cost = $2, equipment_cost = $3, overhead_cost = $4,
+                cost_breakdown = $5, cost_basis = $6, cost_calculated_at = CURRENT_TIMESTAMP,
+                revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $7
+            RETURNING *
+        `, [
+            components.instructor_cost, components.classroom_cost, components.equipment_cost, components.overhead_cost,
+            JSON.stringify(breakdown), this.costing.costBasis.CALCULATED, course.id
+        ]);
+        const saved = result.rows[0];
+
+        for (const priced of sections) {
+            await db.query(`
+                UPDATE course_sections
+                SET total_cost = $1, cost_breakdown = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $3
+            `, [priced.total, JSON.stringify(priced.breakdown), priced.section.id]);
+        }
+
+        if (preview.delta !== 0) {
+            await this.ledger.recordCourseCommitment(db, saved, preview.delta, userId, {
+                fiscalPeriodId: posting.period ? posting.period.id : null,
+                memo: `Course cost recalculated: ${saved.name}`
+            });
+        }
+
+        await this.reproject(db, saved, userId);
+
+        await this.history.record(db, saved, this.history.changeTypes.UPDATE, {
+            before: course,
+            reason: reason ? `Cost recalculated: ${reason}` : 'Cost recalculated',
+            changedBy: userId
+        });
+
+        return { ...preview, course: saved, before: course };
+    }
+
+    /**
+     * Lock, preview and (when anything changed) apply
+     * @returns {Object|null} Null when the course does not exist
+     */
+    async recompute(db, courseId, userId, reason) {
+        const courseResult = await db.query('SELECT * FROM courses WHERE id = $1 FOR UPDATE', [courseId]);
+        if (courseResult.rows.length === 0) return null;
+
+        const preview = await this.preview(db, courseResult.rows[0]);
+        if (preview.skipped || !preview.changed) return preview;
+
+        return this.apply(db, preview, userId, reason);
+    }
+
+    /**
+     * Re-price every live course affected by a change to an instructor, a facility, particular
+     * meetings, particular sections or particular courses. Sections of courses whose price did not
+     * move are still re-projected, since a change may only touch one of their other sections.
+     * @param {Object} db - pg client inside the caller's transaction
+     * @param {Object} affected - instructorId, facilityId, scheduleIds, sectionIds, courseIds (any combination)
+     * @returns {Array} One summary per affected course
+     */
+    async recomputeAffected(db, {
+        instructorId = null, facilityId = null, scheduleIds = [], sectionIds = [], courseIds = []
+    }, userId, reason) {
+        const result = await db.query(`
+            SELECT DISTINCT c.id
+            FROM courses c
+            LEFT JOIN course_sections s ON s.course_id = c.id
+            LEFT JOIN course_schedules cs ON cs.section_id = s.id
+            WHERE c.archived_at IS NULL
+              AND ((s.status != 'CANCELLED' AND (s.instructor_id = $1 OR s.facility_id = $2))
+                   OR cs.id = ANY($3::int[])
+                   OR s.id = ANY($4::int[])
+                   OR c.id = ANY($5::int[]))
+            ORDER BY c.id
+        `, [instructorId, facilityId, scheduleIds.map(Number), sectionIds.map(Number), courseIds.map(Number)]);
+
+        const summaries = [];
+        for (const row of result.rows) {
+            const outcome = await this.recompute(db, row.id, userId, reason);
+            if (!outcome.before && !outcome.course.archived_at) {
+                await this.reprojectSections(db, outcome.course.id, userId);
+            }
+            summaries.push(this.summarize(outcome));
+        }
+
+        return summaries;
+    }
+
+    /**
+     * Re-project the course placeholder and every live section after the course's costs changed
+     */
+    async reproject(db, course, userId) {
+        await this.encumbrances.release(db, this.encumbrances.sourceTypes.COURSE, course.id, 'Course cost changed');
+        await this.encumbrances.syncCourseEncumbrance(db, course.id, userId);
+        await this.reprojectSections(db, course.id, userId);
+    }
+
+    async reprojectSections(db, courseId, userId) {
+        const sections = await db.query(
+            "SELECT * FROM course_sections WHERE course_id = $1 AND status != 'CANCELLED'",
+            [courseId]
+        );
+        for (const section of sections.rows) {
+            await this.encumbrances.reprojectSection(db, section, userId);
+        }
+    }
+
+    summarize(outcome) {
+        return {
+            course_id: outcome.course.id,
+            name: outcome.course.name,
+            changed: Boolean(outcome.before),
+            previous_total: outcome.before ? parseFloat(outcome.before.total_cost) : parseFloat(outcome.course.total_cost),
+            total_cost: parseFloat(outcome.course.total_cost),
+            sections: outcome.sections ? outcome.sections.length : 0,
+            delta: outcome.before ? outcome.delta : 0,
+            skipped: outcome.skipped || null,
+            warnings: outcome.warnings || []
+        };
+    }
+}
+
+module.exports = CourseCostUpdater;
@@ -0,0 +1,272 @@
+/**
+ * Course Costing for School Budget Management
+ * Prices each section of a course from its instructor, facility, meetings and reserved equipment using
+ * CostCalculator, and rolls the sections up into the course's cost
+ */
+
+const CostCalculator = require('./CostCalculator');
+
+class CourseCosting {
+    constructor() {
+        this.costCalculator = new CostCalculator();
+
+        this.costBasis = {
+            ESTIMATE: 'ESTIMATE',       // Typed-in planning figures, used until a section is scheduled
+            CALCULATED: 'CALCULATED'    // Sum of the course's sections
+        };
+
+        this.componentFields = ['instructor_cost', 'classroom_cost', 'equipment_cost', 'overhead_cost'];
+        this.weeksPerTerm = 15;         // CostCalculator's semester length
+        this.defaultHoursPerWeek = 3;   // Until a section has meetings
+    }
+
+    /**
+     * The sections a course is priced from: every one that has not been cancelled
+     */
+    async listSections(db, courseId) {
+        const result = await db.query(`
+            SELECT * FROM course_sections
+            WHERE course_id = $1 AND status != 'CANCELLED'
+            ORDER BY id
+        `, [courseId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Load everything a section's cost depends on
+     * @param {Object} db - pg client or pool
+     * @param {Object} course - courses row
+     * @param {Object} section - course_sections row
+     * @returns {Object} { section, meetings, instructor, facility, equipment, costStructures }
+     */
+    async loadInputs(db, course, section) {
+        const instructorResult = section.instructor_id
+            ? await db.query(`
+                SELECT id, first_name, last_name, employment_type, hourly_rate, qualifications
+                FROM users WHERE id = $1
+            `, [section.instructor_id])
+            : { rows: [] };
+        const facilityResult = section.facility_id
+            ? await db.query('SELECT * FROM facilities WHERE id = $1', [section.facility_id])
+            : { rows: [] };
+        const meetingsResult = await db.query(`
+            SELECT id, day_of_week, start_time, end_time
+            FROM course_schedules
+            WHERE section_id = $1 AND status != 'CANCELLED'
+        `, [section.id]);
+        const equipmentResult = await db.query(`
+            SELECT DISTINCT e.*
+            FROM equipment e
+            JOIN equipment_reservations er ON er.equipment_id = e.id
+            JOIN course_schedules cs ON er.course_schedule_id = cs.id
+            WHERE cs.section_id = $1 AND cs.status != 'CANCELLED' AND er.status != 'CANCELLED'
+        `, [section.id]);
+
+        return {
+            section,
+            meetings: meetingsResult.rows,
+            instructor: instructorResult.rows[0] || null,
+            facility: facilityResult.rows[0] || null,
+            equipment: equipmentResult.rows,
+            costStructures: await this.loadCostStructures(db, course.department_id)
+        };
+    }
+
+    /**
+     * Price one section of a course. Direct costs come from the instructor's hourly rate and the
+     * room's hourly cost over the hours the section meets; CostCalculator adds benefits,
+     * differentials, utilities, maintenance, equipment and overhead on top.
+     * @param {Object} course - courses row
+     * @param {Object} inputs - From loadInputs
+     * @returns {Object} { components, total, breakdown, warnings }
+     */
+    calculate(course, { section = null, meetings = [], instructor, facility, equipment = [], costStructures = {} }) {
+        const warnings = [];
+        // Sections without meetings yet fall back to the course's planned weekly hours
+        const hoursPerWeek = this.meetingHours(meetings) || parseFloat(course.hours_per_week) || this.defaultHoursPerWeek;
+        const termHours = hoursPerWeek * this.weeksPerTerm;
+
+        const instructorRow = this.toNumbers(instructor || {}, ['hourly_rate']);
+        const facilityRow = this.toNumbers(facility || {}, ['hourly_cost', 'utilities_cost_annual', 'maintenance_cost_annual']);
+
+        if (!instructor) {
+            warnings.push('The section has no instructor');
+        } else if (!instructorRow.hourly_rate) {
+            warnings.push(`${instructor.first_name} ${instructor.last_name} has no hourly rate`);
+        }
+        if (!facility) {
+            warnings.push('The section has no facility');
+        }
+
+        const pricedCourse = {
+            ...this.toNumbers(course, ['expected_students', 'credit_hours']),
+            expected_students: this.sectionStudents(course, section),
+            hours_per_week: hoursPerWeek,
+            instructor_cost: (instructorRow.hourly_rate || 0) * termHours,
+            classroom_cost: (facilityRow.hourly_cost || 0) * termHours
+        };
+
+        const breakdown = this.roundAll(this.costCalculator.calculateComprehensiveCost(
+            pricedCourse,
+            instructorRow,
+            facilityRow,
+            equipment.map(item => this.toNumbers(item, ['purchase_cost', 'depreciation_rate', 'maintenance_cost_annual'])),
+            costStructures
+        ));
+
+        const components = this.componentsOf(breakdown);
+        const total = this.round(Object.values(components).reduce((sum, value) => sum + value, 0));
+
+        // Keep the breakdown's total equal to the stored columns it was rounded into
+        breakdown.totalCost = total;
+        breakdown.inputs = {
+            section_id: section ? section.id : null,
+            meetings: meetings.length,
+            hours_per_week: hoursPerWeek,
+            term_hours: termHours,
+            instructor_id: instructor ? instructor.id : null,
+            facility_id: facility ? facility.id : null,
+            equipment_ids: equipment.map(item => item.id)
+        };
+
+        return { components, total, breakdown, warnings };
+    }
+
+    /**
+     * Add section prices up into the course's price. The breakdown keeps CostCalculator's shape,
+     * with per-student figures over everyone enrolled (or the course's expected students before
+     * anyone is) and a line per section.
+     * @param {Object} course - courses row
+     * @param {Array} priced - { section, breakdown, warnings } per section
+     * @returns {Object} { components, total, breakdown, warnings }
+     */
+    rollUp(course, priced) {
+        const groups = ['instructorCosts', 'facilityCosts', 'equipmentCosts', 'overheadCosts'];
+        const breakdown = {};
+        groups.forEach(group => {
+            breakdown[group] = this.roundAll(priced.reduce(
+                (sum, { breakdown: sectionBreakdown }) => this.addNumbers(sum, sectionBreakdown[group] || {}),
+                {}
+            ));
+        });
+
+        const components = this.componentsOf(breakdown);
+        const total = this.round(Object.values(components).reduce((sum, value) => sum + value, 0));
+
+        const enrolled = priced.reduce((sum, { section }) => sum + (parseInt(section.enrollment_actual) || 0), 0);
+        const students = enrolled || parseInt(course.expected_students) || 0;
+        const creditHours = parseInt(course.credit_hours) || 3;
+
+        breakdown.equipmentCosts.perStudentAllocation = students > 0 ? this.round(breakdown.equipmentCosts.total / students) : 0;
+        breakdown.totalCost = total;
+        breakdown.costPerStudent = students > 0 ? this.round(total / students) : 0;
+        breakdown.costPerCreditHour = students > 0 ? this.round(total / (students * creditHours)) : 0;
+        breakdown.sections = priced.map(({ section, breakdown: sectionBreakdown }) => ({
+            section_id: section.id,
+            section_code: section.section_code,
+            semester: section.semester,
+            instructor_id: section.instructor_id,
+            facility_id: section.facility_id,
+            capacity: section.capacity,
+            enrollment_actual: section.enrollment_actual,
+            hours_per_week: sectionBreakdown.inputs ? sectionBreakdown.inputs.hours_per_week : null,
+            total_cost: sectionBreakdown.totalCost
+        }));
+
+        const warnings = priced.flatMap(({ section, warnings: sectionWarnings = [] }) =>
+            sectionWarnings.map(warning => `Section ${section.section_code}: ${warning}`));
+
+        return { components, total, breakdown, warnings };
+    }
+
+    /**
+     * Hours per week across a section's meetings
+     */
+    meetingHours(meetings) {
+        const minutes = meetings.reduce((sum, meeting) =>
+            sum + Math.max(this.toMinutes(meeting.end_time) - this.toMinutes(meeting.start_time), 0), 0);
+        return Math.round(minutes / 60 * 100) / 100;
+    }
+
+    toMinutes(time) {
+        const [hours, minutes] = String(time).split(':');
+        return parseInt(hours) * 60 + (parseInt(minutes) || 0);
+    }
+
+    sectionStudents(course, section) {
+        if (!section) return parseInt(course.expected_students) || 0;
+        return parseInt(section.enrollment_actual) || parseInt(section.capacity) || parseInt(course.expected_students) || 0;
+    }
+
+    componentsOf(breakdown) {
+        return {
+            instructor_cost: breakdown.instructorCosts.total,
+            classroom_cost: breakdown.facilityCosts.total,
+            equipment_cost: breakdown.equipmentCosts.total,
+            overhead_cost: breakdown.overheadCosts.total
+        };
+    }
+
+    addNumbers(sum, value) {
+        const added = { ...sum };
+        Object.keys(value).forEach(key => {
+            if (typeof value[key] === 'number') {
+                added[key] = (added[key] || 0) + value[key];
+            }
+        });
+        return added;
+    }
+
+    /**
+     * Active cost structures keyed the way CostCalculator looks them up
+     */
+    async loadCostStructures(db, departmentId) {
+        const result = await db.query(`
+            SELECT * FROM cost_structures
+            WHERE department_id = $1
+              AND effective_date <= CURRENT_DATE
+              AND (expiration_date IS NULL OR expiration_date >= CURRENT_DATE)
+            ORDER BY effective_date ASC
+        `, [departmentId]);
+
+        const structures = {};
+        result.rows.forEach(row => {
+            structures[row.cost_type.toLowerCase()] = {
+                ...row,
+                rate: parseFloat(row.per_unit_amount) || null
+            };
+        });
+
+        return structures;
+    }
+
+    toNumbers(row, fields) {
+        // pg returns DECIMAL columns as strings, which CostCalculator would concatenate
+        const converted = { ...row };
+        fields.forEach(field => {
+            if (converted[field] !== undefined && converted[field] !== null) {
+                converted[field] = parseFloat(converted[field]);
+            }
+        });
+        return converted;
+    }
+
+    roundAll(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? this.round(value) : null;
+        if (value && typeof value === 'object') {
+            const rounded = {};
+            Object.keys(value).forEach(key => {
+                rounded[key] = this.roundAll(value[key]);
+            });
+            return rounded;
+        }
+        return value;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = CourseCosting;
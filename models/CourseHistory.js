@@ -0,0 +1,89 @@
+/**
+ * Course History for School Budget Management
+ * Numbered revisions of every course change, each with the changed fields and a full snapshot
+ */
+
+class CourseHistory {
+    constructor() {
+        this.changeTypes = {
+            CREATE: 'CREATE',
+            UPDATE: 'UPDATE',
+            ARCHIVE: 'ARCHIVE',
+            RESTORE: 'RESTORE',
+            CLONE: 'CLONE'
+        };
+
+        this.trackedFields = [
+            'name', 'expected_students', 'credit_hours', 'hours_per_week',
+            'instructor_cost', 'classroom_cost', 'equipment_cost', 'overhead_cost', 'cost_basis',
+            'academic_year', 'archived_at'
+        ];
+        this.decimalFields = ['hours_per_week', 'instructor_cost', 'classroom_cost', 'equipment_cost', 'overhead_cost'];
+    }
+
+    /**
+     * Record a revision. The course row must already carry its new revision number.
+     * @param {Object} db - pg client inside the caller's transaction
+     * @param {Object} course - Course row after the change
+     * @param {string} changeType - One of changeTypes
+     * @param {Object} options - before (row before the change), reason, changedBy
+     * @returns {Object} Stored revision
+     */
+    async record(db, course, changeType, { before = null, reason = null, changedBy = null } = {}) {
+        const changes = before ? this.diff(before, course) : null;
+
+        const result = await db.query(`
+            INSERT INTO course_revisions (course_id, revision, change_type, changes, snapshot, reason, changed_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [
+            course.id, course.revision, changeType,
+            changes ? JSON.stringify(changes) : null,
+            JSON.stringify(course),
+            reason, changedBy
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * A course's revisions, newest first
+     */
+    async list(db, courseId) {
+        const result = await db.query(`
+            SELECT r.id, r.revision, r.change_type, r.changes, r.snapshot, r.reason, r.changed_at,
+                   r.changed_by, u.email as changed_by_email
+            FROM course_revisions r
+            LEFT JOIN users u ON r.changed_by = u.id
+            WHERE r.course_id = $1
+            ORDER BY r.revision DESC
+        `, [courseId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Tracked fields whose values differ, as { field: { from, to } }
+     */
+    diff(before, after) {
+        const changes = {};
+        this.trackedFields.forEach(field => {
+            const from = this.normalize(field, before[field]);
+            const to = this.normalize(field, after[field]);
+            if (from !== to) {
+                changes[field] = { from, to };
+            }
+        });
+        return changes;
+    }
+
+    normalize(field, value) {
+        if (value === undefined || value === null) return null;
+        // pg returns DECIMAL columns as strings
+        if (this.decimalFields.includes(field)) return Math.round(parseFloat(value) * 100) / 100;
+        if (value instanceof Date) return value.toISOString();
+        return value;
+    }
+}
+
+module.exports = CourseHistory;
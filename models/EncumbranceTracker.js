@@ -0,0 +1,223 @@
+/**
+ * Encumbrance Tracker for School Budget Management
+ * Separates money committed to courses and scheduled sections from money already spent
+ */
+
+const CourseCosting = require('./CourseCosting');
+const FiscalCalendar = require('./FiscalCalendar');
+
+class EncumbranceTracker {
+    constructor() {
+        this.courseCosting = new CourseCosting();
+        this.fiscalCalendar = new FiscalCalendar();
+
+        this.sourceTypes = {
+            COURSE: 'COURSE',                         // Planned course cost until a section is scheduled
+            SCHEDULE: 'SCHEDULE',                     // Single meetings, before sections existed (history only)
+            SECTION: 'SECTION',                       // Projected cost of a scheduled section
+            EQUIPMENT_PURCHASE: 'EQUIPMENT_PURCHASE'  // Purchases are spent immediately
+        };
+    }
+
+    /**
+     * Commit department funds
+     * @param {Object} db - pg client (inside a transaction) or pool
+     * @param {Object} encumbrance - departmentId, sourceType, sourceId, amount, breakdown, createdBy, status
+     * @returns {Object} Stored encumbrance
+     */
+    async encumber(db, encumbrance) {
+        const result = await db.query(`
+            INSERT INTO encumbrances (department_id, source_type, source_id, amount, cost_breakdown,
+                                      status, created_by, fiscal_period_id, resolved_at)
+            VALUES ($1, $2, $3, $4, $5, $6::varchar, $7, (${this.fiscalCalendar.currentPeriodIdSql}),
+                    CASE WHEN $6::varchar = 'OPEN' THEN NULL ELSE CURRENT_TIMESTAMP END)
+            RETURNING *
+        `, [
+            encumbrance.departmentId,
+            encumbrance.sourceType,
+            encumbrance.sourceId,
+            Math.round(encumbrance.amount * 100) / 100,
+            encumbrance.breakdown ? JSON.stringify(encumbrance.breakdown) : null,
+            encumbrance.status || 'OPEN',
+            encumbrance.createdBy || null
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Release open encumbrances for a source
+     * @returns {Array} Released encumbrances
+     */
+    async release(db, sourceType, sourceId, reason) {
+        const result = await db.query(`
+            UPDATE encumbrances
+            SET status = 'RELEASED', resolved_at = CURRENT_TIMESTAMP, resolution_note = $3
+            WHERE source_type = $1 AND source_id = $2 AND status = 'OPEN'
+            RETURNING *
+        `, [sourceType, sourceId, reason || null]);
+
+        return result.rows;
+    }
+
+    /**
+     * Mark open encumbrances for a source as spent
+     */
+    async liquidate(db, sourceType, sourceId, note) {
+        const result = await db.query(`
+            UPDATE encumbrances
+            SET status = 'LIQUIDATED', resolved_at = CURRENT_TIMESTAMP, resolution_note = $3
+            WHERE source_type = $1 AND source_id = $2 AND status = 'OPEN'
+            RETURNING *
+        `, [sourceType, sourceId, note || null]);
+
+        return result.rows;
+    }
+
+    /**
+     * Project a section's cost the same way its course is priced (see CourseCosting)
+     * @param {Object} db - pg client or pool
+     * @param {Object} section - course_sections row
+     * @returns {Object} { departmentId, course, breakdown }
+     */
+    async projectSectionCost(db, section) {
+        const courseResult = await db.query('SELECT * FROM courses WHERE id = $1', [section.course_id]);
+        const course = courseResult.rows[0];
+
+        const inputs = await this.courseCosting.loadInputs(db, course, section);
+        const { breakdown } = this.courseCosting.calculate(course, inputs);
+
+        return { departmentId: course.department_id, course, breakdown };
+    }
+
+    /**
+     * Encumber a section's projected cost, replacing any earlier projection
+     */
+    async encumberSection(db, section, createdBy) {
+        await this.release(db, this.sourceTypes.SECTION, section.id, 'Re-projected');
+
+        const projection = await this.projectSectionCost(db, section);
+        const encumbrance = await this.encumber(db, {
+            departmentId: projection.departmentId,
+            sourceType: this.sourceTypes.SECTION,
+            sourceId: section.id,
+            amount: projection.breakdown.totalCost,
+            breakdown: projection.breakdown,
+            createdBy
+        });
+
+        await this.syncCourseEncumbrance(db, section.course_id, createdBy);
+
+        return encumbrance;
+    }
+
+    /**
+     * Re-project a section after its instructor, facility or meetings changed.
+     * Only sections still carrying an open encumbrance are re-projected, so completed
+     * sections keep what they spent.
+     */
+    async reprojectSection(db, section, createdBy) {
+        const released = await this.release(db, this.sourceTypes.SECTION, section.id, 'Re-projected');
+        if (released.length === 0) return null;
+
+        return this.encumberSection(db, section, createdBy);
+    }
+
+    /**
+     * Release a section's encumbrance (e.g. when the section is cancelled)
+     */
+    async releaseSection(db, section, reason, createdBy) {
+        const released = await this.release(db, this.sourceTypes.SECTION, section.id, reason);
+        await this.syncCourseEncumbrance(db, section.course_id, createdBy);
+        return released;
+    }
+
+    /**
+     * Keep the course-level placeholder open only while the course has no sections and is not archived
+     */
+    async syncCourseEncumbrance(db, courseId, createdBy) {
+        const courseResult = await db.query(`
+            SELECT c.*,
+                   EXISTS (SELECT 1 FROM course_sections s
+                           WHERE s.course_id = c.id AND s.status != 'CANCELLED') as has_sections,
+                   (SELECT id FROM encumbrances e
+                    WHERE e.source_type = 'COURSE' AND e.source_id = c.id AND e.status = 'OPEN'
+                    LIMIT 1) as open_encumbrance_id
+            FROM courses c
+            WHERE c.id = $1
+        `, [courseId]);
+
+        const course = courseResult.rows[0];
+        if (!course) return null;
+
+        if (course.archived_at && course.open_encumbrance_id) {
+            await this.release(db, this.sourceTypes.COURSE, course.id, 'Course archived');
+        } else if (course.has_sections && course.open_encumbrance_id) {
+            await this.release(db, this.sourceTypes.COURSE, course.id, 'Superseded by scheduled sections');
+        } else if (!course.archived_at && !course.has_sections && !course.open_encumbrance_id && parseFloat(course.total_cost) > 0) {
+            return this.encumber(db, {
+                departmentId: course.department_id,
+                sourceType: this.sourceTypes.COURSE,
+                sourceId: course.id,
+                amount: parseFloat(course.total_cost),
+                createdBy
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Add encumbered, spent and available figures to department rows
+     * @param {Object} db - pg client or pool
+     * @param {Array} departments - Rows with id and budget
+     * @returns {Array} Departments with budget, encumbered, spent and available
+     */
+    async attachFunds(db, departments) {
+        if (departments.length === 0) return departments;
+
+        const result = await db.query(`
+            SELECT department_id,
+                   COALESCE(SUM(amount) FILTER (WHERE status = 'OPEN'), 0) as encumbered,
+                   COALESCE(SUM(amount) FILTER (
+                       WHERE status = 'LIQUIDATED'
+                         AND fiscal_period_id IS NOT DISTINCT FROM (${this.fiscalCalendar.currentPeriodIdSql})
+                   ), 0) as spent
+            FROM encumbrances
+            WHERE department_id = ANY($1)
+            GROUP BY department_id
+        `, [departments.map(dept => dept.id)]);
+
+        const funds = {};
+        result.rows.forEach(row => {
+            funds[row.department_id] = row;
+        });
+
+        return departments.map(dept => {
+            const budget = parseFloat(dept.budget) || 0;
+            const encumbered = funds[dept.id] ? parseFloat(funds[dept.id].encumbered) : 0;
+            const spent = funds[dept.id] ? parseFloat(funds[dept.id].spent) : 0;
+
+            return {
+                ...dept,
+                budget,
+                encumbered,
+                spent,
+                available: Math.round((budget - encumbered - spent) * 100) / 100
+            };
+        });
+    }
+
+    /**
+     * Money a department can still commit
+     */
+    async getAvailable(db, departmentId) {
+        const result = await db.query('SELECT id, name, budget FROM departments WHERE id = $1', [departmentId]);
+        if (result.rows.length === 0) return null;
+
+        const [dept] = await this.attachFunds(db, result.rows);
+        return dept;
+    }
+}
+
+module.exports = EncumbranceTracker;
@@ -0,0 +1,266 @@
+/**
+ * Fiscal Calendar for School Budget Management
+ * Scopes department budgets to fiscal periods and runs the year-end close
+ */
+
+const BudgetLedger = require('./BudgetLedger');
+
+class FiscalCalendar {
+    constructor() {
+        this.ledger = new BudgetLedger();
+
+        this.carryoverPolicies = {
+            NONE: 'NONE',
+            CAPPED_PERCENT: 'CAPPED_PERCENT',
+            FULL: 'FULL'
+        };
+
+        // The open period containing today, falling back to the earliest open period
+        const currentPeriodFilter = `
+            FROM fiscal_periods
+            WHERE status = 'OPEN'
+            ORDER BY (CURRENT_DATE BETWEEN start_date AND end_date) DESC, start_date ASC
+            LIMIT 1
+        `;
+        this.currentPeriodSql = `SELECT * ${currentPeriodFilter}`;
+        this.currentAcademicYearSql = `SELECT academic_year ${currentPeriodFilter}`;
+        this.currentPeriodIdSql = `SELECT id ${currentPeriodFilter}`;
+    }
+
+    /**
+     * Get the period new postings belong to
+     * @returns {Object|null} Current open period, or null when none is open
+     */
+    async getCurrentPeriod(db) {
+        const result = await db.query(this.currentPeriodSql);
+        return result.rows[0] || null;
+    }
+
+    async getPeriodForYear(db, academicYear) {
+        const result = await db.query('SELECT * FROM fiscal_periods WHERE academic_year = $1', [academicYear]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Resolve the period a posting belongs to and whether it may be posted
+     * @param {number} academicYear - Optional explicit academic year
+     * @returns {Object} { allowed, period, message }
+     */
+    async checkPosting(db, academicYear = null) {
+        const period = academicYear
+            ? await this.getPeriodForYear(db, academicYear)
+            : await this.getCurrentPeriod(db);
+
+        if (period && period.status === 'CLOSED') {
+            return { allowed: false, period, message: `Fiscal period ${period.name} is closed` };
+        }
+
+        if (!period && !academicYear) {
+            // Budgets are only unscoped while no fiscal periods have been set up
+            const configured = await db.query('SELECT 1 FROM fiscal_periods LIMIT 1');
+            if (configured.rows.length > 0) {
+                return { allowed: false, period: null, message: 'No open fiscal period' };
+            }
+        }
+
+        return { allowed: true, period, message: null };
+    }
+
+    /**
+     * Amount of an unspent balance that rolls into the next period
+     */
+    calculateCarryover(policy, unspent, periodBudget, percent = 0) {
+        const available = Math.max(0, unspent);
+
+        switch (policy) {
+            case this.carryoverPolicies.FULL:
+                return this.ledger.roundAmount(available);
+            case this.carryoverPolicies.CAPPED_PERCENT:
+                return this.ledger.roundAmount(Math.min(available, Math.max(0, periodBudget) * (percent / 100)));
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Close a fiscal period and roll balances into the next one.
+     * Must run inside a transaction; the period row should already be locked.
+     * @param {Object} client - pg client inside a transaction
+     * @param {Object} period - Period being closed
+     * @param {Object} options - policy, percent, nextPeriod
+     * @param {number} userId - User performing the close
+     * @returns {Object} Closing report
+     */
+    async closePeriod(client, period, options, userId) {
+        const { policy, percent = 0, nextPeriod } = options;
+
+        // Courses created before fiscal periods existed belong to the period being closed
+        await client.query(
+            'UPDATE courses SET academic_year = $1 WHERE academic_year IS NULL',
+            [period.academic_year]
+        );
+
+        // Commitments that were never spent lapse with the period
+        await client.query(`
+            UPDATE encumbrances
+            SET status = 'RELEASED', resolved_at = CURRENT_TIMESTAMP, resolution_note = $1
+            WHERE status = 'OPEN' AND (fiscal_period_id = $2 OR fiscal_period_id IS NULL)
+        `, [`Fiscal period ${period.name} closed`, period.id]);
+
+        // Transfers still waiting on approval lapse with the period
+        const cancelled = await client.query(`
+            UPDATE transfers
+            SET status = 'CANCELLED', status_comment = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE fiscal_period_id = $2 AND status IN ('PENDING', 'APPROVED')
+            RETURNING id
+        `, [`Fiscal period ${period.name} closed`, period.id]);
+
+        const departments = await client.query(`
+            SELECT d.id, d.name, d.budget,
+                   dpb.opening_budget,
+                   (SELECT COALESCE(SUM(total_cost), 0) FROM courses
+                    WHERE department_id = d.id AND academic_year = $1 AND archived_at IS NULL) as committed,
+                   (SELECT COALESCE(SUM(purchase_cost), 0) FROM equipment
+                    WHERE department_id = d.id AND purchase_date BETWEEN $2 AND $3) as equipment_spent
+            FROM departments d
+            LEFT JOIN department_period_budgets dpb ON dpb.department_id = d.id AND dpb.fiscal_period_id = $4
+            ORDER BY d.name
+            FOR UPDATE OF d
+        `, [period.academic_year, period.start_date, period.end_date, period.id]);
+
+        const report = {
+            periodId: period.id,
+            period: period.name,
+            academicYear: period.academic_year,
+            nextPeriodId: nextPeriod.id,
+            nextPeriod: nextPeriod.name,
+            carryoverPolicy: policy,
+            carryoverPercent: policy === this.carryoverPolicies.CAPPED_PERCENT ? percent : null,
+            cancelledTransferIds: cancelled.rows.map(row => row.id),
+            departments: [],
+            totals: {
+                budget: 0,
+                committed: 0,
+                equipmentSpent: 0,
+                unspent: 0,
+                carriedOver: 0,
+                lapsed: 0
+            }
+        };
+
+        for (const dept of departments.rows) {
+            const budget = parseFloat(dept.budget);
+            const committed = parseFloat(dept.committed);
+            const equipmentSpent = parseFloat(dept.equipment_spent);
+            const unspent = this.ledger.roundAmount(budget - committed - equipmentSpent);
+            const carriedOver = this.calculateCarryover(policy, unspent, budget, percent);
+            const lapsed = this.ledger.roundAmount(Math.max(0, unspent) - carriedOver);
+
+            // Zero the department's ledger accounts back to district funding inside the closing period
+            const balances = await this.ledger.getBalances(client, dept.id);
+            const closingLines = [];
+            let closingTotal = 0;
+            this.ledger.departmentAccounts.forEach(account => {
+                const balance = balances[account];
+                if (balance === 0) return;
+                closingLines.push(balance > 0
+                    ? { account, departmentId: dept.id, debit: 0, credit: balance }
+                    : { account, departmentId: dept.id, debit: -balance, credit: 0 });
+                closingTotal += balance;
+            });
+            closingTotal = this.ledger.roundAmount(closingTotal);
+            if (closingTotal !== 0) {
+                closingLines.push(closingTotal > 0
+                    ? { account: this.ledger.accounts.DISTRICT_FUNDING, debit: closingTotal, credit: 0 }
+                    : { account: this.ledger.accounts.DISTRICT_FUNDING, debit: 0, credit: -closingTotal });
+            }
+
+            await this.ledger.postJournal(client, {
+                type: this.ledger.journalTypes.ADJUSTMENT,
+                memo: `Year-end close of ${period.name}`,
+                referenceType: 'FISCAL_PERIOD',
+                referenceId: period.id,
+                fiscalPeriodId: period.id,
+                createdBy: userId,
+                lines: closingLines
+            });
+
+            // The carryover opens the next period's budget
+            await this.ledger.postJournal(client, {
+                type: this.ledger.journalTypes.ALLOCATION,
+                memo: `Carryover from ${period.name}`,
+                referenceType: 'FISCAL_PERIOD',
+                referenceId: period.id,
+                fiscalPeriodId: nextPeriod.id,
+                createdBy: userId,
+                lines: this.ledger.movement(
+                    { account: this.ledger.accounts.DEPARTMENT_FUNDS, departmentId: dept.id },
+                    { account: this.ledger.accounts.DISTRICT_FUNDING },
+                    carriedOver
+                )
+            });
+
+            await client.query(
+                'UPDATE departments SET budget = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [carriedOver, dept.id]
+            );
+
+            await client.query(`
+                INSERT INTO department_period_budgets (fiscal_period_id, department_id, opening_budget, closing_budget,
+                                                       committed, equipment_spent, unspent, carryover_out, lapsed)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                ON CONFLICT (fiscal_period_id, department_id) DO UPDATE
+                SET closing_budget = EXCLUDED.closing_budget,
+                    committed = EXCLUDED.committed,
+                    equipment_spent = EXCLUDED.equipment_spent,
+                    unspent = EXCLUDED.unspent,
+                    carryover_out = EXCLUDED.carryover_out,
+                    lapsed = EXCLUDED.lapsed
+            `, [period.id, dept.id, dept.opening_budget === null ? budget : dept.opening_budget,
+                budget, committed, equipmentSpent, unspent, carriedOver, lapsed]);
+
+            await client.query(`
+                INSERT INTO department_period_budgets (fiscal_period_id, department_id, opening_budget, carryover_in)
+                VALUES ($1, $2, $3, $3)
+                ON CONFLICT (fiscal_period_id, department_id) DO UPDATE
+                SET opening_budget = EXCLUDED.opening_budget,
+                    carryover_in = EXCLUDED.carryover_in
+            `, [nextPeriod.id, dept.id, carriedOver]);
+
+            report.departments.push({
+                departmentId: dept.id,
+                department: dept.name,
+                openingBudget: dept.opening_budget === null ? budget : parseFloat(dept.opening_budget),
+                closingBudget: budget,
+                committed,
+                equipmentSpent,
+                unspent,
+                carriedOver,
+                lapsed,
+                overspent: unspent < 0
+            });
+
+            report.totals.budget += budget;
+            report.totals.committed += committed;
+            report.totals.equipmentSpent += equipmentSpent;
+            report.totals.unspent += unspent;
+            report.totals.carriedOver += carriedOver;
+            report.totals.lapsed += lapsed;
+        }
+
+        Object.keys(report.totals).forEach(key => {
+            report.totals[key] = this.ledger.roundAmount(report.totals[key]);
+        });
+
+        await client.query(`
+            UPDATE fiscal_periods
+            SET status = 'CLOSED', carryover_policy = $1, carryover_percent = $2,
+                closing_report = $3, closed_by = $4, closed_at = CURRENT_TIMESTAMP
+            WHERE id = $5
+        `, [policy, report.carryoverPercent, JSON.stringify(report), userId, period.id]);
+
+        return report;
+    }
+}
+
+module.exports = FiscalCalendar;
@@ -0,0 +1,168 @@
+/**
+ * Impersonation Manager for School Budget Management
+ * Time-limited "view as user" sessions for administrators, and the log of every request made in them
+ */
+
+const jwt = require('jsonwebtoken');
+
+class ImpersonationManager {
+    constructor() {
+        this.defaultMinutes = parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES) || 30;
+        this.maxMinutes = parseInt(process.env.IMPERSONATION_MAX_MINUTES) || 60;
+    }
+
+    /**
+     * Start impersonating a user. The token is tied to the administrator's own session, so signing
+     * out (or having that session revoked) ends the impersonation too.
+     * @param {Object} db - pg client inside a transaction
+     * @param {Object} admin - { id, sessionId }
+     * @param {Object} target - User row being impersonated
+     * @param {Object} options - reason, readOnly, minutes
+     * @param {Object} meta - userAgent, ipAddress
+     * @returns {Object} { token, impersonation }
+     */
+    async start(db, admin, target, { reason, readOnly = true, minutes }, meta = {}) {
+        const duration = Math.min(Math.max(parseInt(minutes) || this.defaultMinutes, 1), this.maxMinutes);
+
+        // An administrator views as one user at a time
+        await db.query(`
+            UPDATE impersonation_sessions SET ended_at = CURRENT_TIMESTAMP, ended_by = $1
+            WHERE admin_id = $1 AND ended_at IS NULL
+        `, [admin.id]);
+
+        const result = await db.query(`
+            INSERT INTO impersonation_sessions
+                (admin_id, target_user_id, admin_session_id, reason, read_only, expires_at, ip_address, user_agent)
+            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + ($6 || ' minutes')::interval, $7, $8)
+            RETURNING *
+        `, [admin.id, target.id, admin.sessionId, reason, readOnly, duration, meta.ipAddress || null, meta.userAgent || null]);
+
+        const impersonation = result.rows[0];
+
+        const token = jwt.sign(
+            {
+                userId: target.id,
+                email: target.email,
+                role: target.role,
+                departmentId: target.department_id,
+                sessionId: admin.sessionId,
+                impersonationId: impersonation.id
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: duration * 60 }
+        );
+
+        return { token, impersonation: this.format(impersonation) };
+    }
+
+    /**
+     * The impersonation behind a token, with the administrator's details
+     * @returns {Object|null} Null once it has ended or expired, or if it was started from another session
+     */
+    async getActive(db, impersonationId, adminSessionId) {
+        const result = await db.query(`
+            SELECT i.*, a.email as admin_email, a.role as admin_role
+            FROM impersonation_sessions i
+            JOIN users a ON a.id = i.admin_id
+            WHERE i.id = $1 AND i.admin_session_id = $2
+              AND i.ended_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+        `, [impersonationId, adminSessionId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * @returns {Object|null} The ended impersonation, or null when it was unknown or already over
+     */
+    async end(db, impersonationId, endedBy) {
+        const result = await db.query(`
+            UPDATE impersonation_sessions SET ended_at = CURRENT_TIMESTAMP, ended_by = $1
+            WHERE id = $2 AND ended_at IS NULL
+            RETURNING *
+        `, [endedBy, impersonationId]);
+
+        return result.rows[0] ? this.format(result.rows[0]) : null;
+    }
+
+    /**
+     * Record a request made while impersonating, with both the real and the effective user
+     */
+    async logRequest(db, entry) {
+        await db.query(`
+            INSERT INTO impersonation_requests
+                (impersonation_id, admin_id, user_id, method, path, status_code, request_id, ip_address)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+            entry.impersonationId, entry.adminId, entry.userId, entry.method,
+            String(entry.path).substring(0, 500), entry.statusCode || null,
+            entry.requestId || null, entry.ipAddress || null
+        ]);
+    }
+
+    /**
+     * Recent impersonations, newest first, with how many requests each made
+     */
+    async list(db, { adminId, targetUserId, limit = 50 } = {}) {
+        let query = `
+            SELECT i.*, a.email as admin_email, t.email as target_email,
+                   (SELECT COUNT(*) FROM impersonation_requests r WHERE r.impersonation_id = i.id) as request_count
+            FROM impersonation_sessions i
+            JOIN users a ON a.id = i.admin_id
+            JOIN users t ON t.id = i.target_user_id
+            WHERE 1=1
+        `;
+        const queryParams = [];
+        let paramCount = 0;
+
+        if (adminId) {
+            paramCount++;
+            query += ` AND i.admin_id = $${paramCount}`;
+            queryParams.push(adminId);
+        }
+
+        if (targetUserId) {
+            paramCount++;
+            query += ` AND i.target_user_id = $${paramCount}`;
+            queryParams.push(targetUserId);
+        }
+
+        paramCount++;
+        query += ` ORDER BY i.started_at DESC LIMIT $${paramCount}`;
+        queryParams.push(limit);
+
+        const result = await db.query(query, queryParams);
+        return result.rows.map(row => ({
+            ...this.format(row),
+            admin_email: row.admin_email,
+            target_email: row.target_email,
+            request_count: parseInt(row.request_count)
+        }));
+    }
+
+    async listRequests(db, impersonationId) {
+        const result = await db.query(`
+            SELECT id, method, path, status_code, request_id, ip_address, occurred_at
+            FROM impersonation_requests
+            WHERE impersonation_id = $1
+            ORDER BY occurred_at, id
+        `, [impersonationId]);
+
+        return result.rows;
+    }
+
+    format(impersonation) {
+        return {
+            id: impersonation.id,
+            admin_id: impersonation.admin_id,
+            target_user_id: impersonation.target_user_id,
+            reason: impersonation.reason,
+            read_only: impersonation.read_only,
+            started_at: impersonation.started_at,
+            expires_at: impersonation.expires_at,
+            ended_at: impersonation.ended_at,
+            active: !impersonation.ended_at && new Date(impersonation.expires_at) > new Date()
+        };
+    }
+}
+
+module.exports = ImpersonationManager;
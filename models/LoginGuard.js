@@ -0,0 +1,132 @@
+/**
+ * Login Guard for School Budget Management
+ * Per-account failed sign-in tracking with progressive lockout, and the login history
+ */
+
+class LoginGuard {
+    constructor() {
+        // Failures allowed before the first lockout
+        this.threshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+        // The lockout doubles with every failure past the threshold, up to the maximum
+        this.baseLockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1;
+        this.maxLockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+        this.methods = {
+            PASSWORD: 'PASSWORD',
+            OIDC: 'OIDC'
+        };
+    }
+
+    /**
+     * Whether an account is currently locked out
+     * @param {Object} user - Row with locked_until
+     * @returns {Object} { locked, retryAfterSeconds }
+     */
+    getLockout(user) {
+        const lockedUntil = user.locked_until ? new Date(user.locked_until) : null;
+        if (!lockedUntil || lockedUntil <= new Date()) {
+            return { locked: false, retryAfterSeconds: 0 };
+        }
+
+        return { locked: true, retryAfterSeconds: Math.ceil((lockedUntil - Date.now()) / 1000) };
+    }
+
+    /**
+     * Count a failed attempt, locking the account once the threshold is reached
+     * @returns {Object} { failedCount, locked, lockoutMinutes }
+     */
+    async recordFailure(db, userId) {
+        const result = await db.query(`
+            UPDATE users
+            SET failed_login_count = failed_login_count + 1, last_failed_login_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING failed_login_count
+        `, [userId]);
+
+        const failedCount = result.rows[0] ? result.rows[0].failed_login_count : 0;
+        const lockoutMinutes = this.getLockoutMinutes(failedCount);
+
+        if (lockoutMinutes > 0) {
+            await db.query(
+                `UPDATE users SET locked_until = CURRENT_TIMESTAMP + ($1 || ' minutes')::interval WHERE id = $2`,
+                [lockoutMinutes, userId]
+            );
+        }
+
+        return { failedCount, locked: lockoutMinutes > 0, lockoutMinutes };
+    }
+
+    /**
+     * Lockout length after a number of consecutive failures (0 below the threshold)
+     */
+    getLockoutMinutes(failedCount) {
+        if (failedCount < this.threshold) {
+            return 0;
+        }
+
+        const doublings = Math.min(failedCount - this.threshold, 30);
+        return Math.min(this.baseLockoutMinutes * (2 ** doublings), this.maxLockoutMinutes);
+    }
+
+    async recordSuccess(db, userId) {
+        await db.query(
+            'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1',
+            [userId]
+        );
+    }
+
+    /**
+     * Clear a lockout and the failure count
+     * @param {Object} db - pg client inside a transaction
+     * @returns {Object|null} The account's state before the unlock, or null for an unknown user
+     */
+    async unlock(db, userId) {
+        const result = await db.query(
+            'SELECT failed_login_count, locked_until FROM users WHERE id = $1 FOR UPDATE',
+            [userId]
+        );
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        await this.recordSuccess(db, userId);
+        return result.rows[0];
+    }
+
+    /**
+     * Add an entry to the login history
+     * @param {Object} attempt - userId, email, method, success, mfaUsed, failureReason
+     * @param {Object} meta - userAgent, ipAddress
+     */
+    async recordAttempt(db, attempt, meta = {}) {
+        await db.query(`
+            INSERT INTO login_history (user_id, email, method, success, mfa_used, failure_reason, ip_address, user_agent)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+            attempt.userId || null,
+            attempt.email ? String(attempt.email).substring(0, 255) : null,
+            attempt.method || this.methods.PASSWORD,
+            Boolean(attempt.success),
+            Boolean(attempt.mfaUsed),
+            attempt.failureReason || null,
+            meta.ipAddress || null,
+            meta.userAgent || null
+        ]);
+    }
+
+    /**
+     * A user's most recent sign-in attempts, newest first
+     */
+    async listHistory(db, userId, limit = 20) {
+        const result = await db.query(`
+            SELECT id, attempted_at, method, success, mfa_used, failure_reason, ip_address, user_agent
+            FROM login_history
+            WHERE user_id = $1
+            ORDER BY attempted_at DESC, id DESC
+            LIMIT $2
+        `, [userId, limit]);
+
+        return result.rows;
+    }
+}
+
+module.exports = LoginGuard;
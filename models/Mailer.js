@@ -0,0 +1,111 @@
+/**
+ * Mailer for School Budget Management
+ * Sends account email through a pluggable transport. The built-in console and file transports
+ * stand in for a real mail service during development; they write single-use links where anyone
+ * with access to the logs or disk can read them, so they must be chosen explicitly and are
+ * refused in production.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class Mailer {
+    constructor() {
+        this.from = process.env.MAIL_FROM || 'School Budget <no-reply@school.edu>';
+        this.transportName = process.env.MAIL_TRANSPORT || null;
+        this.production = process.env.NODE_ENV === 'production';
+        this.outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+        this.appUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+        this.transports = {
+            console: message => this.sendToConsole(message),
+            file: message => this.sendToFile(message)
+        };
+        this.developmentTransports = ['console', 'file'];
+    }
+
+    /**
+     * Why email cannot be sent with the current settings
+     * @returns {string|null} The problem, or null when a usable transport is configured
+     */
+    configurationError() {
+        if (!this.transportName) {
+            return 'No mail transport configured; set MAIL_TRANSPORT';
+        }
+        if (!this.transports[this.transportName]) {
+            return `Unknown mail transport: ${this.transportName}`;
+        }
+        if (this.production && this.developmentTransports.includes(this.transportName)) {
+            return `The ${this.transportName} mail transport is for development only and cannot be used in production`;
+        }
+        return null;
+    }
+
+    /**
+     * Register a transport, e.g. an SMTP or API-backed sender
+     * @param {string} name - Name used in MAIL_TRANSPORT
+     * @param {Function} send - async (message) => void
+     */
+    registerTransport(name, send) {
+        this.transports[name] = send;
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - to, subject, text
+     */
+    async send(message) {
+        const problem = this.configurationError();
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        await this.transports[this.transportName]({
+            from: this.from,
+            date: new Date().toISOString(),
+            ...message
+        });
+    }
+
+    /**
+     * Build a link into the client application
+     */
+    link(pathname, params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return `${this.appUrl}${pathname}${query ? `?${query}` : ''}`;
+    }
+
+    async sendToConsole(message) {
+        console.log([
+            '----- Outgoing email -----',
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            '',
+            message.text,
+            '--------------------------'
+        ].join('\n'));
+    }
+
+    async sendToFile(message) {
+        await fs.promises.mkdir(this.outboxDir, { recursive: true });
+
+        const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const fileName = `${Date.now()}-${safeRecipient}.eml`;
+        const contents = [
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Date: ${message.date}`,
+            `Subject: ${message.subject}`,
+            '',
+            message.text,
+            ''
+        ].join('\r\n');
+
+        await fs.promises.writeFile(path.join(this.outboxDir, fileName), contents, { mode: 0o600 });
+    }
+}
+
+// Shared instance so transports registered at startup are used everywhere
+module.exports = new Mailer();
+module.exports.Mailer = Mailer;
@@ -0,0 +1,384 @@
+/**
+ * MFA Manager for School Budget Management
+ * TOTP (RFC 6238) enrolment and verification with single-use recovery codes
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class MfaManager {
+    constructor() {
+        this.issuer = process.env.MFA_ISSUER || 'School Budget Management';
+        this.digits = 6;
+        this.periodSeconds = 30;
+        // Accept codes from one step either side to allow for clock drift
+        this.window = 1;
+        this.recoveryCodeCount = 10;
+        this.maxFailedAttempts = 5;
+        this.lockoutMinutes = 5;
+        this.challengeExpiresIn = '5m';
+        this.stages = {
+            VERIFY: 'verify',
+            ENROLL: 'enroll'
+        };
+
+        // Secrets are encrypted at rest; the key defaults to one derived from the JWT secret
+        this.encryptionKey = crypto.createHash('sha256')
+            .update(String(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || ''))
+            .digest();
+    }
+
+    /**
+     * Enrolment state for a user
+     * @returns {Object} { enrolled, pending, enabledAt, recoveryCodesRemaining }
+     */
+    async getStatus(db, userId) {
+        const result = await db.query(`
+            SELECT m.enabled_at,
+                   (SELECT COUNT(*) FROM mfa_recovery_codes rc
+                    WHERE rc.user_id = m.user_id AND rc.used_at IS NULL) as recovery_codes_remaining
+            FROM user_mfa m
+            WHERE m.user_id = $1
+        `, [userId]);
+
+        const row = result.rows[0];
+        return {
+            enrolled: Boolean(row && row.enabled_at),
+            pending: Boolean(row && !row.enabled_at),
+            enabledAt: row ? row.enabled_at : null,
+            recoveryCodesRemaining: row ? parseInt(row.recovery_codes_remaining) : 0
+        };
+    }
+
+    /**
+     * Decide whether a user who has just proved their password still owes a second factor
+     * @returns {string|null} VERIFY for enrolled users, ENROLL when their role requires MFA, otherwise null
+     */
+    async getLoginStage(db, user) {
+        const status = await this.getStatus(db, user.id);
+        if (status.enrolled) {
+            return this.stages.VERIFY;
+        }
+
+        return (await this.isRequiredForRole(db, user.role)) ? this.stages.ENROLL : null;
+    }
+
+    /**
+     * Short-lived token standing in for a half-finished login. It carries no session, so it is
+     * never accepted as an access token.
+     */
+    issueChallengeToken(user, stage, options = {}) {
+        return jwt.sign(
+            {
+                purpose: 'mfa_challenge',
+                userId: user.id,
+                stage,
+                method: options.method || null,
+                redirectTo: options.redirectTo || null
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: this.challengeExpiresIn }
+        );
+    }
+
+    /**
+     * @returns {Object|null} { userId, stage, method, redirectTo }, or null when the token is invalid or expired
+     */
+    readChallengeToken(token, stage) {
+        try {
+            const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+            if (decoded.purpose !== 'mfa_challenge' || decoded.stage !== stage) {
+                return null;
+            }
+            return {
+                userId: decoded.userId,
+                stage: decoded.stage,
+                method: decoded.method || null,
+                redirectTo: decoded.redirectTo || null
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether a role must use MFA
+     */
+    async isRequiredForRole(db, role) {
+        const result = await db.query('SELECT mfa_required FROM roles WHERE name = $1', [role]);
+        return Boolean(result.rows[0] && result.rows[0].mfa_required);
+    }
+
+    /**
+     * Start (or restart) enrolment with a fresh secret. Has no effect on an enrolled user.
+     * @returns {Object|null} { secret, otpauthUri }, or null when the user is already enrolled
+     */
+    async beginEnrolment(db, user) {
+        const secret = this.generateSecret();
+
+        const result = await db.query(`
+            INSERT INTO user_mfa (user_id, secret_encrypted)
+            VALUES ($1, $2)
+            ON CONFLICT (user_id) DO UPDATE
+            SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL,
+                failed_attempts = 0, locked_until = NULL, created_at = CURRENT_TIMESTAMP
+            WHERE user_mfa.enabled_at IS NULL
+            RETURNING user_id
+        `, [user.id, this.encrypt(secret)]);
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        return { secret, otpauthUri: this.getProvisioningUri(user.email, secret) };
+    }
+
+    /**
+     * Finish enrolment by proving the authenticator app produces valid codes
+     * @param {Object} db - pg client inside a transaction
+     * @returns {Object} { ok, message, recoveryCodes }
+     */
+    async confirmEnrolment(db, userId, code) {
+        const result = await db.query('SELECT * FROM user_mfa WHERE user_id = $1 FOR UPDATE', [userId]);
+        const mfa = result.rows[0];
+
+        if (!mfa || mfa.enabled_at) {
+            return { ok: false, message: mfa ? 'MFA is already enabled' : 'Start MFA enrolment first' };
+        }
+
+        const check = await this.checkTotp(db, mfa, code);
+        if (!check.ok) {
+            return check;
+        }
+
+        await db.query('UPDATE user_mfa SET enabled_at = CURRENT_TIMESTAMP WHERE user_id = $1', [userId]);
+        const recoveryCodes = await this.replaceRecoveryCodes(db, userId);
+
+        return { ok: true, recoveryCodes };
+    }
+
+    /**
+     * Check a TOTP or recovery code for an enrolled user
+     * @param {Object} db - pg client inside a transaction
+     * @returns {Object} { ok, method, message }
+     */
+    async verify(db, userId, code) {
+        const result = await db.query(
+            'SELECT * FROM user_mfa WHERE user_id = $1 AND enabled_at IS NOT NULL FOR UPDATE',
+            [userId]
+        );
+        const mfa = result.rows[0];
+
+        if (!mfa) {
+            return { ok: false, message: 'MFA is not enabled for this account' };
+        }
+
+        const normalized = String(code || '').replace(/\s+/g, '');
+
+        // Recovery codes are longer than TOTP codes and contain a hyphen
+        if (normalized.includes('-')) {
+            if (this.isLocked(mfa)) {
+                return { ok: false, locked: true, message: 'Too many failed attempts; try again later' };
+            }
+
+            const used = await db.query(`
+                UPDATE mfa_recovery_codes
+                SET used_at = CURRENT_TIMESTAMP
+                WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+                RETURNING id
+            `, [userId, this.hashCode(normalized.toLowerCase())]);
+
+            if (used.rows.length === 0) {
+                return this.recordFailure(db, mfa);
+            }
+
+            await db.query('UPDATE user_mfa SET failed_attempts = 0, locked_until = NULL WHERE user_id = $1', [userId]);
+            return { ok: true, method: 'recovery_code' };
+        }
+
+        const check = await this.checkTotp(db, mfa, normalized);
+        return check.ok ? { ok: true, method: 'totp' } : check;
+    }
+
+    /**
+     * Issue a new set of recovery codes, invalidating the old ones
+     * @returns {Array} Plain-text codes; only their hashes are stored
+     */
+    async replaceRecoveryCodes(db, userId) {
+        await db.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+        const codes = [];
+        for (let i = 0; i < this.recoveryCodeCount; i++) {
+            const raw = crypto.randomBytes(5).toString('hex');
+            const code = `${raw.substring(0, 5)}-${raw.substring(5)}`;
+            codes.push(code);
+
+            await db.query(
+                'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+                [userId, this.hashCode(code)]
+            );
+        }
+
+        return codes;
+    }
+
+    /**
+     * Remove a user's authenticator and recovery codes
+     * @returns {boolean} Whether anything was removed
+     */
+    async disable(db, userId) {
+        await db.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+        const result = await db.query('DELETE FROM user_mfa WHERE user_id = $1', [userId]);
+        return result.rowCount > 0;
+    }
+
+    async checkTotp(db, mfa, code) {
+        if (this.isLocked(mfa)) {
+            return { ok: false, locked: true, message: 'Too many failed attempts; try again later' };
+        }
+
+        const step = this.matchCode(this.decrypt(mfa.secret_encrypted), code);
+
+        // A code can only be used once, so a captured code cannot be replayed within its window
+        if (step === null || (mfa.last_used_step !== null && step <= parseInt(mfa.last_used_step))) {
+            return this.recordFailure(db, mfa);
+        }
+
+        await db.query(`
+            UPDATE user_mfa SET last_used_step = $1, failed_attempts = 0, locked_until = NULL
+            WHERE user_id = $2
+        `, [step, mfa.user_id]);
+
+        return { ok: true };
+    }
+
+    async recordFailure(db, mfa) {
+        const attempts = mfa.failed_attempts + 1;
+        const locked = attempts >= this.maxFailedAttempts;
+
+        await db.query(`
+            UPDATE user_mfa
+            SET failed_attempts = $1,
+                locked_until = CASE WHEN $2 THEN CURRENT_TIMESTAMP + ($3 || ' minutes')::interval ELSE locked_until END
+            WHERE user_id = $4
+        `, [locked ? 0 : attempts, locked, this.lockoutMinutes, mfa.user_id]);
+
+        return {
+            ok: false,
+            locked,
+            message: locked ? 'Too many failed attempts; try again later' : 'Invalid verification code'
+        };
+    }
+
+    isLocked(mfa) {
+        return Boolean(mfa.locked_until && new Date(mfa.locked_until) > new Date());
+    }
+
+    /**
+     * Find the time step a code belongs to
+     * @returns {number|null} The matching step within the drift window, or null
+     */
+    matchCode(secret, code, now = Date.now()) {
+        if (!/^\d+$/.test(String(code)) || String(code).length !== this.digits) {
+            return null;
+        }
+
+        const current = Math.floor(now / 1000 / this.periodSeconds);
+        for (let offset = -this.window; offset <= this.window; offset++) {
+            const expected = this.generateCode(secret, current + offset);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+                return current + offset;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * HOTP value (RFC 4226) for a base32 secret and counter
+     */
+    generateCode(secret, counter) {
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigUInt64BE(BigInt(counter));
+
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(buffer).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** this.digits);
+
+        return String(binary).padStart(this.digits, '0');
+    }
+
+    generateSecret() {
+        return this.base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * otpauth:// URI that authenticator apps read from a QR code
+     */
+    getProvisioningUri(email, secret) {
+        const label = encodeURIComponent(`${this.issuer}:${email}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: 'SHA1',
+            digits: String(this.digits),
+            period: String(this.periodSeconds)
+        });
+
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    base32Encode(buffer) {
+        let bits = '';
+        for (const byte of buffer) {
+            bits += byte.toString(2).padStart(8, '0');
+        }
+
+        let output = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+        }
+        return output;
+    }
+
+    base32Decode(value) {
+        let bits = '';
+        for (const char of String(value).toUpperCase().replace(/=+$/, '')) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('Invalid base32 secret');
+            }
+            bits += index.toString(2).padStart(5, '0');
+        }
+
+        const bytes = [];
+        for (let i = 0; i + 8 <= bits.length; i += 8) {
+            bytes.push(parseInt(bits.substring(i, i + 8), 2));
+        }
+        return Buffer.from(bytes);
+    }
+
+    encrypt(plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+        const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+    }
+
+    decrypt(stored) {
+        const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+        decipher.setAuthTag(tag);
+
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    }
+
+    hashCode(code) {
+        return crypto.createHash('sha256').update(String(code)).digest('hex');
+    }
+}
+
+module.exports = MfaManager;
@@ -0,0 +1,414 @@
+/**
+ * OpenID Connect Client for School Budget Management
+ * Authorization-code + PKCE login against an external identity provider,
+ * ID token validation against the issuer's JWKS and just-in-time user provisioning
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+class OidcClient {
+    constructor() {
+        this.issuer = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+        this.clientId = process.env.OIDC_CLIENT_ID;
+        this.clientSecret = process.env.OIDC_CLIENT_SECRET || null;
+        this.redirectUri = process.env.OIDC_REDIRECT_URI || 'http://localhost:3000/auth/callback';
+        this.scopes = process.env.OIDC_SCOPES || 'openid email profile groups';
+        this.roleClaim = process.env.OIDC_ROLE_CLAIM || 'groups';
+        this.departmentClaim = process.env.OIDC_DEPARTMENT_CLAIM || 'department';
+        this.defaultRole = process.env.OIDC_DEFAULT_ROLE || 'USER';
+
+        // Highest privilege wins when a user is in several mapped groups
+        this.rolePriority = ['ADMIN', 'DEPARTMENT_HEAD', 'TEACHER', 'USER'];
+        this.roleMapping = this.parseRoleMapping(process.env.OIDC_ROLE_MAPPING);
+
+        this.requestTtlMinutes = 10;
+        this.jwksCacheMs = 60 * 60 * 1000;
+        this.clockToleranceSeconds = 60;
+
+        this.metadata = null;
+        this.jwks = null;
+        this.jwksFetchedAt = 0;
+    }
+
+    isConfigured() {
+        return Boolean(this.issuer && this.clientId);
+    }
+
+    /**
+     * Start a login: store state, nonce and PKCE challenge, and build the authorization URL.
+     * The verifier is only handed to the browser that asked, which must present it to finish.
+     * @param {Object} db - pg client or pool
+     * @param {string} redirectTo - Client path to return to after login
+     * @returns {Object} { authorizationUrl, state, codeVerifier, expiresAt }
+     */
+    async createAuthorizationRequest(db, redirectTo = null) {
+        const metadata = await this.discover();
+
+        const state = this.randomToken(32);
+        const nonce = this.randomToken(32);
+        const codeVerifier = this.randomToken(48);
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+        const result = await db.query(`
+            INSERT INTO oidc_login_requests (state, nonce, code_challenge, redirect_to, expires_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' minutes')::interval)
+            RETURNING expires_at
+        `, [state, nonce, codeChallenge, redirectTo, this.requestTtlMinutes]);
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: this.redirectUri,
+            scope: this.scopes,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+
+        return {
+            authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+            state,
+            codeVerifier,
+            expiresAt: result.rows[0].expires_at
+        };
+    }
+
+    /**
+     * Finish a login: consume the stored request, redeem the code and validate the ID token
+     * @param {string} codeVerifier - PKCE verifier held by the browser that started the login
+     * @returns {Object} { claims, redirectTo }
+     */
+    async completeAuthorization(db, code, state, codeVerifier) {
+        // Each state can only be redeemed once
+        const requestResult = await db.query(`
+            DELETE FROM oidc_login_requests
+            WHERE state = $1
+            RETURNING *, expires_at > CURRENT_TIMESTAMP as is_valid
+        `, [state]);
+
+        const request = requestResult.rows[0];
+        if (!request || !request.is_valid) {
+            throw new OidcError('Login request is invalid or has expired');
+        }
+
+        // A code and state replayed into another browser arrive without the matching verifier
+        const challenge = crypto.createHash('sha256').update(String(codeVerifier)).digest('base64url');
+        const expected = Buffer.from(request.code_challenge || '');
+        if (expected.length !== challenge.length || !crypto.timingSafeEqual(expected, Buffer.from(challenge))) {
+            throw new OidcError('This login was not started in this browser');
+        }
+
+        const metadata = await this.discover();
+
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri,
+            client_id: this.clientId,
+            code_verifier: codeVerifier
+        });
+        if (this.clientSecret) {
+            body.set('client_secret', this.clientSecret);
+        }
+
+        const response = await fetch(metadata.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            body: body.toString()
+        });
+        const tokens = await response.json().catch(() => ({}));
+
+        if (!response.ok || !tokens.id_token) {
+            throw new OidcError(`Token exchange failed: ${tokens.error_description || tokens.error || response.status}`);
+        }
+
+        const claims = await this.verifyIdToken(tokens.id_token, request.nonce);
+
+        return { claims, redirectTo: request.redirect_to };
+    }
+
+    /**
+     * Validate an ID token's signature, issuer, audience, expiry and nonce
+     * @returns {Object} Verified claims
+     */
+    async verifyIdToken(idToken, expectedNonce) {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded || !decoded.header) {
+            throw new OidcError('ID token is malformed');
+        }
+
+        const jwk = await this.getSigningKey(decoded.header.kid);
+        const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+        let claims;
+        try {
+            claims = jwt.verify(idToken, publicKey, {
+                algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384'],
+                issuer: this.issuer,
+                audience: this.clientId,
+                clockTolerance: this.clockToleranceSeconds
+            });
+        } catch (error) {
+            throw new OidcError(`ID token rejected: ${error.message}`);
+        }
+
+        if (claims.nonce !== expectedNonce) {
+            throw new OidcError('ID token nonce does not match the login request');
+        }
+
+        if (!claims.sub || !claims.email) {
+            throw new OidcError('ID token is missing the sub or email claim');
+        }
+
+        if (claims.email_verified === false) {
+            throw new OidcError('Email address has not been verified by the identity provider');
+        }
+
+        return claims;
+    }
+
+    /**
+     * Map IdP claims or groups to one of our roles
+     * @returns {string|null} Mapped role, or null when no mapping matched
+     */
+    mapRole(claims) {
+        const value = claims[this.roleClaim];
+        const groups = Array.isArray(value) ? value : (value ? [value] : []);
+
+        const roles = groups
+            .map(group => this.roleMapping[group] || (this.rolePriority.includes(group) ? group : null))
+            .filter(Boolean);
+
+        if (roles.length === 0) {
+            return null;
+        }
+
+        return this.rolePriority.find(role => roles.includes(role));
+    }
+
+    /**
+     * Create the user on first login, or refresh the profile of the user linked to this IdP subject.
+     * Role and department come from the IdP only when the account is created; after that they are
+     * managed here. A local account with the same email is never linked automatically: a verified
+     * email records a link request for an administrator to approve, anything else is refused.
+     * @param {Object} db - pg client inside a transaction
+     * @param {Object} claims - Verified ID token claims
+     * @returns {Object} { user, created, linkRequested }
+     */
+    async provisionUser(db, claims) {
+        const email = claims.email.toLowerCase();
+        const emailVerified = claims.email_verified === true;
+
+        const linked = await db.query(`
+            SELECT id FROM users
+            WHERE oidc_issuer = $1 AND oidc_subject = $2
+            FOR UPDATE
+        `, [this.issuer, claims.sub]);
+
+        if (linked.rows.length > 0) {
+            // Only a verified address replaces the one on file, and never one another account holds
+            const result = await db.query(`
+                UPDATE users
+                SET email = CASE WHEN $1 AND NOT EXISTS (
+                        SELECT 1 FROM users other WHERE LOWER(other.email) = $2::text AND other.id != $5
+                    ) THEN $2::text ELSE email END,
+                    first_name = COALESCE($3, first_name),
+                    last_name = COALESCE($4, last_name),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $5
+                RETURNING id, email, role, department_id, first_name, last_name, locked_until
+            `, [emailVerified, email, claims.given_name || null, claims.family_name || null, linked.rows[0].id]);
+
+            return { user: result.rows[0], created: false, linkRequested: false };
+        }
+
+        const local = await db.query(`
+            SELECT id, email, role, department_id, first_name, last_name, oidc_subject
+            FROM users
+            WHERE LOWER(email) = $1
+            FOR UPDATE
+        `, [email]);
+
+        if (local.rows.length > 0) {
+            const user = local.rows[0];
+            if (!emailVerified || user.oidc_subject) {
+                throw new OidcError('An account with this email address already exists and cannot be linked to this sign-in');
+            }
+
+            await db.query(`
+                INSERT INTO oidc_link_requests (user_id, oidc_issuer, oidc_subject, email)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (user_id) DO UPDATE
+                SET oidc_issuer = EXCLUDED.oidc_issuer, oidc_subject = EXCLUDED.oidc_subject,
+                    email = EXCLUDED.email, requested_at = CURRENT_TIMESTAMP
+            `, [user.id, this.issuer, claims.sub, email]);
+
+            delete user.oidc_subject;
+            return { user, created: false, linkRequested: true };
+        }
+
+        const mappedRole = this.mapRole(claims);
+        const departmentId = await this.resolveDepartment(db, claims[this.departmentClaim]);
+
+        // IdP users sign in through the IdP, so the local password is an unusable random value
+        const passwordHash = await bcrypt.hash(this.randomToken(32), 10);
+
+        const result = await db.query(`
+            INSERT INTO users (email, password_hash, role, department_id, first_name, last_name, oidc_issuer, oidc_subject)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id, email, role, department_id, first_name, last_name
+        `, [email, passwordHash, mappedRole || this.defaultRole, departmentId,
+            claims.given_name || null, claims.family_name || null, this.issuer, claims.sub]);
+
+        return { user: result.rows[0], created: true, linkRequested: false };
+    }
+
+    /**
+     * Link a local account to the IdP identity that asked for it, once an administrator approves
+     * @param {Object} db - pg client inside a transaction
+     * @param {number} userId - Local account
+     * @returns {Object|null} The approved request, or null if there was none
+     */
+    async approveLink(db, userId) {
+        const result = await db.query(
+            'DELETE FROM oidc_link_requests WHERE user_id = $1 RETURNING *',
+            [userId]
+        );
+        const request = result.rows[0];
+        if (!request) return null;
+
+        const taken = await db.query(
+            'SELECT id FROM users WHERE oidc_issuer = $1 AND oidc_subject = $2',
+            [request.oidc_issuer, request.oidc_subject]
+        );
+        if (taken.rows.length > 0) {
+            throw new OidcError('This identity is already linked to another account');
+        }
+
+        await db.query(`
+            UPDATE users
+            SET oidc_issuer = $1, oidc_subject = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+        `, [request.oidc_issuer, request.oidc_subject, userId]);
+
+        return request;
+    }
+
+    /**
+     * Discard a pending link request
+     * @returns {Object|null} The discarded request, or null if there was none
+     */
+    async rejectLink(db, userId) {
+        const result = await db.query(
+            'DELETE FROM oidc_link_requests WHERE user_id = $1 RETURNING *',
+            [userId]
+        );
+        return result.rows[0] || null;
+    }
+
+    async resolveDepartment(db, value) {
+        if (!value) return null;
+
+        const result = await db.query(
+            'SELECT id FROM departments WHERE LOWER(name) = LOWER($1)',
+            [String(value)]
+        );
+        return result.rows[0] ? result.rows[0].id : null;
+    }
+
+    async discover() {
+        if (this.metadata) return this.metadata;
+
+        if (!this.isConfigured()) {
+            throw new OidcError('OpenID Connect login is not configured');
+        }
+
+        const response = await fetch(`${this.issuer}/.well-known/openid-configuration`);
+        if (!response.ok) {
+            throw new OidcError(`Discovery failed with status ${response.status}`);
+        }
+
+        const metadata = await response.json();
+        if (metadata.issuer.replace(/\/$/, '') !== this.issuer) {
+            throw new OidcError('Discovery document issuer does not match OIDC_ISSUER');
+        }
+
+        this.metadata = metadata;
+        return metadata;
+    }
+
+    async getSigningKey(kid) {
+        const stale = Date.now() - this.jwksFetchedAt > this.jwksCacheMs;
+        let key = !stale && this.jwks ? this.findKey(kid) : null;
+
+        // Unknown kids trigger a refetch so key rotation at the IdP is picked up
+        if (!key) {
+            await this.fetchJwks();
+            key = this.findKey(kid);
+        }
+
+        if (!key) {
+            throw new OidcError('No matching signing key in the issuer JWKS');
+        }
+
+        return key;
+    }
+
+    async fetchJwks() {
+        const metadata = await this.discover();
+        const response = await fetch(metadata.jwks_uri);
+        if (!response.ok) {
+            throw new OidcError(`JWKS fetch failed with status ${response.status}`);
+        }
+
+        this.jwks = await response.json();
+        this.jwksFetchedAt = Date.now();
+    }
+
+    findKey(kid) {
+        const keys = (this.jwks && this.jwks.keys) || [];
+        const signingKeys = keys.filter(key => !key.use || key.use === 'sig');
+
+        if (kid) {
+            return signingKeys.find(key => key.kid === kid) || null;
+        }
+        return signingKeys.length === 1 ? signingKeys[0] : null;
+    }
+
+    parseRoleMapping(raw) {
+        if (!raw) return {};
+
+        try {
+            const mapping = JSON.parse(raw);
+            Object.keys(mapping).forEach(group => {
+                if (!this.rolePriority.includes(mapping[group])) {
+                    delete mapping[group];
+                }
+            });
+            return mapping;
+        } catch (error) {
+            console.error('Invalid OIDC_ROLE_MAPPING, ignoring:', error.message);
+            return {};
+        }
+    }
+
+    randomToken(bytes) {
+        return crypto.randomBytes(bytes).toString('base64url');
+    }
+}
+
+/**
+ * Raised when a login cannot be completed because of the IdP response or request state
+ */
+class OidcError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OidcError';
+    }
+}
+
+module.exports = OidcClient;
+module.exports.OidcError = OidcError;
@@ -3,6 +3,22 @@
  * Implements mathematical models for optimal resource distribution
  */
 
+/**
+ * Seeded pseudo-random generator (mulberry32) so evolutionary runs are reproducible
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 class OptimizationAlgorithm {
     constructor() {
         this.constraints = {
@@ -12,6 +28,38 @@ class OptimizationAlgorithm {
             maxClassSize: 35,
             budgetBuffer: 0.05 // 5% safety buffer
         };
+
+        this.geneticDefaults = {
+            generations: 100,
+            populationSize: 50,
+            mutationRate: 0.05,
+            crossoverRate: 0.9,
+            eliteCount: 2,
+            tournamentSize: 3,
+            stallGenerations: 25 // Stop early when the best fitness stops improving
+        };
+
+        // Objectives for multi-objective search and whether each is minimized or maximized
+        this.objectiveDirections = {
+            cost: 'min',
+            instructorUtilization: 'max',
+            facilityUtilization: 'max',
+            qualificationMatch: 'max',
+            courseCoverage: 'max' // Keeps "assign nothing" from sitting on the front as the cheapest plan
+        };
+
+        this.exactDefaults = {
+            timeLimitMs: 5000,
+            instructorSlots: 1, // Courses one instructor may take (greedy uses one)
+            facilitySlots: 1, // Courses one facility may host (greedy uses one)
+            assignedCourseValue: 1000 // Dominates utility so the solver covers as many courses as possible
+        };
+
+        this.fitnessWeights = {
+            unassignedCourse: 150, // Penalty per course left without an assignment
+            constraintViolation: 5, // Penalty per soft constraint violation (class size)
+            costPer1000: 1 // Penalty per $1,000 of assignment cost
+        };
     }
 
     /**
@@ -23,15 +71,6 @@ class OptimizationAlgorithm {
      */
     async optimizeAllocation(resources, courses, budget) {
         try {
-            const allocationPlan = {
-                courseAssignments: [],
-                resourceUtilization: {},
-                costBreakdown: {},
-                optimizationScore: 0,
-                warnings: [],
-                recommendations: []
-            };
-
             // Step 1: Preprocess and validate inputs
             const validatedInputs = this.validateInputs(resources, courses, budget);
             if (!validatedInputs.isValid) {
@@ -44,27 +83,44 @@ class OptimizationAlgorithm {
             // Step 3: Apply optimization algorithm (Greedy with backtracking)
             const optimizedAssignments = this.greedyOptimization(feasibleCombinations, budget);
 
-            // Step 4: Calculate utilization metrics
-            allocationPlan.resourceUtilization = this.calculateUtilization(optimizedAssignments, resources);
+            // Steps 4-7: Utilization, cost breakdown, score, warnings and recommendations
+            return this.buildAllocationPlan(optimizedAssignments, resources);
 
-            // Step 5: Generate cost breakdown
-            allocationPlan.costBreakdown = this.calculateCostBreakdown(optimizedAssignments);
+        } catch (error) {
+            console.error('Optimization error:', error);
+            throw error;
+        }
+    }
 
-            // Step 6: Calculate optimization score
-            allocationPlan.optimizationScore = this.calculateOptimizationScore(allocationPlan);
+    /**
+     * Fill an allocation plan with metrics for a set of assignments
+     */
+    buildAllocationPlan(assignments, resources) {
+        const allocationPlan = {
+            courseAssignments: [],
+            resourceUtilization: {},
+            costBreakdown: {},
+            optimizationScore: 0,
+            warnings: [],
+            recommendations: []
+        };
 
-            // Step 7: Generate warnings and recommendations
-            allocationPlan.warnings = this.generateWarnings(allocationPlan);
-            allocationPlan.recommendations = this.generateRecommendations(allocationPlan);
+        // Calculate utilization metrics
+        allocationPlan.resourceUtilization = this.calculateUtilization(assignments, resources);
 
-            allocationPlan.courseAssignments = optimizedAssignments;
+        // Generate cost breakdown
+        allocationPlan.costBreakdown = this.calculateCostBreakdown(assignments);
 
-            return allocationPlan;
+        // Calculate optimization score
+        allocationPlan.optimizationScore = this.calculateOptimizationScore(allocationPlan);
 
-        } catch (error) {
-            console.error('Optimization error:', error);
-            throw error;
-        }
+        // Generate warnings and recommendations
+        allocationPlan.warnings = this.generateWarnings(allocationPlan);
+        allocationPlan.recommendations = this.generateRecommendations(allocationPlan);
+
+        allocationPlan.courseAssignments = assignments;
+
+        return allocationPlan;
     }
 
     /**
@@ -108,7 +164,7 @@ class OptimizationAlgorithm {
             // Find available instructors for this course's department
             const availableInstructors = resources.instructors.filter(instructor => 
                 instructor.department_id === course.department_id && 
-                instructor.status === 'ACTIVE'
+                (!instructor.status || instructor.status === 'ACTIVE')
             );
 
             // Find suitable facilities
@@ -123,10 +179,12 @@ class OptimizationAlgorithm {
                 suitableFacilities.forEach(facility => {
                     const combination = {
                         courseId: course.id,
+                        departmentId: course.department_id,
                         instructorId: instructor.id,
                         facilityId: facility.id,
                         cost: this.calculateCombinationCost(course, instructor, facility),
                         utilityScore: this.calculateUtilityScore(course, instructor, facility),
+                        qualificationMatch: this.isQualificationMatch(course, instructor),
                         constraints: this.checkConstraints(course, instructor, facility)
                     };
 
@@ -161,7 +219,7 @@ class OptimizationAlgorithm {
             }
 
             // Check budget constraints
-            const deptId = this.getDepartmentId(combination.courseId);
+            const deptId = combination.departmentId || this.getDepartmentId(combination.courseId);
             if (departmentSpending[deptId] + combination.cost > budget[deptId] * (1 - this.constraints.budgetBuffer)) {
                 continue;
             }
@@ -174,6 +232,7 @@ class OptimizationAlgorithm {
             // Add assignment
             assignments.push({
                 courseId: combination.courseId,
+                departmentId: deptId,
                 instructorId: combination.instructorId,
                 facilityId: combination.facilityId,
                 cost: combination.cost,
@@ -190,12 +249,181 @@ class OptimizationAlgorithm {
         return assignments;
     }
 
+    /**
+     * Exact allocation by depth-first branch-and-bound over the feasible combinations.
+     * Maximizes courses covered, then utility net of cost, subject to per-department
+     * budgets (with buffer), instructor and facility slot limits and facility capacity.
+     * Falls back to the greedy plan (and reports the remaining gap) when the time limit is hit.
+     * @param {Object} resources - Available resources (instructors, facilities, equipment)
+     * @param {Array} courses - Course requirements and constraints
+     * @param {Object} budget - Budget constraints by department
+     * @param {Object} options - Solver settings (timeLimitMs, instructorSlots, facilitySlots)
+     * @returns {Object} Allocation plan with optimality proof details
+     */
+    async exactOptimization(resources, courses, budget, options = {}) {
+        const settings = { ...this.exactDefaults };
+        Object.keys(options).forEach(key => {
+            if (options[key] !== undefined) settings[key] = options[key];
+        });
+
+        const validatedInputs = this.validateInputs(resources, courses, budget);
+        if (!validatedInputs.isValid) {
+            throw new Error(`Input validation failed: ${validatedInputs.errors.join(', ')}`);
+        }
+
+        const startedAt = Date.now();
+        const combinations = this.generateFeasibleCombinations(resources, courses);
+        const valueOf = combination => settings.assignedCourseValue + combination.utilityScore -
+            (combination.cost / 1000) * this.fitnessWeights.costPer1000;
+
+        // Most constrained courses first; options best-first so good incumbents appear early
+        const levels = courses
+            .map(course => combinations
+                .filter(combination => combination.courseId === course.id)
+                .map(combination => ({ combination, value: valueOf(combination) }))
+                .sort((a, b) => b.value - a.value))
+            .filter(options => options.length > 0)
+            .sort((a, b) => a.length - b.length || b[0].value - a[0].value);
+
+        // Greedy solution is the starting incumbent and the time-limit fallback. Greedy can place a
+        // course once per instructor/facility pair, so only its first (highest utility) placement counts.
+        const greedyCourses = new Set();
+        const greedyAssignments = this.greedyOptimization(combinations, budget).filter(assignment => {
+            if (greedyCourses.has(assignment.courseId)) return false;
+            greedyCourses.add(assignment.courseId);
+            return true;
+        });
+        let incumbent = {
+            value: greedyAssignments.reduce((sum, assignment) => sum + valueOf(assignment), 0),
+            choices: null
+        };
+
+        const state = {
+            instructorLoad: new Map(),
+            facilityLoad: new Map(),
+            spending: {},
+            choices: []
+        };
+
+        const fits = combination => {
+            const limit = this.getBudgetLimit(budget, combination.departmentId);
+            return (state.instructorLoad.get(combination.instructorId) || 0) < settings.instructorSlots &&
+                (state.facilityLoad.get(combination.facilityId) || 0) < settings.facilitySlots &&
+                (limit === null || (state.spending[combination.departmentId] || 0) + combination.cost <= limit);
+        };
+
+        // Optimistic value of the remaining levels given the current resource usage. Leaving a
+        // course unassigned is worth 0, so an option worth less never lowers the bound.
+        const remainingBound = depth => {
+            let bound = 0;
+            for (let level = depth; level < levels.length; level++) {
+                const best = levels[level].find(option => fits(option.combination));
+                if (best) bound += Math.max(0, best.value);
+            }
+            return bound;
+        };
+
+        const apply = (combination, delta) => {
+            state.instructorLoad.set(combination.instructorId, (state.instructorLoad.get(combination.instructorId) || 0) + delta);
+            state.facilityLoad.set(combination.facilityId, (state.facilityLoad.get(combination.facilityId) || 0) + delta);
+            state.spending[combination.departmentId] = (state.spending[combination.departmentId] || 0) + delta * combination.cost;
+        };
+
+        const openBounds = []; // Best value still reachable through unexplored branches at each depth
+        let nodesExplored = 0;
+        let timedOut = false;
+
+        const search = (depth, value) => {
+            nodesExplored++;
+            if (nodesExplored % 1000 === 0 && Date.now() - startedAt > settings.timeLimitMs) {
+                // This subtree stays unexplored; its bound feeds the optimality gap
+                timedOut = true;
+                openBounds[depth] = value + remainingBound(depth);
+                return;
+            }
+
+            if (depth === levels.length) {
+                if (value > incumbent.value) {
+                    incumbent = { value, choices: state.choices.slice() };
+                }
+                return;
+            }
+
+            if (value + remainingBound(depth) <= incumbent.value) return;
+
+            const candidates = levels[depth].filter(option => fits(option.combination));
+            const restBound = remainingBound(depth + 1);
+
+            for (let i = 0; i <= candidates.length && !timedOut; i++) {
+                // Unexplored at this depth: later candidates and the "leave unassigned" branch
+                const nextValue = i + 1 < candidates.length ? Math.max(0, candidates[i + 1].value) : 0;
+                openBounds[depth] = value + nextValue + restBound;
+
+                if (i === candidates.length) {
+                    openBounds[depth] = -Infinity;
+                    search(depth + 1, value);
+                    break;
+                }
+
+                const option = candidates[i];
+                if (value + option.value + restBound <= incumbent.value) continue;
+
+                apply(option.combination, 1);
+                state.choices.push(option.combination);
+                search(depth + 1, value + option.value);
+                state.choices.pop();
+                apply(option.combination, -1);
+            }
+
+            if (!timedOut) openBounds[depth] = -Infinity;
+        };
+
+        search(0, 0);
+
+        const upperBound = timedOut
+            ? Math.max(incumbent.value, ...openBounds.filter(bound => bound !== undefined))
+            : incumbent.value;
+        const assignments = incumbent.choices
+            ? incumbent.choices.map(combination => ({
+                courseId: combination.courseId,
+                departmentId: combination.departmentId,
+                instructorId: combination.instructorId,
+                facilityId: combination.facilityId,
+                cost: combination.cost,
+                utilityScore: combination.utilityScore,
+                assignedAt: new Date()
+            }))
+            : greedyAssignments;
+
+        const allocationPlan = this.buildAllocationPlan(assignments, resources);
+        allocationPlan.exactSolution = {
+            status: timedOut ? 'TIME_LIMIT' : 'OPTIMAL',
+            provenOptimal: !timedOut,
+            source: incumbent.choices ? 'branch_and_bound' : 'greedy',
+            objectiveValue: incumbent.value,
+            upperBound,
+            optimalityGap: upperBound > 0 ? (upperBound - incumbent.value) / upperBound : 0,
+            greedyObjectiveValue: greedyAssignments.reduce((sum, assignment) => sum + valueOf(assignment), 0),
+            nodesExplored,
+            elapsedMs: Date.now() - startedAt,
+            timeLimitMs: settings.timeLimitMs
+        };
+
+        if (timedOut) {
+            allocationPlan.warnings.push(
+                `Exact solver hit the ${settings.timeLimitMs}ms time limit; optimality gap ${(allocationPlan.exactSolution.optimalityGap * 100).toFixed(2)}%`
+            );
+        }
+
+        return allocationPlan;
+    }
+
     /**
      * Calculate cost for a specific course-instructor-facility combination
      */
     calculateCombinationCost(course, instructor, facility) {
-        const baseCost = course.instructor_cost || 0;
-        const facilityCost = facility.hourly_cost * 45 || course.classroom_cost || 0; // Assume 45 hours per semester
+        const baseCost = parseFloat(course.instructor_cost) || 0;
+        const facilityCost = facility.hourly_cost * 45 || parseFloat(course.classroom_cost) || 0; // Assume 45 hours per semester
         
         // Apply instructor type differential
         let instructorMultiplier = 1.0;
@@ -224,7 +452,7 @@ class OptimizationAlgorithm {
         let score = 100; // Base score
 
         // Instructor qualification match (simplified)
-        if (instructor.qualifications && instructor.qualifications.includes(course.name.split(' ')[0])) {
+        if (this.isQualificationMatch(course, instructor)) {
             score += 20;
         }
 
@@ -244,6 +472,13 @@ class OptimizationAlgorithm {
         return score;
     }
 
+    /**
+     * Whether the instructor's qualifications mention the course subject
+     */
+    isQualificationMatch(course, instructor) {
+        return Boolean(instructor.qualifications && instructor.qualifications.includes(course.name.split(' ')[0]));
+    }
+
     /**
      * Check constraints for a combination
      */
@@ -311,7 +546,7 @@ class OptimizationAlgorithm {
         };
 
         assignments.forEach(assignment => {
-            const deptId = this.getDepartmentId(assignment.courseId);
+            const deptId = assignment.departmentId || this.getDepartmentId(assignment.courseId);
             
             breakdown.totalCost += assignment.cost;
             
@@ -417,24 +652,585 @@ class OptimizationAlgorithm {
     }
 
     /**
-     * Advanced optimization using genetic algorithm (for future implementation)
+     * Advanced optimization using a seeded genetic algorithm
+     * @param {Object} resources - Available resources (instructors, facilities, equipment)
+     * @param {Array} courses - Course requirements and constraints
+     * @param {Object} budget - Budget constraints by department
+     * @param {Object} options - Search settings (generations, populationSize, seed, timeSlots, ...)
+     * @returns {Object} Optimized allocation plan with per-generation fitness statistics
+     */
+    async geneticOptimization(resources, courses, budget, options = {}) {
+        const settings = this.resolveSearchSettings(options);
+        const random = createRandom(settings.seed);
+
+        const validatedInputs = this.validateInputs(resources, courses, budget);
+        if (!validatedInputs.isValid) {
+            throw new Error(`Input validation failed: ${validatedInputs.errors.join(', ')}`);
+        }
+
+        const searchSpace = this.buildSearchSpace(resources, courses, settings.timeSlots);
+        const evaluate = chromosome => this.calculateFitness(this.evaluateChromosome(chromosome, searchSpace), searchSpace);
+
+        // Seed the population with the greedy solution so the search never does worse than greedy
+        let population = [this.repairChromosome(this.encodeAssignments(
+            this.greedyOptimization(searchSpace.combinations, budget), searchSpace
+        ), searchSpace, budget)];
+        while (population.length < settings.populationSize) {
+            population.push(this.repairChromosome(this.randomChromosome(searchSpace, random), searchSpace, budget));
+        }
+
+        const history = [];
+        let best = null;
+        let lastImprovement = 0;
+        let converged = false;
+
+        for (let generation = 1; generation <= settings.generations; generation++) {
+            const scored = population
+                .map(chromosome => ({ chromosome, fitness: evaluate(chromosome) }))
+                .sort((a, b) => b.fitness - a.fitness);
+
+            const fitnessValues = scored.map(individual => individual.fitness);
+            history.push({
+                generation,
+                bestFitness: fitnessValues[0],
+                meanFitness: fitnessValues.reduce((sum, value) => sum + value, 0) / fitnessValues.length,
+                worstFitness: fitnessValues[fitnessValues.length - 1],
+                assignedCourses: scored[0].chromosome.filter(gene => gene !== null).length
+            });
+
+            if (!best || scored[0].fitness > best.fitness + 1e-9) {
+                best = scored[0];
+                lastImprovement = generation;
+            } else if (generation - lastImprovement >= settings.stallGenerations) {
+                converged = true;
+                break;
+            }
+
+            if (generation === settings.generations) break;
+
+            // Elitism: carry the fittest chromosomes over unchanged
+            const nextPopulation = scored.slice(0, settings.eliteCount).map(individual => individual.chromosome);
+
+            while (nextPopulation.length < settings.populationSize) {
+                const parentA = this.tournamentSelect(scored, settings.tournamentSize, random);
+                const parentB = this.tournamentSelect(scored, settings.tournamentSize, random);
+                const child = random() < settings.crossoverRate
+                    ? this.crossover(parentA, parentB, random)
+                    : parentA.slice();
+                nextPopulation.push(this.repairChromosome(
+                    this.mutate(child, searchSpace, settings.mutationRate, random), searchSpace, budget
+                ));
+            }
+
+            population = nextPopulation;
+        }
+
+        const allocationPlan = this.buildAllocationPlan(this.decodeChromosome(best.chromosome, searchSpace), resources);
+        allocationPlan.evolution = {
+            seed: settings.seed,
+            populationSize: settings.populationSize,
+            generationsRun: history.length,
+            maxGenerations: settings.generations,
+            converged,
+            bestFitness: best.fitness,
+            history
+        };
+
+        return allocationPlan;
+    }
+
+    /**
+     * Merge search options over the genetic defaults, ignoring unset values
+     */
+    resolveSearchSettings(options) {
+        const settings = { ...this.geneticDefaults };
+
+        Object.keys(options).forEach(key => {
+            if (options[key] !== undefined) settings[key] = options[key];
+        });
+
+        // Without a caller seed, pick one and report it so the run can be reproduced
+        settings.seed = Number.isInteger(settings.seed) ? settings.seed : Date.now() % 2147483647;
+
+        return settings;
+    }
+
+    /**
+     * Build the search space: feasible combinations per course and the weekly time slots
+     */
+    buildSearchSpace(resources, courses, timeSlots) {
+        const combinations = this.generateFeasibleCombinations(resources, courses);
+
+        return {
+            combinations,
+            timeSlots: timeSlots || this.getDefaultTimeSlots(),
+            courses: courses.map(course => ({
+                course,
+                options: combinations.filter(combination => combination.courseId === course.id)
+            }))
+        };
+    }
+
+    /**
+     * Default weekly time slots, shared with the resource allocator
+     */
+    getDefaultTimeSlots() {
+        // Required lazily because ResourceAllocator depends on this module
+        const ResourceAllocator = require('./ResourceAllocator');
+        return new ResourceAllocator().generateTimeSlots();
+    }
+
+    /**
+     * Create a random chromosome: one gene (combination + time slot, or null) per course
+     */
+    randomChromosome(searchSpace, random) {
+        return searchSpace.courses.map(({ options }) => {
+            if (options.length === 0 || random() < 0.1) return null;
+            return {
+                optionIndex: Math.floor(random() * options.length),
+                slotIndex: Math.floor(random() * searchSpace.timeSlots.length)
+            };
+        });
+    }
+
+    /**
+     * Encode existing assignments (e.g. from the greedy pass) as a chromosome
+     */
+    encodeAssignments(assignments, searchSpace) {
+        return searchSpace.courses.map(({ course, options }) => {
+            const assignment = assignments.find(a => a.courseId === course.id);
+            if (!assignment) return null;
+
+            const optionIndex = options.findIndex(option =>
+                option.instructorId === assignment.instructorId && option.facilityId === assignment.facilityId
+            );
+            return optionIndex === -1 ? null : { optionIndex, slotIndex: 0 };
+        });
+    }
+
+    /**
+     * Repair a chromosome so it satisfies the hard constraints:
+     * no instructor or facility double-booked in a time slot, instructor weekly hours
+     * and department budgets (with buffer). Clashing genes are moved to the next free
+     * slot; genes that cannot be placed are dropped.
+     */
+    repairChromosome(chromosome, searchSpace, budget) {
+        const slotCount = searchSpace.timeSlots.length;
+        const bookedSlots = new Set();
+        const instructorHours = {};
+        const departmentSpending = {};
+
+        return chromosome.map((gene, index) => {
+            if (!gene) return null;
+
+            const combination = searchSpace.courses[index].options[gene.optionIndex];
+            const limit = this.getBudgetLimit(budget, combination.departmentId);
+            const spent = departmentSpending[combination.departmentId] || 0;
+
+            if (limit !== null && spent + combination.cost > limit) return null;
+            if ((instructorHours[combination.instructorId] || 0) >= this.constraints.maxInstructorHours) return null;
+
+            for (let offset = 0; offset < slotCount; offset++) {
+                const slotIndex = (gene.slotIndex + offset) % slotCount;
+                const instructorKey = `instructor:${combination.instructorId}:${slotIndex}`;
+                const facilityKey = `facility:${combination.facilityId}:${slotIndex}`;
+
+                if (!bookedSlots.has(instructorKey) && !bookedSlots.has(facilityKey)) {
+                    bookedSlots.add(instructorKey);
+                    bookedSlots.add(facilityKey);
+                    instructorHours[combination.instructorId] = (instructorHours[combination.instructorId] || 0) + 1;
+                    departmentSpending[combination.departmentId] = spent + combination.cost;
+                    return { optionIndex: gene.optionIndex, slotIndex };
+                }
+            }
+
+            return null;
+        });
+    }
+
+    /**
+     * Aggregate the raw measures of a chromosome
+     */
+    evaluateChromosome(chromosome, searchSpace) {
+        const evaluation = {
+            assignedCourses: 0,
+            totalUtility: 0,
+            totalCost: 0,
+            constraintViolations: 0,
+            qualificationMatches: 0,
+            instructors: new Set(),
+            facilities: new Set()
+        };
+
+        chromosome.forEach((gene, index) => {
+            if (!gene) return;
+
+            const combination = searchSpace.courses[index].options[gene.optionIndex];
+            evaluation.assignedCourses++;
+            evaluation.totalUtility += combination.utilityScore;
+            evaluation.totalCost += combination.cost;
+            evaluation.constraintViolations += combination.constraints.violations.length;
+            if (combination.qualificationMatch) evaluation.qualificationMatches++;
+            evaluation.instructors.add(combination.instructorId);
+            evaluation.facilities.add(combination.facilityId);
+        });
+
+        return evaluation;
+    }
+
+    /**
+     * Scalar fitness used by the genetic algorithm (higher is better)
+     */
+    calculateFitness(evaluation, searchSpace) {
+        const unassignedCourses = searchSpace.courses.length - evaluation.assignedCourses;
+
+        return evaluation.totalUtility -
+            (evaluation.totalCost / 1000) * this.fitnessWeights.costPer1000 -
+            unassignedCourses * this.fitnessWeights.unassignedCourse -
+            evaluation.constraintViolations * this.fitnessWeights.constraintViolation;
+    }
+
+    /**
+     * Tournament selection over a population sorted by fitness
+     */
+    tournamentSelect(scored, tournamentSize, random) {
+        let winner = null;
+        for (let i = 0; i < tournamentSize; i++) {
+            const candidate = scored[Math.floor(random() * scored.length)];
+            if (!winner || candidate.fitness > winner.fitness) {
+                winner = candidate;
+            }
+        }
+        return winner.chromosome;
+    }
+
+    /**
+     * Uniform crossover: each course gene is inherited from either parent
+     */
+    crossover(parentA, parentB, random) {
+        return parentA.map((gene, index) => (random() < 0.5 ? gene : parentB[index]));
+    }
+
+    /**
+     * Mutation: reassign the time slot, pick another combination, or drop the course
+     */
+    mutate(chromosome, searchSpace, mutationRate, random) {
+        return chromosome.map((gene, index) => {
+            if (random() >= mutationRate) return gene;
+
+            const { options } = searchSpace.courses[index];
+            if (options.length === 0) return null;
+
+            const roll = random();
+            if (gene && roll < 0.4) {
+                return { optionIndex: gene.optionIndex, slotIndex: Math.floor(random() * searchSpace.timeSlots.length) };
+            }
+            if (gene && roll < 0.5) {
+                return null;
+            }
+            return {
+                optionIndex: Math.floor(random() * options.length),
+                slotIndex: Math.floor(random() * searchSpace.timeSlots.length)
+            };
+        });
+    }
+
+    /**
+     * Turn a chromosome back into course assignments
      */
-    async geneticOptimization(resources, courses, budget, generations = 100) {
-        // Placeholder for genetic algorithm implementation
-        // This would be used for more complex optimization scenarios
-        console.log('Genetic algorithm optimization not yet implemented');
-        return this.optimizeAllocation(resources, courses, budget);
+    decodeChromosome(chromosome, searchSpace) {
+        const assignments = [];
+
+        chromosome.forEach((gene, index) => {
+            if (!gene) return;
+
+            const combination = searchSpace.courses[index].options[gene.optionIndex];
+            const slot = searchSpace.timeSlots[gene.slotIndex];
+            assignments.push({
+                courseId: combination.courseId,
+                departmentId: combination.departmentId,
+                instructorId: combination.instructorId,
+                facilityId: combination.facilityId,
+                cost: combination.cost,
+                utilityScore: combination.utilityScore,
+                timeSlot: { day: slot.day, startTime: slot.startTime, endTime: slot.endTime },
+                assignedAt: new Date()
+            });
+        });
+
+        return assignments;
     }
 
     /**
-     * Multi-objective optimization considering multiple criteria
+     * Spending limit for a department after the safety buffer (null when unconstrained)
      */
-    async multiObjectiveOptimization(resources, courses, budget, objectives) {
-        // Placeholder for multi-objective optimization
-        // Objectives could include: cost minimization, utilization maximization, 
-        // student satisfaction, instructor preference, etc.
-        console.log('Multi-objective optimization not yet implemented');
-        return this.optimizeAllocation(resources, courses, budget);
+    getBudgetLimit(budget, deptId) {
+        const amount = parseFloat(budget[deptId]);
+        return isNaN(amount) ? null : amount * (1 - this.constraints.budgetBuffer);
+    }
+
+    /**
+     * Multi-objective optimization (NSGA-II) returning the Pareto front of allocation plans
+     * @param {Object} resources - Available resources (instructors, facilities, equipment)
+     * @param {Array} courses - Course requirements and constraints
+     * @param {Object} budget - Budget constraints by department
+     * @param {Object} objectives - Objective weights keyed like objectiveDirections; weight 0 ignores an objective
+     * @param {Object} options - Search settings (generations, populationSize, seed, timeSlots, ...)
+     * @returns {Object} Non-dominated plans ranked by weighted score
+     */
+    async multiObjectiveOptimization(resources, courses, budget, objectives = {}, options = {}) {
+        const settings = this.resolveSearchSettings(options);
+        const random = createRandom(settings.seed);
+
+        const weights = this.normalizeObjectiveWeights(objectives);
+        const activeObjectives = Object.keys(weights).filter(key => weights[key] > 0);
+        if (activeObjectives.length === 0) {
+            throw new Error('At least one objective must have a positive weight');
+        }
+
+        const validatedInputs = this.validateInputs(resources, courses, budget);
+        if (!validatedInputs.isValid) {
+            throw new Error(`Input validation failed: ${validatedInputs.errors.join(', ')}`);
+        }
+
+        const searchSpace = this.buildSearchSpace(resources, courses, settings.timeSlots);
+        const score = chromosome => ({
+            chromosome,
+            objectives: this.calculateObjectiveVector(this.evaluateChromosome(chromosome, searchSpace), searchSpace, resources)
+        });
+
+        const initial = [this.repairChromosome(this.encodeAssignments(
+            this.greedyOptimization(searchSpace.combinations, budget), searchSpace
+        ), searchSpace, budget)];
+        while (initial.length < settings.populationSize) {
+            initial.push(this.repairChromosome(this.randomChromosome(searchSpace, random), searchSpace, budget));
+        }
+
+        let population = this.selectNextPopulation(initial.map(score), settings.populationSize, activeObjectives);
+        const history = [];
+
+        for (let generation = 1; generation <= settings.generations; generation++) {
+            const offspring = [];
+            while (offspring.length < settings.populationSize) {
+                const parentA = this.crowdedTournamentSelect(population, settings.tournamentSize, random);
+                const parentB = this.crowdedTournamentSelect(population, settings.tournamentSize, random);
+                const child = random() < settings.crossoverRate
+                    ? this.crossover(parentA, parentB, random)
+                    : parentA.slice();
+                offspring.push(score(this.repairChromosome(
+                    this.mutate(child, searchSpace, settings.mutationRate, random), searchSpace, budget
+                )));
+            }
+
+            population = this.selectNextPopulation(population.concat(offspring), settings.populationSize, activeObjectives);
+
+            const front = population.filter(individual => individual.rank === 0);
+            history.push({
+                generation,
+                frontSize: front.length,
+                minCost: Math.min(...front.map(individual => individual.objectives.cost)),
+                maxCourseCoverage: Math.max(...front.map(individual => individual.objectives.courseCoverage))
+            });
+        }
+
+        // Distinct objective vectors on the first front become the candidate plans
+        const seen = new Set();
+        const paretoFront = population
+            .filter(individual => individual.rank === 0)
+            .filter(individual => {
+                const key = activeObjectives.map(objective => individual.objectives[objective].toFixed(6)).join('|');
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .map(individual => {
+                const plan = this.buildAllocationPlan(this.decodeChromosome(individual.chromosome, searchSpace), resources);
+                return {
+                    objectives: individual.objectives,
+                    optimizationScore: plan.optimizationScore,
+                    plan
+                };
+            });
+
+        this.applyWeightedScores(paretoFront, weights);
+        paretoFront.sort((a, b) => b.weightedScore - a.weightedScore);
+
+        return {
+            paretoFront,
+            recommended: paretoFront[0] || null,
+            weights,
+            activeObjectives,
+            evolution: {
+                seed: settings.seed,
+                populationSize: settings.populationSize,
+                generationsRun: history.length,
+                history
+            }
+        };
+    }
+
+    /**
+     * Merge caller weights with defaults (every objective weighted 1)
+     */
+    normalizeObjectiveWeights(objectives) {
+        const weights = {};
+
+        Object.keys(this.objectiveDirections).forEach(key => {
+            const weight = objectives[key] !== undefined ? parseFloat(objectives[key]) : 1;
+            weights[key] = isNaN(weight) || weight < 0 ? 0 : weight;
+        });
+
+        return weights;
+    }
+
+    /**
+     * Objective values for an evaluated chromosome (utilization and match figures are ratios 0-1)
+     */
+    calculateObjectiveVector(evaluation, searchSpace, resources) {
+        const ratio = (part, whole) => (whole > 0 ? part / whole : 0);
+
+        return {
+            cost: evaluation.totalCost,
+            instructorUtilization: ratio(evaluation.instructors.size, resources.instructors.length),
+            facilityUtilization: ratio(evaluation.facilities.size, resources.facilities.length),
+            qualificationMatch: ratio(evaluation.qualificationMatches, evaluation.assignedCourses),
+            courseCoverage: ratio(evaluation.assignedCourses, searchSpace.courses.length)
+        };
+    }
+
+    /**
+     * Pareto dominance: a is no worse than b on every active objective and better on at least one
+     */
+    dominates(a, b, activeObjectives) {
+        let strictlyBetter = false;
+
+        for (const key of activeObjectives) {
+            const difference = this.objectiveDirections[key] === 'min' ? b[key] - a[key] : a[key] - b[key];
+            if (difference < 0) return false;
+            if (difference > 0) strictlyBetter = true;
+        }
+
+        return strictlyBetter;
+    }
+
+    /**
+     * Fast non-dominated sort; sets rank on each individual and returns the fronts
+     */
+    nonDominatedSort(individuals, activeObjectives) {
+        const fronts = [[]];
+        const dominatedBy = individuals.map(() => []);
+        const dominationCount = individuals.map(() => 0);
+
+        individuals.forEach((a, i) => {
+            individuals.forEach((b, j) => {
+                if (i === j) return;
+                if (this.dominates(a.objectives, b.objectives, activeObjectives)) {
+                    dominatedBy[i].push(j);
+                } else if (this.dominates(b.objectives, a.objectives, activeObjectives)) {
+                    dominationCount[i]++;
+                }
+            });
+
+            if (dominationCount[i] === 0) {
+                a.rank = 0;
+                fronts[0].push(i);
+            }
+        });
+
+        for (let rank = 0; fronts[rank].length > 0; rank++) {
+            const nextFront = [];
+            fronts[rank].forEach(i => {
+                dominatedBy[i].forEach(j => {
+                    dominationCount[j]--;
+                    if (dominationCount[j] === 0) {
+                        individuals[j].rank = rank + 1;
+                        nextFront.push(j);
+                    }
+                });
+            });
+            fronts.push(nextFront);
+        }
+
+        return fronts.filter(front => front.length > 0).map(front => front.map(i => individuals[i]));
+    }
+
+    /**
+     * Crowding distance within one front, used to keep the front spread out
+     */
+    assignCrowdingDistance(front, activeObjectives) {
+        front.forEach(individual => { individual.crowding = 0; });
+
+        activeObjectives.forEach(key => {
+            const sorted = front.slice().sort((a, b) => a.objectives[key] - b.objectives[key]);
+            const range = sorted[sorted.length - 1].objectives[key] - sorted[0].objectives[key];
+
+            sorted[0].crowding = Infinity;
+            sorted[sorted.length - 1].crowding = Infinity;
+            if (range === 0) return;
+
+            for (let i = 1; i < sorted.length - 1; i++) {
+                sorted[i].crowding += (sorted[i + 1].objectives[key] - sorted[i - 1].objectives[key]) / range;
+            }
+        });
+    }
+
+    /**
+     * NSGA-II survivor selection: fill by front, break the last front by crowding distance
+     */
+    selectNextPopulation(individuals, populationSize, activeObjectives) {
+        const next = [];
+
+        for (const front of this.nonDominatedSort(individuals, activeObjectives)) {
+            this.assignCrowdingDistance(front, activeObjectives);
+            if (next.length + front.length <= populationSize) {
+                next.push(...front);
+            } else {
+                front.sort((a, b) => b.crowding - a.crowding);
+                next.push(...front.slice(0, populationSize - next.length));
+                break;
+            }
+        }
+
+        return next;
+    }
+
+    /**
+     * Tournament selection on (rank, crowding distance)
+     */
+    crowdedTournamentSelect(population, tournamentSize, random) {
+        let winner = null;
+        for (let i = 0; i < tournamentSize; i++) {
+            const candidate = population[Math.floor(random() * population.length)];
+            if (!winner ||
+                candidate.rank < winner.rank ||
+                (candidate.rank === winner.rank && candidate.crowding > winner.crowding)) {
+                winner = candidate;
+            }
+        }
+        return winner.chromosome;
+    }
+
+    /**
+     * Weighted score (0-100) of each plan from min-max normalized objectives across the front
+     */
+    applyWeightedScores(paretoFront, weights) {
+        const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+        paretoFront.forEach(entry => { entry.weightedScore = 0; });
+
+        Object.keys(weights).forEach(key => {
+            if (weights[key] === 0) return;
+
+            const values = paretoFront.map(entry => entry.objectives[key]);
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+
+            paretoFront.forEach(entry => {
+                let normalized = max === min ? 1 : (entry.objectives[key] - min) / (max - min);
+                if (this.objectiveDirections[key] === 'min') normalized = max === min ? 1 : 1 - normalized;
+                entry.weightedScore += (normalized * weights[key] / totalWeight) * 100;
+            });
+        });
     }
 }
 
@@ -0,0 +1,168 @@
+/**
+ * Password Policy for School Budget Management
+ * Checks new passwords for length, breached or common passwords and reuse of recent passwords
+ */
+
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+
+// Always rejected, whether or not a breached-password list is configured
+const COMMON_PASSWORDS = [
+    'password', 'password1', 'password123', 'passw0rd', '123456', '12345678', '123456789',
+    '1234567890', 'qwerty', 'qwerty123', 'abc123', 'letmein', 'welcome', 'welcome1',
+    'iloveyou', 'admin', 'admin123', 'changeme', 'football', 'monkey', 'dragon',
+    'sunshine', 'princess', 'school', 'school123', 'teacher', 'teacher1', 'budget'
+];
+
+class PasswordPolicy {
+    constructor() {
+        this.minLength = parseInt(process.env.PASSWORD_MIN_LENGTH) || 10;
+        this.maxLength = 72; // bcrypt ignores anything past 72 bytes
+        this.historySize = process.env.PASSWORD_HISTORY_SIZE !== undefined
+            ? parseInt(process.env.PASSWORD_HISTORY_SIZE)
+            : 5;
+        this.bcryptRounds = parseInt(process.env.BCRYPT_ROUNDS) || 10;
+        this.breachedListPath = process.env.PASSWORD_BREACHED_LIST_PATH || null;
+
+        this.breached = null;
+    }
+
+    /**
+     * Describe the policy for clients
+     */
+    describe() {
+        return {
+            minLength: this.minLength,
+            maxLength: this.maxLength,
+            historySize: this.historySize,
+            rejectsBreachedPasswords: true
+        };
+    }
+
+    /**
+     * Check a candidate password
+     * @param {Object} db - pg client or pool
+     * @param {string} password - Candidate password
+     * @param {Object} user - Optional user (id, email, password_hash) for reuse and similarity checks
+     * @returns {Object} { valid, errors }
+     */
+    async check(db, password, user = null) {
+        const errors = [];
+
+        if (typeof password !== 'string' || password.length < this.minLength) {
+            errors.push(`Password must be at least ${this.minLength} characters`);
+        } else if (Buffer.byteLength(password, 'utf8') > this.maxLength) {
+            errors.push(`Password must be at most ${this.maxLength} bytes`);
+        }
+
+        if (typeof password === 'string') {
+            if (this.isBreached(password)) {
+                errors.push('Password appears in a list of breached or common passwords');
+            }
+
+            if (user && user.email) {
+                const localPart = user.email.split('@')[0].toLowerCase();
+                if (localPart.length >= 4 && password.toLowerCase().includes(localPart)) {
+                    errors.push('Password must not contain your email address');
+                }
+            }
+
+            if (user && user.id && errors.length === 0 && await this.isReused(db, user, password)) {
+                errors.push(`Password must differ from your last ${Math.max(this.historySize, 1)} password(s)`);
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    isBreached(password) {
+        const candidate = password.toLowerCase();
+        if (COMMON_PASSWORDS.includes(candidate)) {
+            return true;
+        }
+
+        return this.loadBreachedList().has(candidate);
+    }
+
+    async isReused(db, user, password) {
+        // The current password always counts, even with history disabled
+        if (user.password_hash && await bcrypt.compare(password, user.password_hash)) {
+            return true;
+        }
+
+        if (this.historySize <= 0) {
+            return false;
+        }
+
+        const history = await db.query(`
+            SELECT password_hash FROM password_history
+            WHERE user_id = $1
+            ORDER BY created_at DESC, id DESC
+            LIMIT $2
+        `, [user.id, this.historySize]);
+
+        for (const row of history.rows) {
+            if (await bcrypt.compare(password, row.password_hash)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Hash and store a new password, keeping the previous one in the reuse history
+     * @param {Object} db - pg client inside a transaction
+     * @returns {Object} Updated user row
+     */
+    async setPassword(db, user, password) {
+        const passwordHash = await bcrypt.hash(password, this.bcryptRounds);
+
+        if (user.password_hash && this.historySize > 0) {
+            await db.query(
+                'INSERT INTO password_history (user_id, password_hash) VALUES ($1, $2)',
+                [user.id, user.password_hash]
+            );
+
+            await db.query(`
+                DELETE FROM password_history
+                WHERE user_id = $1 AND id NOT IN (
+                    SELECT id FROM password_history
+                    WHERE user_id = $1
+                    ORDER BY created_at DESC, id DESC
+                    LIMIT $2
+                )
+            `, [user.id, this.historySize]);
+        }
+
+        const result = await db.query(`
+            UPDATE users
+            SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING id, email, role, department_id
+        `, [passwordHash, user.id]);
+
+        return result.rows[0];
+    }
+
+    loadBreachedList() {
+        if (this.breached) return this.breached;
+
+        this.breached = new Set();
+        if (this.breachedListPath) {
+            try {
+                fs.readFileSync(this.breachedListPath, 'utf8')
+                    .split(/\r?\n/)
+                    .map(line => line.trim().toLowerCase())
+                    .filter(Boolean)
+                    .forEach(entry => this.breached.add(entry));
+            } catch (error) {
+                console.error('Failed to load breached password list:', error.message);
+            }
+        }
+
+        return this.breached;
+    }
+}
+
+module.exports = PasswordPolicy;
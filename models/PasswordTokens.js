@@ -0,0 +1,73 @@
+/**
+ * Password Tokens for School Budget Management
+ * Single-use invite and reset tokens; only their hashes are stored
+ */
+
+const crypto = require('crypto');
+
+class PasswordTokens {
+    constructor() {
+        this.purposes = {
+            INVITE: 'INVITE',
+            RESET: 'RESET'
+        };
+
+        this.ttlMinutes = {
+            INVITE: (parseInt(process.env.INVITE_TOKEN_TTL_HOURS) || 72) * 60,
+            RESET: parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60
+        };
+    }
+
+    /**
+     * Issue a token, invalidating earlier unused tokens of the same purpose
+     * @returns {Object} { token, expiresAt }
+     */
+    async issue(db, userId, purpose, createdBy = null) {
+        await db.query(`
+            UPDATE password_tokens
+            SET used_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+        `, [userId, purpose]);
+
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        const result = await db.query(`
+            INSERT INTO password_tokens (user_id, purpose, token_hash, created_by, expires_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' minutes')::interval)
+            RETURNING expires_at
+        `, [userId, purpose, this.hashToken(token), createdBy, this.ttlMinutes[purpose]]);
+
+        return { token, expiresAt: result.rows[0].expires_at };
+    }
+
+    /**
+     * Use up a token
+     * @param {Object} db - pg client inside a transaction
+     * @returns {Object|null} The token's user row, or null when the token is invalid, used or expired
+     */
+    async consume(db, token, purpose) {
+        const result = await db.query(`
+            UPDATE password_tokens
+            SET used_at = CURRENT_TIMESTAMP
+            WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            RETURNING user_id
+        `, [this.hashToken(token), purpose]);
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        const userResult = await db.query(
+            'SELECT id, email, role, department_id, password_hash, password_changed_at FROM users WHERE id = $1 FOR UPDATE',
+            [result.rows[0].user_id]
+        );
+
+        return userResult.rows[0] || null;
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+}
+
+module.exports = PasswordTokens;
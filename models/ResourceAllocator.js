@@ -560,10 +560,11 @@ class ResourceAllocator {
         const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
         const hours = [8, 9, 10, 11, 13, 14, 15, 16, 17]; // 8am-6pm, skip 12pm lunch
 
-        days.forEach(day => {
+        days.forEach((day, index) => {
             hours.forEach(hour => {
                 slots.push({
                     day: day,
+                    dayOfWeek: index + 1, // 0=Sunday, matching course_schedules.day_of_week
                     startTime: `${hour}:00`,
                     endTime: `${hour + 1}:00`,
                     available: true
@@ -626,6 +627,160 @@ class ResourceAllocator {
         };
     }
 
+    /**
+     * Place courses into weekly time slots without instructor or facility overlaps
+     * @param {Array} courses - Courses to schedule
+     * @param {Array} combinations - Feasible course-instructor-facility combinations
+     * @param {Object} context - availability rows, existing schedules, allowed days, sessions per week
+     * @returns {Object} Timetable with placed sections, unscheduled courses and warnings
+     */
+    generateTimetable(courses, combinations, context = {}) {
+        const {
+            availability = [],
+            existingSchedules = [],
+            allowedDays = null,
+            sessionsPerWeek = 1,
+            maxInstructorLoad = this.constraints.maxInstructorLoad
+        } = context;
+
+        const timetable = {
+            sections: [],
+            unscheduled: [],
+            warnings: []
+        };
+
+        const slots = this.generateTimeSlots().filter(slot =>
+            !allowedDays || allowedDays.includes(slot.dayOfWeek)
+        );
+
+        // Instructor availability windows; instructors without rows are treated as unrestricted
+        const windows = {};
+        availability.forEach(row => {
+            if (!windows[row.instructor_id]) windows[row.instructor_id] = [];
+            windows[row.instructor_id].push(this.toInterval(row.day_of_week, row.start_time, row.end_time));
+        });
+
+        // Existing sections in the term occupy their instructors and rooms
+        const bookings = { instructors: {}, facilities: {} };
+        const instructorLoad = {};
+        const book = (type, id, interval) => {
+            if (!id) return;
+            if (!bookings[type][id]) bookings[type][id] = [];
+            bookings[type][id].push(interval);
+        };
+        existingSchedules.forEach(schedule => {
+            const interval = this.toInterval(schedule.day_of_week, schedule.start_time, schedule.end_time);
+            book('instructors', schedule.instructor_id, interval);
+            book('facilities', schedule.facility_id, interval);
+        });
+
+        const isFree = (type, id, interval) =>
+            !(bookings[type][id] || []).some(booked => this.intervalsOverlap(booked, interval));
+        const isAvailable = (instructorId, interval) =>
+            !windows[instructorId] || windows[instructorId].some(window =>
+                window.dayOfWeek === interval.dayOfWeek && window.start <= interval.start && window.end >= interval.end
+            );
+
+        const optionsByCourse = {};
+        combinations.forEach(combination => {
+            if (!optionsByCourse[combination.courseId]) optionsByCourse[combination.courseId] = [];
+            optionsByCourse[combination.courseId].push(combination);
+        });
+
+        // Most constrained courses first, then larger classes
+        const ordered = courses.slice().sort((a, b) =>
+            (optionsByCourse[a.id] || []).length - (optionsByCourse[b.id] || []).length ||
+            (b.expected_students || 0) - (a.expected_students || 0)
+        );
+
+        const unrestricted = new Set();
+
+        ordered.forEach(course => {
+            const options = (optionsByCourse[course.id] || []).slice().sort((a, b) => b.utilityScore - a.utilityScore);
+            if (options.length === 0) {
+                timetable.unscheduled.push({ courseId: course.id, reason: 'No qualified instructor and suitable facility' });
+                return;
+            }
+
+            for (const option of options) {
+                if ((instructorLoad[option.instructorId] || 0) + sessionsPerWeek > maxInstructorLoad) continue;
+
+                // One meeting per day, each free for both instructor and room
+                const meetings = [];
+                for (const slot of slots) {
+                    if (meetings.length === sessionsPerWeek) break;
+                    if (meetings.some(meeting => meeting.dayOfWeek === slot.dayOfWeek)) continue;
+
+                    const interval = this.toInterval(slot.dayOfWeek, slot.startTime, slot.endTime);
+                    if (isAvailable(option.instructorId, interval) &&
+                        isFree('instructors', option.instructorId, interval) &&
+                        isFree('facilities', option.facilityId, interval)) {
+                        meetings.push({ ...interval, day: slot.day, startTime: slot.startTime, endTime: slot.endTime });
+                    }
+                }
+
+                if (meetings.length < sessionsPerWeek) continue;
+
+                meetings.forEach(meeting => {
+                    book('instructors', option.instructorId, meeting);
+                    book('facilities', option.facilityId, meeting);
+                });
+                instructorLoad[option.instructorId] = (instructorLoad[option.instructorId] || 0) + sessionsPerWeek;
+                if (!windows[option.instructorId]) unrestricted.add(option.instructorId);
+
+                timetable.sections.push({
+                    courseId: course.id,
+                    departmentId: course.department_id,
+                    instructorId: option.instructorId,
+                    facilityId: option.facilityId,
+                    cost: option.cost,
+                    utilityScore: option.utilityScore,
+                    meetings: meetings.map(meeting => ({
+                        day: meeting.day,
+                        dayOfWeek: meeting.dayOfWeek,
+                        startTime: meeting.startTime,
+                        endTime: meeting.endTime
+                    }))
+                });
+                return;
+            }
+
+            timetable.unscheduled.push({
+                courseId: course.id,
+                reason: 'No conflict-free time slot within instructor availability and load limits'
+            });
+        });
+
+        if (unrestricted.size > 0) {
+            timetable.warnings.push(`${unrestricted.size} instructors have no availability rows for this term and were treated as fully available`);
+        }
+
+        return timetable;
+    }
+
+    /**
+     * Convert a day and HH:MM[:SS] times into a comparable interval in minutes
+     */
+    toInterval(dayOfWeek, startTime, endTime) {
+        const toMinutes = time => {
+            const [hours, minutes] = String(time).split(':').map(Number);
+            return hours * 60 + (minutes || 0);
+        };
+
+        return {
+            dayOfWeek: Number(dayOfWeek),
+            start: toMinutes(startTime),
+            end: toMinutes(endTime)
+        };
+    }
+
+    /**
+     * Same overlap rule as the schedule conflict checks (touching intervals do not overlap)
+     */
+    intervalsOverlap(a, b) {
+        return a.dayOfWeek === b.dayOfWeek && a.start < b.end && a.end > b.start;
+    }
+
     calculateAssignmentUtilization(course, instructor, facility) {
         const studentCapacityRatio = (course.expected_students || 0) / facility.capacity;
         const instructorLoadRatio = instructor.currentLoad / this.constraints.maxInstructorLoad;
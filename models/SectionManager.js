@@ -0,0 +1,640 @@
+/**
+ * Section Manager for School Budget Management
+ * A course runs as one or more sections per term. Each section has its own instructor, room,
+ * capacity and enrollment and meets on one or more days; every meeting is a course_schedules row.
+ */
+
+const CourseCosting = require('./CourseCosting');
+const EncumbranceTracker = require('./EncumbranceTracker');
+
+class SectionManager {
+    constructor() {
+        this.costing = new CourseCosting();
+        this.encumbrances = new EncumbranceTracker();
+
+        this.statuses = ['SCHEDULED', 'ACTIVE', 'COMPLETED', 'CANCELLED'];
+        this.defaultCapacity = 30;      // Sections without a room
+    }
+
+    /**
+     * A section with its course and meetings
+     * @param {Object} db - pg client or pool
+     * @param {number} id - Section id
+     * @param {Object} options - forUpdate locks the section row
+     * @returns {Object|null}
+     */
+    async get(db, id, { forUpdate = false } = {}) {
+        const result = await db.query(`
+            SELECT s.*, c.name as course_name, c.department_id
+            FROM course_sections s
+            JOIN courses c ON s.course_id = c.id
+            WHERE s.id = $1
+            ${forUpdate ? 'FOR UPDATE OF s' : ''}
+        `, [id]);
+
+        if (result.rows.length === 0) return null;
+
+        const [section] = await this.attachMeetings(db, result.rows);
+        return section;
+    }
+
+    /**
+     * Sections matching the filters, with their meetings
+     * @param {Object} filters - courseId, departmentId, semester, academicYear, instructorId, facilityId, status
+     */
+    async list(db, filters = {}) {
+        const columns = {
+            courseId: 's.course_id',
+            departmentId: 'c.department_id',
+            semester: 's.semester',
+            academicYear: 's.academic_year',
+            instructorId: 's.instructor_id',
+            facilityId: 's.facility_id',
+            status: 's.status'
+        };
+
+        const conditions = [];
+        const params = [];
+        Object.keys(columns).forEach(key => {
+            if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+                params.push(filters[key]);
+                conditions.push(`${columns[key]} = $${params.length}`);
+            }
+        });
+
+        const result = await db.query(`
+            SELECT s.*, c.name as course_name, c.department_id,
+                   u.first_name || ' ' || u.last_name as instructor_name,
+                   f.name as facility_name, f.capacity as facility_capacity
+            FROM course_sections s
+            JOIN courses c ON s.course_id = c.id
+            LEFT JOIN users u ON s.instructor_id = u.id
+            LEFT JOIN facilities f ON s.facility_id = f.id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY s.academic_year, s.semester, c.name, s.section_code
+        `, params);
+
+        return this.attachMeetings(db, result.rows);
+    }
+
+    async attachMeetings(db, sections) {
+        if (sections.length === 0) return sections;
+
+        const result = await db.query(`
+            SELECT * FROM course_schedules
+            WHERE section_id = ANY($1)
+            ORDER BY day_of_week, start_time
+        `, [sections.map(section => section.id)]);
+
+        return sections.map(section => {
+            const meetings = result.rows.filter(meeting => meeting.section_id === section.id);
+            return {
+                ...section,
+                meetings,
+                hours_per_week: this.costing.meetingHours(meetings.filter(meeting => meeting.status !== 'CANCELLED'))
+            };
+        });
+    }
+
+    /**
+     * Problems with a meeting pattern on its own, before other sections are looked at
+     * @param {Array} meetings - { day_of_week, start_time, end_time }
+     * @returns {Array} Messages
+     */
+    validateMeetings(meetings) {
+        const errors = [];
+
+        if (meetings.length === 0) {
+            errors.push('A section needs at least one meeting');
+        }
+
+        meetings.forEach((meeting, index) => {
+            if (this.costing.toMinutes(meeting.end_time) <= this.costing.toMinutes(meeting.start_time)) {
+                errors.push(`Meeting ${index + 1} must end after it starts`);
+            }
+
+            meetings.slice(index + 1).forEach((other, offset) => {
+                if (parseInt(other.day_of_week) === parseInt(meeting.day_of_week) &&
+                    this.overlaps(meeting, other)) {
+                    errors.push(`Meetings ${index + 1} and ${index + offset + 2} overlap`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Instructor and room conflicts for every meeting of a (proposed) section
+     * @param {Object} db - pg client or pool
+     * @param {Object} section - instructorId, facilityId, semester, academicYear, meetings, excludeSectionId
+     * @returns {Array} Conflicts, each naming the meeting it applies to
+     */
+    async findConflicts(db, { instructorId, facilityId, semester, academicYear, meetings, excludeSectionId = null }) {
+        const conflicts = [];
+
+        for (const meeting of meetings) {
+            const found = await this.checkConflicts(
+                db, instructorId, facilityId, meeting.day_of_week, meeting.start_time, meeting.end_time,
+                semester, academicYear, { excludeSectionId, excludeScheduleId: meeting.id || null }
+            );
+            found.forEach(conflict => conflicts.push({ ...conflict, meeting }));
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Live meetings that would clash with one meeting slot, by instructor and by room
+     * @returns {Array} { type, resource_id, conflicting_schedules }
+     */
+    async checkConflicts(db, instructorId, facilityId, dayOfWeek, startTime, endTime, semester, academicYear,
+        { excludeSectionId = null, excludeScheduleId = null } = {}) {
+        const conflicts = [];
+        const resources = [
+            { type: 'instructor', column: 'instructor_id', id: instructorId },
+            { type: 'facility', column: 'facility_id', id: facilityId }
+        ];
+
+        for (const resource of resources) {
+            if (!resource.id) continue;
+
+            const result = await db.query(`
+                SELECT cs.*, c.name as course_name, s.section_code
+                FROM course_schedules cs
+                JOIN courses c ON cs.course_id = c.id
+                LEFT JOIN course_sections s ON cs.section_id = s.id
+                WHERE cs.${resource.column} = $1
+                  AND cs.day_of_week = $2
+                  AND cs.semester = $3
+                  AND cs.academic_year = $4
+                  AND cs.status != 'CANCELLED'
+                  AND (
+                    (cs.start_time <= $5 AND cs.end_time > $5) OR
+                    (cs.start_time < $6 AND cs.end_time >= $6) OR
+                    (cs.start_time >= $5 AND cs.end_time <= $6)
+                  )
+                  AND cs.id IS DISTINCT FROM $7
+                  AND cs.section_id IS DISTINCT FROM $8
+            `, [resource.id, dayOfWeek, semester, academicYear, startTime, endTime, excludeScheduleId, excludeSectionId]);
+
+            if (result.rows.length > 0) {
+                conflicts.push({
+                    type: resource.type,
+                    resource_id: resource.id,
+                    conflicting_schedules: result.rows
+                });
+            }
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Create a section with its meetings and encumber its projected cost
+     * @param {Object} db - pg client inside the caller's transaction
+     * @param {Object} section - courseId, sectionCode, semester, academicYear, instructorId, facilityId,
+     *                           capacity, status, meetings
+     * @param {number} createdBy - User id
+     * @returns {Object} The section with its meetings and encumbrance
+     */
+    async create(db, section, createdBy) {
+        const sectionCode = section.sectionCode ||
+            await this.nextSectionCode(db, section.courseId, section.semester, section.academicYear);
+        const capacity = section.capacity || await this.defaultCapacityFor(db, section.facilityId);
+
+        const result = await db.query(`
+            INSERT INTO course_sections (course_id, section_code, semester, academic_year, instructor_id, facility_id,
+                                         capacity, enrollment_actual, status, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+        `, [
+            section.courseId, sectionCode, section.semester, section.academicYear,
+            section.instructorId || null, section.facilityId || null,
+            capacity, 0, section.status || 'SCHEDULED', createdBy
+        ]);
+        const created = result.rows[0];
+
+        for (const meeting of section.meetings) {
+            await this.addMeeting(db, created, meeting);
+        }
+
+        const encumbrance = await this.encumbrances.encumberSection(db, created, createdBy);
+        const saved = await this.get(db, created.id);
+
+        return { ...saved, encumbrance };
+    }
+
+    /**
+     * Add a weekly meeting to a section. Meetings carry their section's instructor, room and
+     * enrollment so timetable and conflict queries can keep reading course_schedules directly.
+     */
+    async addMeeting(db, section, meeting) {
+        const result = await db.query(`
+            INSERT INTO course_schedules (course_id, section_id, instructor_id, facility_id, semester, academic_year,
+                                          day_of_week, start_time, end_time, enrollment_actual, status)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            RETURNING *
+        `, [
+            section.course_id, section.id, section.instructor_id, section.facility_id, section.semester,
+            section.academic_year, meeting.day_of_week, meeting.start_time, meeting.end_time,
+            section.enrollment_actual, section.status === 'ACTIVE' ? 'ACTIVE' : 'SCHEDULED'
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Change a section. Instructor, room, enrollment and status are copied to its meetings; a new
+     * meeting list replaces the live meetings. Cancelling releases the section's encumbrance and
+     * completing liquidates it; more seats are filled from the waitlist. Re-pricing is left to the
+     * caller (CourseCostUpdater).
+     * @param {Object} db - pg client inside the caller's transaction
+     * @param {Object} current - Section from get()
+     * @param {Object} changes - section_code, instructor_id, facility_id, capacity, status, meetings
+     * @param {number} userId - Who made the change
+     * @returns {Object} The updated section with its meetings
+     */
+    async update(db, current, changes, userId) {
+        const fields = ['section_code', 'instructor_id', 'facility_id', 'capacity', 'status'];
+        const setClause = [];
+        const params = [];
+
+        fields.forEach(field => {
+            if (changes[field] !== undefined) {
+                params.push(changes[field]);
+                setClause.push(`${field} = $${params.length}`);
+            }
+        });
+
+        params.push(current.id);
+        const result = await db.query(`
+            UPDATE course_sections
+            SET ${[...setClause, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+            WHERE id = $${params.length}
+            RETURNING *
+        `, params);
+        const updated = result.rows[0];
+
+        await db.query(`
+            UPDATE course_schedules
+            SET instructor_id = $2, facility_id = $3, enrollment_actual = $4,
+                status = CASE WHEN status = 'CANCELLED' THEN status ELSE $5 END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE section_id = $1
+        `, [updated.id, updated.instructor_id, updated.facility_id, updated.enrollment_actual, updated.status]);
+
+        if (changes.meetings) {
+            await db.query(`
+                UPDATE course_schedules
+                SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP
+                WHERE section_id = $1 AND status != 'CANCELLED'
+            `, [updated.id]);
+
+            for (const meeting of changes.meetings) {
+                await this.addMeeting(db, updated, meeting);
+            }
+        }
+
+        if (updated.status === 'CANCELLED' && current.status !== 'CANCELLED') {
+            await this.encumbrances.releaseSection(db, updated, 'Section cancelled', userId);
+        } else if (updated.status === 'COMPLETED' && current.status !== 'COMPLETED') {
+            await this.encumbrances.liquidate(db, this.encumbrances.sourceTypes.SECTION, updated.id, 'Section completed');
+        }
+
+        if (changes.capacity !== undefined || changes.facility_id !== undefined) {
+            await this.promoteWaitlist(db, updated);
+        }
+
+        return this.get(db, updated.id);
+    }
+
+    /**
+     * Cancel one meeting. A section left with no live meetings is cancelled with it.
+     * @returns {Object} { meeting, sectionCancelled }
+     */
+    async cancelMeeting(db, meeting, userId) {
+        const result = await db.query(`
+            UPDATE course_schedules
+            SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [meeting.id]);
+        const cancelled = result.rows[0];
+
+        const sectionCancelled = await this.cancelIfEmpty(db, cancelled.section_id, userId);
+        return { meeting: cancelled, sectionCancelled };
+    }
+
+    /**
+     * Cancel a section whose meetings have all been cancelled
+     * @returns {boolean} Whether the section was cancelled
+     */
+    async cancelIfEmpty(db, sectionId, userId) {
+        if (!sectionId) return false;
+
+        const section = await this.get(db, sectionId, { forUpdate: true });
+        if (!section || section.status === 'CANCELLED' ||
+            section.meetings.some(meeting => meeting.status !== 'CANCELLED')) {
+            return false;
+        }
+
+        await this.update(db, section, { status: 'CANCELLED' }, userId);
+        return true;
+    }
+
+    /**
+     * Replace a section's enrolled users, anchoring each enrollment on the section's first live meeting.
+     * The waitlist is kept; anyone on it who is now assigned leaves it, and free seats are filled from it.
+     * @param {Object} options - status for removed users: DROPPED, or WITHDRAWN after the add/drop deadline
+     * @returns {Object} { removed, enrolled, promoted } user ids
+     */
+    async assignUsers(db, section, userIds, { status = 'DROPPED' } = {}) {
+        const uniqueIds = [...new Set(userIds.map(userId => parseInt(userId)))];
+        const removed = await db.query(`
+            UPDATE course_enrollments
+            SET status = $3, dropped_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE section_id = $1 AND status = 'ENROLLED' AND NOT (user_id = ANY($2))
+            RETURNING user_id
+        `, [section.id, uniqueIds, status]);
+
+        await this.upsertEnrollments(db, section, uniqueIds, 'ENROLLED');
+
+        const promoted = await this.promoteWaitlist(db, section);
+
+        return {
+            removed: removed.rows.map(row => row.user_id).sort((a, b) => a - b),
+            enrolled: uniqueIds.sort((a, b) => a - b),
+            promoted
+        };
+    }
+
+    /**
+     * Enroll users in a section while seats last; the rest join the end of the waitlist, in the
+     * order given, unless waitlisting is turned off. Users already enrolled or waitlisted keep their place.
+     * @param {Object} db - pg client inside the caller's transaction, with the section locked
+     * @param {Object} section - Section from get()
+     * @param {Array} userIds - Users to enroll, in priority order
+     * @param {Object} options - waitlist (default true)
+     * @returns {Object} { enrolled, waitlisted: [{ user_id, position }], unchanged, rejected } user ids
+     */
+    async enroll(db, section, userIds, { waitlist = true } = {}) {
+        const uniqueIds = [...new Set(userIds.map(userId => parseInt(userId)))];
+        const existing = await db.query(`
+            SELECT user_id, status FROM course_enrollments
+            WHERE section_id = $1 AND user_id = ANY($2) AND status IN ('ENROLLED', 'WAITLISTED')
+        `, [section.id, uniqueIds]);
+        const current = new Set(existing.rows.map(row => row.user_id));
+
+        const seats = await this.seatLimit(db, section);
+        const counts = await this.enrollmentCounts(db, section.id);
+        // Nobody jumps an existing waitlist
+        let free = counts.waitlisted > 0 ? 0 : Math.max(seats - counts.enrolled, 0);
+
+        const outcome = { enrolled: [], waitlisted: [], unchanged: [], rejected: [] };
+        const toWaitlist = [];
+        uniqueIds.forEach(userId => {
+            if (current.has(userId)) {
+                outcome.unchanged.push(userId);
+            } else if (free > 0) {
+                outcome.enrolled.push(userId);
+                free--;
+            } else if (waitlist) {
+                toWaitlist.push(userId);
+            } else {
+                outcome.rejected.push(userId);
+            }
+        });
+
+        await this.upsertEnrollments(db, section, outcome.enrolled, 'ENROLLED');
+        await this.upsertEnrollments(db, section, toWaitlist, 'WAITLISTED');
+        await this.syncEnrollment(db, section.id);
+
+        if (toWaitlist.length > 0) {
+            const waitlist = await this.listEnrollments(db, section.id, 'WAITLISTED');
+            outcome.waitlisted = waitlist
+                .filter(row => toWaitlist.includes(row.user_id))
+                .map(row => ({ user_id: row.user_id, position: row.position }));
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Drop users from a section or its waitlist and promote from the waitlist into the freed seats
+     * @param {Object} options - status: DROPPED, or WITHDRAWN for drops after the add/drop deadline
+     * @returns {Object} { dropped, notEnrolled, promoted } user ids
+     */
+    async drop(db, section, userIds, { status = 'DROPPED' } = {}) {
+        const uniqueIds = [...new Set(userIds.map(userId => parseInt(userId)))];
+        const result = await db.query(`
+            UPDATE course_enrollments
+            SET status = $3, waitlist_position = NULL, dropped_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE section_id = $1 AND user_id = ANY($2) AND status IN ('ENROLLED', 'WAITLISTED')
+            RETURNING user_id
+        `, [section.id, uniqueIds, status]);
+
+        const dropped = result.rows.map(row => row.user_id).sort((a, b) => a - b);
+        const promoted = await this.promoteWaitlist(db, section);
+
+        return {
+            dropped,
+            notEnrolled: uniqueIds.filter(userId => !dropped.includes(userId)),
+            promoted
+        };
+    }
+
+    /**
+     * Move users from the front of the waitlist into any free seats, then resync enrollment
+     * @returns {Array} Promoted user ids, in waitlist order
+     */
+    async promoteWaitlist(db, section) {
+        const seats = await this.seatLimit(db, section);
+        const counts = await this.enrollmentCounts(db, section.id);
+        const free = section.status === 'CANCELLED' ? 0 : Math.max(seats - counts.enrolled, 0);
+
+        let promoted = [];
+        if (free > 0 && counts.waitlisted > 0) {
+            const result = await db.query(`
+                WITH next_up AS (
+                    SELECT id, waitlist_position FROM course_enrollments
+                    WHERE section_id = $1 AND status = 'WAITLISTED'
+                    ORDER BY waitlist_position, id
+                    LIMIT $2
+                )
+                UPDATE course_enrollments ce
+                SET status = 'ENROLLED', waitlist_position = NULL, enrollment_date = CURRENT_DATE,
+                    updated_at = CURRENT_TIMESTAMP
+                FROM next_up
+                WHERE ce.id = next_up.id
+                RETURNING ce.id, ce.user_id, next_up.waitlist_position
+            `, [section.id, free]);
+            promoted = result.rows
+                .sort((a, b) => a.waitlist_position - b.waitlist_position || a.id - b.id)
+                .map(row => row.user_id);
+        }
+
+        await this.syncEnrollment(db, section.id);
+        return promoted;
+    }
+
+    /**
+     * A section's enrolled users, or its waitlist in order with 1-based positions
+     */
+    async listEnrollments(db, sectionId, status = 'ENROLLED') {
+        const result = await db.query(`
+            SELECT ce.id, ce.user_id, ce.status, ce.enrollment_date,
+                   ROW_NUMBER() OVER (ORDER BY ce.waitlist_position, ce.id)::int as position,
+                   u.email, u.first_name, u.last_name
+            FROM course_enrollments ce
+            JOIN users u ON ce.user_id = u.id
+            WHERE ce.section_id = $1 AND ce.status = $2
+            ORDER BY ce.waitlist_position, ce.id
+        `, [sectionId, status]);
+
+        return result.rows.map(row => ({
+            ...row,
+            position: status === 'WAITLISTED' ? row.position : null
+        }));
+    }
+
+    async enrollmentCounts(db, sectionId) {
+        const result = await db.query(`
+            SELECT COUNT(*) FILTER (WHERE status = 'ENROLLED')::int as enrolled,
+                   COUNT(*) FILTER (WHERE status = 'WAITLISTED')::int as waitlisted
+            FROM course_enrollments
+            WHERE section_id = $1
+        `, [sectionId]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Insert or reinstate enrollments with one status. Waitlisted users are numbered after the current tail.
+     */
+    async upsertEnrollments(db, section, userIds, status) {
+        if (userIds.length === 0) return;
+
+        const anchor = section.meetings.find(meeting => meeting.status !== 'CANCELLED');
+
+        await db.query(`
+            INSERT INTO course_enrollments (schedule_id, section_id, user_id, enrollment_date, status, waitlist_position)
+            SELECT $1, $2, ids.user_id, CURRENT_DATE, $4,
+                   CASE WHEN $4 = 'WAITLISTED' THEN tail.position + ids.ordinality END
+            FROM unnest($3::int[]) WITH ORDINALITY as ids(user_id, ordinality)
+            CROSS JOIN (
+                SELECT COALESCE(MAX(waitlist_position), 0) as position
+                FROM course_enrollments WHERE section_id = $2
+            ) tail
+            ON CONFLICT (section_id, user_id)
+            DO UPDATE SET schedule_id = EXCLUDED.schedule_id, status = EXCLUDED.status,
+                          waitlist_position = EXCLUDED.waitlist_position, enrollment_date = EXCLUDED.enrollment_date,
+                          dropped_at = NULL, updated_at = CURRENT_TIMESTAMP
+        `, [anchor.id, section.id, userIds, status]);
+    }
+
+    /**
+     * Set enrollment_actual on a section and its meetings from its enrolled users
+     */
+    async syncEnrollment(db, sectionId) {
+        const result = await db.query(`
+            UPDATE course_sections
+            SET enrollment_actual = (
+                    SELECT COUNT(DISTINCT user_id) FROM course_enrollments
+                    WHERE section_id = $1 AND status = 'ENROLLED'
+                ),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING enrollment_actual
+        `, [sectionId]);
+
+        await db.query(
+            'UPDATE course_schedules SET enrollment_actual = $2 WHERE section_id = $1',
+            [sectionId, result.rows[0].enrollment_actual]
+        );
+
+        return result.rows[0].enrollment_actual;
+    }
+
+    /**
+     * Seats a section can fill: its capacity, or fewer if its room now holds fewer
+     */
+    async seatLimit(db, section) {
+        if (!section.facility_id) return section.capacity;
+
+        const result = await db.query('SELECT capacity FROM facilities WHERE id = $1', [section.facility_id]);
+        const roomCapacity = result.rows[0] && result.rows[0].capacity;
+        return roomCapacity ? Math.min(section.capacity, roomCapacity) : section.capacity;
+    }
+
+    /**
+     * Enrollment changes close after the term's add/drop deadline unless overridden. Terms missing
+     * from the academic calendar have no deadline.
+     * @param {Object} options - override lets the change through after the deadline
+     * @returns {Object} { error, passed, deadline } where error is null when the change may go ahead
+     */
+    async checkAddDrop(db, section, { override = false } = {}) {
+        const result = await db.query(`
+            SELECT to_char(add_drop_deadline, 'YYYY-MM-DD') as deadline, add_drop_deadline < CURRENT_DATE as passed
+            FROM academic_calendar
+            WHERE semester = $1 AND academic_year = $2
+        `, [section.semester, section.academic_year]);
+
+        const term = result.rows[0];
+        if (!term || !term.deadline) return { error: null, passed: false, deadline: null };
+
+        const error = term.passed && !override
+            ? `The add/drop deadline for ${section.semester} ${section.academic_year} was ${term.deadline}`
+            : null;
+        return { error, passed: term.passed, deadline: term.deadline };
+    }
+
+    /**
+     * A section cannot seat more than its room holds, nor fewer than it already has enrolled
+     * @returns {string|null} The problem, if any
+     */
+    async checkCapacity(db, facilityId, capacity, enrolled) {
+        if (capacity === undefined || capacity === null) return null;
+
+        if (parseInt(enrolled) > parseInt(capacity)) {
+            return `Capacity cannot be below the ${enrolled} users already enrolled`;
+        }
+
+        if (!facilityId) return null;
+
+        const result = await db.query('SELECT name, capacity FROM facilities WHERE id = $1', [facilityId]);
+        const facility = result.rows[0];
+        if (facility && facility.capacity && parseInt(capacity) > facility.capacity) {
+            return `${facility.name} seats ${facility.capacity}, fewer than the requested capacity of ${capacity}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * The next free two-digit section code for a course in a term ("01", "02", ...)
+     */
+    async nextSectionCode(db, courseId, semester, academicYear) {
+        const result = await db.query(`
+            SELECT section_code FROM course_sections
+            WHERE course_id = $1 AND semester = $2 AND academic_year = $3
+        `, [courseId, semester, academicYear]);
+
+        const highest = result.rows.reduce((max, row) => Math.max(max, parseInt(row.section_code) || 0), 0);
+        return String(highest + 1).padStart(2, '0');
+    }
+
+    async defaultCapacityFor(db, facilityId) {
+        if (!facilityId) return this.defaultCapacity;
+
+        const result = await db.query('SELECT capacity FROM facilities WHERE id = $1', [facilityId]);
+        return (result.rows[0] && result.rows[0].capacity) || this.defaultCapacity;
+    }
+
+    overlaps(a, b) {
+        return this.costing.toMinutes(a.start_time) < this.costing.toMinutes(b.end_time) &&
+            this.costing.toMinutes(b.start_time) < this.costing.toMinutes(a.end_time);
+    }
+}
+
+module.exports = SectionManager;
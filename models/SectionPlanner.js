@@ -0,0 +1,248 @@
+/**
+ * Section Planner for School Budget Management
+ * Turns student course requests for a term into a recommended number of sections per course,
+ * sized by OptimizationAlgorithm's class-size limits and the rooms the course can use, with the
+ * budget impact of every section beyond those already scheduled
+ */
+
+const OptimizationAlgorithm = require('./OptimizationAlgorithm');
+const CourseCosting = require('./CourseCosting');
+const EncumbranceTracker = require('./EncumbranceTracker');
+
+class SectionPlanner {
+    constructor() {
+        this.optimizer = new OptimizationAlgorithm();
+        this.costing = new CourseCosting();
+        this.encumbrances = new EncumbranceTracker();
+
+        this.costBasis = {
+            SECTIONS: 'SECTIONS',   // Average of the course's priced sections
+            ESTIMATE: 'ESTIMATE',   // The course's typed-in estimate, as one section
+            ROOM: 'ROOM'            // Room and overhead only; no instructor is known yet
+        };
+    }
+
+    /**
+     * Build the plan for a term
+     * @param {Object} db - pg client or pool
+     * @param {Object} term - semester, academicYear, departmentId (optional)
+     * @returns {Object} { term, constraints, courses, departments }
+     */
+    async plan(db, { semester, academicYear, departmentId = null }) {
+        const { minClassSize, maxClassSize } = this.optimizer.constraints;
+
+        const params = [semester, academicYear];
+        if (departmentId) params.push(departmentId);
+
+        // Courses with requests or sections in the term
+        const coursesResult = await db.query(`
+            SELECT c.*, d.name as department_name,
+                   COALESCE(r.requests, 0) as requests,
+                   COALESCE(r.first_choice, 0) as first_choice,
+                   COALESCE(s.section_count, 0) as current_sections,
+                   COALESCE(s.capacity, 0) as current_capacity
+            FROM courses c
+            JOIN departments d ON c.department_id = d.id
+            LEFT JOIN (
+                SELECT course_id, COUNT(*) as requests, COUNT(*) FILTER (WHERE priority = 1) as first_choice
+                FROM course_requests
+                WHERE semester = $1 AND academic_year = $2 AND status = 'REQUESTED'
+                GROUP BY course_id
+            ) r ON r.course_id = c.id
+            LEFT JOIN (
+                SELECT course_id, COUNT(*) as section_count, SUM(capacity) as capacity
+                FROM course_sections
+                WHERE semester = $1 AND academic_year = $2 AND status != 'CANCELLED'
+                GROUP BY course_id
+            ) s ON s.course_id = c.id
+            WHERE c.archived_at IS NULL
+              AND (r.course_id IS NOT NULL OR s.course_id IS NOT NULL)
+              ${departmentId ? 'AND c.department_id = $3' : ''}
+            ORDER BY d.name, c.name
+        `, params);
+
+        const roomsResult = await db.query(`
+            SELECT id, name, type, capacity, department_id, hourly_cost, utilities_cost_annual, maintenance_cost_annual
+            FROM facilities
+            WHERE status = 'AVAILABLE'
+            ORDER BY capacity DESC
+        `);
+
+        const pricedSections = await db.query(`
+            SELECT course_id, AVG(total_cost) as average_cost, COUNT(*) as priced
+            FROM course_sections
+            WHERE course_id = ANY($1) AND status != 'CANCELLED' AND total_cost IS NOT NULL
+            GROUP BY course_id
+        `, [coursesResult.rows.map(course => course.id)]);
+        const sectionCosts = {};
+        pricedSections.rows.forEach(row => {
+            sectionCosts[row.course_id] = row;
+        });
+
+        const departmentIds = [...new Set(coursesResult.rows.map(course => course.department_id))];
+        const funds = {};
+        for (const id of departmentIds) {
+            funds[id] = await this.encumbrances.getAvailable(db, id);
+        }
+
+        const courses = [];
+        for (const course of coursesResult.rows) {
+            const room = this.pickRoom(roomsResult.rows, course.department_id);
+            const recommendation = this.recommend(parseInt(course.requests), room ? room.capacity : null);
+            const sectionCost = await this.estimateSectionCost(db, course, room, sectionCosts[course.id]);
+            const currentSections = parseInt(course.current_sections);
+            const change = recommendation.sections - currentSections;
+
+            courses.push({
+                course_id: course.id,
+                course_name: course.name,
+                department_id: course.department_id,
+                department_name: course.department_name,
+                requests: parseInt(course.requests),
+                first_choice: parseInt(course.first_choice),
+                expected_students: course.expected_students,
+                current_sections: currentSections,
+                current_capacity: parseInt(course.current_capacity),
+                room: room ? { id: room.id, name: room.name, capacity: room.capacity } : null,
+                seats_per_section: recommendation.seatsPerSection,
+                recommended_sections: recommendation.sections,
+                average_class_size: recommendation.averageClassSize,
+                change,
+                section_cost: { amount: sectionCost.amount, basis: sectionCost.basis },
+                budget_impact: this.budgetImpact(change, currentSections, sectionCost.amount, funds[course.department_id]),
+                warnings: [...recommendation.warnings, ...sectionCost.warnings]
+            });
+        }
+
+        return {
+            term: { semester, academic_year: academicYear },
+            constraints: { min_class_size: minClassSize, max_class_size: maxClassSize },
+            courses,
+            departments: this.summarizeDepartments(courses, funds)
+        };
+    }
+
+    /**
+     * How many sections a level of demand needs. Sections hold at most the smaller of the maximum
+     * class size and the room's capacity; demand below the minimum class size does not justify one.
+     * @param {number} demand - Requests for the course
+     * @param {number|null} roomCapacity - Largest room the course can use
+     * @returns {Object} { sections, seatsPerSection, averageClassSize, warnings }
+     */
+    recommend(demand, roomCapacity) {
+        const { minClassSize, maxClassSize } = this.optimizer.constraints;
+        const warnings = [];
+        const seatsPerSection = roomCapacity ? Math.min(maxClassSize, roomCapacity) : maxClassSize;
+
+        if (!roomCapacity) {
+            warnings.push('No available room; sections are sized by the maximum class size alone');
+        } else if (roomCapacity < minClassSize) {
+            warnings.push(`The largest available room seats ${roomCapacity}, below the minimum class size of ${minClassSize}`);
+        }
+
+        if (demand === 0) {
+            return { sections: 0, seatsPerSection, averageClassSize: 0, warnings: [...warnings, 'No requests for this term'] };
+        }
+
+        if (demand < minClassSize) {
+            return {
+                sections: 0,
+                seatsPerSection,
+                averageClassSize: 0,
+                warnings: [...warnings, `${demand} request(s) is below the minimum class size of ${minClassSize}`]
+            };
+        }
+
+        let sections = Math.ceil(demand / seatsPerSection);
+        // Splitting must not leave sections below the minimum class size
+        while (sections > 1 && demand / sections < minClassSize) {
+            sections--;
+        }
+
+        const averageClassSize = Math.round(demand / sections * 10) / 10;
+        if (averageClassSize > seatsPerSection) {
+            warnings.push(`Sections would average ${averageClassSize} students for ${seatsPerSection} seats`);
+        }
+
+        return { sections, seatsPerSection, averageClassSize, warnings };
+    }
+
+    /**
+     * What one more section of a course is expected to cost
+     * @returns {Object} { amount, basis, warnings }
+     */
+    async estimateSectionCost(db, course, room, priced) {
+        if (priced) {
+            return { amount: this.costing.round(parseFloat(priced.average_cost)), basis: this.costBasis.SECTIONS, warnings: [] };
+        }
+
+        if (parseFloat(course.total_cost) > 0) {
+            return { amount: this.costing.round(parseFloat(course.total_cost)), basis: this.costBasis.ESTIMATE, warnings: [] };
+        }
+
+        const { total } = this.costing.calculate(course, {
+            section: { capacity: room ? room.capacity : this.optimizer.constraints.maxClassSize },
+            meetings: [],
+            instructor: null,
+            facility: room,
+            equipment: [],
+            costStructures: await this.costing.loadCostStructures(db, course.department_id)
+        });
+
+        return {
+            amount: total,
+            basis: this.costBasis.ROOM,
+            warnings: ['Section cost excludes the instructor until the course has an estimate or a priced section']
+        };
+    }
+
+    /**
+     * Cost of each section added beyond those already scheduled, against the department's funds
+     */
+    budgetImpact(change, currentSections, sectionCost, funds) {
+        const available = funds ? funds.available : null;
+        const impact = [];
+
+        for (let added = 1; added <= change; added++) {
+            const cumulative = this.costing.round(sectionCost * added);
+            impact.push({
+                section_number: currentSections + added,
+                cost: sectionCost,
+                cumulative_cost: cumulative,
+                department_available_after: available === null ? null : this.costing.round(available - cumulative)
+            });
+        }
+
+        return impact;
+    }
+
+    summarizeDepartments(courses, funds) {
+        return Object.values(funds).filter(Boolean).map(dept => {
+            const deptCourses = courses.filter(course => course.department_id === dept.id);
+            const extraSections = deptCourses.reduce((sum, course) => sum + Math.max(course.change, 0), 0);
+            const surplusSections = deptCourses.reduce((sum, course) => sum + Math.max(-course.change, 0), 0);
+            const extraCost = this.costing.round(deptCourses.reduce(
+                (sum, course) => sum + Math.max(course.change, 0) * course.section_cost.amount, 0));
+
+            return {
+                department_id: dept.id,
+                department_name: dept.name,
+                requests: deptCourses.reduce((sum, course) => sum + course.requests, 0),
+                extra_sections: extraSections,
+                surplus_sections: surplusSections,
+                extra_cost: extraCost,
+                available: dept.available,
+                available_after: this.costing.round(dept.available - extraCost)
+            };
+        });
+    }
+
+    /**
+     * The largest available room a department's course can use: its own rooms or shared ones
+     */
+    pickRoom(rooms, departmentId) {
+        return rooms.find(room => room.department_id === null || room.department_id === departmentId) || null;
+    }
+}
+
+module.exports = SectionPlanner;
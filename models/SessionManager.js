@@ -0,0 +1,207 @@
+/**
+ * Session Manager for School Budget Management
+ * Issues short-lived access tokens backed by server-side sessions with rotating refresh tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+class SessionManager {
+    constructor() {
+        this.accessTokenExpiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+        this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    }
+
+    /**
+     * Start a session for a user who has just authenticated
+     * @param {Object} db - pg client or pool
+     * @param {Object} user - id, email, role, department_id
+     * @param {Object} meta - userAgent, ipAddress, mfaVerified
+     * @returns {Object} { accessToken, refreshToken, expiresIn, session }
+     */
+    async createSession(db, user, meta = {}) {
+        const refreshToken = this.generateRefreshToken();
+
+        const result = await db.query(`
+            INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at, mfa_verified_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' days')::interval,
+                    CASE WHEN $6 THEN CURRENT_TIMESTAMP END)
+            RETURNING *
+        `, [
+            user.id, this.hashToken(refreshToken), meta.userAgent || null, meta.ipAddress || null,
+            this.refreshTokenTtlDays, Boolean(meta.mfaVerified)
+        ]);
+
+        const session = result.rows[0];
+
+        return {
+            accessToken: this.signAccessToken(user, session.id),
+            refreshToken,
+            expiresIn: this.accessTokenExpiresIn,
+            session: this.formatSession(session)
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and refresh token.
+     * Presenting an already-rotated token revokes the whole session, since it means the token leaked.
+     * @returns {Object} { ok, status, message, accessToken, refreshToken, expiresIn, user }
+     */
+    async rotate(db, refreshToken, meta = {}) {
+        const tokenHash = this.hashToken(refreshToken);
+
+        const result = await db.query(`
+            SELECT s.*, s.refresh_token_hash = $1 as is_current,
+                   u.email, u.role, u.department_id
+            FROM user_sessions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1
+            FOR UPDATE OF s
+        `, [tokenHash]);
+
+        if (result.rows.length === 0) {
+            return { ok: false, status: 401, message: 'Invalid refresh token' };
+        }
+
+        const session = result.rows[0];
+
+        if (session.revoked_at) {
+            return { ok: false, status: 401, message: 'Session has been revoked' };
+        }
+
+        if (!session.is_current) {
+            await this.revokeSession(db, session.id, null, 'Refresh token reuse detected');
+            return { ok: false, status: 401, message: 'Session has been revoked' };
+        }
+
+        if (new Date(session.expires_at) <= new Date()) {
+            return { ok: false, status: 401, message: 'Session has expired' };
+        }
+
+        const nextToken = this.generateRefreshToken();
+        await db.query(`
+            UPDATE user_sessions
+            SET previous_token_hash = refresh_token_hash, refresh_token_hash = $1,
+                last_used_at = CURRENT_TIMESTAMP, user_agent = COALESCE($2, user_agent),
+                ip_address = COALESCE($3, ip_address)
+            WHERE id = $4
+        `, [this.hashToken(nextToken), meta.userAgent || null, meta.ipAddress || null, session.id]);
+
+        const user = {
+            id: session.user_id,
+            email: session.email,
+            role: session.role,
+            department_id: session.department_id
+        };
+
+        return {
+            ok: true,
+            accessToken: this.signAccessToken(user, session.id),
+            refreshToken: nextToken,
+            expiresIn: this.accessTokenExpiresIn,
+            user
+        };
+    }
+
+    /**
+     * Check that the session behind an access token is still live
+     * @returns {Object|null} The session row, or null when revoked, expired or unknown
+     */
+    async getActiveSession(db, sessionId) {
+        const result = await db.query(`
+            SELECT * FROM user_sessions
+            WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        `, [sessionId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Record that a session has just passed an MFA check
+     */
+    async markMfaVerified(db, sessionId) {
+        await db.query('UPDATE user_sessions SET mfa_verified_at = CURRENT_TIMESTAMP WHERE id = $1', [sessionId]);
+    }
+
+    async revokeSession(db, sessionId, revokedBy, reason) {
+        const result = await db.query(`
+            UPDATE user_sessions
+            SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2, revoke_reason = $3
+            WHERE id = $1 AND revoked_at IS NULL
+            RETURNING *
+        `, [sessionId, revokedBy || null, reason || null]);
+
+        return result.rows[0] ? this.formatSession(result.rows[0]) : null;
+    }
+
+    /**
+     * Revoke every live session a user holds
+     * @returns {number} Number of sessions revoked
+     */
+    async revokeAllForUser(db, userId, revokedBy, reason) {
+        const result = await db.query(`
+            UPDATE user_sessions
+            SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2, revoke_reason = $3
+            WHERE user_id = $1 AND revoked_at IS NULL
+        `, [userId, revokedBy || null, reason || null]);
+
+        return result.rowCount;
+    }
+
+    /**
+     * List a user's sessions, most recently used first
+     * @param {boolean} includeInactive - Also return revoked and expired sessions
+     */
+    async listSessions(db, userId, includeInactive = false) {
+        let query = 'SELECT * FROM user_sessions WHERE user_id = $1';
+        if (!includeInactive) {
+            query += ' AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP';
+        }
+        query += ' ORDER BY COALESCE(last_used_at, created_at) DESC';
+
+        const result = await db.query(query, [userId]);
+        return result.rows.map(session => this.formatSession(session));
+    }
+
+    signAccessToken(user, sessionId) {
+        return jwt.sign(
+            {
+                userId: user.id,
+                email: user.email,
+                role: user.role,
+                departmentId: user.department_id,
+                sessionId
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: this.accessTokenExpiresIn }
+        );
+    }
+
+    generateRefreshToken() {
+        return crypto.randomBytes(48).toString('hex');
+    }
+
+    hashToken(token) {
+        // Only hashes are stored, so a database leak does not expose usable refresh tokens
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    formatSession(session) {
+        const now = new Date();
+        return {
+            id: session.id,
+            user_id: session.user_id,
+            user_agent: session.user_agent,
+            ip_address: session.ip_address,
+            created_at: session.created_at,
+            last_used_at: session.last_used_at,
+            expires_at: session.expires_at,
+            revoked_at: session.revoked_at,
+            revoke_reason: session.revoke_reason,
+            mfa_verified_at: session.mfa_verified_at,
+            active: !session.revoked_at && new Date(session.expires_at) > now
+        };
+    }
+}
+
+module.exports = SessionManager;
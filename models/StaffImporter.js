@@ -0,0 +1,350 @@
+/**
+ * Staff Importer for School Budget Management
+ * Parses, validates and applies staff CSV imports; the export uses the same columns
+ */
+
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const policy = require('./AccessPolicy');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fields an import row can set, besides the email that identifies the user
+const PROFILE_FIELDS = ['first_name', 'last_name', 'employment_type', 'hourly_rate', 'hire_date'];
+
+class StaffImporter {
+    constructor() {
+        this.columns = ['email', 'first_name', 'last_name', 'role', 'department', 'employment_type', 'hourly_rate', 'hire_date'];
+        this.employmentTypes = ['FULL_TIME', 'PART_TIME', 'ADJUNCT', 'CONTRACT'];
+        this.maxRows = parseInt(process.env.USER_IMPORT_MAX_ROWS) || 2000;
+    }
+
+    /**
+     * Parse CSV text. Headers are matched case-insensitively.
+     * @returns {Promise<Object>} { headers, records }
+     */
+    parse(text) {
+        return new Promise((resolve, reject) => {
+            const records = [];
+            let headers = [];
+
+            Readable.from([String(text).replace(/^\uFEFF/, '')])
+                .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase().replace(/\s+/g, '_') }))
+                .on('headers', parsed => { headers = parsed; })
+                .on('data', record => records.push(record))
+                .on('error', reject)
+                .on('end', () => resolve({ headers, records }));
+        });
+    }
+
+    /**
+     * Required columns missing from the header row. A single name column may stand in for
+     * first_name and last_name.
+     */
+    missingColumns(headers) {
+        const required = ['email', 'role'];
+        if (!headers.includes('name')) {
+            required.push('first_name', 'last_name');
+        }
+        return required.filter(column => !headers.includes(column));
+    }
+
+    /**
+     * Validate every row and work out what importing it would do. Nothing is written.
+     * Blank cells leave an existing user's value unchanged.
+     * @param {Object} db - pool, or a client inside the import transaction
+     * @param {Object} options - lock: lock the matched users for update
+     * @returns {Object} { rows, summary } where each row is { row, email, action, changes, errors }
+     */
+    async plan(db, records, actor, { lock = false } = {}) {
+        const normalized = records.map(record => this.normalize(record));
+
+        const departments = await db.query('SELECT id, name FROM departments');
+        const departmentsByKey = new Map();
+        departments.rows.forEach(dept => {
+            departmentsByKey.set(String(dept.id), dept);
+            departmentsByKey.set(dept.name.toLowerCase(), dept);
+        });
+
+        const emails = [...new Set(normalized.map(record => record.email).filter(Boolean))];
+        const existing = await db.query(`
+            SELECT id, email, first_name, last_name, role, department_id, employment_type, hourly_rate, hire_date,
+                   is_service_account
+            FROM users
+            WHERE LOWER(email) = ANY($1)
+            ${lock ? 'FOR UPDATE' : ''}
+        `, [emails]);
+        const usersByEmail = new Map(existing.rows.map(user => [user.email.toLowerCase(), user]));
+
+        const roleChecks = new Map();
+        const seen = new Map();
+        const rows = [];
+
+        for (let i = 0; i < normalized.length; i++) {
+            const record = normalized[i];
+            // Row numbers match a spreadsheet: the header is row 1
+            const rowNumber = i + 2;
+            const errors = [];
+            const addError = (field, message) => errors.push({ field, message });
+
+            if (!record.email) {
+                addError('email', 'Email is required');
+            } else if (!EMAIL_PATTERN.test(record.email)) {
+                addError('email', 'Email is not valid');
+            } else if (seen.has(record.email)) {
+                addError('email', `Duplicate of row ${seen.get(record.email)}`);
+            } else {
+                seen.set(record.email, rowNumber);
+            }
+
+            const current = record.email ? usersByEmail.get(record.email) : null;
+            if (current && current.is_service_account) {
+                addError('email', 'Email belongs to a service account');
+            } else if (current && !this.canManageDepartment(actor, current.department_id)) {
+                addError('email', 'User belongs to a department you cannot manage');
+            }
+
+            if (record.role) {
+                if (!roleChecks.has(record.role)) {
+                    const exists = await policy.roleExists(db, record.role);
+                    roleChecks.set(record.role, {
+                        exists,
+                        assignable: exists && await policy.canAssignRole(db, actor, record.role)
+                    });
+                }
+                const check = roleChecks.get(record.role);
+                if (!check.exists) {
+                    addError('role', `Role ${record.role} does not exist`);
+                } else if (!check.assignable && (!current || current.role !== record.role)) {
+                    addError('role', `You cannot grant the ${record.role} role`);
+                }
+            } else if (!current) {
+                addError('role', 'Role is required for new users');
+            }
+
+            let departmentId;
+            if (record.department) {
+                const dept = departmentsByKey.get(record.department.toLowerCase());
+                if (!dept) {
+                    addError('department', `Department ${record.department} does not exist`);
+                } else if (!this.canManageDepartment(actor, dept.id)) {
+                    addError('department', `You cannot manage the ${dept.name} department`);
+                } else {
+                    departmentId = dept.id;
+                }
+            } else if (!current && !this.canManageDepartment(actor, null)) {
+                addError('department', 'Department is required');
+            }
+
+            if (!current && !record.first_name) {
+                addError('first_name', 'First name is required for new users');
+            }
+            if (!current && !record.last_name) {
+                addError('last_name', 'Last name is required for new users');
+            }
+            if ((record.first_name || '').length > 100) {
+                addError('first_name', 'First name is too long');
+            }
+            if ((record.last_name || '').length > 100) {
+                addError('last_name', 'Last name is too long');
+            }
+
+            if (record.employment_type && !this.employmentTypes.includes(record.employment_type)) {
+                addError('employment_type', `Employment type must be one of ${this.employmentTypes.join(', ')}`);
+            }
+
+            if (record.hourly_rate !== null) {
+                const rate = Number(record.hourly_rate);
+                if (!Number.isFinite(rate) || rate < 0 || rate >= 1000000) {
+                    addError('hourly_rate', 'Hourly rate must be a number between 0 and 999999.99');
+                } else {
+                    record.hourly_rate = Math.round(rate * 100) / 100;
+                }
+            }
+
+            if (record.hire_date && !this.isValidDate(record.hire_date)) {
+                addError('hire_date', 'Hire date must be a date in YYYY-MM-DD format');
+            }
+
+            const values = { role: record.role, department_id: departmentId };
+            PROFILE_FIELDS.forEach(field => { values[field] = record[field]; });
+            Object.keys(values).forEach(field => {
+                if (values[field] === null || values[field] === undefined) delete values[field];
+            });
+
+            const changes = this.diff(current || {}, values);
+            let action = current ? 'update' : 'create';
+            if (errors.length > 0) {
+                action = 'invalid';
+            } else if (current && Object.keys(changes).length === 0) {
+                action = 'unchanged';
+            }
+
+            rows.push({
+                row: rowNumber,
+                email: record.email,
+                action,
+                user_id: current ? current.id : null,
+                access_change: Boolean(current && ('role' in changes || 'department_id' in changes)),
+                changes,
+                errors
+            });
+        }
+
+        const summary = { total: rows.length, create: 0, update: 0, unchanged: 0, invalid: 0 };
+        rows.forEach(row => { summary[row.action]++; });
+
+        return { rows, summary };
+    }
+
+    /**
+     * Create or update the user for one planned row
+     * @param {Object} db - pg client inside the import transaction
+     * @param {string} passwordHash - Unusable password hash for new users, who set a real one from an invite
+     * @returns {Object} { before, after }
+     */
+    async applyRow(db, row, passwordHash, actorId) {
+        const fields = Object.keys(row.changes);
+
+        if (row.action === 'create') {
+            const result = await db.query(`
+                INSERT INTO users (email, password_hash, invited_at, invited_by, ${fields.join(', ')})
+                VALUES ($1, $2, CURRENT_TIMESTAMP, $3, ${fields.map((field, i) => `$${i + 4}`).join(', ')})
+                RETURNING id, email, ${this.userColumns()}
+            `, [row.email, passwordHash, actorId, ...fields.map(field => row.changes[field].to)]);
+
+            return { before: null, after: result.rows[0] };
+        }
+
+        const before = await db.query(`SELECT ${this.userColumns()} FROM users WHERE id = $1`, [row.user_id]);
+        const result = await db.query(`
+            UPDATE users
+            SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${fields.length + 1}
+            RETURNING id, email, ${this.userColumns()}
+        `, [...fields.map(field => row.changes[field].to), row.user_id]);
+
+        return { before: before.rows[0], after: result.rows[0] };
+    }
+
+    /**
+     * Staff rows in the import format, limited to the departments the actor can see
+     */
+    async exportRows(db, actor, { role, departmentId } = {}) {
+        let query = `
+            SELECT u.email, u.first_name, u.last_name, u.role, d.name as department,
+                   u.employment_type, u.hourly_rate, u.hire_date
+            FROM users u
+            LEFT JOIN departments d ON u.department_id = d.id
+            WHERE u.is_service_account = false
+        `;
+        const queryParams = [];
+        let paramCount = 0;
+
+        if (role) {
+            paramCount++;
+            query += ` AND u.role = $${paramCount}`;
+            queryParams.push(role);
+        }
+
+        if (departmentId) {
+            paramCount++;
+            query += ` AND u.department_id = $${paramCount}`;
+            queryParams.push(departmentId);
+        }
+
+        if (!policy.hasPermission(actor, 'department:all')) {
+            paramCount++;
+            query += ` AND (u.department_id = $${paramCount} OR u.department_id IS NULL)`;
+            queryParams.push(actor.department_id);
+        }
+
+        query += ' ORDER BY u.last_name, u.first_name, u.email';
+
+        const result = await db.query(query, queryParams);
+        return result.rows.map(user => ({
+            ...user,
+            hire_date: user.hire_date ? this.formatDate(user.hire_date) : null
+        }));
+    }
+
+    normalize(record) {
+        const value = key => {
+            const raw = record[key];
+            return raw === undefined || String(raw).trim() === '' ? null : String(raw).trim();
+        };
+
+        let firstName = value('first_name');
+        let lastName = value('last_name');
+        const name = value('name');
+        if (name && !firstName && !lastName) {
+            const parts = name.split(/\s+/);
+            lastName = parts.length > 1 ? parts.pop() : null;
+            firstName = parts.join(' ');
+        }
+
+        const employmentType = value('employment_type');
+
+        return {
+            email: value('email') ? value('email').toLowerCase() : null,
+            first_name: firstName,
+            last_name: lastName,
+            role: value('role') ? value('role').toUpperCase() : null,
+            department: value('department'),
+            employment_type: employmentType ? employmentType.toUpperCase().replace(/[\s-]+/g, '_') : null,
+            hourly_rate: value('hourly_rate') ? value('hourly_rate').replace(/^\$/, '') : null,
+            hire_date: value('hire_date')
+        };
+    }
+
+    /**
+     * Fields whose imported value differs from the stored one, as { field: { from, to } }
+     */
+    diff(current, values) {
+        const changes = {};
+        Object.entries(values).forEach(([field, to]) => {
+            let from = current[field] ?? null;
+            if (field === 'hourly_rate') {
+                from = from === null ? null : Number(from);
+            } else if (field === 'hire_date') {
+                from = from ? this.formatDate(from) : null;
+            }
+
+            if (from !== to) {
+                changes[field] = { from, to };
+            }
+        });
+        return changes;
+    }
+
+    canManageDepartment(actor, departmentId) {
+        if (policy.hasPermission(actor, 'department:all')) {
+            return true;
+        }
+        return departmentId !== null && departmentId !== undefined && policy.canAccessDepartment(actor, departmentId);
+    }
+
+    isValidDate(value) {
+        if (!DATE_PATTERN.test(value)) {
+            return false;
+        }
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().startsWith(value);
+    }
+
+    // pg returns DATE columns as local-midnight Date objects
+    formatDate(value) {
+        if (!(value instanceof Date)) {
+            return String(value).substring(0, 10);
+        }
+        const pad = number => String(number).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+
+    userColumns() {
+        return ['first_name', 'last_name', 'role', 'department_id', ...PROFILE_FIELDS.slice(2)].join(', ');
+    }
+}
+
+module.exports = StaffImporter;
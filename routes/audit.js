@@ -0,0 +1,168 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { Parser } = require('json2csv');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+const audit = new AuditLog();
+
+const filterValidators = [
+  query('actor_id').optional().isInt({ min: 1 }),
+  query('impersonator_id').optional().isInt({ min: 1 }),
+  query('action').optional().isString().trim(),
+  query('entity_type').optional().isString().trim(),
+  query('entity_id').optional().isString().trim(),
+  query('request_id').optional().isString().trim(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+];
+
+/**
+ * GET /api/audit
+ * Search the audit log, newest first
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission('audit:view'),
+  ...filterValidators,
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  query('offset').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { limit = 100, offset = 0 } = req.query;
+    const { where, params } = buildFilters(req.query);
+
+    const [entries, count] = await Promise.all([
+      pool.query(
+        `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*) as total FROM audit_log ${where}`, params)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries.rows,
+      pagination: {
+        total: parseInt(count.rows[0].total),
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+/**
+ * GET /api/audit/export
+ * Download matching entries as CSV, oldest first, with hashes so auditors can re-check the chain
+ */
+router.get('/export', [
+  authenticateToken,
+  requirePermission('audit:view'),
+  ...filterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { where, params } = buildFilters(req.query);
+    const result = await pool.query(`SELECT * FROM audit_log ${where} ORDER BY id ASC`, params);
+
+    const rows = result.rows.map(row => ({
+      ...row,
+      occurred_at: new Date(row.occurred_at).toISOString(),
+      before_data: row.before_data === null ? '' : JSON.stringify(row.before_data),
+      after_data: row.after_data === null ? '' : JSON.stringify(row.after_data)
+    }));
+
+    const json2csvParser = new Parser({ fields: audit.exportColumns });
+    const csv = json2csvParser.parse(rows);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="audit_log.csv"');
+    return res.send(csv);
+
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit log'
+    });
+  }
+});
+
+/**
+ * GET /api/audit/verify
+ * Recompute the hash chain and report the first entry that does not match
+ */
+router.get('/verify', authenticateToken, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const result = await audit.verify(pool);
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? `Audit chain intact (${result.checked} entries)`
+        : `Audit chain broken at entry ${result.brokenAt}: ${result.reason}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify audit log'
+    });
+  }
+});
+
+// Helper functions
+function buildFilters(filters) {
+  const conditions = [];
+  const params = [];
+
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `$${params.length}`));
+  };
+
+  if (filters.actor_id) add('actor_id = ?', filters.actor_id);
+  if (filters.impersonator_id) add('impersonator_id = ?', filters.impersonator_id);
+  if (filters.action) add('action = ?', filters.action);
+  if (filters.entity_type) add('entity_type = ?', filters.entity_type);
+  if (filters.entity_id) add('entity_id = ?', filters.entity_id);
+  if (filters.request_id) add('request_id = ?', filters.request_id);
+  if (filters.from) add('occurred_at >= ?', filters.from);
+  if (filters.to) add('occurred_at <= ?', filters.to);
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+module.exports = router;
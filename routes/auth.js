@@ -1,10 +1,28 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const pool = require('../config/database');
+const { authenticateToken, requireRecentMfa } = require('../middleware/auth');
+
+const SessionManager = require('../models/SessionManager');
+const OidcClient = require('../models/OidcClient');
+const { OidcError } = require('../models/OidcClient');
+const PasswordPolicy = require('../models/PasswordPolicy');
+const PasswordTokens = require('../models/PasswordTokens');
+const MfaManager = require('../models/MfaManager');
+const LoginGuard = require('../models/LoginGuard');
+const mailer = require('../models/Mailer');
+const policy = require('../models/AccessPolicy');
+const AuditLog = require('../models/AuditLog');
 
 const router = express.Router();
+const sessions = new SessionManager();
+const oidc = new OidcClient();
+const passwordPolicy = new PasswordPolicy();
+const passwordTokens = new PasswordTokens();
+const mfa = new MfaManager();
+const loginGuard = new LoginGuard();
+const audit = new AuditLog();
 
 // Login endpoint
 router.post('/login', [
@@ -23,17 +41,19 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const meta = getRequestMeta(req);
 
     // Find user by email
     const result = await pool.query(
-      `SELECT u.id, u.email, u.password_hash, u.role, u.department_id, d.name as department_name
+      `SELECT u.id, u.email, u.password_hash, u.role, u.department_id, u.locked_until, d.name as department_name
        FROM users u 
        LEFT JOIN departments d ON u.department_id = d.id 
-       WHERE u.email = $1`,
+       WHERE u.email = $1 AND u.is_service_account = false`,
       [email]
     );
 
     if (result.rows.length <= 0) {
+      await loginGuard.recordAttempt(pool, { email, success: false, failureReason: 'UNKNOWN_ACCOUNT' }, meta);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -42,56 +62,492 @@ router.post('/login', [
 
     const user = result.rows[0];
 
+    // A locked account is not checked at all, so guesses made during the lockout cannot succeed
+    const lockout = loginGuard.getLockout(user);
+    if (lockout.locked) {
+      await loginGuard.recordAttempt(pool, { userId: user.id, email, success: false, failureReason: 'LOCKED' }, meta);
+      return sendLockedOut(res, lockout.retryAfterSeconds);
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
+      const failure = await loginGuard.recordFailure(pool, user.id);
+      await loginGuard.recordAttempt(pool, { userId: user.id, email, success: false, failureReason: 'INVALID_PASSWORD' }, meta);
+
+      if (failure.locked) {
+        return sendLockedOut(res, failure.lockoutMinutes * 60);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-        departmentId: user.department_id
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    await loginGuard.recordSuccess(pool, user.id);
 
+    // Accounts with MFA, or whose role requires it, get a challenge instead of a session
+    const mfaStage = await mfa.getLoginStage(pool, user);
+    if (mfaStage) {
+      return res.json(buildMfaChallenge(user, mfaStage, { method: loginGuard.methods.PASSWORD }));
+    }
 
-    console.log("===== user data: ", {
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        department_id: user.department_id,
-        department_name: user.department_name
-      }
-    })
+    // Start a server-side session with a short-lived access token
+    const session = await sessions.createSession(pool, user, meta);
+    await loginGuard.recordAttempt(pool, { userId: user.id, email: user.email, success: true }, meta);
 
     return res.json({
       success: true,
       message: 'Login successful',
+      data: await buildSessionData(session, user)
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refresh_token').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const rotated = await sessions.rotate(client, req.body.refresh_token, getRequestMeta(req));
+
+    // Commit even on failure so a detected token reuse still revokes the session
+    await client.query('COMMIT');
+
+    if (!rotated.ok) {
+      return res.status(rotated.status).json({
+        success: false,
+        message: rotated.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token: rotated.accessToken,
+        refresh_token: rotated.refreshToken,
+        expires_in: rotated.expiresIn
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// End the current session
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await sessions.revokeSession(pool, req.sessionId, req.user.id, 'Logged out');
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// End every session the current user holds
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAllForUser(pool, req.user.id, req.user.id, 'Logged out everywhere');
+
+    res.json({
+      success: true,
+      message: `Logged out of ${revoked} session(s)`,
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const userSessions = await sessions.listSessions(pool, req.user.id);
+
+    res.json({
+      success: true,
+      data: userSessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', [
+  authenticateToken,
+  param('sessionId').isInt({ min: 1 }).withMessage('Valid session ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const owned = await pool.query(
+      'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2',
+      [req.params.sessionId, req.user.id]
+    );
+
+    if (owned.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const revoked = await sessions.revokeSession(pool, req.params.sessionId, req.user.id, 'Revoked by user');
+
+    res.json({
+      success: true,
+      message: revoked ? 'Session revoked' : 'Session was already revoked',
+      data: revoked
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+// Start an OpenID Connect login (authorization code + PKCE)
+router.get('/oidc/authorize', async (req, res) => {
+  try {
+    if (!oidc.isConfigured()) {
+      return res.status(404).json({
+        success: false,
+        message: 'OpenID Connect login is not configured'
+      });
+    }
+
+    // Only same-site paths are accepted as post-login destinations
+    const redirectTo = typeof req.query.redirect_to === 'string' && /^\/(?!\/)/.test(req.query.redirect_to)
+      ? req.query.redirect_to
+      : null;
+
+    const request = await oidc.createAuthorizationRequest(pool, redirectTo);
+
+    res.json({
+      success: true,
       data: {
-        token,
+        authorization_url: request.authorizationUrl,
+        state: request.state,
+        code_verifier: request.codeVerifier,
+        expires_at: request.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(error instanceof OidcError ? 502 : 500).json({
+      success: false,
+      message: error instanceof OidcError ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Finish an OpenID Connect login and start a session
+router.post('/oidc/callback', [
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required'),
+  body('code_verifier').isString().isLength({ min: 43, max: 128 }).withMessage('Code verifier is required')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const { claims, redirectTo } = await oidc.completeAuthorization(
+      client, req.body.code, req.body.state, req.body.code_verifier
+    );
+    const { user, created, linkRequested } = await oidc.provisionUser(client, claims);
+
+    if (linkRequested) {
+      await audit.record(client, req, {
+        action: 'user.oidc_link_request',
+        entityType: 'user',
+        entityId: user.id,
+        actorEmail: claims.email,
+        after: { oidc_issuer: oidc.issuer, oidc_subject: claims.sub }
+      });
+
+      // Keep the request for an administrator; the account stays unlinked until then
+      await client.query('COMMIT');
+      return res.status(403).json({
+        success: false,
+        message: 'An account with this email address already exists. An administrator must approve linking it to your identity provider sign-in.'
+      });
+    }
+
+    // An account locked by failed password attempts stays locked whichever way it signs in
+    const lockout = loginGuard.getLockout(user);
+    if (lockout.locked) {
+      await loginGuard.recordAttempt(client, {
+        userId: user.id,
+        email: user.email,
+        method: loginGuard.methods.OIDC,
+        success: false,
+        failureReason: 'LOCKED'
+      }, getRequestMeta(req));
+      await client.query('COMMIT');
+      return sendLockedOut(res, lockout.retryAfterSeconds);
+    }
+
+    if (created) {
+      await audit.record(client, req, {
+        action: 'user.provision',
+        entityType: 'user',
+        entityId: user.id,
+        actorId: user.id,
+        actorEmail: user.email,
+        before: null,
+        after: { email: user.email, role: user.role, department_id: user.department_id, source: 'oidc' }
+      });
+    }
+
+    const mfaStage = await mfa.getLoginStage(client, user);
+    if (mfaStage) {
+      // Keep the provisioning; the session waits for the second factor
+      await client.query('COMMIT');
+      return res.json(buildMfaChallenge(user, mfaStage, { method: loginGuard.methods.OIDC, redirectTo }));
+    }
+
+    const session = await sessions.createSession(client, user, getRequestMeta(req));
+    await loginGuard.recordAttempt(client, {
+      userId: user.id,
+      email: user.email,
+      method: loginGuard.methods.OIDC,
+      success: true
+    }, getRequestMeta(req));
+
+    const deptResult = user.department_id
+      ? await client.query('SELECT name FROM departments WHERE id = $1', [user.department_id])
+      : { rows: [] };
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: created ? 'Account created and signed in' : 'Login successful',
+      data: {
+        token: session.accessToken,
+        refresh_token: session.refreshToken,
+        expires_in: session.expiresIn,
+        redirect_to: redirectTo,
         user: {
           id: user.id,
           email: user.email,
           role: user.role,
+          permissions: await policy.getRolePermissions(pool, user.role),
           department_id: user.department_id,
-          department_name: user.department_name
+          department_name: deptResult.rows[0] ? deptResult.rows[0].name : null
         }
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    await client.query('ROLLBACK');
+    if (error instanceof OidcError) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('OIDC callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Finish a login by answering the MFA challenge with a TOTP or recovery code
+router.post('/login/mfa', [
+  body('mfa_token').isString().notEmpty().withMessage('MFA token is required'),
+  body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = mfa.readChallengeToken(req.body.mfa_token, mfa.stages.VERIFY);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA challenge is invalid or has expired; sign in again'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await mfa.verify(client, challenge.userId, req.body.code);
+    if (!result.ok) {
+      await loginGuard.recordAttempt(client, {
+        userId: challenge.userId,
+        method: challenge.method,
+        success: false,
+        mfaUsed: true,
+        failureReason: 'INVALID_MFA_CODE'
+      }, getRequestMeta(req));
+
+      // Commit so the failed attempt counts towards the lockout
+      await client.query('COMMIT');
+      return res.status(result.locked ? 429 : 401).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const user = await findLoginUser(client, challenge.userId);
+    const session = await sessions.createSession(client, user, { ...getRequestMeta(req), mfaVerified: true });
+    await loginGuard.recordAttempt(client, {
+      userId: user.id,
+      email: user.email,
+      method: challenge.method,
+      success: true,
+      mfaUsed: true
+    }, getRequestMeta(req));
+
+    if (result.method === 'recovery_code') {
+      await audit.record(client, req, {
+        action: 'user.mfa_recovery_code_used',
+        entityType: 'user',
+        entityId: user.id,
+        actorId: user.id,
+        actorEmail: user.email
+      });
+    }
+
+    const status = await mfa.getStatus(client, user.id);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...(await buildSessionData(session, user)),
+        redirect_to: challenge.redirectTo,
+        recovery_codes_remaining: status.recoveryCodesRemaining
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('MFA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Start the enrolment a role requires, during login
+router.post('/login/mfa/enroll', [
+  body('mfa_token').isString().notEmpty().withMessage('MFA token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = mfa.readChallengeToken(req.body.mfa_token, mfa.stages.ENROLL);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA challenge is invalid or has expired; sign in again'
+      });
+    }
+
+    const user = await findLoginUser(pool, challenge.userId);
+    await sendEnrolment(res, user);
+
+  } catch (error) {
+    console.error('MFA enrolment error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -99,4 +555,662 @@ router.post('/login', [
   }
 });
 
+// Confirm enrolment during login and sign in
+router.post('/login/mfa/enroll/confirm', [
+  body('mfa_token').isString().notEmpty().withMessage('MFA token is required'),
+  body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = mfa.readChallengeToken(req.body.mfa_token, mfa.stages.ENROLL);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA challenge is invalid or has expired; sign in again'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const user = await findLoginUser(client, challenge.userId);
+    const result = await confirmEnrolment(client, req, user);
+    if (!result.ok) {
+      await client.query('COMMIT');
+      return res.status(result.locked ? 429 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const session = await sessions.createSession(client, user, { ...getRequestMeta(req), mfaVerified: true });
+    await loginGuard.recordAttempt(client, {
+      userId: user.id,
+      email: user.email,
+      method: challenge.method,
+      success: true,
+      mfaUsed: true
+    }, getRequestMeta(req));
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'MFA enabled and signed in. Store your recovery codes somewhere safe.',
+      data: {
+        ...(await buildSessionData(session, user)),
+        redirect_to: challenge.redirectTo,
+        recovery_codes: result.recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('MFA enrolment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Recent sign-in attempts on the signed-in user's account
+router.get('/login-history', [
+  authenticateToken,
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const history = await loginGuard.listHistory(pool, req.user.id, parseInt(req.query.limit) || 20);
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// MFA status for the signed-in user
+router.get('/mfa', authenticateToken, async (req, res) => {
+  try {
+    const status = await mfa.getStatus(pool, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        enrolled: status.enrolled,
+        enabled_at: status.enabledAt,
+        recovery_codes_remaining: status.recoveryCodesRemaining,
+        required_by_role: await mfa.isRequiredForRole(pool, req.user.role),
+        verified_at: req.mfaVerifiedAt || null
+      }
+    });
+
+  } catch (error) {
+    console.error('MFA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Start enrolling an authenticator app
+router.post('/mfa/enroll', authenticateToken, async (req, res) => {
+  try {
+    await sendEnrolment(res, req.user);
+  } catch (error) {
+    console.error('MFA enrolment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Confirm enrolment with a first code from the app
+router.post('/mfa/enroll/confirm', [
+  authenticateToken,
+  body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await confirmEnrolment(client, req, req.user);
+    if (!result.ok) {
+      await client.query('COMMIT');
+      return res.status(result.locked ? 429 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await sessions.markMfaVerified(client, req.sessionId);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'MFA enabled. Store your recovery codes somewhere safe.',
+      data: { recovery_codes: result.recoveryCodes }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('MFA enrolment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Re-verify the second factor before a high-risk operation
+router.post('/mfa/step-up', [
+  authenticateToken,
+  body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await mfa.verify(client, req.user.id, req.body.code);
+    if (!result.ok) {
+      await client.query('COMMIT');
+      return res.status(result.locked ? 429 : 401).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await sessions.markMfaVerified(client, req.sessionId);
+
+    if (result.method === 'recovery_code') {
+      await audit.record(client, req, {
+        action: 'user.mfa_recovery_code_used',
+        entityType: 'user',
+        entityId: req.user.id
+      });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Verified'
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('MFA step-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Replace the recovery codes
+router.post('/mfa/recovery-codes', authenticateToken, requireRecentMfa(), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const status = await mfa.getStatus(client, req.user.id);
+    if (!status.enrolled) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'MFA is not enabled for this account'
+      });
+    }
+
+    const recoveryCodes = await mfa.replaceRecoveryCodes(client, req.user.id);
+
+    await audit.record(client, req, {
+      action: 'user.mfa_recovery_codes_replaced',
+      entityType: 'user',
+      entityId: req.user.id
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'New recovery codes issued; the old ones no longer work',
+      data: { recovery_codes: recoveryCodes }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Recovery code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Turn MFA off, unless the user's role requires it
+router.delete('/mfa', authenticateToken, requireRecentMfa(), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    if (await mfa.isRequiredForRole(pool, req.user.role)) {
+      return res.status(409).json({
+        success: false,
+        message: `MFA is required for the ${req.user.role} role`
+      });
+    }
+
+    await client.query('BEGIN');
+
+    await mfa.disable(client, req.user.id);
+
+    await audit.record(client, req, {
+      action: 'user.mfa_disable',
+      entityType: 'user',
+      entityId: req.user.id
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'MFA disabled'
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Describe the password policy so clients can validate before submitting
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: passwordPolicy.describe()
+  });
+});
+
+// Email a password reset link
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await pool.query('SELECT id, email FROM users WHERE LOWER(email) = LOWER($1) AND is_service_account = false', [req.body.email]);
+
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const { token, expiresAt } = await passwordTokens.issue(pool, user.id, passwordTokens.purposes.RESET);
+
+      // A mail failure must not change the response, or it would reveal that the account exists
+      await mailer.send({
+        to: user.email,
+        subject: 'Reset your School Budget password',
+        text: [
+          'A password reset was requested for your School Budget account.',
+          '',
+          `Reset your password: ${mailer.link('/reset-password', { token })}`,
+          '',
+          `This link can be used once and expires at ${new Date(expiresAt).toISOString()}.`,
+          'If you did not request a reset, you can ignore this email.'
+        ].join('\n')
+      }).catch(mailError => console.error('Password reset email error:', mailError));
+    }
+
+    // Same response either way so the endpoint cannot be used to discover accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Set a new password with a reset token
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isString().withMessage('Password is required')
+], async (req, res) => {
+  await redeemPasswordToken(req, res, passwordTokens.purposes.RESET);
+});
+
+// Set the first password for an invited account
+router.post('/accept-invite', [
+  body('token').isString().notEmpty().withMessage('Invite token is required'),
+  body('password').isString().withMessage('Password is required')
+], async (req, res) => {
+  await redeemPasswordToken(req, res, passwordTokens.purposes.INVITE);
+});
+
+// Change the signed-in user's password
+router.post('/change-password', [
+  authenticateToken,
+  body('current_password').isString().notEmpty().withMessage('Current password is required'),
+  body('new_password').isString().withMessage('New password is required')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { current_password, new_password } = req.body;
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT id, email, password_hash FROM users WHERE id = $1 FOR UPDATE',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (!(await bcrypt.compare(current_password, user.password_hash))) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const policy = await passwordPolicy.check(client, new_password, user);
+    if (!policy.valid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: policy.errors
+      });
+    }
+
+    await passwordPolicy.setPassword(client, user, new_password);
+
+    // Sign out every other session; the one making the change stays signed in
+    await client.query(`
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $1, revoke_reason = 'Password changed'
+      WHERE user_id = $1 AND id != $2 AND revoked_at IS NULL
+    `, [user.id, req.sessionId]);
+
+    await audit.record(client, req, {
+      action: 'user.password_change',
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Password changed'
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Helper functions
+
+async function redeemPasswordToken(req, res, purpose) {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    await client.query('BEGIN');
+
+    const user = await passwordTokens.consume(client, token, purpose);
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    const policy = await passwordPolicy.check(client, password, user);
+    if (!policy.valid) {
+      // Roll back so the token can be used again with a better password
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: policy.errors
+      });
+    }
+
+    await passwordPolicy.setPassword(client, user, password);
+    await sessions.revokeAllForUser(client, user.id, null, 'Password reset');
+    // Proving control of the mailbox ends any lockout
+    await loginGuard.recordSuccess(client, user.id);
+
+    if (purpose === passwordTokens.purposes.INVITE) {
+      await client.query('UPDATE users SET invite_accepted_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+    }
+
+    await audit.record(client, req, {
+      action: purpose === passwordTokens.purposes.INVITE ? 'user.invite_accept' : 'user.password_reset',
+      entityType: 'user',
+      entityId: user.id,
+      actorId: user.id,
+      actorEmail: user.email
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: purpose === passwordTokens.purposes.INVITE
+        ? 'Password set. You can now sign in.'
+        : 'Password reset. You can now sign in.'
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Password token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+async function findLoginUser(db, userId) {
+  const result = await db.query(
+    `SELECT u.id, u.email, u.role, u.department_id, d.name as department_name
+     FROM users u
+     LEFT JOIN departments d ON u.department_id = d.id
+     WHERE u.id = $1`,
+    [userId]
+  );
+  return result.rows[0];
+}
+
+async function buildSessionData(session, user) {
+  return {
+    token: session.accessToken,
+    refresh_token: session.refreshToken,
+    expires_in: session.expiresIn,
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      permissions: await policy.getRolePermissions(pool, user.role),
+      department_id: user.department_id,
+      department_name: user.department_name
+    }
+  };
+}
+
+function buildMfaChallenge(user, stage, options = {}) {
+  const enrolling = stage === mfa.stages.ENROLL;
+
+  return {
+    success: true,
+    message: enrolling
+      ? 'Your role requires MFA; set up an authenticator app to continue'
+      : 'Enter the code from your authenticator app',
+    data: {
+      mfa_required: true,
+      enrolment_required: enrolling,
+      mfa_token: mfa.issueChallengeToken(user, stage, options)
+    }
+  };
+}
+
+async function sendEnrolment(res, user) {
+  const enrolment = await mfa.beginEnrolment(pool, user);
+  if (!enrolment) {
+    return res.status(409).json({
+      success: false,
+      message: 'MFA is already enabled'
+    });
+  }
+
+  // The URI is what authenticator apps read from a QR code; the secret is for manual entry
+  res.json({
+    success: true,
+    data: {
+      secret: enrolment.secret,
+      otpauth_uri: enrolment.otpauthUri
+    }
+  });
+}
+
+async function confirmEnrolment(client, req, user) {
+  const result = await mfa.confirmEnrolment(client, user.id, req.body.code);
+
+  if (result.ok) {
+    await audit.record(client, req, {
+      action: 'user.mfa_enable',
+      entityType: 'user',
+      entityId: user.id,
+      actorId: user.id,
+      actorEmail: user.email
+    });
+  }
+
+  return result;
+}
+
+function sendLockedOut(res, retryAfterSeconds) {
+  const minutes = Math.max(1, Math.ceil(retryAfterSeconds / 60));
+
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`,
+    retry_after: retryAfterSeconds
+  });
+}
+
+function getRequestMeta(req) {
+  return {
+    userAgent: req.get('user-agent') ? req.get('user-agent').substring(0, 500) : null,
+    ipAddress: req.ip || null
+  };
+}
+
 module.exports = router;
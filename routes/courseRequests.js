@@ -0,0 +1,347 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const {
+  authenticateToken, requireAnyPermission, scopeDepartment, hasPermission, canAccessDepartment
+} = require('../middleware/auth');
+
+const SectionPlanner = require('../models/SectionPlanner');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+const planner = new SectionPlanner();
+const audit = new AuditLog();
+
+/**
+ * GET /api/course-requests/terms
+ * Terms that have not started yet and can still take requests
+ */
+router.get('/terms', [
+  authenticateToken,
+  requireAnyPermission('course_request:submit', 'course_request:manage')
+], async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT academic_year, semester, start_date, end_date, enrollment_deadline
+      FROM academic_calendar
+      WHERE start_date > CURRENT_DATE
+      ORDER BY start_date
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Request terms fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch terms'
+    });
+  }
+});
+
+/**
+ * GET /api/course-requests/plan
+ * Recommended sections per course from the term's requests, with the budget impact of each extra section
+ */
+router.get('/plan', [
+  authenticateToken,
+  requireAnyPermission('course_request:manage', 'schedule:generate'),
+  query('semester').notEmpty().isString(),
+  query('academic_year').isInt({ min: 2000 }),
+  scopeDepartment()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = await planner.plan(pool, {
+      semester: req.query.semester,
+      academicYear: parseInt(req.query.academic_year),
+      departmentId: req.query.department_id ? parseInt(req.query.department_id) : null
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Section plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build section plan'
+    });
+  }
+});
+
+/**
+ * GET /api/course-requests
+ * The user's own requests; managers can look at any student's in their departments
+ */
+router.get('/', [
+  authenticateToken,
+  requireAnyPermission('course_request:submit', 'course_request:manage'),
+  query('student_id').optional().isInt({ min: 1 }),
+  query('course_id').optional().isInt({ min: 1 }),
+  query('semester').optional().isString(),
+  query('academic_year').optional().isInt({ min: 2000 }),
+  query('status').optional().isIn(['REQUESTED', 'WITHDRAWN'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const manager = hasPermission(req.user, 'course_request:manage');
+    const conditions = [];
+    const params = [];
+
+    if (!manager) {
+      params.push(req.user.id);
+      conditions.push(`cr.student_id = $${params.length}`);
+    } else {
+      if (req.query.student_id) {
+        params.push(req.query.student_id);
+        conditions.push(`cr.student_id = $${params.length}`);
+      }
+      if (!hasPermission(req.user, 'department:all')) {
+        params.push(req.user.department_id);
+        conditions.push(`c.department_id = $${params.length}`);
+      }
+    }
+
+    ['course_id', 'semester', 'academic_year', 'status'].forEach(field => {
+      if (req.query[field]) {
+        params.push(req.query[field]);
+        conditions.push(`cr.${field} = $${params.length}`);
+      }
+    });
+
+    const result = await pool.query(`
+      SELECT cr.*, c.name as course_name, c.department_id, d.name as department_name,
+             u.email as student_email, u.first_name as student_first_name, u.last_name as student_last_name
+      FROM course_requests cr
+      JOIN courses c ON cr.course_id = c.id
+      JOIN departments d ON c.department_id = d.id
+      JOIN users u ON cr.student_id = u.id
+      ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY cr.academic_year DESC, cr.semester, cr.priority, c.name
+    `, params);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Course requests fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch course requests'
+    });
+  }
+});
+
+/**
+ * POST /api/course-requests
+ * Request a course for a term that has not started. Requesting a withdrawn course again reinstates it.
+ */
+router.post('/', [
+  authenticateToken,
+  requireAnyPermission('course_request:submit', 'course_request:manage'),
+  body('course_id').isInt({ min: 1 }),
+  body('semester').notEmpty().isString(),
+  body('academic_year').isInt({ min: 2000 }),
+  body('priority').optional().isInt({ min: 1, max: 10 }),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('student_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { course_id, semester, academic_year, priority = 1, notes = null } = req.body;
+    const manager = hasPermission(req.user, 'course_request:manage');
+    const studentId = req.body.student_id ? parseInt(req.body.student_id) : req.user.id;
+
+    if (studentId !== req.user.id && !manager) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to request courses for another student'
+      });
+    }
+
+    const courseResult = await pool.query(
+      'SELECT id, name, department_id, archived_at FROM courses WHERE id = $1',
+      [course_id]
+    );
+    const course = courseResult.rows[0];
+    if (!course || course.archived_at || (studentId !== req.user.id && !canAccessDepartment(req.user, course.department_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or access denied'
+      });
+    }
+
+    if (studentId !== req.user.id) {
+      const studentResult = await pool.query(
+        `SELECT id FROM users WHERE id = $1 AND role = 'USER' AND is_service_account = false`,
+        [studentId]
+      );
+      if (studentResult.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Requests can only be made for student accounts'
+        });
+      }
+    }
+
+    const termResult = await pool.query(
+      'SELECT start_date FROM academic_calendar WHERE semester = $1 AND academic_year = $2',
+      [semester, academic_year]
+    );
+    if (termResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${semester} ${academic_year} is not in the academic calendar`
+      });
+    }
+    if (new Date(termResult.rows[0].start_date) <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: `${semester} ${academic_year} has already started; requests are closed`
+      });
+    }
+
+    const existing = await pool.query(`
+      SELECT * FROM course_requests
+      WHERE student_id = $1 AND course_id = $2 AND semester = $3 AND academic_year = $4
+    `, [studentId, course_id, semester, academic_year]);
+
+    const result = await pool.query(`
+      INSERT INTO course_requests (student_id, course_id, semester, academic_year, priority, notes, submitted_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (student_id, course_id, semester, academic_year) DO UPDATE
+      SET priority = EXCLUDED.priority, notes = EXCLUDED.notes, submitted_by = EXCLUDED.submitted_by,
+          status = 'REQUESTED', updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [studentId, course_id, semester, academic_year, priority, notes, req.user.id]);
+
+    await audit.record(pool, req, {
+      action: existing.rows.length ? 'course_request.update' : 'course_request.create',
+      entityType: 'course_request',
+      entityId: result.rows[0].id,
+      before: existing.rows[0] || null,
+      after: result.rows[0]
+    });
+
+    res.status(existing.rows.length ? 200 : 201).json({
+      success: true,
+      message: `Requested ${course.name} for ${semester} ${academic_year}`,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Course request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit course request'
+    });
+  }
+});
+
+/**
+ * DELETE /api/course-requests/:id
+ * Withdraw a request before its term starts
+ */
+router.delete('/:id', [
+  authenticateToken,
+  requireAnyPermission('course_request:submit', 'course_request:manage'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const currentResult = await pool.query(`
+      SELECT cr.*, c.department_id, ac.start_date
+      FROM course_requests cr
+      JOIN courses c ON cr.course_id = c.id
+      LEFT JOIN academic_calendar ac ON ac.semester = cr.semester AND ac.academic_year = cr.academic_year
+      WHERE cr.id = $1
+    `, [req.params.id]);
+    const current = currentResult.rows[0];
+
+    const allowed = current && (current.student_id === req.user.id ||
+      (hasPermission(req.user, 'course_request:manage') && canAccessDepartment(req.user, current.department_id)));
+    if (!allowed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course request not found or access denied'
+      });
+    }
+
+    if (current.start_date && new Date(current.start_date) <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: `${current.semester} ${current.academic_year} has already started; requests are closed`
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE course_requests
+      SET status = 'WITHDRAWN', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [req.params.id]);
+
+    await audit.record(pool, req, {
+      action: 'course_request.withdraw',
+      entityType: 'course_request',
+      entityId: current.id,
+      before: { status: current.status },
+      after: { status: 'WITHDRAWN' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Course request withdrawn',
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Course request withdraw error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw course request'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,37 +1,75 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { authenticateToken, requireRole, requireDepartmentAccess } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission, requireDepartmentAccess, canAccessDepartment, resolveDepartmentScope } = require('../middleware/auth');
 const pool = require('../config/database');
+const BudgetLedger = require('../models/BudgetLedger');
+const FiscalCalendar = require('../models/FiscalCalendar');
+const EncumbranceTracker = require('../models/EncumbranceTracker');
+const AuditLog = require('../models/AuditLog');
+const CourseHistory = require('../models/CourseHistory');
+const CourseCostUpdater = require('../models/CourseCostUpdater');
+const SectionManager = require('../models/SectionManager');
 
 const router = express.Router();
+const ledger = new BudgetLedger();
+const fiscalCalendar = new FiscalCalendar();
+const encumbrances = new EncumbranceTracker();
+const audit = new AuditLog();
+const history = new CourseHistory();
+const costUpdater = new CourseCostUpdater();
+const sections = new SectionManager();
 
-// Get courses (role-based access)
-router.get('/', authenticateToken, async (req, res) => {
+// Get courses (scoped to the caller's department unless they can see all)
+router.get('/', [
+  authenticateToken,
+  requirePermission('course:view'),
+  query('academic_year').optional().isInt({ min: 2000 }),
+  query('include_archived').optional().isBoolean()
+], async (req, res) => {
   try {
-    let query;
-    let params = [];
-
-    if (req.user.role === 'ADMIN') {
-      // Admin sees all courses
-      query = `
-        SELECT c.*, d.name as department_name
-        FROM courses c
-        JOIN departments d ON c.department_id = d.id
-        ORDER BY d.name, c.name
-      `;
-    } else {
-      // Department heads see only their department's courses
-      query = `
-        SELECT c.*, d.name as department_name
-        FROM courses c
-        JOIN departments d ON c.department_id = d.id
-        WHERE c.department_id = $1
-        ORDER BY c.name
-      `;
-      params = [req.user.department_id];
-    }
-
-    const result = await pool.query(query, params);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const params = [];
+    const conditions = [];
+
+    const scope = resolveDepartmentScope(req.user, req.query.department_id);
+    if (!scope.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
+    // District-wide users see all courses
+    if (scope.departmentId) {
+      params.push(scope.departmentId);
+      conditions.push(`c.department_id = $${params.length}`);
+    }
+
+    if (req.query.academic_year) {
+      params.push(parseInt(req.query.academic_year));
+      conditions.push(`c.academic_year = $${params.length}`);
+    }
+
+    // Archived courses are hidden unless asked for
+    if (req.query.include_archived !== 'true') {
+      conditions.push('c.archived_at IS NULL');
+    }
+
+    const result = await pool.query(`
+      SELECT c.*, d.name as department_name
+      FROM courses c
+      JOIN departments d ON c.department_id = d.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY d.name, c.name
+    `, params);
 
     res.json({
       success: true,
@@ -47,15 +85,22 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Create new course
+// Create new course (costs are an estimate until a section is scheduled, then they are calculated)
 router.post('/', [
   authenticateToken,
+  requirePermission('course:create'),
+  requireDepartmentAccess(),
   body('name').trim().isLength({ min: 1 }).withMessage('Course name is required'),
   body('department_id').isInt({ min: 1 }).withMessage('Valid department ID is required'),
   body('expected_students').isInt({ min: 0 }).withMessage('Expected students must be a non-negative number'),
-  body('instructor_cost').isFloat({ min: 0 }).withMessage('Instructor cost must be a non-negative number'),
-  body('classroom_cost').isFloat({ min: 0 }).withMessage('Classroom cost must be a non-negative number')
+  body('credit_hours').optional().isInt({ min: 1, max: 12 }).withMessage('Credit hours must be between 1 and 12'),
+  body('hours_per_week').optional().isFloat({ min: 0.5, max: 40 }).withMessage('Weekly hours must be between 0.5 and 40'),
+  body('instructor_cost').optional().isFloat({ min: 0 }).withMessage('Instructor cost must be a non-negative number'),
+  body('classroom_cost').optional().isFloat({ min: 0 }).withMessage('Classroom cost must be a non-negative number'),
+  body('academic_year').optional().isInt({ min: 2000 }).withMessage('Valid academic year is required')
 ], async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -66,36 +111,41 @@ router.post('/', [
       });
     }
 
-    const { name, department_id, expected_students, instructor_cost, classroom_cost } = req.body;
+    const { name, department_id, expected_students } = req.body;
+    const instructorCost = parseFloat(req.body.instructor_cost) || 0;
+    const classroomCost = parseFloat(req.body.classroom_cost) || 0;
 
-    // Check if user has access to this department
-    if (req.user.role === 'DEPARTMENT_HEAD' && req.user.department_id !== parseInt(department_id)) {
-      return res.status(403).json({
+    await client.query('BEGIN');
+
+    // Course costs post to an open fiscal period (the current one unless a year is given)
+    const posting = await fiscalCalendar.checkPosting(client, req.body.academic_year || null);
+    if (!posting.allowed) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
         success: false,
-        message: 'Access denied to this department'
+        message: posting.message
       });
     }
+    const academicYear = req.body.academic_year || (posting.period ? posting.period.academic_year : null);
 
     // Check if department exists
-    const deptCheck = await pool.query('SELECT id, budget FROM departments WHERE id = $1', [department_id]);
+    const deptCheck = await client.query('SELECT id, budget FROM departments WHERE id = $1 FOR UPDATE', [department_id]);
     if (deptCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         message: 'Department not found'
       });
     }
 
-    const totalCost = parseFloat(instructor_cost) + parseFloat(classroom_cost);
+    const totalCost = instructorCost + classroomCost;
     
-    // Check if department has enough budget
-    const currentAllocated = await pool.query(
-      'SELECT COALESCE(SUM(total_cost), 0) as allocated FROM courses WHERE department_id = $1',
-      [department_id]
-    );
-    
-    const availableBudget = deptCheck.rows[0].budget - currentAllocated.rows[0].allocated;
+    // Check against what is left after open commitments and spending
+    const funds = await encumbrances.getAvailable(client, department_id);
+    const availableBudget = funds.available;
     
     if (totalCost > availableBudget) {
+      await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
         message: `Insufficient budget. Available: $${availableBudget.toFixed(2)}, Required: $${totalCost.toFixed(2)}`
@@ -103,13 +153,33 @@ router.post('/', [
     }
 
     // Create course
-    const result = await pool.query(
-      `INSERT INTO courses (name, department_id, expected_students, instructor_cost, classroom_cost)
-       VALUES ($1, $2, $3, $4, $5)
+    const result = await client.query(
+      `INSERT INTO courses (name, department_id, expected_students, credit_hours, hours_per_week,
+                            instructor_cost, classroom_cost, academic_year)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
-      [name, department_id, expected_students, instructor_cost, classroom_cost]
+      [name, department_id, expected_students, req.body.credit_hours || 3, req.body.hours_per_week || 3,
+        instructorCost, classroomCost, academicYear]
     );
 
+    await ledger.recordCourseCommitment(client, result.rows[0], result.rows[0].total_cost, req.user.id, {
+      fiscalPeriodId: posting.period ? posting.period.id : null
+    });
+
+    // Hold the planned cost until sections are scheduled
+    await encumbrances.syncCourseEncumbrance(client, result.rows[0].id, req.user.id);
+
+    await history.record(client, result.rows[0], history.changeTypes.CREATE, { changedBy: req.user.id });
+
+    await audit.record(client, req, {
+      action: 'course.create',
+      entityType: 'course',
+      entityId: result.rows[0].id,
+      after: result.rows[0]
+    });
+
+    await client.query('COMMIT');
+
     res.status(201).json({
       success: true,
       message: 'Course created successfully',
@@ -117,36 +187,260 @@ router.post('/', [
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Create course error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to create course'
     });
+  } finally {
+    client.release();
   }
 });
 
-// Get single course
-router.get('/:id', authenticateToken, async (req, res) => {
+/**
+ * POST /api/courses/clone
+ * Copy a year's active courses into another academic year (the next one by default), optionally
+ * raising costs by an inflation percentage. Dry run by default; the real run creates every clone
+ * or none, and courses already cloned into the target year are skipped.
+ */
+router.post('/clone', [
+  authenticateToken,
+  requirePermission('course:create'),
+  body('from_year').isInt({ min: 2000 }).withMessage('Valid source academic year is required'),
+  body('to_year').optional().isInt({ min: 2000 }).withMessage('Valid target academic year is required'),
+  body('inflation_percent').optional().isFloat({ min: -50, max: 100 }).withMessage('Inflation must be between -50 and 100 percent'),
+  body('department_id').optional().isInt({ min: 1 }),
+  body('dry_run').optional().isBoolean()
+], async (req, res) => {
+  const client = await pool.connect();
+
   try {
-    const { id } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    let query = `
-      SELECT c.*, d.name as department_name
-      FROM courses c
-      JOIN departments d ON c.department_id = d.id
-      WHERE c.id = $1
-    `;
-    let params = [id];
+    const fromYear = parseInt(req.body.from_year);
+    const toYear = req.body.to_year ? parseInt(req.body.to_year) : fromYear + 1;
+    const inflationPercent = parseFloat(req.body.inflation_percent) || 0;
+    const dryRun = String(req.body.dry_run) !== 'false';
+
+    if (toYear <= fromYear) {
+      return res.status(400).json({
+        success: false,
+        message: 'Courses can only be cloned into a later academic year'
+      });
+    }
+
+    const scope = resolveDepartmentScope(req.user, req.body.department_id);
+    if (!scope.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const posting = await fiscalCalendar.checkPosting(client, toYear);
 
-    // Add department filter for department heads
-    if (req.user.role === 'DEPARTMENT_HEAD') {
-      query += ' AND c.department_id = $2';
-      params.push(req.user.department_id);
+    // Lock the departments first so the budget check and the inserts see the same balances
+    await client.query(
+      'SELECT id FROM departments WHERE ($1::int IS NULL OR id = $1) ORDER BY id FOR UPDATE',
+      [scope.departmentId || null]
+    );
+
+    const plan = await buildClonePlan(client, {
+      fromYear,
+      toYear,
+      inflationPercent,
+      departmentId: scope.departmentId
+    });
+    plan.posting = { allowed: posting.allowed, message: posting.message || null };
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+      return res.json({
+        success: true,
+        message: `${plan.courses.length} course(s) would be cloned into ${toYear}`,
+        data: plan
+      });
+    }
+
+    if (!posting.allowed) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: posting.message,
+        data: plan
+      });
     }
 
-    const result = await pool.query(query, params);
+    if (plan.courses.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `No courses left to clone from ${fromYear} into ${toYear}`,
+        data: plan
+      });
+    }
 
-    if (result.rows.length === 0) {
+    const shortfalls = plan.departments.filter(dept => !dept.sufficient);
+    if (shortfalls.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient budget in ${shortfalls.map(dept => dept.department_name).join(', ')}`,
+        data: plan
+      });
+    }
+
+    const created = [];
+    for (const entry of plan.courses) {
+      const result = await client.query(
+        `INSERT INTO courses (name, department_id, expected_students, credit_hours, hours_per_week,
+                              instructor_cost, classroom_cost, equipment_cost, overhead_cost,
+                              academic_year, cloned_from_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [entry.name, entry.department_id, entry.expected_students, entry.credit_hours, entry.hours_per_week,
+          entry.instructor_cost, entry.classroom_cost, entry.equipment_cost, entry.overhead_cost,
+          toYear, entry.source_id]
+      );
+      const course = result.rows[0];
+
+      await ledger.recordCourseCommitment(client, course, course.total_cost, req.user.id, {
+        fiscalPeriodId: posting.period ? posting.period.id : null
+      });
+      await encumbrances.syncCourseEncumbrance(client, course.id, req.user.id);
+
+      await history.record(client, course, history.changeTypes.CLONE, {
+        reason: `Cloned from course #${entry.source_id} (${fromYear})`,
+        changedBy: req.user.id
+      });
+
+      await audit.record(client, req, {
+        action: 'course.clone',
+        entityType: 'course',
+        entityId: course.id,
+        after: course
+      });
+
+      created.push(course);
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} course(s) cloned into ${toYear}`,
+      data: { ...plan, created }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Clone courses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clone courses'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/courses/recompute-costs
+ * Re-price every live course in scope from its sections, e.g. after cost structures change
+ */
+router.post('/recompute-costs', [
+  authenticateToken,
+  requirePermission('course:edit'),
+  body('department_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = resolveDepartmentScope(req.user, req.body.department_id);
+    if (!scope.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const coursesResult = await client.query(
+      'SELECT id FROM courses WHERE archived_at IS NULL AND ($1::int IS NULL OR department_id = $1) ORDER BY id',
+      [scope.departmentId || null]
+    );
+
+    const results = await costUpdater.recomputeAffected(client, {
+      courseIds: coursesResult.rows.map(row => row.id)
+    }, req.user.id, 'bulk recalculation');
+
+    const changed = results.filter(result => result.changed);
+
+    await audit.record(client, req, {
+      action: 'course.recompute_costs',
+      entityType: 'department',
+      entityId: scope.departmentId || null,
+      after: {
+        courses: results.length,
+        changed: changed.length,
+        net_change: Math.round(changed.reduce((sum, result) => sum + result.delta, 0) * 100) / 100
+      }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `${changed.length} of ${results.length} course(s) re-priced`,
+      data: results
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Recompute course costs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to recompute course costs'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Get single course
+router.get('/:id', authenticateToken, requirePermission('course:view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `SELECT c.*, d.name as department_name
+       FROM courses c
+       JOIN departments d ON c.department_id = d.id
+       WHERE c.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0 || !canAccessDepartment(req.user, result.rows[0].department_id)) {
       return res.status(404).json({
         success: false,
         message: 'Course not found or access denied'
@@ -155,7 +449,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      data: result.rows[0]
+      data: {
+        ...result.rows[0],
+        sections: await sections.list(pool, { courseId: id })
+      }
     });
 
   } catch (error) {
@@ -167,4 +464,685 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/courses/:id
+ * Edit a course. Cost changes re-run the department budget check and post the difference to the
+ * ledger. Send the revision you loaded to be told when someone else changed the course first.
+ * Once a course is priced from its sections, its costs follow the sections and only the hours
+ * and enrollment behind them can be edited here.
+ */
+router.put('/:id', [
+  authenticateToken,
+  requirePermission('course:edit'),
+  param('id').isInt({ min: 1 }),
+  body('name').optional().trim().isLength({ min: 1 }).withMessage('Course name cannot be empty'),
+  body('expected_students').optional().isInt({ min: 0 }).withMessage('Expected students must be a non-negative number'),
+  body('credit_hours').optional().isInt({ min: 1, max: 12 }).withMessage('Credit hours must be between 1 and 12'),
+  body('hours_per_week').optional().isFloat({ min: 0.5, max: 40 }).withMessage('Weekly hours must be between 0.5 and 40'),
+  body('instructor_cost').optional().isFloat({ min: 0 }).withMessage('Instructor cost must be a non-negative number'),
+  body('classroom_cost').optional().isFloat({ min: 0 }).withMessage('Classroom cost must be a non-negative number'),
+  body('revision').optional().isInt({ min: 1 }),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const course = await lockCourse(client, req.params.id);
+    if (!course || !canAccessDepartment(req.user, course.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or access denied'
+      });
+    }
+
+    if (course.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'Archived courses cannot be edited; restore the course first'
+      });
+    }
+
+    if (req.body.revision && parseInt(req.body.revision) !== course.revision) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `This course was changed by someone else (now at revision ${course.revision}). Reload and try again.`,
+        data: course
+      });
+    }
+
+    const calculated = course.cost_basis === costUpdater.costing.costBasis.CALCULATED;
+    if (calculated && (req.body.instructor_cost !== undefined || req.body.classroom_cost !== undefined)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: "This course's costs are calculated from its sections; change a section's instructor, room, meetings or equipment instead"
+      });
+    }
+
+    const updated = {
+      name: req.body.name !== undefined ? req.body.name : course.name,
+      expected_students: req.body.expected_students !== undefined ? parseInt(req.body.expected_students) : course.expected_students,
+      credit_hours: req.body.credit_hours !== undefined ? parseInt(req.body.credit_hours) : course.credit_hours,
+      hours_per_week: req.body.hours_per_week !== undefined ? parseFloat(req.body.hours_per_week) : parseFloat(course.hours_per_week),
+      instructor_cost: req.body.instructor_cost !== undefined ? parseFloat(req.body.instructor_cost) : parseFloat(course.instructor_cost),
+      classroom_cost: req.body.classroom_cost !== undefined ? parseFloat(req.body.classroom_cost) : parseFloat(course.classroom_cost)
+    };
+
+    const changes = history.diff(course, { ...course, ...updated });
+    if (Object.keys(changes).length === 0) {
+      await client.query('ROLLBACK');
+      return res.json({
+        success: true,
+        message: 'No changes to save',
+        data: course
+      });
+    }
+
+    // Only typed-in estimates change cost directly; calculated costs are re-priced below
+    const costDelta = Math.round(
+      (updated.instructor_cost + updated.classroom_cost -
+        parseFloat(course.instructor_cost) - parseFloat(course.classroom_cost)) * 100
+    ) / 100;
+
+    let posting = null;
+    if (costDelta !== 0) {
+      posting = await fiscalCalendar.checkPosting(client, course.academic_year);
+      if (!posting.allowed) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: posting.message
+        });
+      }
+    }
+
+    await client.query('SELECT id FROM departments WHERE id = $1 FOR UPDATE', [course.department_id]);
+
+    // Only the increase needs to fit in what the department has left
+    if (costDelta > 0) {
+      const funds = await encumbrances.getAvailable(client, course.department_id);
+      if (costDelta > funds.available) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient budget. Available: $${funds.available.toFixed(2)}, Required: $${costDelta.toFixed(2)}`
+        });
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE courses
+       SET name = $1, expected_students = $2, credit_hours = $3, hours_per_week = $4,
+           instructor_cost = $5, classroom_cost = $6,
+           revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7
+       RETURNING *`,
+      [updated.name, updated.expected_students, updated.credit_hours, updated.hours_per_week,
+        updated.instructor_cost, updated.classroom_cost, course.id]
+    );
+    let saved = result.rows[0];
+
+    if (costDelta !== 0) {
+      await ledger.recordCourseCommitment(client, saved, costDelta, req.user.id, {
+        fiscalPeriodId: posting.period ? posting.period.id : null,
+        memo: `Course cost change: ${saved.name}`
+      });
+    }
+
+    await history.record(client, saved, history.changeTypes.UPDATE, {
+      before: course,
+      reason: req.body.reason || null,
+      changedBy: req.user.id
+    });
+
+    if (calculated && (changes.hours_per_week || changes.expected_students || changes.credit_hours)) {
+      const repriced = await costUpdater.preview(client, saved);
+      if (!repriced.skipped && repriced.changed) {
+        const funds = await encumbrances.getAvailable(client, course.department_id);
+        if (repriced.delta > 0 && repriced.delta > funds.available) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            message: `Insufficient budget. Available: $${funds.available.toFixed(2)}, Required: $${repriced.delta.toFixed(2)}`
+          });
+        }
+        saved = (await costUpdater.apply(client, repriced, req.user.id, 'course hours or enrollment changed')).course;
+      }
+    } else if (changes.instructor_cost || changes.classroom_cost || changes.expected_students || changes.hours_per_week) {
+      await costUpdater.reproject(client, saved, req.user.id);
+    }
+
+    await audit.record(client, req, {
+      action: 'course.update',
+      entityType: 'course',
+      entityId: saved.id,
+      before: course,
+      after: saved
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Course updated successfully',
+      data: saved
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update course'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/courses/:id/archive
+ * Retire a course: releases its commitment and hides it from lists, scheduling and optimization.
+ * Sections that are still scheduled or running must be cancelled first.
+ */
+router.post('/:id/archive', [
+  authenticateToken,
+  requirePermission('course:edit'),
+  param('id').isInt({ min: 1 }),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const course = await lockCourse(client, req.params.id);
+    if (!course || !canAccessDepartment(req.user, course.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or access denied'
+      });
+    }
+
+    if (course.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'Course is already archived'
+      });
+    }
+
+    const liveSections = await client.query(
+      `SELECT COUNT(*) as count FROM course_sections
+       WHERE course_id = $1 AND status IN ('SCHEDULED', 'ACTIVE')`,
+      [course.id]
+    );
+    const activeSections = parseInt(liveSections.rows[0].count);
+    if (activeSections > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Cancel the course's ${activeSections} scheduled or active section(s) before archiving it`
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE courses
+       SET archived_at = CURRENT_TIMESTAMP, archived_by = $1, revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [req.user.id, course.id]
+    );
+    const archived = result.rows[0];
+
+    // A closed year's commitments were settled at year end, so only open periods get a release
+    const posting = await fiscalCalendar.checkPosting(client, course.academic_year);
+    if (posting.allowed && parseFloat(course.total_cost) > 0) {
+      await ledger.recordCourseCommitment(client, archived, -parseFloat(course.total_cost), req.user.id, {
+        fiscalPeriodId: posting.period ? posting.period.id : null,
+        memo: `Course archived: ${archived.name}`
+      });
+    }
+
+    await encumbrances.syncCourseEncumbrance(client, archived.id, req.user.id);
+
+    await history.record(client, archived, history.changeTypes.ARCHIVE, {
+      before: course,
+      reason: req.body.reason || null,
+      changedBy: req.user.id
+    });
+
+    await audit.record(client, req, {
+      action: 'course.archive',
+      entityType: 'course',
+      entityId: archived.id,
+      before: course,
+      after: archived
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Course archived',
+      data: archived
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Archive course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to archive course'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/courses/:id/restore
+ * Bring an archived course back, re-committing its cost against the department budget
+ */
+router.post('/:id/restore', [
+  authenticateToken,
+  requirePermission('course:edit'),
+  param('id').isInt({ min: 1 }),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const course = await lockCourse(client, req.params.id);
+    if (!course || !canAccessDepartment(req.user, course.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or access denied'
+      });
+    }
+
+    if (!course.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'Course is not archived'
+      });
+    }
+
+    const posting = await fiscalCalendar.checkPosting(client, course.academic_year);
+    if (!posting.allowed) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: posting.message
+      });
+    }
+
+    await client.query('SELECT id FROM departments WHERE id = $1 FOR UPDATE', [course.department_id]);
+
+    const totalCost = parseFloat(course.total_cost);
+    const funds = await encumbrances.getAvailable(client, course.department_id);
+    if (totalCost > funds.available) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient budget. Available: $${funds.available.toFixed(2)}, Required: $${totalCost.toFixed(2)}`
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE courses
+       SET archived_at = NULL, archived_by = NULL, revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [course.id]
+    );
+    const restored = result.rows[0];
+
+    if (totalCost > 0) {
+      await ledger.recordCourseCommitment(client, restored, totalCost, req.user.id, {
+        fiscalPeriodId: posting.period ? posting.period.id : null,
+        memo: `Course restored: ${restored.name}`
+      });
+    }
+
+    await encumbrances.syncCourseEncumbrance(client, restored.id, req.user.id);
+
+    await history.record(client, restored, history.changeTypes.RESTORE, {
+      before: course,
+      reason: req.body.reason || null,
+      changedBy: req.user.id
+    });
+
+    await audit.record(client, req, {
+      action: 'course.restore',
+      entityType: 'course',
+      entityId: restored.id,
+      before: course,
+      after: restored
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Course restored',
+      data: restored
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Restore course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore course'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/courses/:id/history
+ * Every revision of a course, newest first
+ */
+router.get('/:id/history', [
+  authenticateToken,
+  requirePermission('course:view'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const courseResult = await pool.query('SELECT id, department_id FROM courses WHERE id = $1', [req.params.id]);
+    if (courseResult.rows.length === 0 || !canAccessDepartment(req.user, courseResult.rows[0].department_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or access denied'
+      });
+    }
+
+    const revisions = await history.list(pool, req.params.id);
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+
+  } catch (error) {
+    console.error('Get course history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch course history'
+    });
+  }
+});
+
+/**
+ * GET /api/courses/:id/cost
+ * The stored cost breakdown next to what the course's sections would cost now
+ */
+router.get('/:id/cost', [
+  authenticateToken,
+  requirePermission('course:view'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const courseResult = await pool.query('SELECT * FROM courses WHERE id = $1', [req.params.id]);
+    const course = courseResult.rows[0];
+    if (!course || !canAccessDepartment(req.user, course.department_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or access denied'
+      });
+    }
+
+    const current = await costUpdater.preview(pool, course);
+
+    res.json({
+      success: true,
+      data: {
+        course_id: course.id,
+        cost_basis: course.cost_basis,
+        instructor_cost: parseFloat(course.instructor_cost),
+        classroom_cost: parseFloat(course.classroom_cost),
+        equipment_cost: parseFloat(course.equipment_cost),
+        overhead_cost: parseFloat(course.overhead_cost),
+        total_cost: parseFloat(course.total_cost),
+        breakdown: course.cost_breakdown,
+        calculated_at: course.cost_calculated_at,
+        current: current.skipped
+          ? { skipped: current.skipped }
+          : {
+            ...current.components,
+            total_cost: current.total,
+            delta: current.delta,
+            changed: current.changed,
+            breakdown: current.breakdown,
+            warnings: current.warnings
+          }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get course cost error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate course cost'
+    });
+  }
+});
+
+/**
+ * POST /api/courses/:id/recompute-cost
+ * Re-price a course from its sections. The result is reported against the department's
+ * remaining funds but not blocked, since it reflects resources already assigned.
+ */
+router.post('/:id/recompute-cost', [
+  authenticateToken,
+  requirePermission('course:edit'),
+  param('id').isInt({ min: 1 }),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const course = await lockCourse(client, req.params.id);
+    if (!course || !canAccessDepartment(req.user, course.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or access denied'
+      });
+    }
+
+    const outcome = await costUpdater.recompute(client, course.id, req.user.id, req.body.reason || null);
+
+    if (outcome.skipped) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: outcome.skipped
+      });
+    }
+
+    if (outcome.before) {
+      await audit.record(client, req, {
+        action: 'course.recompute_cost',
+        entityType: 'course',
+        entityId: course.id,
+        before: outcome.before,
+        after: outcome.course
+      });
+    }
+
+    const funds = await encumbrances.getAvailable(client, course.department_id);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: outcome.before ? 'Course cost recalculated' : 'Course cost is already up to date',
+      data: {
+        ...outcome.course,
+        delta: outcome.before ? outcome.delta : 0,
+        department_funds: funds
+      },
+      warnings: [
+        ...outcome.warnings,
+        ...(funds.available < 0 ? [`Department is over-committed by $${Math.abs(funds.available).toFixed(2)}`] : [])
+      ]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Recompute course cost error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to recompute course cost'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Helper functions
+async function lockCourse(db, courseId) {
+  const result = await db.query('SELECT * FROM courses WHERE id = $1 FOR UPDATE', [courseId]);
+  return result.rows[0] || null;
+}
+
+// Courses a clone would create, with per-department totals against what each has left
+async function buildClonePlan(db, { fromYear, toYear, inflationPercent, departmentId }) {
+  const result = await db.query(`
+    SELECT c.*, d.name as department_name,
+           EXISTS (SELECT 1 FROM courses n
+                   WHERE n.cloned_from_id = c.id AND n.academic_year = $2) as already_cloned
+    FROM courses c
+    JOIN departments d ON c.department_id = d.id
+    WHERE c.academic_year = $1 AND c.archived_at IS NULL
+      AND ($3::int IS NULL OR c.department_id = $3)
+    ORDER BY d.name, c.name
+  `, [fromYear, toYear, departmentId || null]);
+
+  const factor = 1 + inflationPercent / 100;
+  const inflate = (value) => Math.round(parseFloat(value) * factor * 100) / 100;
+
+  // Clones start from last year's costs as an estimate until their own sections are scheduled
+  const courses = result.rows
+    .filter(course => !course.already_cloned)
+    .map(course => {
+      const costs = {
+        instructor_cost: inflate(course.instructor_cost),
+        classroom_cost: inflate(course.classroom_cost),
+        equipment_cost: inflate(course.equipment_cost),
+        overhead_cost: inflate(course.overhead_cost)
+      };
+      return {
+        source_id: course.id,
+        name: course.name,
+        department_id: course.department_id,
+        department_name: course.department_name,
+        expected_students: course.expected_students,
+        credit_hours: course.credit_hours,
+        hours_per_week: parseFloat(course.hours_per_week),
+        previous_total_cost: parseFloat(course.total_cost),
+        ...costs,
+        total_cost: Math.round(Object.values(costs).reduce((sum, value) => sum + value, 0) * 100) / 100
+      };
+    });
+
+  const totals = {};
+  courses.forEach(course => {
+    if (!totals[course.department_id]) {
+      totals[course.department_id] = { department_id: course.department_id, department_name: course.department_name, required: 0 };
+    }
+    totals[course.department_id].required += course.total_cost;
+  });
+
+  const departments = [];
+  for (const dept of Object.values(totals)) {
+    const funds = await encumbrances.getAvailable(db, dept.department_id);
+    const required = Math.round(dept.required * 100) / 100;
+    departments.push({
+      ...dept,
+      required,
+      available: funds.available,
+      sufficient: required <= funds.available
+    });
+  }
+
+  return {
+    from_year: fromYear,
+    to_year: toYear,
+    inflation_percent: inflationPercent,
+    courses,
+    skipped: result.rows.length - courses.length,
+    departments
+  };
+}
+
 module.exports = router;
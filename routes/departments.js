@@ -1,34 +1,51 @@
 const express = require('express');
-const { authenticateToken, requireRole, requireDepartmentAccess } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission, requireDepartmentAccess, hasPermission, canAccessDepartment } = require('../middleware/auth');
 const pool = require('../config/database');
+const BudgetLedger = require('../models/BudgetLedger');
+const FiscalCalendar = require('../models/FiscalCalendar');
+const EncumbranceTracker = require('../models/EncumbranceTracker');
+const AuditLog = require('../models/AuditLog');
 
 const router = express.Router();
+const ledger = new BudgetLedger();
+const fiscalCalendar = new FiscalCalendar();
+const encumbrances = new EncumbranceTracker();
+const audit = new AuditLog();
 
-// Get departments (role-based access)
-router.get('/', authenticateToken, async (req, res) => {
+// Only courses in the current fiscal period count against the budget
+const currentPeriodCourses = `
+  AND (c.academic_year IS NULL OR c.academic_year = COALESCE(
+    (${fiscalCalendar.currentAcademicYearSql}),
+    c.academic_year
+  ))
+`;
+
+// Get departments (scoped to the caller's department unless they can see all)
+router.get('/', authenticateToken, requirePermission('department:view'), async (req, res) => {
   try {
     let query;
     let params = [];
 
-    if (req.user.role === 'ADMIN') {
-      // Admin sees all departments
+    if (hasPermission(req.user, 'department:all')) {
+      // District-wide users see all departments
       query = `
         SELECT d.*, 
                COUNT(c.id) as course_count,
                COALESCE(SUM(c.total_cost), 0) as total_allocated
         FROM departments d
-        LEFT JOIN courses c ON d.id = c.department_id
+        LEFT JOIN courses c ON d.id = c.department_id ${currentPeriodCourses}
         GROUP BY d.id
         ORDER BY d.name
       `;
     } else {
-      // Department heads see only their department
+      // Everyone else sees only their own department
       query = `
         SELECT d.*, 
                COUNT(c.id) as course_count,
                COALESCE(SUM(c.total_cost), 0) as total_allocated
         FROM departments d
-        LEFT JOIN courses c ON d.id = c.department_id
+        LEFT JOIN courses c ON d.id = c.department_id ${currentPeriodCourses}
         WHERE d.id = $1
         GROUP BY d.id
       `;
@@ -37,9 +54,12 @@ router.get('/', authenticateToken, async (req, res) => {
 
     const result = await pool.query(query, params);
 
+    // Split the budget into encumbered, spent and available
+    const departments = await encumbrances.attachFunds(pool, result.rows);
+
     res.json({
       success: true,
-      data: result.rows
+      data: departments
     });
 
   } catch (error) {
@@ -52,7 +72,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get single department
-router.get('/:id', authenticateToken, requireDepartmentAccess, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('department:view'), requireDepartmentAccess('id'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -62,7 +82,7 @@ router.get('/:id', authenticateToken, requireDepartmentAccess, async (req, res)
               COALESCE(SUM(c.total_cost), 0) as total_allocated,
               (d.budget - COALESCE(SUM(c.total_cost), 0)) as remaining_budget
        FROM departments d
-       LEFT JOIN courses c ON d.id = c.department_id
+       LEFT JOIN courses c ON d.id = c.department_id ${currentPeriodCourses}
        WHERE d.id = $1
        GROUP BY d.id`,
       [id]
@@ -75,9 +95,11 @@ router.get('/:id', authenticateToken, requireDepartmentAccess, async (req, res)
       });
     }
 
+    const [department] = await encumbrances.attachFunds(pool, result.rows);
+
     res.json({
       success: true,
-      data: result.rows[0]
+      data: department
     });
 
   } catch (error) {
@@ -89,4 +111,252 @@ router.get('/:id', authenticateToken, requireDepartmentAccess, async (req, res)
   }
 });
 
+// Get department ledger with running balances and a consistency check
+router.get('/:id/ledger', [
+  authenticateToken,
+  requirePermission('ledger:view'),
+  param('id').isInt({ min: 1 }).withMessage('Valid department ID is required'),
+  query('account').optional().isIn(ledger.departmentAccounts),
+  query('limit').optional().isInt({ min: 1, max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { account, limit = 200 } = req.query;
+
+    if (!canAccessDepartment(req.user, id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
+    const deptResult = await pool.query('SELECT id, name, budget FROM departments WHERE id = $1', [id]);
+    if (deptResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    // Running balances are computed over the full history, then the latest rows are returned
+    const entriesResult = await pool.query(`
+      SELECT * FROM (
+        SELECT e.id, e.journal_id, e.account, e.debit, e.credit, e.created_at,
+               j.journal_type, j.memo, j.reference_type, j.reference_id, j.fiscal_period_id,
+               u.email as created_by_email,
+               SUM(e.debit - e.credit) OVER (PARTITION BY e.account ORDER BY e.id) as account_balance,
+               SUM(e.debit - e.credit) OVER (ORDER BY e.id) as department_balance
+        FROM ledger_entries e
+        JOIN ledger_journals j ON e.journal_id = j.id
+        LEFT JOIN users u ON j.created_by = u.id
+        WHERE e.department_id = $1
+      ) entries
+      ${account ? 'WHERE account = $3' : ''}
+      ORDER BY id DESC
+      LIMIT $2
+    `, account ? [id, limit, account] : [id, limit]);
+
+    const period = await fiscalCalendar.getCurrentPeriod(pool);
+    const consistency = await ledger.checkConsistency(pool, id, period);
+
+    res.json({
+      success: true,
+      data: {
+        department: deptResult.rows[0],
+        fiscalPeriod: period,
+        balances: consistency.balances,
+        consistency: {
+          consistent: consistency.consistent,
+          checks: consistency.checks,
+          unbalancedJournals: consistency.unbalancedJournals
+        },
+        entries: entriesResult.rows.map(entry => ({
+          ...entry,
+          debit: parseFloat(entry.debit),
+          credit: parseFloat(entry.credit),
+          account_balance: parseFloat(entry.account_balance),
+          department_balance: parseFloat(entry.department_balance)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get department ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch department ledger'
+    });
+  }
+});
+
+// Allocate district funds to a department (negative amounts withdraw funds)
+router.post('/:id/ledger/allocations', [
+  authenticateToken,
+  requirePermission('budget:allocate'),
+  param('id').isInt({ min: 1 }).withMessage('Valid department ID is required'),
+  body('amount').isFloat().custom(value => parseFloat(value) !== 0).withMessage('Amount must be a non-zero number'),
+  body('memo').optional().trim().isLength({ max: 500 }).withMessage('Memo must not exceed 500 characters')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const amount = parseFloat(req.body.amount);
+
+    await client.query('BEGIN');
+
+    const posting = await fiscalCalendar.checkPosting(client);
+    if (!posting.allowed) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: posting.message
+      });
+    }
+
+    const deptResult = await client.query('SELECT id, name, budget FROM departments WHERE id = $1 FOR UPDATE', [id]);
+    if (deptResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    // Withdrawals cannot take back money that is already committed or spent
+    const funds = await encumbrances.getAvailable(client, id);
+    if (funds.available + amount < 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient budget in ${deptResult.rows[0].name}. Available: $${funds.available.toFixed(2)}`
+      });
+    }
+
+    const updated = await client.query(
+      'UPDATE departments SET budget = budget + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [amount, id]
+    );
+
+    const journal = await ledger.recordAllocation(client, parseInt(id), amount, req.user.id, req.body.memo || undefined);
+
+    await audit.record(client, req, {
+      action: 'department.allocate',
+      entityType: 'department',
+      entityId: id,
+      before: { budget: deptResult.rows[0].budget },
+      after: { budget: updated.rows[0].budget, amount, memo: req.body.memo || null, journal_id: journal ? journal.id : null }
+    });
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: `Allocated $${amount} to ${deptResult.rows[0].name}`,
+      data: {
+        department: updated.rows[0],
+        journal
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Department allocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to allocate funds'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Post adjusting entries so the ledger matches current department, course and equipment records
+router.post('/:id/ledger/reconcile', [
+  authenticateToken,
+  requirePermission('ledger:reconcile'),
+  param('id').isInt({ min: 1 }).withMessage('Valid department ID is required'),
+  body('memo').optional().trim().isLength({ max: 200 }).withMessage('Memo must not exceed 200 characters')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    await client.query('BEGIN');
+
+    const deptResult = await client.query('SELECT id FROM departments WHERE id = $1 FOR UPDATE', [id]);
+    if (deptResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    const period = await fiscalCalendar.getCurrentPeriod(client);
+    const adjustments = await ledger.reconcile(client, parseInt(id), req.user.id, req.body.memo || undefined, period);
+    const consistency = await ledger.checkConsistency(client, id, period);
+
+    if (adjustments.length > 0) {
+      await audit.record(client, req, {
+        action: 'department.ledger_reconcile',
+        entityType: 'department',
+        entityId: id,
+        after: { adjustments, memo: req.body.memo || null }
+      });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: adjustments.length > 0
+        ? `Posted ${adjustments.length} adjusting journal(s)`
+        : 'Ledger already consistent',
+      data: {
+        adjustments,
+        consistency
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Ledger reconcile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile ledger'
+    });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
@@ -1,18 +1,26 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireDepartmentAccess, scopeDepartment, canAccessDepartment } = require('../middleware/auth');
 
 const CostCalculator = require('../models/CostCalculator');
+const BudgetLedger = require('../models/BudgetLedger');
+const EncumbranceTracker = require('../models/EncumbranceTracker');
+const CourseCostUpdater = require('../models/CourseCostUpdater');
+const AuditLog = require('../models/AuditLog');
 
 const router = express.Router();
 const costCalculator = new CostCalculator();
+const ledger = new BudgetLedger();
+const encumbrances = new EncumbranceTracker();
+const costUpdater = new CourseCostUpdater();
+const audit = new AuditLog();
 
 /**
  * GET /api/equipment
  * Get all equipment with filtering and depreciation calculations
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('equipment:view'), scopeDepartment(), async (req, res) => {
   try {
     const { department_id, status, type, location } = req.query;
 
@@ -82,6 +90,8 @@ router.get('/', authenticateToken, async (req, res) => {
  */
 router.post('/', [
   authenticateToken,
+  requirePermission('equipment:manage'),
+  requireDepartmentAccess(),
   body('name').notEmpty().isString(),
   body('description').optional().isString(),
   body('department_id').isInt(),
@@ -91,6 +101,8 @@ router.post('/', [
   body('maintenance_cost_annual').optional().isFloat({ min: 0 }),
   body('metadata').optional().isObject()
 ], async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -129,12 +141,36 @@ router.post('/', [
       RETURNING *
     `;
 
-    const result = await pool.query(query, [
+    await client.query('BEGIN');
+
+    const result = await client.query(query, [
       name, description, department_id, purchase_cost, purchase_date,
       depreciation_rate, depreciation.currentValue, maintenance_cost_annual,
       status, location, metadata
     ]);
 
+    // The purchase is paid from department funds
+    await ledger.recordEquipmentPurchase(client, result.rows[0], req.user.id);
+    if (parseFloat(result.rows[0].purchase_cost) > 0) {
+      await encumbrances.encumber(client, {
+        departmentId: result.rows[0].department_id,
+        sourceType: encumbrances.sourceTypes.EQUIPMENT_PURCHASE,
+        sourceId: result.rows[0].id,
+        amount: parseFloat(result.rows[0].purchase_cost),
+        createdBy: req.user.id,
+        status: 'LIQUIDATED'
+      });
+    }
+
+    await audit.record(client, req, {
+      action: 'equipment.purchase',
+      entityType: 'equipment',
+      entityId: result.rows[0].id,
+      after: result.rows[0]
+    });
+
+    await client.query('COMMIT');
+
     res.status(201).json({
       success: true,
       message: 'Equipment added successfully',
@@ -145,11 +181,14 @@ router.post('/', [
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Equipment creation error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to add equipment'
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -157,7 +196,7 @@ router.post('/', [
  * GET /api/equipment/:id/reservations
  * Get equipment reservations
  */
-router.get('/:id/reservations', authenticateToken, async (req, res) => {
+router.get('/:id/reservations', authenticateToken, requirePermission('equipment:view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { start_date, end_date, status } = req.query;
@@ -214,12 +253,15 @@ router.get('/:id/reservations', authenticateToken, async (req, res) => {
  */
 router.post('/:id/reserve', [
   authenticateToken,
+  requirePermission('equipment:reserve'),
   body('reservation_date').isISO8601(),
   body('start_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
   body('end_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
   body('purpose').notEmpty().isString(),
   body('course_schedule_id').optional().isInt()
 ], async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -277,10 +319,26 @@ router.post('/:id/reserve', [
       RETURNING *
     `;
 
-    const result = await pool.query(reservationQuery, [
-      id, req.user.userId, course_schedule_id, reservation_date, start_time, end_time, purpose
+    await client.query('BEGIN');
+
+    const result = await client.query(reservationQuery, [
+      id, req.user.id, course_schedule_id || null, reservation_date, start_time, end_time, purpose
     ]);
 
+    // Equipment reserved for a section is part of what the section (and its course) costs
+    if (course_schedule_id) {
+      await costUpdater.recomputeAffected(client, { scheduleIds: [course_schedule_id] }, req.user.id, 'equipment reserved');
+    }
+
+    await audit.record(client, req, {
+      action: 'equipment.reserve',
+      entityType: 'equipment',
+      entityId: id,
+      after: result.rows[0]
+    });
+
+    await client.query('COMMIT');
+
     res.status(201).json({
       success: true,
       message: 'Equipment reserved successfully',
@@ -288,11 +346,14 @@ router.post('/:id/reserve', [
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Equipment reservation error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to reserve equipment'
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -300,7 +361,7 @@ router.post('/:id/reserve', [
  * GET /api/equipment/depreciation-report
  * Generate equipment depreciation report
  */
-router.get('/depreciation-report', authenticateToken, async (req, res) => {
+router.get('/depreciation-report', authenticateToken, requirePermission('report:financial'), scopeDepartment(), async (req, res) => {
   try {
     const { department_id, depreciation_method } = req.query;
 
@@ -400,9 +461,12 @@ router.get('/depreciation-report', authenticateToken, async (req, res) => {
  */
 router.put('/:id/maintenance', [
   authenticateToken,
+  requirePermission('equipment:manage'),
   body('status').isIn(['ACTIVE', 'MAINTENANCE', 'RETIRED']),
   body('maintenance_notes').optional().trim()
 ], async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -416,15 +480,28 @@ router.put('/:id/maintenance', [
     const { id } = req.params;
     const { status, maintenance_notes } = req.body;
 
+    const existing = await pool.query('SELECT status, department_id FROM equipment WHERE id = $1', [id]);
+    if (existing.rows.length > 0 && !canAccessDepartment(req.user, existing.rows[0].department_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
+    await client.query('BEGIN');
+
     // If setting to maintenance, cancel any active reservations
+    let cancelledScheduleIds = [];
     if (status === 'MAINTENANCE') {
-      await pool.query(`
+      const cancelled = await client.query(`
         UPDATE equipment_reservations 
         SET status = 'CANCELLED'
         WHERE equipment_id = $1 
         AND reservation_date >= CURRENT_DATE 
         AND status = 'RESERVED'
+        RETURNING course_schedule_id
       `, [id]);
+      cancelledScheduleIds = cancelled.rows.map(row => row.course_schedule_id).filter(Boolean);
     }
 
     const query = `
@@ -434,9 +511,10 @@ router.put('/:id/maintenance', [
       RETURNING *
     `;
 
-    const result = await pool.query(query, [status, id]);
+    const result = await client.query(query, [status, id]);
 
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         message: 'Equipment not found'
@@ -445,13 +523,28 @@ router.put('/:id/maintenance', [
 
     // Log maintenance activity if notes provided
     if (maintenance_notes) {
-      await pool.query(`
+      await client.query(`
         INSERT INTO utilization_metrics (department_id, metric_type, metric_date, value, metadata)
         SELECT department_id, 'MAINTENANCE_LOG', CURRENT_DATE, 1, $2
         FROM equipment WHERE id = $1
-      `, [id, JSON.stringify({ notes: maintenance_notes, updated_by: req.user.userId })]);
+      `, [id, JSON.stringify({ notes: maintenance_notes, updated_by: req.user.id })]);
+    }
+
+    // Sections that lost their reservations no longer carry this equipment's cost
+    if (cancelledScheduleIds.length > 0) {
+      await costUpdater.recomputeAffected(client, { scheduleIds: cancelledScheduleIds }, req.user.id, 'equipment reservation cancelled');
     }
 
+    await audit.record(client, req, {
+      action: 'equipment.status_change',
+      entityType: 'equipment',
+      entityId: id,
+      before: { status: existing.rows[0].status },
+      after: { status: result.rows[0].status, maintenance_notes: maintenance_notes || null }
+    });
+
+    await client.query('COMMIT');
+
     res.json({
       success: true,
       message: 'Equipment maintenance status updated',
@@ -459,11 +552,14 @@ router.put('/:id/maintenance', [
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Equipment maintenance update error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to update equipment maintenance status'
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -471,7 +567,7 @@ router.put('/:id/maintenance', [
  * GET /api/equipment/utilization
  * Get equipment utilization metrics
  */
-router.get('/utilization', authenticateToken, async (req, res) => {
+router.get('/utilization', authenticateToken, requirePermission('report:operational'), scopeDepartment(), async (req, res) => {
   try {
     const { department_id, start_date, end_date } = req.query;
 
@@ -1,15 +1,19 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireDepartmentAccess, scopeDepartment, canAccessDepartment } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const CourseCostUpdater = require('../models/CourseCostUpdater');
 
 const router = express.Router();
+const audit = new AuditLog();
+const costUpdater = new CourseCostUpdater();
 
 /**
  * GET /api/facilities
  * Get all facilities with filtering options
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('facility:view'), async (req, res) => {
   try {
     const { department_id, type, status, capacity_min, capacity_max } = req.query;
 
@@ -76,6 +80,8 @@ router.get('/', authenticateToken, async (req, res) => {
  */
 router.post('/', [
   authenticateToken,
+  requirePermission('facility:manage'),
+  requireDepartmentAccess(),
   body('name').notEmpty().isString(),
   body('type').notEmpty().isIn(['CLASSROOM', 'LAB', 'AUDITORIUM', 'LIBRARY', 'GYM', 'OFFICE']),
   body('capacity').isInt({ min: 1 }),
@@ -117,6 +123,13 @@ router.post('/', [
       name, type, capacity, hourly_cost, metadata, utilities_cost_annual, department_id, equipment_ids, status
     ]);
 
+    await audit.record(pool, req, {
+      action: 'facility.create',
+      entityType: 'facility',
+      entityId: result.rows[0].id,
+      after: result.rows[0]
+    });
+
     res.status(201).json({
       success: true,
       message: 'Facility created successfully',
@@ -136,7 +149,7 @@ router.post('/', [
  * GET /api/facilities/:id/availability
  * Get facility availability for scheduling
  */
-router.get('/:id/availability', authenticateToken, async (req, res) => {
+router.get('/:id/availability', authenticateToken, requirePermission('facility:view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { semester, academic_year, start_date, end_date } = req.query;
@@ -205,6 +218,7 @@ router.get('/:id/availability', authenticateToken, async (req, res) => {
  */
 router.post('/:id/reserve', [
   authenticateToken,
+  requirePermission('facility:reserve'),
   body('start_datetime').isISO8601(),
   body('end_datetime').isISO8601(),
   body('purpose').notEmpty().isString(),
@@ -261,6 +275,13 @@ router.post('/:id/reserve', [
       id, req.user.userId, reservation_date, start_time, end_time, purpose
     ]);
 
+    await audit.record(pool, req, {
+      action: 'facility.reserve',
+      entityType: 'facility',
+      entityId: id,
+      after: result.rows[0]
+    });
+
     res.status(201).json({
       success: true,
       message: 'Facility reserved successfully',
@@ -280,7 +301,7 @@ router.post('/:id/reserve', [
  * GET /api/facilities/utilization
  * Get facility utilization metrics
  */
-router.get('/utilization', authenticateToken, async (req, res) => {
+router.get('/utilization', authenticateToken, requirePermission('report:operational'), scopeDepartment(), async (req, res) => {
   try {
     const { department_id, start_date, end_date } = req.query;
 
@@ -350,11 +371,15 @@ router.get('/utilization', authenticateToken, async (req, res) => {
  */
 router.put('/:id', [
   authenticateToken,
+  requirePermission('facility:manage'),
+  requireDepartmentAccess(),
   body('name').optional().notEmpty().trim(),
   body('type').optional().isIn(['CLASSROOM', 'LAB', 'AUDITORIUM', 'GYM', 'LIBRARY', 'OFFICE']),
   body('capacity').optional().isInt({ min: 1 }),
   body('status').optional().isIn(['AVAILABLE', 'MAINTENANCE', 'UNAVAILABLE'])
 ], async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -368,6 +393,16 @@ router.put('/:id', [
     const { id } = req.params;
     const updates = req.body;
 
+    // Department-owned rooms can only be changed by someone with access to that department
+    const existing = await pool.query('SELECT * FROM facilities WHERE id = $1', [id]);
+    if (existing.rows.length > 0 && existing.rows[0].department_id !== null &&
+        !canAccessDepartment(req.user, existing.rows[0].department_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
     // Build dynamic update query
     const setClause = [];
     const queryParams = [];
@@ -398,15 +433,34 @@ router.put('/:id', [
       RETURNING *
     `;
 
-    const result = await pool.query(query, queryParams);
+    await client.query('BEGIN');
+
+    const result = await client.query(query, queryParams);
 
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         message: 'Facility not found'
       });
     }
 
+    // Room rates and type feed the cost of every course taught in it
+    const costFields = ['type', 'hourly_cost', 'utilities_cost_annual', 'maintenance_cost_annual'];
+    if (costFields.some(field => String(existing.rows[0][field]) !== String(result.rows[0][field]))) {
+      await costUpdater.recomputeAffected(client, { facilityId: result.rows[0].id }, req.user.id, `facility ${result.rows[0].name} changed`);
+    }
+
+    await audit.record(client, req, {
+      action: 'facility.update',
+      entityType: 'facility',
+      entityId: id,
+      before: existing.rows[0],
+      after: result.rows[0]
+    });
+
+    await client.query('COMMIT');
+
     res.json({
       success: true,
       message: 'Facility updated successfully',
@@ -414,11 +468,14 @@ router.put('/:id', [
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Facility update error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to update facility'
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -0,0 +1,390 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+
+const FiscalCalendar = require('../models/FiscalCalendar');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+const fiscalCalendar = new FiscalCalendar();
+const audit = new AuditLog();
+
+/**
+ * GET /api/fiscal-periods
+ * List fiscal periods
+ */
+router.get('/', authenticateToken, requirePermission('fiscal:view'), async (req, res) => {
+  try {
+    const current = await fiscalCalendar.getCurrentPeriod(pool);
+
+    const result = await pool.query(`
+      SELECT fp.id, fp.academic_year, fp.name, fp.start_date, fp.end_date, fp.status,
+             fp.carryover_policy, fp.carryover_percent, fp.closed_at,
+             u.email as closed_by_email
+      FROM fiscal_periods fp
+      LEFT JOIN users u ON fp.closed_by = u.id
+      ORDER BY fp.start_date DESC
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows.map(period => ({
+        ...period,
+        is_current: current !== null && period.id === current.id
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get fiscal periods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fiscal periods'
+    });
+  }
+});
+
+/**
+ * POST /api/fiscal-periods
+ * Create a fiscal period
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('fiscal:manage'),
+  body('academic_year').isInt({ min: 2000 }).withMessage('Valid academic year is required'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('start_date').isISO8601().withMessage('Valid start date is required'),
+  body('end_date').isISO8601().withMessage('Valid end date is required')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { academic_year, start_date, end_date } = req.body;
+    const name = req.body.name || `FY ${academic_year}`;
+
+    if (new Date(end_date) <= new Date(start_date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const overlap = await client.query(`
+      SELECT name FROM fiscal_periods
+      WHERE academic_year = $1 OR (start_date <= $3 AND end_date >= $2)
+    `, [academic_year, start_date, end_date]);
+
+    if (overlap.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Fiscal period overlaps existing period ${overlap.rows[0].name}`
+      });
+    }
+
+    const existing = await client.query('SELECT COUNT(*) as count FROM fiscal_periods');
+
+    const result = await client.query(`
+      INSERT INTO fiscal_periods (academic_year, name, start_date, end_date)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [academic_year, name, start_date, end_date]);
+
+    // The first period opens with the budgets departments already hold
+    if (parseInt(existing.rows[0].count) === 0) {
+      await client.query(`
+        INSERT INTO department_period_budgets (fiscal_period_id, department_id, opening_budget)
+        SELECT $1, id, budget FROM departments
+      `, [result.rows[0].id]);
+    }
+
+    await audit.record(client, req, {
+      action: 'fiscal_period.create',
+      entityType: 'fiscal_period',
+      entityId: result.rows[0].id,
+      after: result.rows[0]
+    });
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: 'Fiscal period created successfully',
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create fiscal period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create fiscal period'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/fiscal-periods/:id
+ * Get a fiscal period with department budgets
+ */
+router.get('/:id', [
+  authenticateToken,
+  requirePermission('fiscal:view'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const periodResult = await pool.query('SELECT * FROM fiscal_periods WHERE id = $1', [req.params.id]);
+
+    if (periodResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fiscal period not found'
+      });
+    }
+
+    let budgetsQuery = `
+      SELECT dpb.*, d.name as department_name
+      FROM department_period_budgets dpb
+      JOIN departments d ON dpb.department_id = d.id
+      WHERE dpb.fiscal_period_id = $1
+    `;
+    const params = [req.params.id];
+
+    if (!hasPermission(req.user, 'department:all')) {
+      budgetsQuery += ' AND dpb.department_id = $2';
+      params.push(req.user.department_id);
+    }
+
+    const budgetsResult = await pool.query(budgetsQuery + ' ORDER BY d.name', params);
+
+    const { closing_report, ...period } = periodResult.rows[0];
+
+    res.json({
+      success: true,
+      data: {
+        ...period,
+        departments: budgetsResult.rows,
+        has_closing_report: closing_report !== null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get fiscal period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fiscal period'
+    });
+  }
+});
+
+/**
+ * POST /api/fiscal-periods/:id/close
+ * Close a fiscal period and roll unspent balances into the next period
+ */
+router.post('/:id/close', [
+  authenticateToken,
+  requirePermission('fiscal:manage'),
+  param('id').isInt({ min: 1 }),
+  body('carryover_policy').isIn(['NONE', 'CAPPED_PERCENT', 'FULL']).withMessage('Carryover policy must be NONE, CAPPED_PERCENT or FULL'),
+  body('carryover_percent').optional().isFloat({ min: 0, max: 100 }).withMessage('Carryover percent must be between 0 and 100'),
+  body('next_period_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { carryover_policy, carryover_percent, next_period_id } = req.body;
+
+    if (carryover_policy === 'CAPPED_PERCENT' && carryover_percent === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Carryover percent is required for the CAPPED_PERCENT policy'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const periodResult = await client.query('SELECT * FROM fiscal_periods WHERE id = $1 FOR UPDATE', [req.params.id]);
+
+    if (periodResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Fiscal period not found'
+      });
+    }
+
+    const period = periodResult.rows[0];
+    if (period.status === 'CLOSED') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Fiscal period ${period.name} is already closed`
+      });
+    }
+
+    const nextPeriod = await getOrCreateNextPeriod(client, period, next_period_id);
+    if (!nextPeriod || nextPeriod.status === 'CLOSED' || nextPeriod.start_date <= period.start_date) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Next fiscal period must be an open period after the one being closed'
+      });
+    }
+
+    const report = await fiscalCalendar.closePeriod(client, period, {
+      policy: carryover_policy,
+      percent: parseFloat(carryover_percent) || 0,
+      nextPeriod
+    }, req.user.id);
+
+    await audit.record(client, req, {
+      action: 'fiscal_period.close',
+      entityType: 'fiscal_period',
+      entityId: period.id,
+      before: { status: period.status },
+      after: {
+        status: 'CLOSED',
+        next_period_id: nextPeriod.id,
+        carryover_policy,
+        carryover_percent: parseFloat(carryover_percent) || 0,
+        totals: report.totals
+      }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `Fiscal period ${period.name} closed; $${report.totals.carriedOver} carried into ${nextPeriod.name}`,
+      data: report
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Close fiscal period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close fiscal period'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/fiscal-periods/:id/closing-report
+ * Get the report produced when a period was closed
+ */
+router.get('/:id/closing-report', [
+  authenticateToken,
+  requirePermission('fiscal:view'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await pool.query('SELECT name, status, closing_report FROM fiscal_periods WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fiscal period not found'
+      });
+    }
+
+    const { name, closing_report } = result.rows[0];
+    if (!closing_report) {
+      return res.status(404).json({
+        success: false,
+        message: `Fiscal period ${name} has not been closed`
+      });
+    }
+
+    // Users without district-wide access only see their own line of the report
+    const report = hasPermission(req.user, 'department:all')
+      ? closing_report
+      : {
+        ...closing_report,
+        departments: closing_report.departments.filter(dept => dept.departmentId === req.user.department_id),
+        totals: undefined
+      };
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get closing report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch closing report'
+    });
+  }
+});
+
+// Helper functions
+
+async function getOrCreateNextPeriod(client, period, nextPeriodId) {
+  if (nextPeriodId) {
+    const result = await client.query('SELECT * FROM fiscal_periods WHERE id = $1 FOR UPDATE', [nextPeriodId]);
+    return result.rows[0] || null;
+  }
+
+  const existing = await client.query(
+    'SELECT * FROM fiscal_periods WHERE academic_year = $1 FOR UPDATE',
+    [period.academic_year + 1]
+  );
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+
+  // Default to the same dates one year later
+  const created = await client.query(`
+    INSERT INTO fiscal_periods (academic_year, name, start_date, end_date)
+    VALUES ($1, $2, $3::date + INTERVAL '1 year', $4::date + INTERVAL '1 year')
+    RETURNING *
+  `, [period.academic_year + 1, `FY ${period.academic_year + 1}`, period.start_date, period.end_date]);
+
+  return created.rows[0];
+}
+
+module.exports = router;
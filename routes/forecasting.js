@@ -1,12 +1,14 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, scopeDepartment, canAccessDepartment } = require('../middleware/auth');
 
 const CostCalculator = require('../models/CostCalculator');
+const AuditLog = require('../models/AuditLog');
 
 const router = express.Router();
 const costCalculator = new CostCalculator();
+const audit = new AuditLog();
 
 /**
  * POST /api/forecasting/budget-forecast
@@ -14,6 +16,8 @@ const costCalculator = new CostCalculator();
  */
 router.post('/budget-forecast', [
   authenticateToken,
+  requirePermission('forecast:manage'),
+  scopeDepartment('body'),
   body('department_id').optional().isInt(),
   body('scenario_name').notEmpty().isString(),
   body('forecast_period_months').isInt({ min: 1, max: 60 }),
@@ -121,6 +125,13 @@ router.post('/budget-forecast', [
       assumptions, confidence_level, req.user.userId
     ]);
 
+    await audit.record(pool, req, {
+      action: 'forecast.create',
+      entityType: 'budget_forecast',
+      entityId: result.rows[0].id,
+      after: result.rows[0]
+    });
+
     res.status(201).json({
       success: true,
       message: 'Budget forecast created successfully',
@@ -140,7 +151,7 @@ router.post('/budget-forecast', [
  * GET /api/forecasting/budget-forecasts
  * Get budget forecasts with filtering
  */
-router.get('/budget-forecasts', authenticateToken, async (req, res) => {
+router.get('/budget-forecasts', authenticateToken, requirePermission('forecast:view'), scopeDepartment(), async (req, res) => {
   try {
     const { department_id, academic_year, forecast_type } = req.query;
 
@@ -196,6 +207,7 @@ router.get('/budget-forecasts', authenticateToken, async (req, res) => {
  */
 router.post('/scenario-comparison', [
   authenticateToken,
+  requirePermission('forecast:view'),
   body('scenario_ids').isArray({ min: 2 }),
   body('comparison_metrics').optional().isArray()
 ], async (req, res) => {
@@ -223,6 +235,13 @@ router.post('/scenario-comparison', [
     const result = await pool.query(query, [forecast_ids]);
     const forecasts = result.rows;
 
+    if (forecasts.some(forecast => !canAccessDepartment(req.user, forecast.department_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
     if (forecasts.length < 2) {
       return res.status(400).json({
         success: false,
@@ -293,7 +312,7 @@ router.post('/scenario-comparison', [
  * GET /api/forecasting/trend-analysis
  * Analyze historical trends for forecasting
  */
-router.get('/trend-analysis', authenticateToken, async (req, res) => {
+router.get('/trend-analysis', authenticateToken, requirePermission('forecast:view'), scopeDepartment(), async (req, res) => {
   try {
     const { department_id, years_back = 3 } = req.query;
 
@@ -395,6 +414,7 @@ router.get('/trend-analysis', authenticateToken, async (req, res) => {
  */
 router.post('/variance-analysis', [
   authenticateToken,
+  requirePermission('forecast:manage'),
   body('forecast_id').isInt(),
   body('actual_data').isObject()
 ], async (req, res) => {
@@ -423,6 +443,13 @@ router.post('/variance-analysis', [
 
     const forecast = forecastResult.rows[0];
 
+    if (!canAccessDepartment(req.user, forecast.department_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
     // Calculate variances
     const variance = costCalculator.generateVarianceAnalysis(
       {
@@ -473,6 +500,15 @@ router.post('/variance-analysis', [
       varianceRecords.push(expenseVariance.rows[0]);
     }
 
+    if (varianceRecords.length > 0) {
+      await audit.record(pool, req, {
+        action: 'forecast.variance_recorded',
+        entityType: 'budget_forecast',
+        entityId: forecast.id,
+        after: { variances: varianceRecords }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Variance analysis completed',
@@ -0,0 +1,279 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const {
+  authenticateToken, requirePermission, requireAnyPermission, requireRecentMfa
+} = require('../middleware/auth');
+const ImpersonationManager = require('../models/ImpersonationManager');
+const AuditLog = require('../models/AuditLog');
+const policy = require('../models/AccessPolicy');
+
+const router = express.Router();
+const impersonations = new ImpersonationManager();
+const audit = new AuditLog();
+
+/**
+ * GET /api/impersonation
+ * Recent impersonations with their request counts
+ */
+router.get('/', [
+  authenticateToken,
+  requireAnyPermission('user:impersonate', 'audit:view'),
+  query('admin_id').optional().isInt({ min: 1 }),
+  query('user_id').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = await impersonations.list(pool, {
+      adminId: req.query.admin_id,
+      targetUserId: req.query.user_id,
+      limit: req.query.limit || 50
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get impersonations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch impersonations'
+    });
+  }
+});
+
+/**
+ * POST /api/impersonation
+ * Start viewing the system as another user. Read-only unless read_only is false, which needs a
+ * recent MFA verification. Returns a short-lived access token for the impersonated user.
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('user:impersonate'),
+  body('user_id').isInt({ min: 1 }),
+  body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('A reason is required'),
+  body('read_only').optional().isBoolean(),
+  body('duration_minutes').optional().isInt({ min: 1, max: impersonations.maxMinutes }),
+  requireRecentMfa(req => String(req.body.read_only) === 'false')
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.role !== 'ADMIN') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can impersonate users'
+      });
+    }
+
+    // Impersonation hangs off the administrator's own signed-in session
+    if (req.impersonator || !req.sessionId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Impersonation must be started from your own signed-in session'
+      });
+    }
+
+    const { user_id, reason, duration_minutes } = req.body;
+    const readOnly = String(req.body.read_only) !== 'false';
+
+    const targetResult = await pool.query(`
+      SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.department_id, u.is_service_account,
+             d.name as department_name
+      FROM users u
+      LEFT JOIN departments d ON u.department_id = d.id
+      WHERE u.id = $1
+    `, [user_id]);
+
+    if (targetResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const target = targetResult.rows[0];
+
+    if (target.id === req.user.id || target.is_service_account) {
+      return res.status(400).json({
+        success: false,
+        message: target.is_service_account ? 'Service accounts cannot be impersonated' : 'You cannot impersonate yourself'
+      });
+    }
+
+    if (!(await policy.canAssignRole(pool, req.user, target.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot impersonate a user with permissions you do not hold'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const { token, impersonation } = await impersonations.start(client, {
+      id: req.user.id,
+      sessionId: req.sessionId
+    }, target, {
+      reason,
+      readOnly,
+      minutes: duration_minutes
+    }, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+
+    await audit.record(client, req, {
+      action: 'user.impersonate_start',
+      entityType: 'user',
+      entityId: target.id,
+      after: impersonation
+    });
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: `Now viewing as ${target.email}`,
+      data: {
+        token,
+        impersonation,
+        user: {
+          id: target.id,
+          email: target.email,
+          first_name: target.first_name,
+          last_name: target.last_name,
+          role: target.role,
+          permissions: await policy.getRolePermissions(pool, target.role),
+          department_id: target.department_id,
+          department_name: target.department_name
+        }
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start impersonation'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/impersonation/:id/end
+ * End an impersonation (called with the administrator's own token)
+ */
+router.post('/:id/end', [
+  authenticateToken,
+  requirePermission('user:impersonate'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const ended = await impersonations.end(client, req.params.id, req.user.id);
+    if (!ended) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation not found or already ended'
+      });
+    }
+
+    await audit.record(client, req, {
+      action: 'user.impersonate_end',
+      entityType: 'user',
+      entityId: ended.target_user_id,
+      after: ended
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended',
+      data: ended
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end impersonation'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/impersonation/:id/requests
+ * Every request made during an impersonation
+ */
+router.get('/:id/requests', [
+  authenticateToken,
+  requireAnyPermission('user:impersonate', 'audit:view'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const requests = await impersonations.listRequests(pool, req.params.id);
+
+    res.json({
+      success: true,
+      data: requests
+    });
+
+  } catch (error) {
+    console.error('Get impersonation requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch impersonation requests'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,57 +1,59 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
 const pool = require('../config/database');
 
 const router = express.Router();
 
 // Get cost per student metrics
-router.get('/cost-per-student', authenticateToken, async (req, res) => {
+router.get('/cost-per-student', authenticateToken, requirePermission('metrics:view'), async (req, res) => {
   try {
-    let query;
-    let params = [];
-
-    if (req.user.role === 'ADMIN') {
-      // Admin sees all departments
-      query = `
-        SELECT 
-          d.id,
-          d.name as department_name,
-          d.budget,
-          COUNT(c.id) as course_count,
-          COALESCE(SUM(c.expected_students), 0) as total_students,
-          COALESCE(SUM(c.total_cost), 0) as total_allocated,
-          CASE 
-            WHEN SUM(c.expected_students) > 0 
-            THEN ROUND(SUM(c.total_cost) / SUM(c.expected_students), 2)
-            ELSE 0 
-          END as cost_per_student
-        FROM departments d
-        LEFT JOIN courses c ON d.id = c.department_id
-        GROUP BY d.id, d.name, d.budget
-        ORDER BY d.name
-      `;
-    } else {
-      // Department heads see only their department
-      query = `
-        SELECT 
-          d.id,
-          d.name as department_name,
-          d.budget,
-          COUNT(c.id) as course_count,
-          COALESCE(SUM(c.expected_students), 0) as total_students,
-          COALESCE(SUM(c.total_cost), 0) as total_allocated,
-          CASE 
-            WHEN SUM(c.expected_students) > 0 
-            THEN ROUND(SUM(c.total_cost) / SUM(c.expected_students), 2)
-            ELSE 0 
-          END as cost_per_student
-        FROM departments d
-        LEFT JOIN courses c ON d.id = c.department_id
-        WHERE d.id = $1
-        GROUP BY d.id, d.name, d.budget
-      `;
-      params = [req.user.department_id];
-    }
+    // District-wide users see all departments; everyone else sees only their own
+    const districtWide = hasPermission(req.user, 'department:all');
+    const params = districtWide ? [] : [req.user.department_id];
+
+    // Courses roll up from their live sections: the sections' cost, and their enrolled students
+    // once anyone is enrolled (expected students until then)
+    const query = `
+      WITH course_rollup AS (
+        SELECT
+          c.id,
+          c.department_id,
+          COUNT(s.id) as section_count,
+          COALESCE(SUM(s.capacity), 0) as capacity,
+          COALESCE(SUM(s.enrollment_actual), 0) as enrolled,
+          CASE
+            WHEN COALESCE(SUM(s.enrollment_actual), 0) > 0 THEN SUM(s.enrollment_actual)
+            ELSE c.expected_students
+          END as students,
+          CASE
+            WHEN COUNT(s.id) > 0 AND COUNT(s.total_cost) = COUNT(s.id) THEN SUM(s.total_cost)
+            ELSE c.total_cost
+          END as total_cost
+        FROM courses c
+        LEFT JOIN course_sections s ON s.course_id = c.id AND s.status != 'CANCELLED'
+        GROUP BY c.id
+      )
+      SELECT 
+        d.id,
+        d.name as department_name,
+        d.budget,
+        COUNT(cr.id) as course_count,
+        COALESCE(SUM(cr.section_count), 0) as section_count,
+        COALESCE(SUM(cr.capacity), 0) as total_capacity,
+        COALESCE(SUM(cr.enrolled), 0) as enrolled_students,
+        COALESCE(SUM(cr.students), 0) as total_students,
+        COALESCE(SUM(cr.total_cost), 0) as total_allocated,
+        CASE 
+          WHEN SUM(cr.students) > 0 
+          THEN ROUND(SUM(cr.total_cost) / SUM(cr.students), 2)
+          ELSE 0 
+        END as cost_per_student
+      FROM departments d
+      LEFT JOIN course_rollup cr ON d.id = cr.department_id
+      ${districtWide ? '' : 'WHERE d.id = $1'}
+      GROUP BY d.id, d.name, d.budget
+      ORDER BY d.name
+    `;
 
     const result = await pool.query(query, params);
 
@@ -70,13 +72,13 @@ router.get('/cost-per-student', authenticateToken, async (req, res) => {
 });
 
 // Get budget utilization metrics
-router.get('/utilization', authenticateToken, async (req, res) => {
+router.get('/utilization', authenticateToken, requirePermission('metrics:view'), async (req, res) => {
   try {
     let query;
     let params = [];
 
-    if (req.user.role === 'ADMIN') {
-      // Admin sees all departments
+    if (hasPermission(req.user, 'department:all')) {
+      // District-wide users see all departments
       query = `
         SELECT 
           d.id,
@@ -95,7 +97,7 @@ router.get('/utilization', authenticateToken, async (req, res) => {
         ORDER BY utilization_percentage DESC
       `;
     } else {
-      // Department heads see only their department
+      // Everyone else sees only their own department
       query = `
         SELECT 
           d.id,
@@ -132,16 +134,9 @@ router.get('/utilization', authenticateToken, async (req, res) => {
   }
 });
 
-// Get overall summary metrics (admin only)
-router.get('/summary', authenticateToken, async (req, res) => {
+// Get overall summary metrics (district-wide)
+router.get('/summary', authenticateToken, requirePermission('metrics:view', 'department:all'), async (req, res) => {
   try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
-    }
-
     const summaryQuery = `
       SELECT 
         COUNT(DISTINCT d.id) as total_departments,
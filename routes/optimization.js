@@ -1,11 +1,15 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { body, param, query, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, scopeDepartment, hasPermission } = require('../middleware/auth');
 
 const OptimizationAlgorithm = require('../models/OptimizationAlgorithm');
 const ResourceAllocator = require('../models/ResourceAllocator');
 const CostCalculator = require('../models/CostCalculator');
+const SectionManager = require('../models/SectionManager');
+const CourseCostUpdater = require('../models/CourseCostUpdater');
+const AuditLog = require('../models/AuditLog');
 
 const router = express.Router();
 
@@ -13,6 +17,9 @@ const router = express.Router();
 const optimizer = new OptimizationAlgorithm();
 const allocator = new ResourceAllocator();
 const costCalculator = new CostCalculator();
+const sections = new SectionManager();
+const costUpdater = new CourseCostUpdater();
+const audit = new AuditLog();
 
 /**
  * POST /api/optimize-allocation
@@ -20,8 +27,14 @@ const costCalculator = new CostCalculator();
  */
 router.post('/optimize-allocation', [
   authenticateToken,
-  body('strategy').optional().isIn(['cost_minimization', 'utilization_maximization', 'balanced', 'quality_focused']),
+  requirePermission('optimization:run'),
+  scopeDepartment('body'),
+  body('strategy').optional().isIn(['cost_minimization', 'utilization_maximization', 'balanced', 'quality_focused', 'genetic', 'exact']),
   body('constraints').optional().isObject(),
+  body('generations').optional().isInt({ min: 1, max: 1000 }),
+  body('population_size').optional().isInt({ min: 4, max: 500 }),
+  body('seed').optional().isInt(),
+  body('time_limit_ms').optional().isInt({ min: 100, max: 60000 }),
   body('department_id').optional().isInt(),
   body('semester').optional().isString(),
   body('academic_year').optional().isInt()
@@ -36,82 +49,38 @@ router.post('/optimize-allocation', [
       });
     }
 
-    const { strategy = 'balanced', constraints = {}, department_id, semester, academic_year } = req.body;
+    const {
+      strategy = 'balanced',
+      constraints = {},
+      department_id,
+      semester,
+      academic_year,
+      generations,
+      population_size,
+      seed,
+      time_limit_ms
+    } = req.body;
 
-    // Build query filters
-    let courseFilter = '';
-    let resourceFilter = '';
-    const queryParams = [];
-
-    if (department_id) {
-      courseFilter = 'WHERE c.department_id = $1';
-      resourceFilter = 'WHERE department_id = $1';
-      queryParams.push(department_id);
-    }
-
-    // Fetch courses
-    const coursesQuery = `
-      SELECT c.*, d.name as department_name
-      FROM courses c
-      JOIN departments d ON c.department_id = d.id
-      ${courseFilter}
-    `;
-    const coursesResult = await pool.query(coursesQuery, queryParams);
-
-    // Fetch instructors
-    const instructorsQuery = `
-      SELECT u.*, d.name as department_name
-      FROM users u
-      LEFT JOIN departments d ON u.department_id = d.id
-      WHERE u.role IN ('TEACHER', 'DEPARTMENT_HEAD')
-      ${resourceFilter ? 'AND u.' + resourceFilter : ''}
-    `;
-    const instructorsResult = await pool.query(instructorsQuery, queryParams);
-
-    // Fetch facilities
-    const facilitiesQuery = `
-      SELECT f.*, d.name as department_name
-      FROM facilities f
-      LEFT JOIN departments d ON f.department_id = d.id
-      WHERE f.status = 'AVAILABLE'
-      ${resourceFilter ? 'AND f.' + resourceFilter : ''}
-    `;
-    const facilitiesResult = await pool.query(facilitiesQuery, queryParams);
-
-    // Fetch equipment
-    const equipmentQuery = `
-      SELECT e.*, d.name as department_name
-      FROM equipment e
-      JOIN departments d ON e.department_id = d.id
-      WHERE e.status = 'ACTIVE'
-      ${resourceFilter ? 'AND e.' + resourceFilter : ''}
-    `;
-    const equipmentResult = await pool.query(equipmentQuery, queryParams);
-
-    // Prepare data for optimization
-    const resources = {
-      instructors: instructorsResult.rows,
-      facilities: facilitiesResult.rows,
-      equipment: equipmentResult.rows
-    };
-
-    const courses = coursesResult.rows;
-
-    // Fetch budget constraints
-    const budgetQuery = `
-      SELECT id, budget
-      FROM departments
-      ${department_id ? 'WHERE id = $1' : ''}
-    `;
-    const budgetResult = await pool.query(budgetQuery, department_id ? [department_id] : []);
-    
-    const budget = {};
-    budgetResult.rows.forEach(dept => {
-      budget[dept.id] = dept.budget;
-    });
+    const { resources, courses, budget } = await loadOptimizationInputs(department_id);
 
     // Run optimization
-    const allocationPlan = await allocator.allocateResources(resources, courses, constraints, strategy);
+    let allocationPlan;
+    if (strategy === 'genetic') {
+      const geneticPlan = await optimizer.geneticOptimization(resources, courses, budget, {
+        generations,
+        populationSize: population_size,
+        seed: seed !== undefined ? parseInt(seed) : undefined,
+        timeSlots: allocator.generateTimeSlots()
+      });
+      allocationPlan = { ...geneticPlan, strategy, assignments: geneticPlan.courseAssignments };
+    } else if (strategy === 'exact') {
+      const exactPlan = await optimizer.exactOptimization(resources, courses, budget, {
+        timeLimitMs: time_limit_ms !== undefined ? parseInt(time_limit_ms) : undefined
+      });
+      allocationPlan = { ...exactPlan, strategy, assignments: exactPlan.courseAssignments };
+    } else {
+      allocationPlan = await allocator.allocateResources(resources, courses, constraints, strategy);
+    }
 
     // Save optimization results
     const optimizationId = await saveOptimizationResults(allocationPlan, req.user.userId);
@@ -127,7 +96,7 @@ router.post('/optimize-allocation', [
           assignedCourses: allocationPlan.assignments.length,
           unassignedCourses: courses.length - allocationPlan.assignments.length,
           strategy: strategy,
-          optimizationScore: allocationPlan.summary?.qualityMetrics?.averageQualityScore || 0
+          optimizationScore: getPlanScore(allocationPlan)
         }
       }
     });
@@ -142,12 +111,100 @@ router.post('/optimize-allocation', [
   }
 });
 
+/**
+ * POST /api/pareto-front
+ * Multi-objective optimization returning every non-dominated allocation plan
+ */
+router.post('/pareto-front', [
+  authenticateToken,
+  requirePermission('optimization:run'),
+  scopeDepartment('body'),
+  body('objectives').optional().isObject(),
+  body('objectives.*').optional().isFloat({ min: 0 }),
+  body('department_id').optional().isInt(),
+  body('generations').optional().isInt({ min: 1, max: 500 }),
+  body('population_size').optional().isInt({ min: 4, max: 300 }),
+  body('seed').optional().isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { objectives = {}, department_id, generations, population_size, seed } = req.body;
+
+    // API weights are snake_case; the optimizer uses camelCase objective keys
+    const weights = {
+      cost: objectives.cost,
+      instructorUtilization: objectives.instructor_utilization,
+      facilityUtilization: objectives.facility_utilization,
+      qualificationMatch: objectives.qualification_match,
+      courseCoverage: objectives.course_coverage
+    };
+
+    if (Object.values(weights).every(weight => weight !== undefined && parseFloat(weight) === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one objective must have a positive weight'
+      });
+    }
+
+    const { resources, courses, budget } = await loadOptimizationInputs(department_id);
+
+    const result = await optimizer.multiObjectiveOptimization(resources, courses, budget, weights, {
+      generations: generations || 50,
+      populationSize: population_size,
+      seed: seed !== undefined ? parseInt(seed) : undefined,
+      timeSlots: allocator.generateTimeSlots()
+    });
+
+    res.json({
+      success: true,
+      message: `Found ${result.paretoFront.length} non-dominated allocation plans`,
+      data: {
+        weights: result.weights,
+        activeObjectives: result.activeObjectives,
+        paretoFront: result.paretoFront.map((entry, index) => ({
+          rank: index + 1,
+          objectives: entry.objectives,
+          weightedScore: entry.weightedScore,
+          optimizationScore: entry.optimizationScore,
+          assignedCourses: entry.plan.courseAssignments.length,
+          courseAssignments: entry.plan.courseAssignments,
+          costBreakdown: entry.plan.costBreakdown,
+          resourceUtilization: entry.plan.resourceUtilization,
+          warnings: entry.plan.warnings
+        })),
+        evolution: result.evolution,
+        summary: {
+          totalCourses: courses.length,
+          frontSize: result.paretoFront.length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Pareto optimization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Multi-objective optimization failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * GET /api/instructors/availability
  * Check instructor availability for scheduling
  */
 router.get('/instructors/availability', [
   authenticateToken,
+  requirePermission('schedule:view'),
   query('instructor_id').optional().isInt(),
   query('day_of_week').optional().isInt({ min: 0, max: 6 }),
   query('semester').optional().isString(),
@@ -246,6 +303,8 @@ router.get('/instructors/availability', [
  */
 router.post('/scenarios/calculate', [
   authenticateToken,
+  requirePermission('optimization:run'),
+  scopeDepartment('body'),
   body('scenario_name').notEmpty().isString(),
   body('department_id').optional().isInt(),
   body('parameters').isObject(),
@@ -265,12 +324,12 @@ router.post('/scenarios/calculate', [
 
     // Fetch current department data for base scenario
     let departmentQuery = 'SELECT * FROM departments';
-    let coursesQuery = 'SELECT * FROM courses';
+    let coursesQuery = 'SELECT * FROM courses WHERE archived_at IS NULL';
     const queryParams = [];
 
     if (department_id) {
       departmentQuery += ' WHERE id = $1';
-      coursesQuery += ' WHERE department_id = $1';
+      coursesQuery += ' AND department_id = $1';
       queryParams.push(department_id);
     }
 
@@ -288,17 +347,22 @@ router.post('/scenarios/calculate', [
       overheadCosts: 0
     };
 
-    // Calculate costs for each course
+    // Calculate costs for each course (pg returns DECIMAL columns as strings)
     for (const course of coursesResult.rows) {
-      const courseCost = (course.instructor_cost || 0) + (course.classroom_cost || 0);
-      baseScenario.totalCost += courseCost;
-      baseScenario.instructorCosts += course.instructor_cost || 0;
-      baseScenario.facilityCosts += course.classroom_cost || 0;
+      const instructorCost = parseFloat(course.instructor_cost) || 0;
+      const facilityCost = parseFloat(course.classroom_cost) || 0;
+      baseScenario.instructorCosts += instructorCost;
+      baseScenario.facilityCosts += facilityCost;
+      baseScenario.equipmentCosts += parseFloat(course.equipment_cost) || 0;
+
+      // Calculated costs already include overhead; typed-in estimates get the simplified 15%
+      baseScenario.overheadCosts += course.cost_basis === 'CALCULATED'
+        ? parseFloat(course.overhead_cost) || 0
+        : (instructorCost + facilityCost) * 0.15;
     }
 
-    // Add overhead (simplified calculation)
-    baseScenario.overheadCosts = baseScenario.totalCost * 0.15; // 15% overhead
-    baseScenario.totalCost += baseScenario.overheadCosts;
+    baseScenario.totalCost = baseScenario.instructorCosts + baseScenario.facilityCosts +
+      baseScenario.equipmentCosts + baseScenario.overheadCosts;
 
     // Generate scenario analysis
     const scenarioAnalysis = costCalculator.generateScenarioAnalysis(baseScenario, parameters);
@@ -329,7 +393,7 @@ router.post('/scenarios/calculate', [
  * GET /api/reports/utilization
  * Advanced utilization reports
  */
-router.get('/reports/utilization', authenticateToken, async (req, res) => {
+router.get('/reports/utilization', authenticateToken, requirePermission('report:operational'), scopeDepartment(), async (req, res) => {
   try {
     const { department_id, start_date, end_date, metric_type } = req.query;
 
@@ -418,15 +482,20 @@ router.get('/reports/utilization', authenticateToken, async (req, res) => {
 
 /**
  * POST /api/schedules/generate
- * Generate course schedules with optimization
+ * Generate course schedules with optimization. With draft=true the proposal is
+ * stored for review instead of being written to course_schedules.
  */
 router.post('/schedules/generate', [
   authenticateToken,
+  requirePermission('schedule:generate'),
+  scopeDepartment('body'),
   body('department_id').optional().isInt(),
   body('semester').notEmpty().isString(),
   body('academic_year').notEmpty().isInt(),
   body('constraints').optional().isObject(),
-  body('optimization_strategy').optional().isIn(['minimize_conflicts', 'maximize_utilization', 'balanced'])
+  body('optimization_strategy').optional().isIn(['minimize_conflicts', 'maximize_utilization', 'balanced']),
+  body('draft').optional().isBoolean(),
+  body('replace_existing').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -439,77 +508,192 @@ router.post('/schedules/generate', [
     }
 
     const { semester, academic_year, department_id, constraints = {} } = req.body;
+    const draft = req.body.draft === true || req.body.draft === 'true';
+    const replaceExisting = req.body.replace_existing === true || req.body.replace_existing === 'true';
 
-    // Fetch courses that need scheduling
+    // Schedules can only be generated inside a known, open term
+    const termResult = await pool.query(
+      'SELECT * FROM academic_calendar WHERE semester = $1 AND academic_year = $2 ORDER BY id LIMIT 1',
+      [semester, academic_year]
+    );
+
+    if (termResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No academic calendar term found for ${semester} ${academic_year}`
+      });
+    }
+
+    const term = termResult.rows[0];
+    if (term.status === 'COMPLETED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot generate schedules for a completed term'
+      });
+    }
+
+    // Fetch courses that need scheduling; when replacing, every course in scope is re-placed
     let coursesQuery = `
       SELECT c.*, d.name as department_name
       FROM courses c
       JOIN departments d ON c.department_id = d.id
-      WHERE NOT EXISTS (
+      WHERE c.archived_at IS NULL AND ${replaceExisting ? 'TRUE' : `NOT EXISTS (
         SELECT 1 FROM course_schedules cs 
         WHERE cs.course_id = c.id 
         AND cs.semester = $1 
         AND cs.academic_year = $2
         AND cs.status != 'CANCELLED'
-      )
+      )`}
     `;
-    const queryParams = [semester, academic_year];
+    const queryParams = replaceExisting ? [] : [semester, academic_year];
 
     if (department_id) {
-      coursesQuery += ' AND c.department_id = $3';
       queryParams.push(department_id);
+      coursesQuery += ` AND c.department_id = $${queryParams.length}`;
     }
 
     const coursesResult = await pool.query(coursesQuery, queryParams);
+    const departmentParams = department_id ? [department_id] : [];
 
-    // Fetch available instructors
+    // Fetch instructors
     const instructorsQuery = `
-      SELECT u.*, ia.day_of_week, ia.start_time, ia.end_time
-      FROM users u
-      LEFT JOIN instructor_availability ia ON u.id = ia.instructor_id 
-        AND ia.semester = $1 AND ia.academic_year = $2
+      SELECT u.* FROM users u
       WHERE u.role IN ('TEACHER', 'DEPARTMENT_HEAD')
-      ${department_id ? 'AND u.department_id = $3' : ''}
+      ${department_id ? 'AND u.department_id = $1' : ''}
     `;
-    const instructorsResult = await pool.query(instructorsQuery, queryParams);
+    const instructorsResult = await pool.query(instructorsQuery, departmentParams);
+
+    const availabilityResult = await pool.query(
+      `SELECT instructor_id, day_of_week, start_time, end_time
+       FROM instructor_availability
+       WHERE semester = $1 AND academic_year = $2`,
+      [semester, academic_year]
+    );
 
-    // Fetch available facilities
+    // Fetch available facilities, including rooms shared across departments
     const facilitiesQuery = `
       SELECT * FROM facilities 
       WHERE status = 'AVAILABLE'
-      ${department_id ? 'AND department_id = $3' : ''}
+      ${department_id ? 'AND (department_id = $1 OR department_id IS NULL)' : ''}
     `;
-    const facilitiesResult = await pool.query(facilitiesQuery, queryParams);
+    const facilitiesResult = await pool.query(facilitiesQuery, departmentParams);
+
+    // Sections already in the term (any department) occupy instructors and rooms
+    const baseline = await getScheduleBaseline(pool, semester, academic_year);
+    const baselineInScope = department_id
+      ? baseline.rows.filter(row => row.department_id === parseInt(department_id))
+      : baseline.rows;
+    const occupied = replaceExisting
+      ? baseline.rows.filter(row => !baselineInScope.includes(row))
+      : baseline.rows;
 
-    // Generate schedules using optimization
     const resources = {
       instructors: instructorsResult.rows,
       facilities: facilitiesResult.rows
     };
 
-    const scheduleOptimization = await optimizer.optimizeAllocation(
-      resources, 
-      coursesResult.rows, 
-      { /* budget constraints */ }
+    const combinations = optimizer.generateFeasibleCombinations(resources, coursesResult.rows);
+    const timetable = allocator.generateTimetable(coursesResult.rows, combinations, {
+      availability: availabilityResult.rows,
+      existingSchedules: occupied,
+      allowedDays: getTermDaysOfWeek(term),
+      sessionsPerWeek: parseInt(constraints.sessions_per_week) || 1,
+      maxInstructorLoad: parseInt(constraints.max_instructor_load) || undefined
+    });
+
+    const scheduleOptimization = optimizer.buildAllocationPlan(
+      timetable.sections.map(section => ({ ...section, timeSlot: section.meetings[0] })),
+      resources
     );
 
-    // Save generated schedules
-    const scheduleIds = [];
-    for (const assignment of scheduleOptimization.courseAssignments) {
-      const scheduleId = await saveScheduleAssignment(assignment, semester, academic_year);
-      scheduleIds.push(scheduleId);
+    const diff = diffSchedules(baselineInScope, timetable.sections, replaceExisting);
+    const proposal = {
+      semester,
+      academicYear: parseInt(academic_year),
+      departmentId: department_id ? parseInt(department_id) : null,
+      replaceExisting,
+      sections: timetable.sections,
+      unscheduled: timetable.unscheduled,
+      optimizationScore: scheduleOptimization.optimizationScore,
+      warnings: [...timetable.warnings, ...scheduleOptimization.warnings],
+      recommendations: scheduleOptimization.recommendations
+    };
+
+    if (draft) {
+      const draftResult = await pool.query(`
+        INSERT INTO schedule_drafts (semester, academic_year, department_id, replace_existing,
+                                     payload, diff, baseline_fingerprint, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id, status, created_at
+      `, [
+        semester,
+        academic_year,
+        proposal.departmentId,
+        replaceExisting,
+        JSON.stringify(proposal),
+        JSON.stringify(diff),
+        baseline.fingerprint,
+        req.user.id
+      ]);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Schedule draft created',
+        data: {
+          draftId: draftResult.rows[0].id,
+          status: draftResult.rows[0].status,
+          createdAt: draftResult.rows[0].created_at,
+          summary: summarizeDiff(diff),
+          diff,
+          timetable: proposal.sections,
+          unscheduled: proposal.unscheduled,
+          optimizationScore: proposal.optimizationScore,
+          warnings: proposal.warnings,
+          recommendations: proposal.recommendations
+        }
+      });
+    }
+
+    // Save generated schedules, one row per weekly meeting
+    const client = await pool.connect();
+    let applied;
+    try {
+      await client.query('BEGIN');
+      applied = await applyScheduleDiff(client, proposal, diff, req.user.id);
+      await audit.record(client, req, {
+        action: 'schedule.generate',
+        entityType: 'term',
+        entityId: `${academic_year}-${semester}`,
+        after: {
+          department_id: proposal.departmentId,
+          replace_existing: replaceExisting,
+          summary: summarizeDiff(diff),
+          schedule_ids: applied.scheduleIds,
+          cancelled_schedule_ids: applied.cancelledScheduleIds
+        }
+      });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
     res.json({
       success: true,
       message: 'Schedules generated successfully',
       data: {
-        scheduleIds,
-        generatedSchedules: scheduleOptimization.courseAssignments.length,
-        unscheduledCourses: coursesResult.rows.length - scheduleOptimization.courseAssignments.length,
-        optimizationScore: scheduleOptimization.optimizationScore,
-        warnings: scheduleOptimization.warnings,
-        recommendations: scheduleOptimization.recommendations
+        scheduleIds: applied.scheduleIds,
+        cancelledScheduleIds: applied.cancelledScheduleIds,
+        generatedSchedules: timetable.sections.length,
+        unscheduledCourses: timetable.unscheduled.length,
+        unscheduled: timetable.unscheduled,
+        timetable: timetable.sections,
+        summary: summarizeDiff(diff),
+        optimizationScore: proposal.optimizationScore,
+        warnings: proposal.warnings,
+        recommendations: proposal.recommendations
       }
     });
 
@@ -522,8 +706,322 @@ router.post('/schedules/generate', [
   }
 });
 
+/**
+ * GET /api/schedules/drafts/:id
+ * Get a schedule draft with its diff against the current term
+ */
+router.get('/schedules/drafts/:id', [
+  authenticateToken,
+  requirePermission('schedule:generate'),
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await pool.query('SELECT * FROM schedule_drafts WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule draft not found'
+      });
+    }
+
+    const draft = result.rows[0];
+    if (!canManageDraft(req.user, draft)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this schedule draft'
+      });
+    }
+
+    // Let the reviewer know whether committing would still apply cleanly
+    let stale = false;
+    if (draft.status === 'DRAFT') {
+      const baseline = await getScheduleBaseline(pool, draft.semester, draft.academic_year);
+      stale = baseline.fingerprint !== draft.baseline_fingerprint;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatDraft(draft),
+        stale
+      }
+    });
+
+  } catch (error) {
+    console.error('Get schedule draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve schedule draft'
+    });
+  }
+});
+
+/**
+ * POST /api/schedules/drafts/:id/commit
+ * Atomically write a draft to course_schedules if the term has not changed since it was generated
+ */
+router.post('/schedules/drafts/:id/commit', [
+  authenticateToken,
+  requirePermission('schedule:generate'),
+  param('id').isInt()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT * FROM schedule_drafts WHERE id = $1 FOR UPDATE', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule draft not found'
+      });
+    }
+
+    const draft = result.rows[0];
+    if (!canManageDraft(req.user, draft)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this schedule draft'
+      });
+    }
+
+    if (draft.status !== 'DRAFT') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Schedule draft has already been ${draft.status.toLowerCase()}`
+      });
+    }
+
+    // Block concurrent schedule writes until the draft is applied
+    await client.query('LOCK TABLE course_schedules IN SHARE ROW EXCLUSIVE MODE');
+
+    const baseline = await getScheduleBaseline(client, draft.semester, draft.academic_year);
+    if (baseline.fingerprint !== draft.baseline_fingerprint) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'Schedules for this term changed after the draft was generated; regenerate the draft'
+      });
+    }
+
+    const applied = await applyScheduleDiff(client, draft.payload, draft.diff, req.user.id);
+
+    const updated = await client.query(`
+      UPDATE schedule_drafts
+      SET status = 'COMMITTED', committed_by = $1, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [req.user.id, draft.id]);
+
+    await audit.record(client, req, {
+      action: 'schedule_draft.commit',
+      entityType: 'schedule_draft',
+      entityId: draft.id,
+      before: { status: draft.status },
+      after: {
+        status: 'COMMITTED',
+        summary: summarizeDiff(draft.diff),
+        schedule_ids: applied.scheduleIds,
+        cancelled_schedule_ids: applied.cancelledScheduleIds
+      }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Schedule draft committed successfully',
+      data: {
+        ...formatDraft(updated.rows[0]),
+        scheduleIds: applied.scheduleIds,
+        cancelledScheduleIds: applied.cancelledScheduleIds
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Commit schedule draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to commit schedule draft'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/schedules/drafts/:id
+ * Discard a schedule draft
+ */
+router.delete('/schedules/drafts/:id', [
+  authenticateToken,
+  requirePermission('schedule:generate'),
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await pool.query('SELECT * FROM schedule_drafts WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule draft not found'
+      });
+    }
+
+    if (!canManageDraft(req.user, result.rows[0])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this schedule draft'
+      });
+    }
+
+    const updated = await pool.query(`
+      UPDATE schedule_drafts
+      SET status = 'DISCARDED', resolved_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'DRAFT'
+      RETURNING id
+    `, [req.params.id]);
+
+    if (updated.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Schedule draft has already been ${result.rows[0].status.toLowerCase()}`
+      });
+    }
+
+    await audit.record(pool, req, {
+      action: 'schedule_draft.discard',
+      entityType: 'schedule_draft',
+      entityId: req.params.id,
+      before: { status: result.rows[0].status },
+      after: { status: 'DISCARDED' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Schedule draft discarded'
+    });
+
+  } catch (error) {
+    console.error('Discard schedule draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard schedule draft'
+    });
+  }
+});
+
 // Helper functions
 
+async function loadOptimizationInputs(departmentId) {
+  // Build query filters
+  let courseFilter = 'WHERE c.archived_at IS NULL';
+  let resourceFilter = '';
+  const queryParams = [];
+
+  if (departmentId) {
+    courseFilter += ' AND c.department_id = $1';
+    resourceFilter = 'department_id = $1';
+    queryParams.push(departmentId);
+  }
+
+  // Fetch courses
+  const coursesQuery = `
+    SELECT c.*, d.name as department_name
+    FROM courses c
+    JOIN departments d ON c.department_id = d.id
+    ${courseFilter}
+  `;
+  const coursesResult = await pool.query(coursesQuery, queryParams);
+
+  // Fetch instructors
+  const instructorsQuery = `
+    SELECT u.*, d.name as department_name
+    FROM users u
+    LEFT JOIN departments d ON u.department_id = d.id
+    WHERE u.role IN ('TEACHER', 'DEPARTMENT_HEAD')
+    ${resourceFilter ? 'AND u.' + resourceFilter : ''}
+  `;
+  const instructorsResult = await pool.query(instructorsQuery, queryParams);
+
+  // Fetch facilities
+  const facilitiesQuery = `
+    SELECT f.*, d.name as department_name
+    FROM facilities f
+    LEFT JOIN departments d ON f.department_id = d.id
+    WHERE f.status = 'AVAILABLE'
+    ${resourceFilter ? 'AND f.' + resourceFilter : ''}
+  `;
+  const facilitiesResult = await pool.query(facilitiesQuery, queryParams);
+
+  // Fetch equipment
+  const equipmentQuery = `
+    SELECT e.*, d.name as department_name
+    FROM equipment e
+    JOIN departments d ON e.department_id = d.id
+    WHERE e.status = 'ACTIVE'
+    ${resourceFilter ? 'AND e.' + resourceFilter : ''}
+  `;
+  const equipmentResult = await pool.query(equipmentQuery, queryParams);
+
+  // Fetch budget constraints
+  const budgetQuery = `
+    SELECT id, budget
+    FROM departments
+    ${departmentId ? 'WHERE id = $1' : ''}
+  `;
+  const budgetResult = await pool.query(budgetQuery, departmentId ? [departmentId] : []);
+
+  const budget = {};
+  budgetResult.rows.forEach(dept => {
+    budget[dept.id] = dept.budget;
+  });
+
+  return {
+    resources: {
+      instructors: instructorsResult.rows,
+      facilities: facilitiesResult.rows,
+      equipment: equipmentResult.rows
+    },
+    courses: coursesResult.rows,
+    budget
+  };
+}
+
 async function saveOptimizationResults(allocationPlan, userId) {
   const query = `
     INSERT INTO utilization_metrics (department_id, metric_type, metric_date, value, metadata)
@@ -534,20 +1032,39 @@ async function saveOptimizationResults(allocationPlan, userId) {
   const metadata = {
     strategy: allocationPlan.strategy,
     assignments: allocationPlan.assignments.length,
-    optimizationScore: allocationPlan.summary?.qualityMetrics?.averageQualityScore || 0,
+    optimizationScore: getPlanScore(allocationPlan),
     createdBy: userId
   };
 
+  if (allocationPlan.evolution) {
+    metadata.seed = allocationPlan.evolution.seed;
+    metadata.generationsRun = allocationPlan.evolution.generationsRun;
+    metadata.converged = allocationPlan.evolution.converged;
+  }
+
+  if (allocationPlan.exactSolution) {
+    metadata.status = allocationPlan.exactSolution.status;
+    metadata.optimalityGap = allocationPlan.exactSolution.optimalityGap;
+  }
+
   const result = await pool.query(query, [
     1, // Default department for now
     'OPTIMIZATION_RESULT',
-    allocationPlan.summary?.qualityMetrics?.averageQualityScore || 0,
+    getPlanScore(allocationPlan),
     JSON.stringify(metadata)
   ]);
 
   return result.rows[0].id;
 }
 
+// Optimizer plans carry an optimizationScore; allocator plans report quality metrics
+function getPlanScore(allocationPlan) {
+  if (allocationPlan.optimizationScore !== undefined) {
+    return allocationPlan.optimizationScore;
+  }
+  return allocationPlan.summary?.qualityMetrics?.averageQualityScore || 0;
+}
+
 async function saveScenarioAnalysis(analysis, userId, departmentId) {
   const query = `
     INSERT INTO budget_forecasts (department_id, scenario_name, forecast_type, academic_year, 
@@ -569,29 +1086,197 @@ async function saveScenarioAnalysis(analysis, userId, departmentId) {
   return result.rows[0].id;
 }
 
-async function saveScheduleAssignment(assignment, semester, academicYear) {
-  const query = `
-    INSERT INTO course_schedules (course_id, instructor_id, facility_id, semester, academic_year,
-                                 day_of_week, start_time, end_time, status)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'SCHEDULED')
-    RETURNING id
-  `;
+async function getScheduleBaseline(db, semester, academicYear) {
+  // Fingerprint of every live section in the term, used to detect stale drafts
+  const result = await db.query(`
+    SELECT cs.id, cs.course_id, c.department_id, cs.instructor_id, cs.facility_id,
+           cs.day_of_week, cs.start_time, cs.end_time, cs.status
+    FROM course_schedules cs
+    JOIN courses c ON cs.course_id = c.id
+    WHERE cs.semester = $1 AND cs.academic_year = $2 AND cs.status != 'CANCELLED'
+    ORDER BY cs.id
+  `, [semester, academicYear]);
+
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(result.rows))
+    .digest('hex');
+
+  return { rows: result.rows, fingerprint };
+}
 
-  // Generate default time slot (would be more sophisticated in practice)
-  const timeSlot = assignment.timeSlot || { day: 1, startTime: '10:00', endTime: '11:00' };
+function diffSchedules(existingRows, sections, replaceExisting) {
+  const diff = { added: [], moved: [], removed: [], unchanged: [] };
 
-  const result = await pool.query(query, [
-    assignment.courseId,
-    assignment.instructorId,
-    assignment.facilityId,
-    semester,
-    academicYear,
-    timeSlot.day,
-    timeSlot.startTime,
-    timeSlot.endTime
-  ]);
+  const existingByCourse = {};
+  existingRows.forEach(row => {
+    if (!existingByCourse[row.course_id]) existingByCourse[row.course_id] = [];
+    existingByCourse[row.course_id].push(row);
+  });
 
-  return result.rows[0].id;
+  const describeMeeting = (instructorId, facilityId, dayOfWeek, startTime, endTime) => ({
+    instructorId,
+    facilityId,
+    dayOfWeek: Number(dayOfWeek),
+    startTime: formatTime(startTime),
+    endTime: formatTime(endTime)
+  });
+  const signature = meetings => meetings
+    .map(meeting => `${meeting.instructorId}|${meeting.facilityId}|${meeting.dayOfWeek}|${meeting.startTime}|${meeting.endTime}`)
+    .sort()
+    .join(';');
+
+  const proposedCourses = new Set();
+  sections.forEach(section => {
+    proposedCourses.add(section.courseId);
+    const to = section.meetings.map(meeting =>
+      describeMeeting(section.instructorId, section.facilityId, meeting.dayOfWeek, meeting.startTime, meeting.endTime)
+    );
+    const current = existingByCourse[section.courseId];
+
+    if (!current) {
+      diff.added.push({ courseId: section.courseId, to });
+      return;
+    }
+
+    const from = current.map(row =>
+      describeMeeting(row.instructor_id, row.facility_id, row.day_of_week, row.start_time, row.end_time)
+    );
+    const entry = { courseId: section.courseId, scheduleIds: current.map(row => row.id), from, to };
+
+    if (signature(from) === signature(to)) {
+      diff.unchanged.push(entry);
+    } else {
+      diff.moved.push(entry);
+    }
+  });
+
+  // Existing sections the proposal does not place again
+  Object.keys(existingByCourse).forEach(courseId => {
+    if (proposedCourses.has(parseInt(courseId))) return;
+
+    const rows = existingByCourse[courseId];
+    const entry = {
+      courseId: parseInt(courseId),
+      scheduleIds: rows.map(row => row.id),
+      from: rows.map(row =>
+        describeMeeting(row.instructor_id, row.facility_id, row.day_of_week, row.start_time, row.end_time)
+      )
+    };
+
+    if (replaceExisting) {
+      diff.removed.push(entry);
+    } else {
+      diff.unchanged.push(entry);
+    }
+  });
+
+  return diff;
+}
+
+function summarizeDiff(diff) {
+  return {
+    added: diff.added.length,
+    moved: diff.moved.length,
+    removed: diff.removed.length,
+    unchanged: diff.unchanged.length
+  };
+}
+
+async function applyScheduleDiff(client, proposal, diff, userId) {
+  const cancelledScheduleIds = [...diff.moved, ...diff.removed].flatMap(entry => entry.scheduleIds);
+  const affectedCourseIds = new Set();
+
+  if (cancelledScheduleIds.length > 0) {
+    const cancelled = await client.query(`
+      UPDATE course_schedules
+      SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ANY($1)
+      RETURNING *
+    `, [cancelledScheduleIds]);
+
+    // Sections left without meetings are cancelled, releasing their encumbrances
+    const sectionIds = new Set(cancelled.rows.map(schedule => schedule.section_id).filter(Boolean));
+    for (const sectionId of sectionIds) {
+      await sections.cancelIfEmpty(client, sectionId, userId);
+    }
+    cancelled.rows.forEach(schedule => affectedCourseIds.add(schedule.course_id));
+  }
+
+  // Only added and moved sections need new rows
+  const changedCourses = new Set([...diff.added, ...diff.moved].map(entry => entry.courseId));
+  const scheduleIds = [];
+
+  for (const section of proposal.sections) {
+    if (!changedCourses.has(section.courseId)) continue;
+
+    // One section meeting on each of its days; the section's cost is committed once
+    const created = await sections.create(client, {
+      courseId: section.courseId,
+      semester: proposal.semester,
+      academicYear: proposal.academicYear,
+      instructorId: section.instructorId,
+      facilityId: section.facilityId,
+      meetings: section.meetings.map(meeting => ({
+        day_of_week: meeting.dayOfWeek,
+        start_time: meeting.startTime,
+        end_time: meeting.endTime
+      }))
+    }, userId);
+
+    scheduleIds.push(...created.meetings.map(meeting => meeting.id));
+    affectedCourseIds.add(section.courseId);
+  }
+
+  // Re-price the courses from their new sections
+  await costUpdater.recomputeAffected(client, { courseIds: [...affectedCourseIds] }, userId, 'schedule draft committed');
+
+  return { scheduleIds, cancelledScheduleIds };
+}
+
+function canManageDraft(user, draft) {
+  return hasPermission(user, 'department:all') || draft.created_by === user.id;
+}
+
+function formatDraft(draft) {
+  return {
+    id: draft.id,
+    semester: draft.semester,
+    academicYear: draft.academic_year,
+    departmentId: draft.department_id,
+    replaceExisting: draft.replace_existing,
+    status: draft.status,
+    summary: summarizeDiff(draft.diff),
+    diff: draft.diff,
+    timetable: draft.payload.sections,
+    unscheduled: draft.payload.unscheduled,
+    optimizationScore: draft.payload.optimizationScore,
+    warnings: draft.payload.warnings,
+    recommendations: draft.payload.recommendations,
+    createdBy: draft.created_by,
+    committedBy: draft.committed_by,
+    createdAt: draft.created_at,
+    resolvedAt: draft.resolved_at
+  };
+}
+
+function formatTime(time) {
+  const [hours, minutes] = String(time).split(':');
+  return `${hours.padStart(2, '0')}:${(minutes || '00').padStart(2, '0')}`;
+}
+
+function getTermDaysOfWeek(term) {
+  // Weekdays that actually fall inside the term dates
+  const days = new Set();
+  const date = new Date(term.start_date);
+  const end = new Date(term.end_date);
+
+  while (date <= end && days.size < 7) {
+    days.add(date.getDay());
+    date.setDate(date.getDate() + 1);
+  }
+
+  return Array.from(days);
 }
 
 function processHistoricalMetrics(metrics) {
@@ -1,20 +1,22 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, scopeDepartment } = require('../middleware/auth');
 const { Parser } = require('json2csv');
 const PDFDocument = require('pdfkit');
 
 const CostCalculator = require('../models/CostCalculator');
+const CourseCosting = require('../models/CourseCosting');
 
 const router = express.Router();
 const costCalculator = new CostCalculator();
+const costing = new CourseCosting();
 
 /**
  * GET /api/reports/budget-variance
  * Generate budget variance analysis report
  */
-router.get('/budget-variance', authenticateToken, async (req, res) => {
+router.get('/budget-variance', authenticateToken, requirePermission('report:financial'), scopeDepartment(), async (req, res) => {
   try {
     const { department_id, start_date, end_date, format = 'json' } = req.query;
 
@@ -120,75 +122,131 @@ router.get('/budget-variance', authenticateToken, async (req, res) => {
  * GET /api/reports/cost-analysis
  * Generate comprehensive cost analysis report
  */
-router.get('/cost-analysis', authenticateToken, async (req, res) => {
+router.get('/cost-analysis', authenticateToken, requirePermission('report:financial'), scopeDepartment(), async (req, res) => {
   try {
     const { department_id, semester, academic_year, format = 'json' } = req.query;
 
-    // Fetch courses with cost data
-    let coursesQuery = `
-      SELECT 
-        c.*,
-        d.name as department_name,
-        cs.enrollment_actual,
-        u.first_name || ' ' || u.last_name as instructor_name,
-        u.employment_type,
-        f.name as facility_name,
-        f.type as facility_type
-      FROM courses c
-      JOIN departments d ON c.department_id = d.id
-      LEFT JOIN course_schedules cs ON c.id = cs.course_id
-      LEFT JOIN users u ON cs.instructor_id = u.id
-      LEFT JOIN facilities f ON cs.facility_id = f.id
-      WHERE 1=1
-    `;
+    // Courses roll up from their live sections; a term filter limits both to that term
+    const courseFilters = [];
+    const sectionFilters = [];
     const queryParams = [];
     let paramCount = 0;
 
     if (department_id) {
       paramCount++;
-      coursesQuery += ` AND c.department_id = $${paramCount}`;
+      courseFilters.push(`c.department_id = $${paramCount}`);
       queryParams.push(department_id);
     }
 
     if (semester) {
       paramCount++;
-      coursesQuery += ` AND cs.semester = $${paramCount}`;
+      sectionFilters.push(`s.semester = $${paramCount}`);
       queryParams.push(semester);
     }
 
     if (academic_year) {
       paramCount++;
-      coursesQuery += ` AND cs.academic_year = $${paramCount}`;
+      sectionFilters.push(`s.academic_year = $${paramCount}`);
       queryParams.push(academic_year);
     }
 
-    const coursesResult = await pool.query(coursesQuery, queryParams);
+    const coursesQuery = `
+      SELECT 
+        c.*,
+        d.name as department_name
+      FROM courses c
+      JOIN departments d ON c.department_id = d.id
+      WHERE 1=1
+      ${courseFilters.map(filter => `AND ${filter}`).join(' ')}
+      ${sectionFilters.length > 0 ? `AND EXISTS (
+        SELECT 1 FROM course_sections s
+        WHERE s.course_id = c.id AND s.status != 'CANCELLED' AND ${sectionFilters.join(' AND ')}
+      )` : ''}
+      ORDER BY d.name, c.name
+    `;
+
+    const sectionsQuery = `
+      SELECT 
+        s.*,
+        u.first_name || ' ' || u.last_name as instructor_name,
+        u.employment_type,
+        f.name as facility_name,
+        f.type as facility_type
+      FROM course_sections s
+      JOIN courses c ON s.course_id = c.id
+      LEFT JOIN users u ON s.instructor_id = u.id
+      LEFT JOIN facilities f ON s.facility_id = f.id
+      WHERE s.status != 'CANCELLED'
+      ${[...courseFilters, ...sectionFilters].map(filter => `AND ${filter}`).join(' ')}
+      ORDER BY s.course_id, s.semester, s.section_code
+    `;
+
+    const [coursesResult, sectionsResult] = await Promise.all([
+      pool.query(coursesQuery, queryParams),
+      pool.query(sectionsQuery, queryParams)
+    ]);
+
+    const sectionsByCourse = {};
+    sectionsResult.rows.forEach(section => {
+      if (!sectionsByCourse[section.course_id]) sectionsByCourse[section.course_id] = [];
+      sectionsByCourse[section.course_id].push(section);
+    });
 
     // Calculate detailed costs for each course
     const costAnalysis = coursesResult.rows.map(course => {
-      const instructor = {
-        employment_type: course.employment_type,
-        hourly_rate: 50 // Default rate
-      };
+      const sections = sectionsByCourse[course.id] || [];
+      let comprehensiveCost;
+
+      if (sections.length > 0 && sections.every(section => section.cost_breakdown)) {
+        // Priced sections add up to the course (or to its share of the term)
+        comprehensiveCost = costing.rollUp(
+          course,
+          sections.map(section => ({ section, breakdown: section.cost_breakdown }))
+        ).breakdown;
+      } else if (course.cost_basis === 'CALCULATED' && course.cost_breakdown) {
+        comprehensiveCost = course.cost_breakdown;
+      } else {
+        // Courses still on a typed-in estimate are modelled with default rates
+        const instructor = {
+          employment_type: sections.length > 0 ? sections[0].employment_type : null,
+          hourly_rate: 50 // Default rate
+        };
 
-      const facility = {
-        hourly_cost: 25, // Default rate
-        utilities_cost_annual: 5000,
-        maintenance_cost_annual: 2000
-      };
+        const facility = {
+          hourly_cost: 25, // Default rate
+          utilities_cost_annual: 5000,
+          maintenance_cost_annual: 2000
+        };
+
+        comprehensiveCost = costCalculator.calculateComprehensiveCost(
+          course, instructor, facility, []
+        );
+      }
 
-      const comprehensiveCost = costCalculator.calculateComprehensiveCost(
-        course, instructor, facility, []
-      );
+      const enrolled = sections.reduce((sum, section) => sum + section.enrollment_actual, 0);
 
       return {
         course_id: course.id,
         course_name: course.name,
         department: course.department_name,
         expected_students: course.expected_students,
-        actual_enrollment: course.enrollment_actual || course.expected_students,
-        instructor_name: course.instructor_name,
-        facility_name: course.facility_name,
+        actual_enrollment: enrolled || course.expected_students,
+        section_count: sections.length,
+        capacity: sections.reduce((sum, section) => sum + section.capacity, 0),
+        instructor_name: distinctNames(sections, 'instructor_name'),
+        facility_name: distinctNames(sections, 'facility_name'),
+        sections: sections.map(section => ({
+          section_id: section.id,
+          section_code: section.section_code,
+          semester: section.semester,
+          academic_year: section.academic_year,
+          instructor_name: section.instructor_name,
+          facility_name: section.facility_name,
+          capacity: section.capacity,
+          enrollment_actual: section.enrollment_actual,
+          total_cost: section.total_cost !== null ? parseFloat(section.total_cost) : null
+        })),
+        cost_basis: course.cost_basis,
         cost_breakdown: comprehensiveCost,
         cost_per_student: comprehensiveCost.costPerStudent,
         cost_per_credit_hour: comprehensiveCost.costPerCreditHour
@@ -227,6 +285,8 @@ router.get('/cost-analysis', authenticateToken, async (req, res) => {
         department: course.department,
         expected_students: course.expected_students,
         actual_enrollment: course.actual_enrollment,
+        section_count: course.section_count,
+        capacity: course.capacity,
         total_cost: course.cost_breakdown.totalCost,
         instructor_cost: course.cost_breakdown.instructorCosts.total,
         facility_cost: course.cost_breakdown.facilityCosts.total,
@@ -263,7 +323,7 @@ router.get('/cost-analysis', authenticateToken, async (req, res) => {
  * GET /api/reports/utilization-dashboard
  * Generate comprehensive utilization dashboard
  */
-router.get('/utilization-dashboard', authenticateToken, async (req, res) => {
+router.get('/utilization-dashboard', authenticateToken, requirePermission('report:operational'), scopeDepartment(), async (req, res) => {
   try {
     const { department_id } = req.query;
 
@@ -419,7 +479,7 @@ router.get('/utilization-dashboard', authenticateToken, async (req, res) => {
  * GET /api/reports/financial-summary
  * Generate comprehensive financial summary report
  */
-router.get('/financial-summary', authenticateToken, async (req, res) => {
+router.get('/financial-summary', authenticateToken, requirePermission('report:financial'), scopeDepartment(), async (req, res) => {
   try {
     const { department_id, academic_year, format = 'json' } = req.query;
 
@@ -578,6 +638,10 @@ router.get('/financial-summary', authenticateToken, async (req, res) => {
 });
 
 // Helper functions
+function distinctNames(rows, field) {
+  const names = [...new Set(rows.map(row => row[field]).filter(Boolean))];
+  return names.length > 0 ? names.join(', ') : null;
+}
 
 function calculateInstructorUtilization(totalHours, employmentType) {
   let maxHours;
@@ -0,0 +1,384 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission, requireAnyPermission, requireRecentMfa } = require('../middleware/auth');
+const policy = require('../models/AccessPolicy');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+const audit = new AuditLog();
+
+/**
+ * GET /api/roles/permissions
+ * List the permission catalogue
+ */
+router.get('/permissions', authenticateToken, requireAnyPermission('role:manage', 'user:manage', 'service_account:manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(policy.permissions).map(([name, description]) => ({ name, description }))
+  });
+});
+
+/**
+ * GET /api/roles
+ * List system and custom roles with their permissions
+ */
+router.get('/', authenticateToken, requireAnyPermission('role:manage', 'user:manage'), async (req, res) => {
+  try {
+    const roles = await policy.listRoles(pool);
+
+    res.json({
+      success: true,
+      data: roles
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles'
+    });
+  }
+});
+
+/**
+ * POST /api/roles
+ * Create a custom role
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('role:manage'),
+  body('name').trim().matches(/^[A-Z][A-Z0-9_]{1,49}$/)
+    .withMessage('Role name must be 2-50 upper-case letters, digits or underscores'),
+  body('description').optional().trim().isLength({ max: 255 }),
+  body('permissions').isArray().withMessage('Permissions must be a list'),
+  body('permissions.*').custom(isKnownPermission),
+  requireRecentMfa()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    const escalation = getEscalation(req.user, permissions);
+    if (escalation.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not hold',
+        missing_permissions: escalation
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT name FROM roles WHERE name = $1', [name]);
+    if (existing.rows.length > 0 || policy.isSystemRole(name)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Role ${name} already exists`
+      });
+    }
+
+    await client.query(
+      'INSERT INTO roles (name, description, is_system, created_by) VALUES ($1, $2, false, $3)',
+      [name, description || null, req.user.id]
+    );
+    await policy.setRolePermissions(client, name, permissions);
+
+    await audit.record(client, req, {
+      action: 'role.create',
+      entityType: 'role',
+      entityId: name,
+      after: { name, description: description || null, permissions: [...new Set(permissions)].sort() }
+    });
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: `Role ${name} created`,
+      data: { name, description: description || null, is_system: false, permissions: [...new Set(permissions)] }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PUT /api/roles/:name
+ * Update a custom role's description and permissions. Changes apply to existing sessions.
+ */
+router.put('/:name', [
+  authenticateToken,
+  requirePermission('role:manage'),
+  param('name').trim().notEmpty(),
+  body('description').optional().trim().isLength({ max: 255 }),
+  body('permissions').optional().isArray().withMessage('Permissions must be a list'),
+  body('permissions.*').custom(isKnownPermission),
+  requireRecentMfa()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    const { description, permissions } = req.body;
+
+    if (policy.isSystemRole(name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'System roles cannot be changed'
+      });
+    }
+
+    if (permissions) {
+      const escalation = getEscalation(req.user, permissions);
+      if (escalation.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot grant permissions you do not hold',
+          missing_permissions: escalation
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const before = await client.query(`
+      SELECT r.description, COALESCE(array_agg(rp.permission ORDER BY rp.permission)
+                                     FILTER (WHERE rp.permission IS NOT NULL), '{}') as permissions
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role_name = r.name
+      WHERE r.name = $1
+      GROUP BY r.name
+    `, [name]);
+
+    const updated = await client.query(
+      `UPDATE roles
+       SET description = COALESCE($1, description), updated_at = CURRENT_TIMESTAMP
+       WHERE name = $2 AND is_system = false
+       RETURNING name, description, is_system`,
+      [description === undefined ? null : description, name]
+    );
+
+    if (updated.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (permissions) {
+      await policy.setRolePermissions(client, name, permissions);
+    }
+
+    await audit.record(client, req, {
+      action: 'role.update',
+      entityType: 'role',
+      entityId: name,
+      before: before.rows[0],
+      after: {
+        description: updated.rows[0].description,
+        permissions: permissions ? [...new Set(permissions)].sort() : before.rows[0].permissions
+      }
+    });
+
+    await client.query('COMMIT');
+    policy.invalidateRole(name);
+
+    res.json({
+      success: true,
+      message: `Role ${name} updated`,
+      data: {
+        ...updated.rows[0],
+        permissions: await policy.getRolePermissions(pool, name)
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/roles/:name
+ * Delete a custom role that no user holds
+ */
+router.delete('/:name', authenticateToken, requirePermission('role:manage'), requireRecentMfa(), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (policy.isSystemRole(name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'System roles cannot be deleted'
+      });
+    }
+
+    const holders = await pool.query('SELECT COUNT(*) as count FROM users WHERE role = $1', [name]);
+    if (parseInt(holders.rows[0].count) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role ${name} is assigned to ${holders.rows[0].count} user(s); reassign them first`
+      });
+    }
+
+    const permissions = await policy.getRolePermissions(pool, name);
+
+    // role_permissions rows go with the role
+    const result = await pool.query(
+      'DELETE FROM roles WHERE name = $1 AND is_system = false RETURNING name, description',
+      [name]
+    );
+    policy.invalidateRole(name);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    await audit.record(pool, req, {
+      action: 'role.delete',
+      entityType: 'role',
+      entityId: name,
+      before: { ...result.rows[0], permissions }
+    });
+
+    res.json({
+      success: true,
+      message: `Role ${name} deleted`
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role'
+    });
+  }
+});
+
+/**
+ * PUT /api/roles/:name/mfa
+ * Require or stop requiring MFA for everyone holding a role (system roles included)
+ */
+router.put('/:name/mfa', [
+  authenticateToken,
+  requirePermission('role:manage'),
+  param('name').trim().notEmpty(),
+  body('required').isBoolean().withMessage('Required must be true or false'),
+  requireRecentMfa()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    const required = req.body.required === true || req.body.required === 'true';
+
+    await client.query('BEGIN');
+
+    const current = await client.query('SELECT mfa_required FROM roles WHERE name = $1 FOR UPDATE', [name]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    await client.query(
+      'UPDATE roles SET mfa_required = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2',
+      [required, name]
+    );
+
+    await audit.record(client, req, {
+      action: 'role.mfa_policy',
+      entityType: 'role',
+      entityId: name,
+      before: { mfa_required: current.rows[0].mfa_required },
+      after: { mfa_required: required }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: required
+        ? `MFA is now required for ${name}; holders without it will enrol at their next sign-in`
+        : `MFA is no longer required for ${name}`,
+      data: { name, mfa_required: required }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Role MFA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role MFA policy'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Helper functions
+function isKnownPermission(permission) {
+  if (!policy.isPermission(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  if (policy.isAdminOnly(permission)) {
+    throw new Error(`${permission} is reserved for the ADMIN role`);
+  }
+  return true;
+}
+
+function getEscalation(user, permissions) {
+  return [...new Set(permissions)].filter(permission => !policy.hasPermission(user, permission));
+}
+
+module.exports = router;
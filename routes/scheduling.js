@@ -1,15 +1,24 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, scopeDepartment, hasPermission, canAccessDepartment } = require('../middleware/auth');
+
+const EncumbranceTracker = require('../models/EncumbranceTracker');
+const CourseCostUpdater = require('../models/CourseCostUpdater');
+const SectionManager = require('../models/SectionManager');
+const AuditLog = require('../models/AuditLog');
 
 const router = express.Router();
+const encumbrances = new EncumbranceTracker();
+const costUpdater = new CourseCostUpdater();
+const sections = new SectionManager();
+const audit = new AuditLog();
 
 /**
  * GET /api/schedules
- * Get course schedules with filtering
+ * Get course meetings with filtering. Each row is one weekly meeting of a section (see /api/sections).
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('schedule:view'), scopeDepartment(), async (req, res) => {
   try {
     const { semester, academic_year, department_id, instructor_id, facility_id, status } = req.query;
 
@@ -21,13 +30,16 @@ router.get('/', authenticateToken, async (req, res) => {
         f.name as facility_name,
         f.type as facility_type,
         d.name as department_name,
-        COUNT(ce.user_id) as assigned_count
+        s.section_code,
+        s.capacity,
+        COUNT(DISTINCT ce.user_id) as assigned_count
       FROM course_schedules cs
       JOIN courses c ON cs.course_id = c.id
       JOIN departments d ON c.department_id = d.id
+      LEFT JOIN course_sections s ON cs.section_id = s.id
       LEFT JOIN users u ON cs.instructor_id = u.id
       LEFT JOIN facilities f ON cs.facility_id = f.id
-      LEFT JOIN course_enrollments ce ON cs.id = ce.schedule_id AND ce.status = 'ENROLLED'
+      LEFT JOIN course_enrollments ce ON cs.section_id = ce.section_id AND ce.status = 'ENROLLED'
       WHERE 1=1
     `;
     const queryParams = [];
@@ -69,7 +81,7 @@ router.get('/', authenticateToken, async (req, res) => {
       queryParams.push(status);
     }
 
-    query += ' GROUP BY cs.id, c.name, u.first_name, u.last_name, f.name, f.type, d.name ORDER BY cs.day_of_week, cs.start_time, c.name';
+    query += ' GROUP BY cs.id, c.name, u.first_name, u.last_name, f.name, f.type, d.name, s.section_code, s.capacity ORDER BY cs.day_of_week, cs.start_time, c.name';
 
     const result = await pool.query(query, queryParams);
 
@@ -89,19 +101,25 @@ router.get('/', authenticateToken, async (req, res) => {
 
 /**
  * POST /api/schedules
- * Create a new course schedule
+ * Add a weekly meeting. With section_id the meeting joins that section and uses its instructor
+ * and room; without it a new single-meeting section is created for the course.
  */
 router.post('/', [
   authenticateToken,
+  requirePermission('schedule:edit'),
   body('course_id').isInt(),
-  body('instructor_id').isInt(),
-  body('facility_id').isInt(),
+  body('section_id').optional().isInt({ min: 1 }),
+  body('instructor_id').if(body('section_id').not().exists()).isInt(),
+  body('facility_id').if(body('section_id').not().exists()).isInt(),
+  body('capacity').optional().isInt({ min: 1 }),
   body('day_of_week').isInt({ min: 0, max: 6 }),
   body('start_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
   body('end_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
   body('semester').notEmpty().isString(),
   body('academic_year').isInt()
 ], async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -114,20 +132,71 @@ router.post('/', [
 
     const {
       course_id,
-      instructor_id,
-      facility_id,
+      section_id,
       semester,
       academic_year,
       day_of_week,
       start_time,
       end_time,
-      enrollment_actual = 0,
+      capacity,
       status = 'SCHEDULED'
     } = req.body;
+    const meeting = { day_of_week: parseInt(day_of_week), start_time, end_time };
+
+    const departmentId = await getCourseDepartmentId(pool, course_id);
+    if (departmentId !== null && !canAccessDepartment(req.user, departmentId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
+    if (await isCourseArchived(pool, course_id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Archived courses cannot be scheduled'
+      });
+    }
+
+    let section = null;
+    if (section_id) {
+      section = await sections.get(pool, section_id);
+      if (!section || section.course_id !== parseInt(course_id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Section not found for this course'
+        });
+      }
+      if (section.status === 'CANCELLED') {
+        return res.status(409).json({
+          success: false,
+          message: 'Meetings cannot be added to a cancelled section'
+        });
+      }
+    }
+
+    const instructorId = section ? section.instructor_id : req.body.instructor_id;
+    const facilityId = section ? section.facility_id : req.body.facility_id;
+
+    const meetingErrors = sections.validateMeetings([
+      ...(section ? section.meetings.filter(existing => existing.status !== 'CANCELLED') : []),
+      meeting
+    ]);
+    if (meetingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: section ? 'The meeting overlaps one of the section\'s other meetings or ends before it starts' : meetingErrors[0],
+        errors: meetingErrors
+      });
+    }
 
     // Check for conflicts
-    const conflicts = await checkScheduleConflicts(instructor_id, facility_id, day_of_week, start_time, end_time, semester, academic_year);
-    
+    const conflicts = await sections.checkConflicts(
+      pool, instructorId, facilityId, day_of_week, start_time, end_time,
+      section ? section.semester : semester,
+      section ? section.academic_year : academic_year
+    );
+
     if (conflicts.length > 0) {
       return res.status(409).json({
         success: false,
@@ -136,30 +205,63 @@ router.post('/', [
       });
     }
 
-    const query = `
-      INSERT INTO course_schedules (course_id, instructor_id, facility_id, semester, academic_year,
-                                   day_of_week, start_time, end_time, enrollment_actual, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING *
-    `;
+    await client.query('BEGIN');
+
+    let schedule;
+    if (section) {
+      schedule = await sections.addMeeting(client, section, meeting);
+    } else {
+      section = await sections.create(client, {
+        courseId: course_id,
+        semester,
+        academicYear: academic_year,
+        instructorId,
+        facilityId,
+        capacity,
+        status: status === 'ACTIVE' ? 'ACTIVE' : 'SCHEDULED',
+        meetings: [meeting]
+      }, req.user.id);
+      schedule = section.meetings[0];
+    }
 
-    const result = await pool.query(query, [
-      course_id, instructor_id, facility_id, semester, academic_year,
-      day_of_week, start_time, end_time, enrollment_actual, status
-    ]);
+    // The section's projected cost is committed and the course re-priced from all of its sections
+    const [courseCost] = await costUpdater.recomputeAffected(
+      client, { sectionIds: [section.id] }, req.user.id, `section ${section.section_code} scheduled`
+    );
+    const funds = await encumbrances.getAvailable(client, departmentId);
+
+    await audit.record(client, req, {
+      action: 'schedule.create',
+      entityType: 'course_schedule',
+      entityId: schedule.id,
+      after: schedule
+    });
+
+    await client.query('COMMIT');
 
     res.status(201).json({
       success: true,
       message: 'Schedule created successfully',
-      data: result.rows[0]
+      data: {
+        ...schedule,
+        section_code: section.section_code,
+        course_cost: courseCost || null,
+        department_funds: funds
+      },
+      warnings: funds.available < 0
+        ? [`Department is over-committed by $${Math.abs(funds.available).toFixed(2)}`]
+        : []
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Schedule creation error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to create schedule'
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -167,7 +269,7 @@ router.post('/', [
  * GET /api/schedules/calendar
  * Get calendar view of schedules
  */
-router.get('/calendar', authenticateToken, async (req, res) => {
+router.get('/calendar', authenticateToken, requirePermission('schedule:view'), scopeDepartment(), async (req, res) => {
   try {
     const { semester, academic_year, department_id } = req.query;
 
@@ -186,10 +288,13 @@ router.get('/calendar', authenticateToken, async (req, res) => {
         u.first_name || ' ' || u.last_name as instructor_name,
         f.name as facility_name,
         f.capacity as facility_capacity,
-        d.name as department_name
+        d.name as department_name,
+        s.section_code,
+        s.capacity
       FROM course_schedules cs
       JOIN courses c ON cs.course_id = c.id
       JOIN departments d ON c.department_id = d.id
+      LEFT JOIN course_sections s ON cs.section_id = s.id
       LEFT JOIN users u ON cs.instructor_id = u.id
       LEFT JOIN facilities f ON cs.facility_id = f.id
       WHERE cs.semester = $1 AND cs.academic_year = $2 AND cs.status != 'CANCELLED'
@@ -250,7 +355,7 @@ router.get('/calendar', authenticateToken, async (req, res) => {
  * GET /api/schedules/conflicts
  * Check for scheduling conflicts
  */
-router.get('/conflicts', authenticateToken, async (req, res) => {
+router.get('/conflicts', authenticateToken, requirePermission('schedule:view'), scopeDepartment(), async (req, res) => {
   try {
     const { semester, academic_year, department_id } = req.query;
 
@@ -339,10 +444,12 @@ router.get('/conflicts', authenticateToken, async (req, res) => {
 
 /**
  * PUT /api/schedules/:id
- * Update a course schedule
+ * Move or change the status of one meeting. Instructor, room and enrollment belong to the
+ * meeting's section and are changed with PUT /api/sections/:id.
  */
 router.put('/:id', [
   authenticateToken,
+  requirePermission('schedule:edit'),
   body('instructor_id').optional().isInt(),
   body('facility_id').optional().isInt(),
   body('day_of_week').optional().isInt({ min: 0, max: 6 }),
@@ -351,6 +458,8 @@ router.put('/:id', [
   body('enrollment_actual').optional().isInt({ min: 0 }),
   body('status').optional().isIn(['SCHEDULED', 'ACTIVE', 'COMPLETED', 'CANCELLED'])
 ], async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -375,17 +484,66 @@ router.put('/:id', [
 
     const current = currentSchedule.rows[0];
 
-    // Check for conflicts if time/resource changes
-    if (updates.instructor_id || updates.facility_id || updates.day_of_week || updates.start_time || updates.end_time) {
-      const conflicts = await checkScheduleConflicts(
-        updates.instructor_id || current.instructor_id,
-        updates.facility_id || current.facility_id,
-        updates.day_of_week || current.day_of_week,
-        updates.start_time || current.start_time,
-        updates.end_time || current.end_time,
+    if (!canAccessDepartment(req.user, await getCourseDepartmentId(pool, current.course_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
+    const sectionFields = ['instructor_id', 'facility_id'].filter(field => updates[field] !== undefined);
+    if (sectionFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${sectionFields.join(', ')} belong to the meeting's section; change them with PUT /api/sections/${current.section_id}`
+      });
+    }
+
+    if (updates.enrollment_actual !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `enrollment_actual follows the section's enrollments; use POST /api/sections/${current.section_id}/enroll and /drop`
+      });
+    }
+
+    const section = await sections.get(pool, current.section_id);
+    if (section.status === 'CANCELLED' && updates.status && updates.status !== 'CANCELLED') {
+      return res.status(409).json({
+        success: false,
+        message: 'Meetings of a cancelled section cannot be reopened; schedule a new section instead'
+      });
+    }
+
+    const next = {
+      day_of_week: updates.day_of_week !== undefined ? parseInt(updates.day_of_week) : current.day_of_week,
+      start_time: updates.start_time || current.start_time,
+      end_time: updates.end_time || current.end_time
+    };
+    const moved = updates.day_of_week !== undefined || updates.start_time || updates.end_time;
+
+    if (moved) {
+      const meetingErrors = sections.validateMeetings([
+        ...section.meetings.filter(meeting => meeting.status !== 'CANCELLED' && meeting.id !== current.id),
+        next
+      ]);
+      if (meetingErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The meeting overlaps one of the section\'s other meetings or ends before it starts',
+          errors: meetingErrors
+        });
+      }
+
+      const conflicts = await sections.checkConflicts(
+        pool,
+        current.instructor_id,
+        current.facility_id,
+        next.day_of_week,
+        next.start_time,
+        next.end_time,
         current.semester,
         current.academic_year,
-        id // Exclude current schedule from conflict check
+        { excludeScheduleId: current.id }
       );
 
       if (conflicts.length > 0) {
@@ -402,7 +560,7 @@ router.put('/:id', [
     const queryParams = [];
     let paramCount = 0;
 
-    Object.keys(updates).forEach(key => {
+    ['day_of_week', 'start_time', 'end_time', 'status'].forEach(key => {
       if (updates[key] !== undefined) {
         paramCount++;
         setClause.push(`${key} = $${paramCount}`);
@@ -427,70 +585,132 @@ router.put('/:id', [
       RETURNING *
     `;
 
-    const result = await pool.query(query, queryParams);
+    await client.query('BEGIN');
+
+    const result = await client.query(query, queryParams);
+    const updated = result.rows[0];
+
+    // A section whose last meeting is cancelled is cancelled too, releasing its encumbrance
+    if (updated.status === 'CANCELLED' && current.status !== 'CANCELLED') {
+      await sections.cancelIfEmpty(client, updated.section_id, req.user.id);
+    }
+
+    // The section's weekly hours drive its cost
+    if (moved || updated.status !== current.status) {
+      await costUpdater.recomputeAffected(client, { sectionIds: [updated.section_id] }, req.user.id,
+        `section ${section.section_code} meeting changed`);
+    }
+
+    await audit.record(client, req, {
+      action: 'schedule.update',
+      entityType: 'course_schedule',
+      entityId: updated.id,
+      before: current,
+      after: updated
+    });
+
+    await client.query('COMMIT');
 
     res.json({
       success: true,
       message: 'Schedule updated successfully',
-      data: result.rows[0]
+      data: updated
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Schedule update error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to update schedule'
     });
+  } finally {
+    client.release();
   }
 });
 
 /**
  * DELETE /api/schedules/:id
- * Cancel a course schedule
+ * Cancel one meeting. Cancelling a section's last meeting cancels the section.
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('schedule:edit'), async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { id } = req.params;
 
-    const query = `
-      UPDATE course_schedules 
-      SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-      RETURNING *
-    `;
+    const departmentId = await getSectionDepartmentId(pool, id);
+    if (departmentId !== null && !canAccessDepartment(req.user, departmentId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
+    await client.query('BEGIN');
 
-    const result = await pool.query(query, [id]);
+    const previous = await client.query('SELECT * FROM course_schedules WHERE id = $1 FOR UPDATE', [id]);
 
-    if (result.rows.length === 0) {
+    if (previous.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         message: 'Schedule not found'
       });
     }
 
+    const previousStatus = previous.rows[0].status;
+    const { meeting, sectionCancelled } = await sections.cancelMeeting(client, previous.rows[0], req.user.id);
+
+    // The course is re-priced from what is left of the section and its other sections
+    await costUpdater.recomputeAffected(client, { sectionIds: [meeting.section_id] }, req.user.id,
+      sectionCancelled ? `section #${meeting.section_id} cancelled` : `meeting #${meeting.id} cancelled`);
+
+    await audit.record(client, req, {
+      action: 'schedule.cancel',
+      entityType: 'course_schedule',
+      entityId: meeting.id,
+      before: { status: previousStatus },
+      after: { status: meeting.status, section_cancelled: sectionCancelled }
+    });
+
+    await client.query('COMMIT');
+
     res.json({
       success: true,
-      message: 'Schedule cancelled successfully',
-      data: result.rows[0]
+      message: sectionCancelled
+        ? 'Schedule cancelled successfully; its section had no other meetings and was cancelled too'
+        : 'Schedule cancelled successfully',
+      data: { ...meeting, section_cancelled: sectionCancelled }
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Schedule cancellation error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to cancel schedule'
     });
+  } finally {
+    client.release();
   }
 });
 
 /**
  * POST /api/schedules/:id/assign-users
- * Assign users to a course schedule
+ * Replace the users enrolled in the section a meeting belongs to, up to the seats its room allows.
+ * Closed after the add/drop deadline unless overridden; for one-at-a-time changes and the waitlist
+ * use POST /api/sections/:id/enroll and /drop.
  */
 router.post('/:id/assign-users', [
   authenticateToken,
-  body('user_ids').isArray()
+  requirePermission('schedule:edit'),
+  body('user_ids').isArray(),
+  body('user_ids.*').isInt({ min: 1 }),
+  body('override_deadline').optional().isBoolean()
 ], async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -513,30 +733,81 @@ router.post('/:id/assign-users', [
       });
     }
 
-    // Clear existing assignments
-    await pool.query('DELETE FROM course_enrollments WHERE schedule_id = $1', [id]);
+    if (!canAccessDepartment(req.user, await getCourseDepartmentId(pool, scheduleCheck.rows[0].course_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
 
-    // Add new assignments
-    if (user_ids.length > 0) {
-      const insertQuery = `
-        INSERT INTO course_enrollments (schedule_id, user_id, enrollment_date, status)
-        VALUES ${user_ids.map((_, index) => `($1, $${index + 2}, CURRENT_DATE, 'ENROLLED')`).join(', ')}
-      `;
-      await pool.query(insertQuery, [id, ...user_ids]);
+    await client.query('BEGIN');
+
+    const section = await sections.get(client, scheduleCheck.rows[0].section_id, { forUpdate: true });
+    if (section.status === 'CANCELLED' || section.status === 'COMPLETED') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Users cannot be assigned to a ${section.status.toLowerCase()} section`
+      });
+    }
+
+    const override = (req.body.override_deadline === true || req.body.override_deadline === 'true') &&
+      hasPermission(req.user, 'schedule:override_deadline');
+    const addDrop = await sections.checkAddDrop(client, section, { override });
+    if (addDrop.error) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: addDrop.error
+      });
     }
 
+    const requested = [...new Set(user_ids.map(userId => parseInt(userId)))];
+    const seats = await sections.seatLimit(client, section);
+    if (requested.length > seats) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Section ${section.section_code} has ${seats} seats; ${requested.length} users were assigned`
+      });
+    }
+
+    const { removed, enrolled, promoted } = await sections.assignUsers(client, section, requested, {
+      status: addDrop.passed ? 'WITHDRAWN' : 'DROPPED'
+    });
+
+    await audit.record(client, req, {
+      action: 'schedule.assign_users',
+      entityType: 'course_schedule',
+      entityId: id,
+      before: { user_ids: removed },
+      after: { user_ids: enrolled, promoted, section_id: section.id, withdrawn: addDrop.passed }
+    });
+
+    await client.query('COMMIT');
+
     res.json({
       success: true,
       message: 'Users assigned successfully',
-      assigned_count: user_ids.length
+      assigned_count: enrolled.length,
+      promoted_count: promoted.length
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23503') {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more users do not exist'
+      });
+    }
     console.error('User assignment error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to assign users'
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -544,10 +815,18 @@ router.post('/:id/assign-users', [
  * GET /api/schedules/user/:userId
  * Get schedules for a specific user
  */
-router.get('/user/:userId', authenticateToken, async (req, res) => {
+router.get('/user/:userId', authenticateToken, requirePermission('schedule:view'), async (req, res) => {
   try {
     const { userId } = req.params;
 
+    // Anyone can see their own timetable; other people's need directory access
+    if (req.user.id !== parseInt(userId) && !hasPermission(req.user, 'user:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own schedule'
+      });
+    }
+
     const query = `
       SELECT 
         cs.*,
@@ -556,10 +835,12 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
         f.name as facility_name,
         f.type as facility_type,
         d.name as department_name,
+        s.section_code,
         ce.enrollment_date,
         ce.status as enrollment_status
       FROM course_schedules cs
-      JOIN course_enrollments ce ON cs.id = ce.schedule_id
+      JOIN course_enrollments ce ON cs.section_id = ce.section_id
+      JOIN course_sections s ON cs.section_id = s.id
       JOIN courses c ON cs.course_id = c.id
       JOIN departments d ON c.department_id = d.id
       LEFT JOIN users u ON cs.instructor_id = u.id
@@ -584,81 +865,23 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to check for schedule conflicts
-async function checkScheduleConflicts(instructorId, facilityId, dayOfWeek, startTime, endTime, semester, academicYear, excludeId = null) {
-  const conflicts = [];
-
-  // Check instructor conflicts
-  if (instructorId) {
-    let instructorQuery = `
-      SELECT cs.*, c.name as course_name
-      FROM course_schedules cs
-      JOIN courses c ON cs.course_id = c.id
-      WHERE cs.instructor_id = $1 
-        AND cs.day_of_week = $2 
-        AND cs.semester = $3 
-        AND cs.academic_year = $4
-        AND cs.status != 'CANCELLED'
-        AND (
-          (cs.start_time <= $5 AND cs.end_time > $5) OR
-          (cs.start_time < $6 AND cs.end_time >= $6) OR
-          (cs.start_time >= $5 AND cs.end_time <= $6)
-        )
-    `;
-    const params = [instructorId, dayOfWeek, semester, academicYear, startTime, endTime];
-
-    if (excludeId) {
-      instructorQuery += ' AND cs.id != $7';
-      params.push(excludeId);
-    }
-
-    const instructorConflicts = await pool.query(instructorQuery, params);
-    
-    if (instructorConflicts.rows.length > 0) {
-      conflicts.push({
-        type: 'instructor',
-        resource_id: instructorId,
-        conflicting_schedules: instructorConflicts.rows
-      });
-    }
-  }
-
-  // Check facility conflicts
-  if (facilityId) {
-    let facilityQuery = `
-      SELECT cs.*, c.name as course_name
-      FROM course_schedules cs
-      JOIN courses c ON cs.course_id = c.id
-      WHERE cs.facility_id = $1 
-        AND cs.day_of_week = $2 
-        AND cs.semester = $3 
-        AND cs.academic_year = $4
-        AND cs.status != 'CANCELLED'
-        AND (
-          (cs.start_time <= $5 AND cs.end_time > $5) OR
-          (cs.start_time < $6 AND cs.end_time >= $6) OR
-          (cs.start_time >= $5 AND cs.end_time <= $6)
-        )
-    `;
-    const params = [facilityId, dayOfWeek, semester, academicYear, startTime, endTime];
-
-    if (excludeId) {
-      facilityQuery += ' AND cs.id != $7';
-      params.push(excludeId);
-    }
+// Helper functions
+async function getCourseDepartmentId(db, courseId) {
+  const result = await db.query('SELECT department_id FROM courses WHERE id = $1', [courseId]);
+  return result.rows.length > 0 ? result.rows[0].department_id : null;
+}
 
-    const facilityConflicts = await pool.query(facilityQuery, params);
-    
-    if (facilityConflicts.rows.length > 0) {
-      conflicts.push({
-        type: 'facility',
-        resource_id: facilityId,
-        conflicting_schedules: facilityConflicts.rows
-      });
-    }
-  }
+async function isCourseArchived(db, courseId) {
+  const result = await db.query('SELECT archived_at FROM courses WHERE id = $1', [courseId]);
+  return result.rows.length > 0 && result.rows[0].archived_at !== null;
+}
 
-  return conflicts;
+async function getSectionDepartmentId(db, scheduleId) {
+  const result = await db.query(
+    'SELECT c.department_id FROM course_schedules cs JOIN courses c ON cs.course_id = c.id WHERE cs.id = $1',
+    [scheduleId]
+  );
+  return result.rows.length > 0 ? result.rows[0].department_id : null;
 }
 
 module.exports = router;
@@ -0,0 +1,887 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const {
+  authenticateToken, requirePermission, scopeDepartment, canAccessDepartment, hasPermission
+} = require('../middleware/auth');
+
+const SectionManager = require('../models/SectionManager');
+const EncumbranceTracker = require('../models/EncumbranceTracker');
+const CourseCostUpdater = require('../models/CourseCostUpdater');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+const sections = new SectionManager();
+const encumbrances = new EncumbranceTracker();
+const costUpdater = new CourseCostUpdater();
+const audit = new AuditLog();
+
+const timePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const meetingValidators = (optional) => [
+  (optional ? body('meetings').optional() : body('meetings')).isArray({ min: 1, max: 7 })
+    .withMessage('Meetings must list between 1 and 7 weekly meetings'),
+  body('meetings.*.day_of_week').isInt({ min: 0, max: 6 }),
+  body('meetings.*.start_time').matches(timePattern),
+  body('meetings.*.end_time').matches(timePattern)
+];
+
+/**
+ * GET /api/sections
+ * Sections with their meetings, capacity and enrollment
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission('schedule:view'),
+  query('course_id').optional().isInt({ min: 1 }),
+  query('academic_year').optional().isInt(),
+  query('instructor_id').optional().isInt({ min: 1 }),
+  query('facility_id').optional().isInt({ min: 1 }),
+  query('status').optional().isIn(sections.statuses),
+  scopeDepartment()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = await sections.list(pool, {
+      courseId: req.query.course_id,
+      departmentId: req.query.department_id,
+      semester: req.query.semester,
+      academicYear: req.query.academic_year,
+      instructorId: req.query.instructor_id,
+      facilityId: req.query.facility_id,
+      status: req.query.status
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Sections fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sections'
+    });
+  }
+});
+
+/**
+ * GET /api/sections/:id
+ * A section with its meetings
+ */
+router.get('/:id', [
+  authenticateToken,
+  requirePermission('schedule:view'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const section = await sections.get(pool, req.params.id);
+    if (!section || !canAccessDepartment(req.user, section.department_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: section
+    });
+
+  } catch (error) {
+    console.error('Section fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch section'
+    });
+  }
+});
+
+/**
+ * POST /api/sections
+ * Schedule a section of a course meeting on one or more days (e.g. Monday, Wednesday and Friday).
+ * The section's projected cost is encumbered and the course is re-priced from all of its sections.
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('schedule:edit'),
+  body('course_id').isInt({ min: 1 }),
+  body('semester').notEmpty().isString(),
+  body('academic_year').isInt(),
+  body('section_code').optional().matches(/^[A-Za-z0-9-]{1,10}$/)
+    .withMessage('Section codes are up to 10 letters, digits or dashes'),
+  body('instructor_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('facility_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('capacity').optional().isInt({ min: 1 }),
+  body('status').optional().isIn(['SCHEDULED', 'ACTIVE']),
+  ...meetingValidators(false)
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { course_id, semester, academic_year, section_code, instructor_id, facility_id, capacity, status } = req.body;
+    const meetings = normalizeMeetings(req.body.meetings);
+
+    const courseResult = await pool.query('SELECT id, department_id, archived_at FROM courses WHERE id = $1', [course_id]);
+    const course = courseResult.rows[0];
+    if (!course || !canAccessDepartment(req.user, course.department_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found or access denied'
+      });
+    }
+
+    if (course.archived_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'Archived courses cannot be scheduled'
+      });
+    }
+
+    const meetingErrors = sections.validateMeetings(meetings);
+    const capacityError = await sections.checkCapacity(pool, facility_id, capacity, 0);
+    if (meetingErrors.length > 0 || capacityError) {
+      return res.status(400).json({
+        success: false,
+        message: capacityError || meetingErrors[0],
+        errors: capacityError ? [capacityError, ...meetingErrors] : meetingErrors
+      });
+    }
+
+    const conflicts = await sections.findConflicts(pool, {
+      instructorId: instructor_id,
+      facilityId: facility_id,
+      semester,
+      academicYear: academic_year,
+      meetings
+    });
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Schedule conflicts detected',
+        conflicts
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const section = await sections.create(client, {
+      courseId: course_id,
+      sectionCode: section_code,
+      semester,
+      academicYear: academic_year,
+      instructorId: instructor_id,
+      facilityId: facility_id,
+      capacity,
+      status,
+      meetings
+    }, req.user.id);
+
+    const costing = await costUpdater.recompute(client, course_id, req.user.id, `section ${section.section_code} scheduled`);
+    const funds = await encumbrances.getAvailable(client, course.department_id);
+
+    await audit.record(client, req, {
+      action: 'section.create',
+      entityType: 'course_section',
+      entityId: section.id,
+      after: section
+    });
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: `Section ${section.section_code} created successfully`,
+      data: {
+        ...section,
+        course_cost: costUpdater.summarize(costing),
+        department_funds: funds
+      },
+      warnings: fundsWarnings(funds, costing)
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'The course already has a section with that code this term'
+      });
+    }
+    console.error('Section creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create section'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PUT /api/sections/:id
+ * Change a section's instructor, room, capacity, status or meetings. A meetings list replaces the
+ * current one. Instructor, room and meeting changes are checked for conflicts and re-price the course.
+ */
+router.put('/:id', [
+  authenticateToken,
+  requirePermission('schedule:edit'),
+  param('id').isInt({ min: 1 }),
+  body('section_code').optional().matches(/^[A-Za-z0-9-]{1,10}$/)
+    .withMessage('Section codes are up to 10 letters, digits or dashes'),
+  body('instructor_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('facility_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('capacity').optional().isInt({ min: 1 }),
+  body('status').optional().isIn(sections.statuses),
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+  ...meetingValidators(true)
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.body.enrollment_actual !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `enrollment_actual follows the section's enrollments; use POST /api/sections/${req.params.id}/enroll and /drop`
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const current = await sections.get(client, req.params.id, { forUpdate: true });
+    if (!current || !canAccessDepartment(req.user, current.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found or access denied'
+      });
+    }
+
+    const outcome = await updateSection(client, req, current, pickSectionChanges(req.body));
+    if (outcome.error) {
+      await client.query('ROLLBACK');
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.error,
+        ...outcome.details
+      });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Section updated successfully',
+      data: {
+        ...outcome.section,
+        course_cost: outcome.costing
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'The course already has a section with that code this term'
+      });
+    }
+    console.error('Section update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update section'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/sections/:id
+ * Cancel a section and all of its meetings, releasing its committed funds
+ */
+router.delete('/:id', [
+  authenticateToken,
+  requirePermission('schedule:edit'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const current = await sections.get(client, req.params.id, { forUpdate: true });
+    if (!current || !canAccessDepartment(req.user, current.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found or access denied'
+      });
+    }
+
+    const outcome = await updateSection(client, req, current, { status: 'CANCELLED' });
+    if (outcome.error) {
+      await client.query('ROLLBACK');
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.error
+      });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `Section ${current.section_code} cancelled successfully`,
+      data: {
+        ...outcome.section,
+        course_cost: outcome.costing
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Section cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel section'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/sections/:id/enrollments
+ * Enrolled users and the waitlist in order, with the seats left and the add/drop deadline
+ */
+router.get('/:id/enrollments', [
+  authenticateToken,
+  requirePermission('schedule:view'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const section = await sections.get(pool, req.params.id);
+    if (!section || !canAccessDepartment(req.user, section.department_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found or access denied'
+      });
+    }
+
+    const [enrolled, waitlist, seats, addDrop] = await Promise.all([
+      sections.listEnrollments(pool, section.id, 'ENROLLED'),
+      sections.listEnrollments(pool, section.id, 'WAITLISTED'),
+      sections.seatLimit(pool, section),
+      sections.checkAddDrop(pool, section)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        section_id: section.id,
+        section_code: section.section_code,
+        capacity: section.capacity,
+        seats,
+        seats_available: Math.max(seats - enrolled.length, 0),
+        add_drop_deadline: addDrop.deadline,
+        add_drop_open: !addDrop.passed,
+        enrolled,
+        waitlist
+      }
+    });
+
+  } catch (error) {
+    console.error('Section enrollments fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch section enrollments'
+    });
+  }
+});
+
+/**
+ * POST /api/sections/:id/enroll
+ * Enroll users while seats last and waitlist the rest in the order given (waitlist: false rejects
+ * them instead). Closed after the add/drop deadline unless overridden.
+ */
+router.post('/:id/enroll', [
+  authenticateToken,
+  requirePermission('schedule:edit'),
+  param('id').isInt({ min: 1 }),
+  body('user_ids').isArray({ min: 1 }),
+  body('user_ids.*').isInt({ min: 1 }),
+  body('waitlist').optional().isBoolean(),
+  body('override_deadline').optional().isBoolean()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const { section, error, status } = await lockOpenSection(client, req);
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const addDrop = await sections.checkAddDrop(client, section, { override: canOverrideDeadline(req) });
+    if (addDrop.error) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: addDrop.error
+      });
+    }
+
+    const outcome = await sections.enroll(client, section, req.body.user_ids, {
+      waitlist: req.body.waitlist !== false && req.body.waitlist !== 'false'
+    });
+
+    if (outcome.enrolled.length === 0 && outcome.waitlisted.length === 0 && outcome.rejected.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Section ${section.section_code} is full`,
+        rejected: outcome.rejected
+      });
+    }
+
+    await audit.record(client, req, {
+      action: 'section.enroll',
+      entityType: 'course_section',
+      entityId: section.id,
+      after: { ...outcome, after_deadline: addDrop.passed }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `Enrolled ${outcome.enrolled.length}, waitlisted ${outcome.waitlisted.length}` +
+        (outcome.rejected.length ? `, ${outcome.rejected.length} turned away (section full)` : ''),
+      data: {
+        section_id: section.id,
+        ...outcome,
+        ...await enrollmentSummary(pool, section)
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23503') {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more users do not exist'
+      });
+    }
+    console.error('Section enroll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enroll users'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/sections/:id/drop
+ * Drop users from a section or its waitlist; freed seats go to the front of the waitlist.
+ * After the add/drop deadline an override records the drop as a withdrawal.
+ */
+router.post('/:id/drop', [
+  authenticateToken,
+  requirePermission('schedule:edit'),
+  param('id').isInt({ min: 1 }),
+  body('user_ids').isArray({ min: 1 }),
+  body('user_ids.*').isInt({ min: 1 }),
+  body('override_deadline').optional().isBoolean()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const { section, error, status } = await lockOpenSection(client, req);
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const addDrop = await sections.checkAddDrop(client, section, { override: canOverrideDeadline(req) });
+    if (addDrop.error) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: addDrop.error
+      });
+    }
+
+    const outcome = await sections.drop(client, section, req.body.user_ids, {
+      status: addDrop.passed ? 'WITHDRAWN' : 'DROPPED'
+    });
+
+    if (outcome.dropped.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'None of these users are enrolled or waitlisted in this section'
+      });
+    }
+
+    await audit.record(client, req, {
+      action: 'section.drop',
+      entityType: 'course_section',
+      entityId: section.id,
+      before: { user_ids: outcome.dropped },
+      after: { promoted: outcome.promoted, withdrawn: addDrop.passed }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `${addDrop.passed ? 'Withdrew' : 'Dropped'} ${outcome.dropped.length}` +
+        (outcome.promoted.length ? `, promoted ${outcome.promoted.length} from the waitlist` : ''),
+      data: {
+        section_id: section.id,
+        dropped: outcome.dropped,
+        not_enrolled: outcome.notEnrolled,
+        promoted: outcome.promoted,
+        ...await enrollmentSummary(pool, section)
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Section drop error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to drop users'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/sections/:id/assign-users
+ * Replace the users enrolled in a section, up to the seats its room allows. The waitlist is kept
+ * and fills any seats left over. Closed after the add/drop deadline unless overridden.
+ */
+router.post('/:id/assign-users', [
+  authenticateToken,
+  requirePermission('schedule:edit'),
+  param('id').isInt({ min: 1 }),
+  body('user_ids').isArray(),
+  body('user_ids.*').isInt({ min: 1 }),
+  body('override_deadline').optional().isBoolean()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const { section, error, status } = await lockOpenSection(client, req);
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const addDrop = await sections.checkAddDrop(client, section, { override: canOverrideDeadline(req) });
+    if (addDrop.error) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: addDrop.error
+      });
+    }
+
+    const requested = [...new Set(req.body.user_ids.map(userId => parseInt(userId)))];
+    const seats = await sections.seatLimit(client, section);
+    if (requested.length > seats) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Section ${section.section_code} has ${seats} seats; ${requested.length} users were assigned`
+      });
+    }
+
+    const { removed, enrolled, promoted } = await sections.assignUsers(client, section, requested, {
+      status: addDrop.passed ? 'WITHDRAWN' : 'DROPPED'
+    });
+
+    await audit.record(client, req, {
+      action: 'section.assign_users',
+      entityType: 'course_section',
+      entityId: section.id,
+      before: { user_ids: removed },
+      after: { user_ids: enrolled, promoted, withdrawn: addDrop.passed }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Users assigned successfully',
+      assigned_count: enrolled.length,
+      data: {
+        section_id: section.id,
+        promoted,
+        ...await enrollmentSummary(pool, section)
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23503') {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more users do not exist'
+      });
+    }
+    console.error('Section assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign users'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Helper functions
+
+/**
+ * Apply section changes inside the caller's transaction: capacity and conflict checks, the update
+ * itself, re-pricing the course and the audit entry
+ * @returns {Object} { section, costing } or { error, status, details }
+ */
+async function updateSection(client, req, current, changes) {
+  if (current.status === 'CANCELLED') {
+    return { error: 'Cancelled sections cannot be changed; schedule a new section instead', status: 409 };
+  }
+
+  const next = { ...current, ...changes };
+  const liveMeetings = current.meetings.filter(meeting => meeting.status !== 'CANCELLED');
+
+  if (changes.meetings) {
+    const meetingErrors = sections.validateMeetings(changes.meetings);
+    if (meetingErrors.length > 0) {
+      return { error: meetingErrors[0], status: 400, details: { errors: meetingErrors } };
+    }
+  }
+
+  if (changes.capacity !== undefined || changes.facility_id !== undefined) {
+    const capacityError = await sections.checkCapacity(client, next.facility_id, next.capacity, current.enrollment_actual);
+    if (capacityError) {
+      return { error: capacityError, status: 400 };
+    }
+  }
+
+  const resourcesChanged = changes.meetings !== undefined ||
+    (changes.instructor_id !== undefined && changes.instructor_id !== current.instructor_id) ||
+    (changes.facility_id !== undefined && changes.facility_id !== current.facility_id);
+
+  if (resourcesChanged && next.status !== 'CANCELLED') {
+    const conflicts = await sections.findConflicts(client, {
+      instructorId: next.instructor_id,
+      facilityId: next.facility_id,
+      semester: current.semester,
+      academicYear: current.academic_year,
+      meetings: changes.meetings || liveMeetings,
+      excludeSectionId: current.id
+    });
+
+    if (conflicts.length > 0) {
+      return { error: 'Schedule conflicts detected', status: 409, details: { conflicts } };
+    }
+  }
+
+  const section = await sections.update(client, current, changes, req.user.id);
+
+  let costing = null;
+  if (resourcesChanged || section.status !== current.status) {
+    const [summary] = await costUpdater.recomputeAffected(client, { sectionIds: [section.id] }, req.user.id,
+      req.body.reason || `section ${section.section_code} changed`);
+    costing = summary || null;
+  }
+
+  const { meetings: beforeMeetings, ...before } = current;
+  const { meetings: afterMeetings, ...after } = section;
+
+  await audit.record(client, req, {
+    action: section.status === 'CANCELLED' && current.status !== 'CANCELLED' ? 'section.cancel' : 'section.update',
+    entityType: 'course_section',
+    entityId: section.id,
+    before: { ...before, meetings: beforeMeetings.filter(meeting => meeting.status !== 'CANCELLED').map(describeMeeting) },
+    after: { ...after, meetings: afterMeetings.filter(meeting => meeting.status !== 'CANCELLED').map(describeMeeting) }
+  });
+
+  return { section, costing };
+}
+
+function pickSectionChanges(input) {
+  const changes = {};
+  ['section_code', 'instructor_id', 'facility_id', 'capacity', 'status'].forEach(field => {
+    if (input[field] !== undefined) {
+      changes[field] = input[field] === null || field === 'section_code' || field === 'status'
+        ? input[field]
+        : parseInt(input[field]);
+    }
+  });
+  if (input.meetings !== undefined) {
+    changes.meetings = normalizeMeetings(input.meetings);
+  }
+  return changes;
+}
+
+function normalizeMeetings(meetings = []) {
+  return meetings.map(meeting => ({
+    day_of_week: parseInt(meeting.day_of_week),
+    start_time: meeting.start_time,
+    end_time: meeting.end_time
+  }));
+}
+
+function describeMeeting(meeting) {
+  return { day_of_week: meeting.day_of_week, start_time: meeting.start_time, end_time: meeting.end_time };
+}
+
+/**
+ * Lock a section for an enrollment change inside the caller's transaction
+ * @returns {Object} { section } or { error, status }
+ */
+async function lockOpenSection(client, req) {
+  const section = await sections.get(client, req.params.id, { forUpdate: true });
+  if (!section || !canAccessDepartment(req.user, section.department_id)) {
+    return { error: 'Section not found or access denied', status: 404 };
+  }
+
+  if (section.status === 'CANCELLED' || section.status === 'COMPLETED') {
+    return { error: `Enrollment in a ${section.status.toLowerCase()} section cannot change`, status: 409 };
+  }
+
+  return { section };
+}
+
+function canOverrideDeadline(req) {
+  return (req.body.override_deadline === true || req.body.override_deadline === 'true') &&
+    hasPermission(req.user, 'schedule:override_deadline');
+}
+
+async function enrollmentSummary(db, section) {
+  const [counts, seats] = await Promise.all([
+    sections.enrollmentCounts(db, section.id),
+    sections.seatLimit(db, section)
+  ]);
+
+  return {
+    capacity: section.capacity,
+    seats,
+    enrollment_actual: counts.enrolled,
+    waitlist_count: counts.waitlisted
+  };
+}
+
+function fundsWarnings(funds, costing) {
+  const warnings = costing && costing.warnings ? [...costing.warnings] : [];
+  if (funds && funds.available < 0) {
+    warnings.push(`Department is over-committed by $${Math.abs(funds.available).toFixed(2)}`);
+  }
+  return warnings;
+}
+
+module.exports = router;
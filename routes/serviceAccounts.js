@@ -0,0 +1,401 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const {
+  authenticateToken, requirePermission, requireRecentMfa, hasPermission, canAccessDepartment
+} = require('../middleware/auth');
+const ApiKeyManager = require('../models/ApiKeyManager');
+const AuditLog = require('../models/AuditLog');
+const policy = require('../models/AccessPolicy');
+
+const router = express.Router();
+const apiKeys = new ApiKeyManager();
+const audit = new AuditLog();
+
+/**
+ * GET /api/service-accounts
+ * List service accounts; without district-wide access only the caller's department's accounts
+ */
+router.get('/', authenticateToken, requirePermission('service_account:manage'), async (req, res) => {
+  try {
+    const accounts = await apiKeys.listServiceAccounts(pool, hasPermission(req.user, 'department:all')
+      ? {}
+      : { departmentId: req.user.department_id || null });
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+
+  } catch (error) {
+    console.error('Get service accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service accounts'
+    });
+  }
+});
+
+/**
+ * POST /api/service-accounts
+ * Create a service account, optionally limited to one department
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('service_account:manage'),
+  body('name').trim().matches(/^[a-z][a-z0-9-]{2,49}$/)
+    .withMessage('Name must be 3-50 lower-case letters, digits or hyphens'),
+  body('description').optional().trim().isLength({ max: 255 }),
+  body('department_id').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description } = req.body;
+    const departmentId = req.body.department_id ? parseInt(req.body.department_id) : null;
+
+    if (!canManageAccount(req.user, departmentId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT 1 FROM service_accounts WHERE name = $1', [name]);
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Service account ${name} already exists`
+      });
+    }
+
+    const account = await apiKeys.createServiceAccount(client, { name, description, departmentId }, req.user.id);
+
+    await audit.record(client, req, {
+      action: 'service_account.create',
+      entityType: 'service_account',
+      entityId: account.user_id,
+      after: account
+    });
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: `Service account ${name} created`,
+      data: await apiKeys.getServiceAccount(pool, account.user_id)
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create service account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create service account'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/service-accounts/:id
+ * Get a service account and its keys
+ */
+router.get('/:id', [
+  authenticateToken,
+  requirePermission('service_account:manage'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const account = await apiKeys.getServiceAccount(pool, req.params.id);
+    if (!account || !canManageAccount(req.user, account.department_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...account,
+        keys: await apiKeys.listKeys(pool, account.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get service account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service account'
+    });
+  }
+});
+
+/**
+ * POST /api/service-accounts/:id/keys
+ * Issue an API key. The key is returned once and only its hash is stored.
+ */
+router.post('/:id/keys', [
+  authenticateToken,
+  requirePermission('service_account:manage'),
+  param('id').isInt({ min: 1 }),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Key name is required'),
+  body('permissions').isArray({ min: 1 }).withMessage('At least one permission is required'),
+  body('permissions.*').custom(isKnownPermission),
+  body('expires_at').optional({ nullable: true }).isISO8601().withMessage('Expiry must be a date'),
+  requireRecentMfa()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, permissions, expires_at } = req.body;
+
+    if (expires_at && new Date(expires_at) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be in the future'
+      });
+    }
+
+    const escalation = [...new Set(permissions)].filter(permission => !hasPermission(req.user, permission));
+    if (escalation.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not hold',
+        missing_permissions: escalation
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const account = await apiKeys.getServiceAccount(client, req.params.id);
+    if (!account || !canManageAccount(req.user, account.department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Service account not found'
+      });
+    }
+
+    if (account.disabled_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'Service account is disabled'
+      });
+    }
+
+    const { key, record } = await apiKeys.issueKey(client, account.id, {
+      name,
+      permissions,
+      expiresAt: expires_at || null
+    }, req.user.id);
+
+    await audit.record(client, req, {
+      action: 'api_key.issue',
+      entityType: 'service_account',
+      entityId: account.id,
+      after: record
+    });
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      data: { ...record, key }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Issue API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/service-accounts/:id/keys/:keyId
+ * Revoke an API key
+ */
+router.delete('/:id/keys/:keyId', [
+  authenticateToken,
+  requirePermission('service_account:manage'),
+  param('id').isInt({ min: 1 }),
+  param('keyId').isInt({ min: 1 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const account = await apiKeys.getServiceAccount(pool, req.params.id);
+    if (!account || !canManageAccount(req.user, account.department_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const revoked = await apiKeys.revokeKey(client, req.params.id, req.params.keyId, req.user.id);
+    if (!revoked) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    await audit.record(client, req, {
+      action: 'api_key.revoke',
+      entityType: 'service_account',
+      entityId: req.params.id,
+      before: { key_id: revoked.id, key_prefix: revoked.key_prefix, name: revoked.name }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: revoked
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/service-accounts/:id/disable
+ * Disable a service account and revoke all its keys
+ */
+router.post('/:id/disable', [
+  authenticateToken,
+  requirePermission('service_account:manage'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const account = await apiKeys.getServiceAccount(pool, req.params.id);
+    if (!account || !canManageAccount(req.user, account.department_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service account not found or already disabled'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const revoked = await apiKeys.disableServiceAccount(client, req.params.id, req.user.id);
+    if (revoked === null) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Service account not found or already disabled'
+      });
+    }
+
+    await audit.record(client, req, {
+      action: 'service_account.disable',
+      entityType: 'service_account',
+      entityId: req.params.id,
+      after: { revoked_keys: revoked }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `Service account disabled; ${revoked} key(s) revoked`
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Disable service account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable service account'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Helper functions
+
+// Unscoped accounts can reach every department, so only district-wide users may manage them
+function canManageAccount(user, departmentId) {
+  return departmentId ? canAccessDepartment(user, departmentId) : hasPermission(user, 'department:all');
+}
+
+function isKnownPermission(permission) {
+  if (!policy.isPermission(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return true;
+}
+
+module.exports = router;
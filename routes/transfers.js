@@ -1,18 +1,35 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { body, param, validationResult } = require('express-validator');
+const {
+  authenticateToken, requirePermission, requireAnyPermission, requireRecentMfa, hasPermission, canAccessDepartment
+} = require('../middleware/auth');
 const pool = require('../config/database');
+const BudgetLedger = require('../models/BudgetLedger');
+const FiscalCalendar = require('../models/FiscalCalendar');
+const EncumbranceTracker = require('../models/EncumbranceTracker');
+const AuditLog = require('../models/AuditLog');
 
 const router = express.Router();
+const ledger = new BudgetLedger();
+const fiscalCalendar = new FiscalCalendar();
+const encumbrances = new EncumbranceTracker();
+const audit = new AuditLog();
 
-// Get transfers (role-based access)
-router.get('/', authenticateToken, async (req, res) => {
+// Transfers above these amounts need an admin and/or the receiving department head to sign off
+const ADMIN_APPROVAL_THRESHOLD = parseFloat(process.env.TRANSFER_APPROVAL_THRESHOLD) || 5000;
+const RECEIVER_APPROVAL_THRESHOLD = parseFloat(process.env.TRANSFER_RECEIVER_APPROVAL_THRESHOLD) || 10000;
+
+// Requesting, approving, executing or reversing transfers at or above this amount needs a recent MFA check
+const MFA_STEP_UP_THRESHOLD = parseFloat(process.env.TRANSFER_MFA_THRESHOLD) || 10000;
+
+// Get transfers (scoped to the caller's department unless they can see all)
+router.get('/', authenticateToken, requirePermission('transfer:view'), async (req, res) => {
   try {
     let query;
     let params = [];
 
-    if (req.user.role === 'ADMIN') {
-      // Admin sees all transfers
+    if (hasPermission(req.user, 'department:all')) {
+      // District-wide users see all transfers
       query = `
         SELECT t.*, 
                df.name as from_department_name,
@@ -25,7 +42,7 @@ router.get('/', authenticateToken, async (req, res) => {
         ORDER BY t.created_at DESC
       `;
     } else {
-      // Department heads see only transfers involving their department
+      // Everyone else sees only transfers involving their department
       query = `
         SELECT t.*, 
                df.name as from_department_name,
@@ -45,7 +62,7 @@ router.get('/', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      data: result.rows
+      data: attachReversalChains(result.rows)
     });
 
   } catch (error) {
@@ -60,11 +77,12 @@ router.get('/', authenticateToken, async (req, res) => {
 // Create budget transfer
 router.post('/', [
   authenticateToken,
-  requireRole(['DEPARTMENT_HEAD', 'ADMIN']),
+  requirePermission('transfer:create'),
   body('from_department_id').isInt({ min: 1 }).withMessage('Valid from department ID is required'),
   body('to_department_id').isInt({ min: 1 }).withMessage('Valid to department ID is required'),
   body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
-  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters')
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters'),
+  requireRecentMfa(req => parseFloat(req.body.amount) >= MFA_STEP_UP_THRESHOLD)
 ], async (req, res) => {
   const client = await pool.connect();
   
@@ -80,8 +98,8 @@ router.post('/', [
 
     const { from_department_id, to_department_id, amount, reason } = req.body;
 
-    // Department heads can only transfer from their own department
-    if (req.user.role === 'DEPARTMENT_HEAD' && req.user.department_id !== parseInt(from_department_id)) {
+    // Transfers can only come out of a department the caller has access to
+    if (!canAccessDepartment(req.user, from_department_id)) {
       return res.status(403).json({
         success: false,
         message: 'You can only transfer from your own department'
@@ -115,40 +133,70 @@ router.post('/', [
     const fromDept = deptResult.rows.find(d => d.id === parseInt(from_department_id));
     const toDept = deptResult.rows.find(d => d.id === parseInt(to_department_id));
 
-    // Check if from department has sufficient budget
-    if (fromDept.budget < amount) {
+    // Check if from department has sufficient uncommitted funds
+    const fromFunds = await encumbrances.getAvailable(client, fromDept.id);
+    if (fromFunds.available < parseFloat(amount)) {
       await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
-        message: `Insufficient budget in ${fromDept.name}. Available: $${fromDept.budget}`
+        message: `Insufficient budget in ${fromDept.name}. Available: $${fromFunds.available.toFixed(2)}`
       });
     }
 
-    // Update department budgets
-    await client.query(
-      'UPDATE departments SET budget = budget - $1 WHERE id = $2',
-      [amount, from_department_id]
-    );
+    // Transfers post to the current fiscal period
+    const posting = await fiscalCalendar.checkPosting(client);
+    if (!posting.allowed) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: posting.message
+      });
+    }
 
-    await client.query(
-      'UPDATE departments SET budget = budget + $1 WHERE id = $2',
-      [amount, to_department_id]
-    );
+    const required = getRequiredApprovals(amount);
 
-    // Record the transfer
+    // Record the transfer; balances only move when it is executed
     const transferResult = await client.query(
-      `INSERT INTO transfers (from_department_id, to_department_id, amount, reason, created_by)
-       VALUES ($1, $2, $3, $4, $5)
+      `INSERT INTO transfers (from_department_id, to_department_id, amount, reason, created_by,
+                              status, requires_admin_approval, requires_receiver_approval, fiscal_period_id)
+       VALUES ($1, $2, $3, $4, $5, 'PENDING', $6, $7, $8)
        RETURNING *`,
-      [from_department_id, to_department_id, amount, reason, req.user.id]
+      [from_department_id, to_department_id, amount, reason, req.user.id, required.admin, required.receiver,
+       posting.period ? posting.period.id : null]
     );
+    let transfer = transferResult.rows[0];
+
+    // A submitter who can give admin approval counts as the admin sign-off
+    if (transfer.requires_admin_approval && hasPermission(req.user, 'transfer:approve_admin')) {
+      await client.query(
+        `INSERT INTO transfer_approvals (transfer_id, approver_id, approval_role, decision, comment)
+         VALUES ($1, $2, 'ADMIN', 'APPROVED', 'Submitted by admin')`,
+        [transfer.id, req.user.id]
+      );
+    }
+
+    transfer = await refreshApprovalStatus(client, transfer);
+
+    // Transfers needing no further sign-off go straight through
+    if (transfer.status === 'APPROVED') {
+      transfer = await executeTransfer(client, transfer, req.user.id);
+    }
+
+    await audit.record(client, req, {
+      action: 'transfer.create',
+      entityType: 'transfer',
+      entityId: transfer.id,
+      after: transfer
+    });
 
     await client.query('COMMIT');
 
     res.status(201).json({
       success: true,
-      message: `Successfully transferred $${amount} from ${fromDept.name} to ${toDept.name}`,
-      data: transferResult.rows[0]
+      message: transfer.status === 'EXECUTED'
+        ? `Successfully transferred $${amount} from ${fromDept.name} to ${toDept.name}`
+        : `Transfer of $${amount} from ${fromDept.name} to ${toDept.name} submitted for approval`,
+      data: transfer
     });
 
   } catch (error) {
@@ -163,4 +211,709 @@ router.post('/', [
   }
 });
 
+// Get transfers waiting on the current user
+router.get('/inbox', authenticateToken, requirePermission('transfer:view'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT t.*, 
+             df.name as from_department_name,
+             dt.name as to_department_name,
+             u.email as created_by_email,
+             EXISTS (SELECT 1 FROM transfer_approvals ta
+                     WHERE ta.transfer_id = t.id AND ta.approval_role = 'ADMIN') as admin_decided,
+             EXISTS (SELECT 1 FROM transfer_approvals ta
+                     WHERE ta.transfer_id = t.id AND ta.approval_role = 'RECEIVER') as receiver_decided
+      FROM transfers t
+      JOIN departments df ON t.from_department_id = df.id
+      JOIN departments dt ON t.to_department_id = dt.id
+      JOIN users u ON t.created_by = u.id
+      WHERE t.status IN ('PENDING', 'APPROVED')
+      ORDER BY t.created_at ASC
+    `);
+
+    const inbox = result.rows
+      .map(transfer => ({ ...transfer, action: getPendingAction(req.user, transfer) }))
+      .filter(transfer => transfer.action !== null);
+
+    res.json({
+      success: true,
+      data: inbox
+    });
+
+  } catch (error) {
+    console.error('Get transfer inbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch transfer inbox'
+    });
+  }
+});
+
+// Get a single transfer with its approval records
+router.get('/:id', [
+  authenticateToken,
+  requirePermission('transfer:view'),
+  param('id').isInt({ min: 1 }).withMessage('Valid transfer ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await pool.query(`
+      SELECT t.*, 
+             df.name as from_department_name,
+             dt.name as to_department_name,
+             u.email as created_by_email
+      FROM transfers t
+      JOIN departments df ON t.from_department_id = df.id
+      JOIN departments dt ON t.to_department_id = dt.id
+      JOIN users u ON t.created_by = u.id
+      WHERE t.id = $1
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    const transfer = result.rows[0];
+    if (!canViewTransfer(req.user, transfer)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this transfer'
+      });
+    }
+
+    // Reversals always run between the same two departments
+    const related = await pool.query(`
+      SELECT id, reverses_transfer_id, amount, status, reason, created_at
+      FROM transfers
+      WHERE (from_department_id = $1 AND to_department_id = $2)
+         OR (from_department_id = $2 AND to_department_id = $1)
+    `, [transfer.from_department_id, transfer.to_department_id]);
+    const chain = attachReversalChains(related.rows).find(row => row.id === transfer.id);
+
+    const approvals = await pool.query(`
+      SELECT ta.*, u.email as approver_email
+      FROM transfer_approvals ta
+      JOIN users u ON ta.approver_id = u.id
+      WHERE ta.transfer_id = $1
+      ORDER BY ta.created_at ASC
+    `, [transfer.id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...transfer,
+        reversed_by_transfer_id: chain.reversed_by_transfer_id,
+        reversal_chain: chain.reversal_chain,
+        approvals: approvals.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch transfer'
+    });
+  }
+});
+
+// Approve a pending transfer
+router.post('/:id/approve', [
+  authenticateToken,
+  requireAnyPermission('transfer:approve', 'transfer:approve_admin'),
+  param('id').isInt({ min: 1 }).withMessage('Valid transfer ID is required'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment must not exceed 500 characters'),
+  requireRecentMfa(isHighValueTransfer)
+], async (req, res) => {
+  await recordDecision(req, res, 'APPROVED');
+});
+
+// Reject a pending transfer
+router.post('/:id/reject', [
+  authenticateToken,
+  requireAnyPermission('transfer:approve', 'transfer:approve_admin'),
+  param('id').isInt({ min: 1 }).withMessage('Valid transfer ID is required'),
+  body('comment').trim().notEmpty().isLength({ max: 500 }).withMessage('A comment of at most 500 characters is required')
+], async (req, res) => {
+  await recordDecision(req, res, 'REJECTED');
+});
+
+// Cancel a transfer that has not been executed
+router.post('/:id/cancel', [
+  authenticateToken,
+  requirePermission('transfer:cancel'),
+  param('id').isInt({ min: 1 }).withMessage('Valid transfer ID is required'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment must not exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await pool.query('SELECT * FROM transfers WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    const transfer = result.rows[0];
+    if (!hasPermission(req.user, 'department:all') && transfer.created_by !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the submitter or a district administrator can cancel this transfer'
+      });
+    }
+
+    const updated = await pool.query(`
+      UPDATE transfers
+      SET status = 'CANCELLED', status_comment = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND status IN ('PENDING', 'APPROVED')
+      RETURNING *
+    `, [req.body.comment || null, transfer.id]);
+
+    if (updated.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot cancel a transfer that is ${transfer.status.toLowerCase()}`
+      });
+    }
+
+    await audit.record(pool, req, {
+      action: 'transfer.cancel',
+      entityType: 'transfer',
+      entityId: transfer.id,
+      before: { status: transfer.status },
+      after: { status: updated.rows[0].status, status_comment: updated.rows[0].status_comment }
+    });
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled',
+      data: updated.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel transfer'
+    });
+  }
+});
+
+// Execute an approved transfer, moving the funds
+router.post('/:id/execute', [
+  authenticateToken,
+  requirePermission('transfer:execute'),
+  param('id').isInt({ min: 1 }).withMessage('Valid transfer ID is required'),
+  requireRecentMfa(isHighValueTransfer)
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT * FROM transfers WHERE id = $1 FOR UPDATE', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    const transfer = result.rows[0];
+    if (!canAccessDepartment(req.user, transfer.from_department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        message: 'Only the sending department or a district administrator can execute this transfer'
+      });
+    }
+
+    if (transfer.status !== 'APPROVED') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Only approved transfers can be executed; this transfer is ${transfer.status.toLowerCase()}`
+      });
+    }
+
+    const closedPeriod = await getClosedPeriod(client, transfer);
+    if (closedPeriod) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Fiscal period ${closedPeriod.name} is closed`
+      });
+    }
+
+    const fromDept = await client.query(
+      'SELECT name, budget FROM departments WHERE id = $1 FOR UPDATE',
+      [transfer.from_department_id]
+    );
+
+    const fromFunds = await encumbrances.getAvailable(client, transfer.from_department_id);
+    if (fromFunds.available < parseFloat(transfer.amount)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient budget in ${fromDept.rows[0].name}. Available: $${fromFunds.available.toFixed(2)}`
+      });
+    }
+
+    const executed = await executeTransfer(client, transfer, req.user.id);
+
+    await audit.record(client, req, {
+      action: 'transfer.execute',
+      entityType: 'transfer',
+      entityId: transfer.id,
+      before: { status: transfer.status },
+      after: { status: executed.status, executed_at: executed.executed_at }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `Successfully transferred $${transfer.amount}`,
+      data: executed
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Execute transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to execute transfer'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Reverse an executed transfer with a linked correcting entry
+router.post('/:id/reverse', [
+  authenticateToken,
+  requirePermission('transfer:reverse'),
+  param('id').isInt({ min: 1 }).withMessage('Valid transfer ID is required'),
+  body('reason').trim().notEmpty().isLength({ max: 450 }).withMessage('A reason of at most 450 characters is required'),
+  requireRecentMfa(isHighValueTransfer)
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT * FROM transfers WHERE id = $1 FOR UPDATE', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    const original = result.rows[0];
+    // A reversal moves money out of the receiving department and back into the sending one
+    if (!canAccessDepartment(req.user, original.from_department_id) ||
+      !canAccessDepartment(req.user, original.to_department_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    if (original.status !== 'EXECUTED') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Only executed transfers can be reversed; this transfer is ${original.status.toLowerCase()}`
+      });
+    }
+
+    // Reversing a transfer from a closed year would reopen its balances
+    const closedPeriod = await getClosedPeriod(client, original);
+    if (closedPeriod) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Fiscal period ${closedPeriod.name} is closed`
+      });
+    }
+
+    const posting = await fiscalCalendar.checkPosting(client);
+    if (!posting.allowed) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: posting.message
+      });
+    }
+
+    const existing = await client.query(
+      'SELECT id FROM transfers WHERE reverses_transfer_id = $1',
+      [original.id]
+    );
+
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Transfer has already been reversed by transfer #${existing.rows[0].id}`
+      });
+    }
+
+    // The department that received the funds is the one being debited
+    const debited = await client.query(
+      'SELECT name, budget FROM departments WHERE id = $1 FOR UPDATE',
+      [original.to_department_id]
+    );
+
+    const debitedFunds = await encumbrances.getAvailable(client, original.to_department_id);
+    if (debitedFunds.available < parseFloat(original.amount)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient budget in ${debited.rows[0].name}. Available: $${debitedFunds.available.toFixed(2)}`
+      });
+    }
+
+    const reversalResult = await client.query(
+      `INSERT INTO transfers (from_department_id, to_department_id, amount, reason, created_by,
+                              status, reverses_transfer_id, fiscal_period_id)
+       VALUES ($1, $2, $3, $4, $5, 'APPROVED', $6, $7)
+       RETURNING *`,
+      [original.to_department_id, original.from_department_id, original.amount,
+       `Reversal of transfer #${original.id}: ${req.body.reason}`, req.user.id, original.id,
+       posting.period ? posting.period.id : null]
+    );
+
+    const reversal = await executeTransfer(client, reversalResult.rows[0], req.user.id);
+
+    await audit.record(client, req, {
+      action: 'transfer.reverse',
+      entityType: 'transfer',
+      entityId: original.id,
+      before: original,
+      after: reversal
+    });
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: `Transfer #${original.id} reversed`,
+      data: reversal
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    // Unique index on reverses_transfer_id catches a concurrent reversal
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Transfer has already been reversed'
+      });
+    }
+
+    console.error('Reverse transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reverse transfer'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Helper functions
+
+async function isHighValueTransfer(req) {
+  const id = parseInt(req.params.id);
+  if (!id) {
+    return false;
+  }
+
+  const result = await pool.query('SELECT amount FROM transfers WHERE id = $1', [id]);
+  return result.rows.length > 0 && parseFloat(result.rows[0].amount) >= MFA_STEP_UP_THRESHOLD;
+}
+
+function attachReversalChains(transfers) {
+  // Link each transfer to its reversal and list the whole chain, oldest first
+  const byId = {};
+  const reversedBy = {};
+  transfers.forEach(transfer => {
+    byId[transfer.id] = transfer;
+    if (transfer.reverses_transfer_id) {
+      reversedBy[transfer.reverses_transfer_id] = transfer.id;
+    }
+  });
+
+  return transfers.map(transfer => {
+    let rootId = transfer.id;
+    while (byId[rootId] && byId[rootId].reverses_transfer_id && byId[byId[rootId].reverses_transfer_id]) {
+      rootId = byId[rootId].reverses_transfer_id;
+    }
+
+    const chain = [];
+    for (let id = rootId; id; id = reversedBy[id]) {
+      chain.push(id);
+    }
+
+    return {
+      ...transfer,
+      reversed_by_transfer_id: reversedBy[transfer.id] || null,
+      reversal_chain: chain.length > 1 ? chain : []
+    };
+  });
+}
+
+function getRequiredApprovals(amount) {
+  const value = parseFloat(amount);
+  return {
+    admin: value > ADMIN_APPROVAL_THRESHOLD,
+    receiver: value > RECEIVER_APPROVAL_THRESHOLD
+  };
+}
+
+async function getClosedPeriod(client, transfer) {
+  if (!transfer.fiscal_period_id) return null;
+
+  const result = await client.query(
+    "SELECT * FROM fiscal_periods WHERE id = $1 AND status = 'CLOSED'",
+    [transfer.fiscal_period_id]
+  );
+
+  return result.rows[0] || null;
+}
+
+function canViewTransfer(user, transfer) {
+  return hasPermission(user, 'department:all') ||
+    transfer.from_department_id === user.department_id ||
+    transfer.to_department_id === user.department_id;
+}
+
+function getPendingAction(user, transfer) {
+  if (transfer.status === 'APPROVED') {
+    const canExecute = hasPermission(user, 'transfer:execute') &&
+      canAccessDepartment(user, transfer.from_department_id);
+    return canExecute ? 'EXECUTE' : null;
+  }
+
+  const role = getApprovalRole(user, transfer);
+  if (role === 'ADMIN' && !transfer.admin_decided) return 'APPROVE';
+  if (role === 'RECEIVER' && !transfer.receiver_decided) return 'APPROVE';
+  return null;
+}
+
+function getApprovalRole(user, transfer) {
+  if (hasPermission(user, 'transfer:approve_admin') && transfer.requires_admin_approval) {
+    return 'ADMIN';
+  }
+  if (hasPermission(user, 'transfer:approve') && transfer.requires_receiver_approval &&
+      user.department_id === transfer.to_department_id) {
+    return 'RECEIVER';
+  }
+  return null;
+}
+
+async function recordDecision(req, res, decision) {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT * FROM transfers WHERE id = $1 FOR UPDATE', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    let transfer = result.rows[0];
+    const previousStatus = transfer.status;
+    if (transfer.status !== 'PENDING') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Transfer is already ${transfer.status.toLowerCase()}`
+      });
+    }
+
+    const approvalRole = getApprovalRole(req.user, transfer);
+    if (!approvalRole) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        message: 'You are not an approver for this transfer'
+      });
+    }
+
+    const existing = await client.query(
+      'SELECT id FROM transfer_approvals WHERE transfer_id = $1 AND approval_role = $2',
+      [transfer.id, approvalRole]
+    );
+
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'This approval step has already been decided'
+      });
+    }
+
+    await client.query(
+      `INSERT INTO transfer_approvals (transfer_id, approver_id, approval_role, decision, comment)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [transfer.id, req.user.id, approvalRole, decision, req.body.comment || null]
+    );
+
+    if (decision === 'REJECTED') {
+      const updated = await client.query(`
+        UPDATE transfers
+        SET status = 'REJECTED', status_comment = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `, [req.body.comment, transfer.id]);
+      transfer = updated.rows[0];
+    } else {
+      transfer = await refreshApprovalStatus(client, transfer);
+    }
+
+    await audit.record(client, req, {
+      action: decision === 'REJECTED' ? 'transfer.reject' : 'transfer.approve',
+      entityType: 'transfer',
+      entityId: transfer.id,
+      before: { status: previousStatus },
+      after: { status: transfer.status, approval_role: approvalRole, comment: req.body.comment || null }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: decision === 'REJECTED'
+        ? 'Transfer rejected'
+        : transfer.status === 'APPROVED'
+          ? 'Transfer approved and ready to execute'
+          : 'Approval recorded; transfer is waiting on further approvals',
+      data: transfer
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Transfer decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record transfer decision'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+async function refreshApprovalStatus(client, transfer) {
+  // Move a pending transfer to APPROVED once every required step has signed off
+  const approvals = await client.query(
+    `SELECT approval_role FROM transfer_approvals
+     WHERE transfer_id = $1 AND decision = 'APPROVED'`,
+    [transfer.id]
+  );
+  const approved = approvals.rows.map(row => row.approval_role);
+
+  const complete = (!transfer.requires_admin_approval || approved.includes('ADMIN')) &&
+    (!transfer.requires_receiver_approval || approved.includes('RECEIVER'));
+
+  if (!complete || transfer.status !== 'PENDING') {
+    return transfer;
+  }
+
+  const updated = await client.query(`
+    UPDATE transfers
+    SET status = 'APPROVED', updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [transfer.id]);
+
+  return updated.rows[0];
+}
+
+async function executeTransfer(client, transfer, executedBy) {
+  // Update department budgets
+  await client.query(
+    'UPDATE departments SET budget = budget - $1 WHERE id = $2',
+    [transfer.amount, transfer.from_department_id]
+  );
+
+  await client.query(
+    'UPDATE departments SET budget = budget + $1 WHERE id = $2',
+    [transfer.amount, transfer.to_department_id]
+  );
+
+  await ledger.recordTransfer(client, transfer, executedBy);
+
+  const updated = await client.query(`
+    UPDATE transfers
+    SET status = 'EXECUTED', executed_by = $1, executed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING *
+  `, [executedBy, transfer.id]);
+
+  return updated.rows[0];
+}
+
 module.exports = router;
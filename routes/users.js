@@ -1,25 +1,61 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { Parser } = require('json2csv');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  authenticateToken, requirePermission, requireRecentMfa, hasRecentMfa, hasPermission, canAccessDepartment
+} = require('../middleware/auth');
+
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const SessionManager = require('../models/SessionManager');
+const AuditLog = require('../models/AuditLog');
+const PasswordTokens = require('../models/PasswordTokens');
+const MfaManager = require('../models/MfaManager');
+const LoginGuard = require('../models/LoginGuard');
+const StaffImporter = require('../models/StaffImporter');
+const CourseCostUpdater = require('../models/CourseCostUpdater');
+const mailer = require('../models/Mailer');
+const policy = require('../models/AccessPolicy');
+const OidcClient = require('../models/OidcClient');
+const { OidcError } = OidcClient;
 
 const router = express.Router();
+const sessions = new SessionManager();
+const passwordTokens = new PasswordTokens();
+const mfa = new MfaManager();
+const loginGuard = new LoginGuard();
+const importer = new StaffImporter();
+const costUpdater = new CourseCostUpdater();
+const audit = new AuditLog();
+const oidc = new OidcClient();
 
 /**
  * GET /api/users
- * Get all users with filtering
+ * Get all users with filtering. Without district-wide access the directory is limited to
+ * the caller's department and users who belong to no department.
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('user:view'), async (req, res) => {
   try {
     const { role, department_id } = req.query;
 
+    if (department_id && !canAccessDepartment(req.user, department_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
     let query = `
       SELECT 
         u.*,
-        d.name as department_name
+        d.name as department_name,
+        olr.requested_at as oidc_link_requested_at
       FROM users u
       LEFT JOIN departments d ON u.department_id = d.id
-      WHERE 1=1
+      LEFT JOIN oidc_link_requests olr ON olr.user_id = u.id
+      WHERE u.is_service_account = false
     `;
     const queryParams = [];
     let paramCount = 0;
@@ -36,6 +72,12 @@ router.get('/', authenticateToken, async (req, res) => {
       queryParams.push(department_id);
     }
 
+    if (!hasPermission(req.user, 'department:all')) {
+      paramCount++;
+      query += ` AND (u.department_id = $${paramCount} OR u.department_id IS NULL)`;
+      queryParams.push(req.user.department_id);
+    }
+
     query += ' ORDER BY u.last_name, u.first_name';
 
     const result = await pool.query(query, queryParams);
@@ -55,23 +97,343 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 /**
- * PUT /api/users/:id/role
- * Update user role (Admin only)
+ * POST /api/users/invite
+ * Invite a user by email (requires user:manage). Re-inviting a user who has not accepted yet sends a fresh link.
  */
-router.put('/:id/role', [
+router.post('/invite', [
   authenticateToken,
-  body('role').isIn(['ADMIN', 'DEPARTMENT_HEAD', 'TEACHER', 'USER']),
-  body('department_id').optional().isInt()
+  requirePermission('user:manage'),
+  body('email').isEmail().normalizeEmail(),
+  body('role').custom(isKnownRole),
+  body('department_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('first_name').optional().isString().trim(),
+  body('last_name').optional().isString().trim()
 ], async (req, res) => {
+  const client = await pool.connect();
+
   try {
-    // Check if user is admin
-    if (req.user.role !== 'ADMIN') {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role, department_id, first_name, last_name } = req.body;
+
+    if (!(await policy.canAssignRole(pool, req.user, role))) {
       return res.status(403).json({
         success: false,
-        message: 'Only administrators can change user roles'
+        message: `You cannot grant the ${role} role because it has permissions you do not hold`
       });
     }
 
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT id, email, first_name, last_name, role, department_id, invited_at, invite_accepted_at
+       FROM users WHERE LOWER(email) = LOWER($1) FOR UPDATE`,
+      [email]
+    );
+
+    let user;
+    if (existing.rows.length > 0) {
+      const current = existing.rows[0];
+      if (!current.invited_at || current.invite_accepted_at) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'A user with this email already exists'
+        });
+      }
+
+      const updated = await client.query(`
+        UPDATE users
+        SET role = $1, department_id = $2, first_name = COALESCE($3, first_name), last_name = COALESCE($4, last_name),
+            invited_at = CURRENT_TIMESTAMP, invited_by = $5, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $6
+        RETURNING id, email, first_name, last_name, role, department_id, invited_at
+      `, [role, department_id || null, first_name || null, last_name || null, req.user.id, current.id]);
+      user = updated.rows[0];
+    } else {
+      // The account cannot be signed into until the invite sets a real password
+      const unusableHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+      const created = await client.query(`
+        INSERT INTO users (email, password_hash, role, department_id, first_name, last_name, invited_at, invited_by)
+        VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, $7)
+        RETURNING id, email, first_name, last_name, role, department_id, invited_at
+      `, [email, unusableHash, role, department_id || null, first_name || null, last_name || null, req.user.id]);
+      user = created.rows[0];
+    }
+
+    const { token, expiresAt } = await passwordTokens.issue(client, user.id, passwordTokens.purposes.INVITE, req.user.id);
+
+    await audit.record(client, req, {
+      action: existing.rows.length > 0 ? 'user.reinvite' : 'user.invite',
+      entityType: 'user',
+      entityId: user.id,
+      before: existing.rows[0] || null,
+      after: user
+    });
+
+    await mailer.send({
+      to: user.email,
+      subject: 'You have been invited to School Budget',
+      text: [
+        `${req.user.email} has invited you to School Budget as ${role}.`,
+        '',
+        `Set your password: ${mailer.link('/set-password', { token })}`,
+        '',
+        `This link can be used once and expires at ${new Date(expiresAt).toISOString()}.`
+      ].join('\n')
+    });
+
+    await client.query('COMMIT');
+
+    res.status(existing.rows.length > 0 ? 200 : 201).json({
+      success: true,
+      message: existing.rows.length > 0 ? 'Invite re-sent' : 'Invite sent',
+      data: {
+        ...user,
+        invite_expires_at: expiresAt
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('User invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to invite user'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/users/export
+ * Export staff as CSV in the import format (requires user:manage)
+ */
+router.get('/export', [
+  authenticateToken,
+  requirePermission('user:manage'),
+  query('department_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role, department_id } = req.query;
+
+    if (department_id && !canAccessDepartment(req.user, department_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this department'
+      });
+    }
+
+    const rows = await importer.exportRows(pool, req.user, { role, departmentId: department_id });
+
+    const json2csvParser = new Parser({ fields: importer.columns });
+    const csv = json2csvParser.parse(rows);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="staff.csv"');
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Users export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export users'
+    });
+  }
+});
+
+/**
+ * POST /api/users/import
+ * Import staff from CSV (requires user:manage). Body: { csv, dry_run = true, send_invites = false }.
+ * A dry run reports what each row would do and any row errors; a real run applies every row in one
+ * transaction and is refused while any row is invalid. New users are created as pending invites.
+ */
+router.post('/import', [
+  authenticateToken,
+  requirePermission('user:manage'),
+  body('csv').isString().notEmpty().withMessage('CSV content is required'),
+  body('dry_run').optional().isBoolean(),
+  body('send_invites').optional().isBoolean()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dryRun = req.body.dry_run === undefined ? true : String(req.body.dry_run) === 'true';
+    const sendInvites = String(req.body.send_invites) === 'true';
+
+    let parsed;
+    try {
+      parsed = await importer.parse(req.body.csv);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV could not be parsed: ${parseError.message}`
+      });
+    }
+
+    const missing = importer.missingColumns(parsed.headers);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV is missing required columns: ${missing.join(', ')}`
+      });
+    }
+
+    if (parsed.records.length === 0 || parsed.records.length > importer.maxRows) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV must contain between 1 and ${importer.maxRows} rows`
+      });
+    }
+
+    if (dryRun) {
+      const plan = await importer.plan(pool, parsed.records, req.user);
+      return res.json({
+        success: true,
+        message: plan.summary.invalid > 0
+          ? `${plan.summary.invalid} row(s) have errors`
+          : 'CSV is valid; nothing has been imported yet',
+        data: { dry_run: true, ...plan }
+      });
+    }
+
+    await client.query('BEGIN');
+
+    // Validate again under lock so the rows cannot change between the check and the write
+    const plan = await importer.plan(client, parsed.records, req.user, { lock: true });
+
+    if (plan.summary.invalid > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `${plan.summary.invalid} row(s) have errors; nothing was imported`,
+        data: { dry_run: false, ...plan }
+      });
+    }
+
+    // Role and department changes need the same step-up as PUT /:id/role
+    if (plan.rows.some(row => row.access_change) && !hasRecentMfa(req)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        message: 'Verify your identity to change roles or departments',
+        mfa_required: true
+      });
+    }
+
+    // One unusable hash serves the whole batch; new users set a real password from their invite
+    const unusableHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    const invites = [];
+
+    for (const row of plan.rows) {
+      if (row.action !== 'create' && row.action !== 'update') continue;
+
+      const { before, after } = await importer.applyRow(client, row, unusableHash, req.user.id);
+
+      if (row.access_change) {
+        await sessions.revokeAllForUser(client, after.id, req.user.id, 'Role changed');
+      }
+
+      if (row.action === 'update' && (row.changes.hourly_rate || row.changes.employment_type)) {
+        await costUpdater.recomputeAffected(client, { instructorId: after.id }, req.user.id, 'instructor pay changed');
+      }
+
+      await audit.record(client, req, {
+        action: row.action === 'create' ? 'user.import_create' : 'user.import_update',
+        entityType: 'user',
+        entityId: after.id,
+        before,
+        after
+      });
+
+      if (row.action === 'create' && sendInvites) {
+        const { token, expiresAt } = await passwordTokens.issue(client, after.id, passwordTokens.purposes.INVITE, req.user.id);
+        invites.push({ user: after, token, expiresAt });
+      }
+    }
+
+    await client.query('COMMIT');
+
+    // The import is committed, so a failed email only costs that user their invite (it can be re-sent)
+    let invitesSent = 0;
+    for (const invite of invites) {
+      try {
+        await mailer.send({
+          to: invite.user.email,
+          subject: 'You have been invited to School Budget',
+          text: [
+            `${req.user.email} has invited you to School Budget as ${invite.user.role}.`,
+            '',
+            `Set your password: ${mailer.link('/set-password', { token: invite.token })}`,
+            '',
+            `This link can be used once and expires at ${new Date(invite.expiresAt).toISOString()}.`
+          ].join('\n')
+        });
+        invitesSent++;
+      } catch (mailError) {
+        console.error('Import invite email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Imported ${plan.summary.create} new and ${plan.summary.update} updated user(s)`,
+      data: { dry_run: false, invites_sent: invitesSent, ...plan }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Users import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import users'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PUT /api/users/:id/role
+ * Update user role (requires user:manage; only roles within the caller's own permissions can be granted)
+ */
+router.put('/:id/role', [
+  authenticateToken,
+  requirePermission('user:manage'),
+  body('role').custom(isKnownRole),
+  body('department_id').optional().isInt(),
+  requireRecentMfa()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -84,9 +446,22 @@ router.put('/:id/role', [
     const { id } = req.params;
     const { role, department_id } = req.body;
 
+    if (!(await policy.canAssignRole(pool, req.user, role))) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant the ${role} role because it has permissions you do not hold`
+      });
+    }
+
+    await client.query('BEGIN');
+
     // Check if user exists
-    const userCheck = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+    const userCheck = await client.query(
+      'SELECT id, email, role, department_id FROM users WHERE id = $1 FOR UPDATE',
+      [id]
+    );
     if (userCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         message: 'User not found'
@@ -101,7 +476,23 @@ router.put('/:id/role', [
       RETURNING id, email, first_name, last_name, role, department_id
     `;
 
-    const result = await pool.query(query, [role, department_id, id]);
+    const result = await client.query(query, [role, department_id, id]);
+
+    // Existing sessions were granted under the old role, so the user has to sign in again
+    const previous = userCheck.rows[0];
+    if (previous.role !== role || previous.department_id !== (department_id === undefined ? null : parseInt(department_id))) {
+      await sessions.revokeAllForUser(client, id, req.user.id, 'Role changed');
+    }
+
+    await audit.record(client, req, {
+      action: 'user.role_change',
+      entityType: 'user',
+      entityId: id,
+      before: { role: previous.role, department_id: previous.department_id },
+      after: { role: result.rows[0].role, department_id: result.rows[0].department_id }
+    });
+
+    await client.query('COMMIT');
 
     res.json({
       success: true,
@@ -110,11 +501,14 @@ router.put('/:id/role', [
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Role update error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to update user role'
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -137,7 +531,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     const result = await pool.query(query, [id]);
 
-    if (result.rows.length === 0) {
+    if (result.rows.length === 0 || !canViewUser(req.user, result.rows[0])) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
@@ -170,12 +564,14 @@ router.put('/:id', [
   body('employment_type').optional().isString(),
   body('hire_date').optional().isISO8601()
 ], async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { id } = req.params;
     const updates = req.body;
 
     // Check if user can update this profile
-    if (req.user.id !== parseInt(id) && req.user.role !== 'ADMIN') {
+    if (req.user.id !== parseInt(id) && !hasPermission(req.user, 'user:manage')) {
       return res.status(403).json({
         success: false,
         message: 'You can only update your own profile'
@@ -196,8 +592,12 @@ router.put('/:id', [
     const queryParams = [];
     let paramCount = 0;
 
+    // Roles, departments and passwords have their own endpoints
+    const profileFields = ['first_name', 'last_name', 'email', 'phone', 'office_location',
+      'qualifications', 'hire_date', 'employment_type', 'hourly_rate'];
+
     Object.keys(updates).forEach(key => {
-      if (updates[key] !== undefined && key !== 'role' && key !== 'department_id') {
+      if (updates[key] !== undefined && profileFields.includes(key)) {
         paramCount++;
         setClause.push(`${key} = $${paramCount}`);
         queryParams.push(updates[key]);
@@ -214,22 +614,46 @@ router.put('/:id', [
     paramCount++;
     queryParams.push(id);
 
+    await client.query('BEGIN');
+
+    const before = await client.query(
+      `SELECT ${profileFields.join(', ')} FROM users WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+
+    if (before.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
     const query = `
       UPDATE users 
       SET ${setClause.join(', ')}, updated_at = CURRENT_TIMESTAMP
       WHERE id = $${paramCount}
-      RETURNING id, email, first_name, last_name, role, department_id, employment_type, hire_date
+      RETURNING id, ${profileFields.join(', ')}, role, department_id
     `;
 
-    const result = await pool.query(query, queryParams);
+    const result = await client.query(query, queryParams);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    // Pay and qualifications feed the cost of every course the user teaches
+    const costFields = ['employment_type', 'hourly_rate', 'qualifications'];
+    if (costFields.some(field => String(before.rows[0][field]) !== String(result.rows[0][field]))) {
+      await costUpdater.recomputeAffected(client, { instructorId: result.rows[0].id }, req.user.id, 'instructor pay or qualifications changed');
     }
 
+    await audit.record(client, req, {
+      action: 'user.profile_update',
+      entityType: 'user',
+      entityId: id,
+      before: before.rows[0],
+      after: result.rows[0]
+    });
+
+    await client.query('COMMIT');
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -237,12 +661,473 @@ router.put('/:id', [
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Profile update error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to update profile'
     });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/users/:id/sessions
+ * List a user's sessions (requires session:manage)
+ */
+router.get('/:id/sessions', [
+  authenticateToken,
+  requirePermission('session:manage'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userSessions = await sessions.listSessions(pool, req.params.id, req.query.include_inactive === 'true');
+
+    res.json({
+      success: true,
+      data: userSessions
+    });
+
+  } catch (error) {
+    console.error('User sessions fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user sessions'
+    });
   }
 });
 
+/**
+ * DELETE /api/users/:id/sessions/:sessionId
+ * Revoke one of a user's sessions (requires session:manage)
+ */
+router.delete('/:id/sessions/:sessionId', [
+  authenticateToken,
+  requirePermission('session:manage'),
+  param('id').isInt({ min: 1 }),
+  param('sessionId').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const sessionCheck = await pool.query(
+      'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2',
+      [req.params.sessionId, req.params.id]
+    );
+
+    if (sessionCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const revoked = await sessions.revokeSession(pool, req.params.sessionId, req.user.id, 'Revoked by administrator');
+
+    if (revoked) {
+      await audit.record(pool, req, {
+        action: 'user.session_revoke',
+        entityType: 'user',
+        entityId: req.params.id,
+        after: { session_id: parseInt(req.params.sessionId) }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: revoked ? 'Session revoked' : 'Session was already revoked',
+      data: revoked
+    });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:id/sessions
+ * Revoke all of a user's sessions (requires session:manage)
+ */
+router.delete('/:id/sessions', [
+  authenticateToken,
+  requirePermission('session:manage'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const revoked = await sessions.revokeAllForUser(pool, req.params.id, req.user.id, 'Revoked by administrator');
+
+    await audit.record(pool, req, {
+      action: 'user.sessions_revoke_all',
+      entityType: 'user',
+      entityId: req.params.id,
+      after: { revoked }
+    });
+
+    res.json({
+      success: true,
+      message: `Revoked ${revoked} session(s)`,
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+/**
+ * GET /api/users/:id/login-history
+ * A user's recent sign-in attempts (requires session:manage)
+ */
+router.get('/:id/login-history', [
+  authenticateToken,
+  requirePermission('session:manage'),
+  param('id').isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const history = await loginGuard.listHistory(pool, req.params.id, parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Login history fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch login history'
+    });
+  }
+});
+
+/**
+ * POST /api/users/:id/unlock
+ * Clear a sign-in lockout (requires user:manage)
+ */
+router.post('/:id/unlock', [
+  authenticateToken,
+  requirePermission('user:manage'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const previous = await loginGuard.unlock(client, req.params.id);
+    if (!previous) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await audit.record(client, req, {
+      action: 'user.unlock',
+      entityType: 'user',
+      entityId: req.params.id,
+      before: previous,
+      after: { failed_login_count: 0, locked_until: null }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Account unlock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/users/:id/oidc-link
+ * Approve linking an account to the identity provider sign-in that asked for it (requires user:manage;
+ * only accounts whose role is within the caller's own permissions can be linked)
+ */
+router.post('/:id/oidc-link', [
+  authenticateToken,
+  requirePermission('user:manage'),
+  param('id').isInt({ min: 1 }),
+  requireRecentMfa()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT id, email, role FROM users WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+    const target = userResult.rows[0];
+    if (!target) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Linking hands the account to whoever controls the IdP identity
+    if (!(await policy.canAssignRole(pool, req.user, target.role))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        message: `You cannot link a ${target.role} account because it has permissions you do not hold`
+      });
+    }
+
+    const request = await oidc.approveLink(client, target.id);
+    if (!request) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'No identity provider link is waiting for approval'
+      });
+    }
+
+    await audit.record(client, req, {
+      action: 'user.oidc_link',
+      entityType: 'user',
+      entityId: target.id,
+      before: { oidc_issuer: null, oidc_subject: null },
+      after: { oidc_issuer: request.oidc_issuer, oidc_subject: request.oidc_subject }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `${target.email} can now sign in through the identity provider`
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof OidcError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('OIDC link approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link account'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/users/:id/oidc-link
+ * Turn down a pending identity provider link (requires user:manage)
+ */
+router.delete('/:id/oidc-link', [
+  authenticateToken,
+  requirePermission('user:manage'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const request = await oidc.rejectLink(client, req.params.id);
+    if (!request) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'No identity provider link is waiting for approval'
+      });
+    }
+
+    await audit.record(client, req, {
+      action: 'user.oidc_link_reject',
+      entityType: 'user',
+      entityId: req.params.id,
+      before: { oidc_issuer: request.oidc_issuer, oidc_subject: request.oidc_subject },
+      after: null
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Link request rejected'
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('OIDC link rejection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject link request'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/users/:id/mfa
+ * Remove a user's authenticator and recovery codes, e.g. after a lost device
+ */
+router.delete('/:id/mfa', [
+  authenticateToken,
+  requirePermission('user:manage'),
+  param('id').isInt({ min: 1 }),
+  requireRecentMfa()
+], async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const removed = await mfa.disable(client, req.params.id);
+    if (!removed) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'User does not have MFA set up'
+      });
+    }
+
+    // Sessions verified with the old authenticator should not outlive it
+    await sessions.revokeAllForUser(client, req.params.id, req.user.id, 'MFA reset by administrator');
+
+    await audit.record(client, req, {
+      action: 'user.mfa_reset',
+      entityType: 'user',
+      entityId: req.params.id
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'MFA reset; the user will be asked to enrol again if their role requires it'
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('MFA reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset MFA'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Helper functions
+async function isKnownRole(role) {
+  if (typeof role !== 'string' || !(await policy.roleExists(pool, role))) {
+    throw new Error('Role does not exist');
+  }
+  return true;
+}
+
+function canViewUser(viewer, target) {
+  if (viewer.id === target.id) return true;
+
+  return hasPermission(viewer, 'user:view') && (
+    hasPermission(viewer, 'department:all') ||
+    target.department_id === null ||
+    target.department_id === viewer.department_id
+  );
+}
+
 module.exports = router;
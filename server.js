@@ -13,23 +13,34 @@ const optimizationRoutes = require('./routes/optimization');
 const facilitiesRoutes = require('./routes/facilities');
 const equipmentRoutes = require('./routes/equipment');
 const schedulingRoutes = require('./routes/scheduling');
+const sectionRoutes = require('./routes/sections');
+const courseRequestRoutes = require('./routes/courseRequests');
 const reportsRoutes = require('./routes/reports');
 const forecastingRoutes = require('./routes/forecasting');
 const usersRoutes = require('./routes/users');
+const fiscalRoutes = require('./routes/fiscal');
+const rolesRoutes = require('./routes/roles');
+const auditRoutes = require('./routes/audit');
+const serviceAccountRoutes = require('./routes/serviceAccounts');
+const impersonationRoutes = require('./routes/impersonation');
+const { assignRequestId } = require('./middleware/requestId');
+const mailer = require('./models/Mailer');
 
 const app = express();
 
 // Security middleware
+app.use(assignRequestId);
 app.use(helmet());
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true
 }));
 
-// Rate limiting
+// Rate limiting. Kept loose because whole schools share one address; password guessing is
+// throttled per account in routes/auth.js instead
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.RATE_LIMIT_MAX) || 1000 // limit each IP to this many requests per windowMs
 });
 app.use(limiter);
 
@@ -47,9 +58,16 @@ app.use('/api/optimization', optimizationRoutes);
 app.use('/api/facilities', facilitiesRoutes);
 app.use('/api/equipment', equipmentRoutes);
 app.use('/api/schedules', schedulingRoutes);
+app.use('/api/sections', sectionRoutes);
+app.use('/api/course-requests', courseRequestRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/forecasting', forecastingRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/fiscal-periods', fiscalRoutes);
+app.use('/api/roles', rolesRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/service-accounts', serviceAccountRoutes);
+app.use('/api/impersonation', impersonationRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -80,6 +98,15 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 3001;
 
+// Invites and password resets depend on email; production must not start without a real transport
+const mailProblem = mailer.configurationError();
+if (mailProblem && process.env.NODE_ENV === 'production') {
+  console.error(`❌ ${mailProblem}`);
+  process.exit(1);
+} else if (mailProblem) {
+  console.warn(`⚠️  ${mailProblem}; invites and password resets will fail`);
+}
+
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 School Budget Management API`);
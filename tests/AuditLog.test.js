@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const AuditLog = require('../models/AuditLog');
+
+// JSONB hands objects back with its own key order; reversing the keys stands in for that
+const reorderKeys = value => {
+    if (Array.isArray(value)) return value.map(reorderKeys);
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).reverse().map(key => [key, reorderKeys(value[key])]));
+    }
+    return value;
+};
+
+/**
+ * In-memory audit_log table behind the queries append() and verify() run
+ */
+function createDb() {
+    const rows = [];
+
+    const query = async (sql, params = []) => {
+        if (sql.includes('pg_advisory_xact_lock')) {
+            return { rows: [] };
+        }
+
+        if (sql.includes('SELECT hash FROM audit_log')) {
+            return { rows: rows.length ? [{ hash: rows[rows.length - 1].hash }] : [] };
+        }
+
+        if (sql.includes('INSERT INTO audit_log')) {
+            const row = {
+                id: rows.length + 1,
+                occurred_at: new Date(params[0]),
+                actor_id: params[1],
+                actor_email: params[2],
+                action: params[3],
+                entity_type: params[4],
+                entity_id: params[5],
+                before_data: params[6] === null ? null : reorderKeys(JSON.parse(params[6])),
+                after_data: params[7] === null ? null : reorderKeys(JSON.parse(params[7])),
+                ip_address: params[8],
+                request_id: params[9],
+                impersonator_id: params[10],
+                impersonator_email: params[11],
+                prev_hash: params[12],
+                hash: params[13]
+            };
+            rows.push(row);
+            return { rows: [row] };
+        }
+
+        if (sql.includes('SELECT * FROM audit_log WHERE id > $1')) {
+            const [lastId, limit] = params;
+            return { rows: rows.filter(row => row.id > lastId).slice(0, limit) };
+        }
+
+        throw new Error(`Unexpected query: ${sql}`);
+    };
+
+    // A checked-out client, so append() runs inside the caller's transaction
+    return { query, release: () => {}, rows };
+}
+
+async function appendEntries(auditLog, db) {
+    await auditLog.append(db, {
+        actorId: 1,
+        actorEmail: 'admin@school.edu',
+        action: 'budget.update',
+        entityType: 'department',
+        entityId: 3,
+        before: { budget: 1000, name: 'Science', meta: { fiscal_year: 2025, approved: true } },
+        after: { budget: 1500, name: 'Science', meta: { fiscal_year: 2025, approved: true } },
+        ipAddress: '10.0.0.1',
+        requestId: 'req-1'
+    });
+    await auditLog.append(db, {
+        actorId: 2,
+        actorEmail: 'head@school.edu',
+        action: 'transfer.create',
+        entityType: 'transfer',
+        entityId: 9,
+        after: { amount: 250, password_hash: 'never stored' },
+        impersonatorId: 1,
+        impersonatorEmail: 'admin@school.edu'
+    });
+    await auditLog.append(db, {
+        action: 'user.invite',
+        entityType: 'user',
+        entityId: 12,
+        after: { email: 'new@school.edu', role: 'TEACHER' }
+    });
+}
+
+test('verify accepts a chain whose JSONB snapshots come back with their keys reordered', async () => {
+    const auditLog = new AuditLog();
+    const db = createDb();
+    await appendEntries(auditLog, db);
+
+    assert.deepStrictEqual(Object.keys(db.rows[0].after_data), ['meta', 'name', 'budget']);
+    assert.strictEqual(db.rows[1].after_data.password_hash, undefined);
+    assert.deepStrictEqual(await auditLog.verify(db), { valid: true, checked: 3, brokenAt: null, reason: null });
+});
+
+test('verify reports the first entry whose contents were edited', async () => {
+    const auditLog = new AuditLog();
+    const db = createDb();
+    await appendEntries(auditLog, db);
+
+    db.rows[1].after_data.amount = 25000;
+
+    const result = await auditLog.verify(db, 2);
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.checked, 1);
+    assert.strictEqual(result.brokenAt, 2);
+    assert.strictEqual(result.reason, 'Entry contents do not match its hash');
+});
+
+test('verify reports an entry that no longer links to the one before it', async () => {
+    const auditLog = new AuditLog();
+    const db = createDb();
+    await appendEntries(auditLog, db);
+
+    db.rows.splice(1, 1);
+
+    const result = await auditLog.verify(db);
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.brokenAt, 3);
+    assert.strictEqual(result.reason, 'Entry does not link to the previous entry');
+});
+
+test('entries without an impersonator hash as they did before impersonation was recorded', () => {
+    const auditLog = new AuditLog();
+    const prevHash = auditLog.genesisHash;
+    const record = {
+        occurredAt: '2025-09-01T12:00:00.000Z',
+        actorId: 1,
+        actorEmail: 'admin@school.edu',
+        action: 'budget.update',
+        entityType: 'department',
+        entityId: '3',
+        before: { budget: 1000 },
+        after: { budget: 1500 },
+        ipAddress: '10.0.0.1',
+        requestId: 'req-1'
+    };
+
+    // The payload as it was hashed before the impersonator fields existed
+    const legacyHash = crypto.createHash('sha256').update(auditLog.canonicalize([
+        prevHash, record.occurredAt, record.actorId, record.actorEmail, record.action, record.entityType,
+        record.entityId, record.before, record.after, record.ipAddress, record.requestId
+    ])).digest('hex');
+
+    assert.strictEqual(auditLog.computeHash(prevHash, record), legacyHash);
+    assert.strictEqual(auditLog.computeHash(prevHash, { ...record, impersonatorId: null, impersonatorEmail: null }), legacyHash);
+    assert.notStrictEqual(
+        auditLog.computeHash(prevHash, { ...record, impersonatorId: 4, impersonatorEmail: 'it@school.edu' }),
+        legacyHash
+    );
+});
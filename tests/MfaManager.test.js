@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const MfaManager = require('../models/MfaManager');
+
+// RFC 6238 appendix B: the SHA-1 seed is the ASCII string "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+    { time: 59, code: '94287082' },
+    { time: 1111111109, code: '07081804' },
+    { time: 1111111111, code: '14050471' },
+    { time: 1234567890, code: '89005924' },
+    { time: 2000000000, code: '69279037' },
+    { time: 20000000000, code: '65353130' }
+];
+
+const stepAt = (manager, seconds) => Math.floor(seconds / manager.periodSeconds);
+
+test('base32 round-trips the RFC 6238 seed', () => {
+    const manager = new MfaManager();
+
+    assert.strictEqual(manager.base32Decode(RFC_SECRET).toString('ascii'), '12345678901234567890');
+    assert.strictEqual(manager.base32Encode(Buffer.from('12345678901234567890')), RFC_SECRET);
+    assert.throws(() => manager.base32Decode('NOT-BASE32'), /Invalid base32 secret/);
+});
+
+test('generateCode matches the RFC 6238 SHA-1 test vectors', () => {
+    const manager = new MfaManager();
+
+    manager.digits = 8;
+    RFC_VECTORS.forEach(({ time, code }) => {
+        assert.strictEqual(manager.generateCode(RFC_SECRET, stepAt(manager, time)), code);
+    });
+
+    // Six-digit codes are the low digits of the same value
+    manager.digits = 6;
+    RFC_VECTORS.forEach(({ time, code }) => {
+        assert.strictEqual(manager.generateCode(RFC_SECRET, stepAt(manager, time)), code.slice(-6));
+    });
+});
+
+test('matchCode accepts one step of clock drift either way and nothing beyond', () => {
+    const manager = new MfaManager();
+    const now = 1111111111 * 1000;
+    const current = stepAt(manager, 1111111111);
+    const codeFor = step => manager.generateCode(RFC_SECRET, step);
+
+    assert.strictEqual(manager.matchCode(RFC_SECRET, codeFor(current), now), current);
+    assert.strictEqual(manager.matchCode(RFC_SECRET, codeFor(current - 1), now), current - 1);
+    assert.strictEqual(manager.matchCode(RFC_SECRET, codeFor(current + 1), now), current + 1);
+    assert.strictEqual(manager.matchCode(RFC_SECRET, codeFor(current - 2), now), null);
+    assert.strictEqual(manager.matchCode(RFC_SECRET, codeFor(current + 2), now), null);
+});
+
+test('matchCode rejects codes of the wrong shape', () => {
+    const manager = new MfaManager();
+    const now = 1111111111 * 1000;
+
+    assert.strictEqual(manager.matchCode(RFC_SECRET, '', now), null);
+    assert.strictEqual(manager.matchCode(RFC_SECRET, '05047', now), null);
+    assert.strictEqual(manager.matchCode(RFC_SECRET, '14050471', now), null);
+    assert.strictEqual(manager.matchCode(RFC_SECRET, '05047a', now), null);
+});
+
+test('checkTotp accepts a code once and rejects it when reused', async () => {
+    const manager = new MfaManager();
+    const mfa = {
+        user_id: 7,
+        secret_encrypted: manager.encrypt(RFC_SECRET),
+        last_used_step: null,
+        failed_attempts: 0,
+        locked_until: null
+    };
+    const db = {
+        query: async (sql, params) => {
+            if (sql.includes('SET last_used_step')) {
+                mfa.last_used_step = params[0];
+            } else if (sql.includes('SET failed_attempts')) {
+                mfa.failed_attempts = params[0];
+            }
+            return { rows: [] };
+        }
+    };
+    const code = manager.generateCode(RFC_SECRET, stepAt(manager, Date.now() / 1000));
+
+    const first = await manager.checkTotp(db, mfa, code);
+    const replay = await manager.checkTotp(db, mfa, code);
+
+    assert.deepStrictEqual(first, { ok: true });
+    assert.strictEqual(replay.ok, false);
+    assert.strictEqual(replay.message, 'Invalid verification code');
+    assert.strictEqual(mfa.failed_attempts, 1);
+});
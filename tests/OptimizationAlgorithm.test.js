@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const OptimizationAlgorithm = require('../models/OptimizationAlgorithm');
+
+const resources = {
+    instructors: [
+        { id: 1, department_id: 1, first_name: 'Ada', last_name: 'Lovelace', qualifications: 'Algebra', employment_type: 'FULL_TIME' },
+        { id: 2, department_id: 1, first_name: 'Alan', last_name: 'Turing', qualifications: 'Robotics', employment_type: 'FULL_TIME' }
+    ],
+    facilities: [
+        { id: 1, name: 'Room 101', type: 'CLASSROOM', capacity: 30, hourly_cost: 10, status: 'AVAILABLE', department_id: 1 },
+        { id: 2, name: 'Room 102', type: 'CLASSROOM', capacity: 30, hourly_cost: 10, status: 'AVAILABLE', department_id: 1 }
+    ],
+    equipment: []
+};
+
+test('exact solver leaves a course unassigned when every option for it has negative value', async () => {
+    const optimizer = new OptimizationAlgorithm();
+    const courses = [
+        { id: 1, name: 'Algebra I', department_id: 1, expected_students: 24, instructor_cost: 3000 },
+        // Every assignment of this course costs more than covering it is worth
+        { id: 2, name: 'Robotics', department_id: 1, expected_students: 24, instructor_cost: 2000000 }
+    ];
+
+    const plan = await optimizer.exactOptimization(resources, courses, { 1: 10000000 });
+
+    assert.strictEqual(plan.exactSolution.status, 'OPTIMAL');
+    assert.deepStrictEqual(plan.courseAssignments.map(assignment => assignment.courseId), [1]);
+    assert.ok(plan.exactSolution.objectiveValue > plan.exactSolution.greedyObjectiveValue);
+});
+
+test('exact solver assigns each course at most once when greedy would place it twice', async () => {
+    const optimizer = new OptimizationAlgorithm();
+    const courses = [
+        { id: 1, name: 'Algebra I', department_id: 1, expected_students: 24, instructor_cost: 3000 }
+    ];
+
+    const plan = await optimizer.exactOptimization(resources, courses, { 1: 10000000 });
+
+    assert.strictEqual(plan.exactSolution.status, 'OPTIMAL');
+    assert.deepStrictEqual(plan.courseAssignments.map(assignment => assignment.courseId), [1]);
+});
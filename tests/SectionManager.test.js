@@ -0,0 +1,223 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SectionManager = require('../models/SectionManager');
+
+/**
+ * In-memory stand-in for the queries SectionManager runs against course_enrollments,
+ * course_sections and facilities
+ */
+function createDb({ facilities = {} } = {}) {
+    const enrollments = [];
+    let nextId = 1;
+
+    const inSection = (sectionId, status) => enrollments
+        .filter(row => row.section_id === sectionId && (!status || row.status === status));
+    const byPosition = (a, b) => a.waitlist_position - b.waitlist_position || a.id - b.id;
+
+    const query = async (sql, params = []) => {
+        if (sql.includes('FROM facilities')) {
+            const facility = facilities[params[0]];
+            return { rows: facility ? [facility] : [] };
+        }
+
+        if (sql.includes('SELECT user_id, status FROM course_enrollments')) {
+            const [sectionId, userIds] = params;
+            return {
+                rows: inSection(sectionId)
+                    .filter(row => userIds.includes(row.user_id) && ['ENROLLED', 'WAITLISTED'].includes(row.status))
+            };
+        }
+
+        if (sql.includes('COUNT(*) FILTER')) {
+            return {
+                rows: [{
+                    enrolled: inSection(params[0], 'ENROLLED').length,
+                    waitlisted: inSection(params[0], 'WAITLISTED').length
+                }]
+            };
+        }
+
+        if (sql.includes('INSERT INTO course_enrollments')) {
+            const [scheduleId, sectionId, userIds, status] = params;
+            const tail = Math.max(0, ...inSection(sectionId).map(row => row.waitlist_position || 0));
+            userIds.forEach((userId, index) => {
+                let row = enrollments.find(existing => existing.section_id === sectionId && existing.user_id === userId);
+                if (!row) {
+                    row = { id: nextId++, section_id: sectionId, user_id: userId };
+                    enrollments.push(row);
+                }
+                Object.assign(row, {
+                    schedule_id: scheduleId,
+                    status,
+                    waitlist_position: status === 'WAITLISTED' ? tail + index + 1 : null,
+                    dropped_at: null
+                });
+            });
+            return { rows: [] };
+        }
+
+        if (sql.includes('WITH next_up')) {
+            const [sectionId, limit] = params;
+            const nextUp = inSection(sectionId, 'WAITLISTED').sort(byPosition).slice(0, limit);
+            const rows = nextUp.map(row => ({ id: row.id, user_id: row.user_id, waitlist_position: row.waitlist_position }));
+            nextUp.forEach(row => Object.assign(row, { status: 'ENROLLED', waitlist_position: null }));
+            return { rows };
+        }
+
+        if (sql.includes('SET status = $3, waitlist_position = NULL')) {
+            const [sectionId, userIds, status] = params;
+            const rows = inSection(sectionId)
+                .filter(row => userIds.includes(row.user_id) && ['ENROLLED', 'WAITLISTED'].includes(row.status));
+            rows.forEach(row => Object.assign(row, { status, waitlist_position: null, dropped_at: new Date() }));
+            return { rows: rows.map(row => ({ user_id: row.user_id })) };
+        }
+
+        if (sql.includes('ROW_NUMBER()')) {
+            const [sectionId, status] = params;
+            return {
+                rows: inSection(sectionId, status).sort(byPosition)
+                    .map((row, index) => ({ ...row, position: index + 1 }))
+            };
+        }
+
+        if (sql.includes('UPDATE course_sections')) {
+            return { rows: [{ enrollment_actual: new Set(inSection(params[0], 'ENROLLED').map(row => row.user_id)).size }] };
+        }
+
+        if (sql.includes('UPDATE course_schedules')) {
+            return { rows: [] };
+        }
+
+        throw new Error(`Unexpected query: ${sql}`);
+    };
+
+    return { query, enrollments };
+}
+
+function createSection(overrides = {}) {
+    return {
+        id: 1,
+        status: 'SCHEDULED',
+        capacity: 2,
+        facility_id: null,
+        meetings: [{ id: 10, status: 'SCHEDULED' }],
+        ...overrides
+    };
+}
+
+const statusOf = (db, userId) => db.enrollments.find(row => row.user_id === userId).status;
+
+test('enroll fills free seats and waitlists the rest in the order given', async () => {
+    const manager = new SectionManager();
+    const db = createDb();
+    const section = createSection();
+
+    const outcome = await manager.enroll(db, section, [1, 2, 3, 4]);
+
+    assert.deepStrictEqual(outcome.enrolled, [1, 2]);
+    assert.deepStrictEqual(outcome.waitlisted, [{ user_id: 3, position: 1 }, { user_id: 4, position: 2 }]);
+    assert.deepStrictEqual(outcome.rejected, []);
+});
+
+test('enroll counts seats against the room when it holds fewer than the section capacity', async () => {
+    const manager = new SectionManager();
+    const db = createDb({ facilities: { 5: { name: 'Lab', capacity: 1 } } });
+    const section = createSection({ capacity: 30, facility_id: 5 });
+
+    const outcome = await manager.enroll(db, section, [1, 2], { waitlist: false });
+
+    assert.deepStrictEqual(outcome.enrolled, [1]);
+    assert.deepStrictEqual(outcome.rejected, [2]);
+});
+
+test('enroll leaves users already enrolled or waitlisted where they are', async () => {
+    const manager = new SectionManager();
+    const db = createDb();
+    const section = createSection({ capacity: 1 });
+    await manager.enroll(db, section, [1, 2]);
+
+    const outcome = await manager.enroll(db, section, [2, 1]);
+
+    assert.deepStrictEqual(outcome.unchanged, [2, 1]);
+    assert.strictEqual(statusOf(db, 1), 'ENROLLED');
+    assert.strictEqual(statusOf(db, 2), 'WAITLISTED');
+});
+
+test('nobody skips an existing waitlist, even when a seat is free', async () => {
+    const manager = new SectionManager();
+    const db = createDb();
+    const section = createSection({ capacity: 1 });
+    await manager.enroll(db, section, [1, 2]);
+
+    // A seat opens without the waitlist having been promoted yet
+    section.capacity = 2;
+    const outcome = await manager.enroll(db, section, [3]);
+
+    assert.deepStrictEqual(outcome.enrolled, []);
+    assert.deepStrictEqual(outcome.waitlisted, [{ user_id: 3, position: 2 }]);
+});
+
+test('drop promotes from the front of the waitlist into the freed seats', async () => {
+    const manager = new SectionManager();
+    const db = createDb();
+    const section = createSection();
+    await manager.enroll(db, section, [1, 2, 3, 4, 5]);
+
+    const outcome = await manager.drop(db, section, [1, 2, 9]);
+
+    assert.deepStrictEqual(outcome.dropped, [1, 2]);
+    assert.deepStrictEqual(outcome.notEnrolled, [9]);
+    assert.deepStrictEqual(outcome.promoted, [3, 4]);
+    assert.strictEqual(statusOf(db, 1), 'DROPPED');
+    assert.strictEqual(statusOf(db, 5), 'WAITLISTED');
+});
+
+test('drop records the given status, e.g. WITHDRAWN after the add/drop deadline', async () => {
+    const manager = new SectionManager();
+    const db = createDb();
+    const section = createSection();
+    await manager.enroll(db, section, [1, 2]);
+
+    await manager.drop(db, section, [1], { status: 'WITHDRAWN' });
+
+    assert.strictEqual(statusOf(db, 1), 'WITHDRAWN');
+});
+
+test('promoteWaitlist fills only the seats that are free, in waitlist order', async () => {
+    const manager = new SectionManager();
+    const db = createDb();
+    const section = createSection({ capacity: 1 });
+    await manager.enroll(db, section, [1, 2, 3, 4]);
+
+    section.capacity = 3;
+    const promoted = await manager.promoteWaitlist(db, section);
+
+    assert.deepStrictEqual(promoted, [2, 3]);
+    assert.strictEqual(statusOf(db, 4), 'WAITLISTED');
+});
+
+test('promoteWaitlist promotes nobody into a cancelled section', async () => {
+    const manager = new SectionManager();
+    const db = createDb();
+    const section = createSection({ capacity: 1 });
+    await manager.enroll(db, section, [1, 2]);
+
+    section.status = 'CANCELLED';
+    section.capacity = 5;
+    const promoted = await manager.promoteWaitlist(db, section);
+
+    assert.deepStrictEqual(promoted, []);
+    assert.strictEqual(statusOf(db, 2), 'WAITLISTED');
+});
+
+test('checkCapacity refuses capacity below enrollment or above the room', async () => {
+    const manager = new SectionManager();
+    const db = createDb({ facilities: { 5: { name: 'Room 101', capacity: 25 } } });
+
+    assert.strictEqual(await manager.checkCapacity(db, 5, 20, 21), 'Capacity cannot be below the 21 users already enrolled');
+    assert.strictEqual(await manager.checkCapacity(db, 5, 30, 0), 'Room 101 seats 25, fewer than the requested capacity of 30');
+    assert.strictEqual(await manager.checkCapacity(db, 5, 25, 25), null);
+    assert.strictEqual(await manager.checkCapacity(db, null, 40, 10), null);
+    assert.strictEqual(await manager.checkCapacity(db, 5, undefined, 30), null);
+});